@@ -0,0 +1,379 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import RecipientRegistry, { ADDRESS_PATTERNS, NODE_PUBKEY_PATTERN } from './recipient-registry.js';
+
+/**
+ * Hardship types offered on the support form.
+ */
+export const HARDSHIP_TYPES = ['Financial', 'Medical', 'Other'];
+
+/**
+ * Application review states.
+ */
+export const APPLICATION_STATUSES = ['submitted', 'under_review', 'approved', 'rejected'];
+
+// Review moves applications forward only
+const REVIEW_TRANSITIONS = {
+  submitted: ['under_review'],
+  under_review: ['approved', 'rejected'],
+  approved: [],
+  rejected: []
+};
+
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_NOTE_LENGTH = 2000;
+
+// Where support can be sent: a Lightning Address, an LNURL or a node public key
+const WALLET_PATTERNS = [...ADDRESS_PATTERNS, NODE_PUBKEY_PATTERN];
+
+// No 0/O or 1/I so references survive being read out over the phone
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Build an error the server error handler maps to an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * ApplicationManager stores requests for support from people affected by a disaster.
+ *
+ * Responsibilities:
+ * - Validate support applications
+ * - Issue a reference number applicants can check their status with
+ * - Move applications through review (submitted -> under_review -> approved/rejected)
+ *   with reviewer notes and a status history
+ * - Register approved applicants as recipients
+ * - Persist applications to JSON file atomically
+ */
+class ApplicationManager {
+  /**
+   * Creates a new ApplicationManager instance.
+   *
+   * @param {string} storageFilePath - Path to JSON file for persistent storage
+   * @param {RecipientRegistry} recipientRegistry - Registry approved applicants are added to
+   */
+  constructor(storageFilePath, recipientRegistry) {
+    this.storageFilePath = storageFilePath;
+    this.recipientRegistry = recipientRegistry;
+    // In-memory Map keyed by reference number
+    this.applications = new Map();
+    // Serializes saves so concurrent submissions don't share a temp file
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Normalizes a reference number as typed by an applicant.
+   *
+   * @param {string} reference - Reference number (any case, optional spaces)
+   * @returns {string} Canonical reference (e.g. FA-7KQ2-M9XD)
+   */
+  static normalizeReference(reference) {
+    return String(reference).trim().toUpperCase().replace(/\s+/g, '');
+  }
+
+  /**
+   * Validates application fields.
+   *
+   * @param {Object} fields - Submitted fields
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateApplication(fields) {
+    const errors = [];
+    const { fullName, hardshipType, walletAddress, description } = fields;
+
+    if (typeof fullName !== 'string' || fullName.trim() === '') {
+      errors.push('fullName must be a non-empty string');
+    } else if (fullName.trim().length > MAX_NAME_LENGTH) {
+      errors.push(`fullName must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    if (!HARDSHIP_TYPES.includes(hardshipType)) {
+      errors.push(`hardshipType must be one of: ${HARDSHIP_TYPES.join(', ')}`);
+    }
+
+    if (typeof walletAddress !== 'string' || !WALLET_PATTERNS.some(p => p.test(walletAddress.trim()))) {
+      errors.push('walletAddress must be a Lightning Address, LNURL or node public key');
+    }
+
+    if (description !== undefined && description !== null) {
+      if (typeof description !== 'string') {
+        errors.push('description must be a string');
+      } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+        errors.push(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Generate an unused reference number
+   * @returns {string} Reference (FA-XXXX-XXXX)
+   * @private
+   */
+  _generateReference() {
+    let reference;
+    do {
+      const chars = Array.from(crypto.randomBytes(8), b => REFERENCE_ALPHABET[b % REFERENCE_ALPHABET.length]);
+      reference = `FA-${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+    } while (this.applications.has(reference));
+    return reference;
+  }
+
+  /**
+   * Records a new support application.
+   *
+   * @param {Object} fields - Validated application fields
+   * @param {string} fields.fullName - Applicant's name
+   * @param {string} fields.hardshipType - One of HARDSHIP_TYPES
+   * @param {string} fields.walletAddress - Lightning Address, LNURL or node public key
+   * @param {string} [fields.description] - Applicant's situation
+   * @returns {Promise<Object>} Application record
+   * @throws {Error} With status 400 if validation fails
+   */
+  async submitApplication(fields) {
+    const errors = this.validateApplication(fields);
+    if (errors.length > 0) {
+      throw httpError(400, `Invalid application: ${errors.join('; ')}`);
+    }
+
+    const now = new Date().toISOString();
+    const application = {
+      reference: this._generateReference(),
+      fullName: fields.fullName.trim(),
+      hardshipType: fields.hardshipType,
+      walletAddress: fields.walletAddress.trim(),
+      description: fields.description ? fields.description.trim() : null,
+      status: 'submitted',
+      notes: [],
+      history: [{ status: 'submitted', by: null, at: now }],
+      recipientId: null,
+      submittedAt: now,
+      updatedAt: now
+    };
+
+    this.applications.set(application.reference, application);
+    await this.saveToDisk();
+
+    console.log(`Support application ${application.reference} submitted`);
+    return application;
+  }
+
+  /**
+   * Checks whether review may move an application to a status.
+   *
+   * @param {Object} application - Application record
+   * @param {string} status - Target status
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition(application, status) {
+    return (REVIEW_TRANSITIONS[application.status] || []).includes(status);
+  }
+
+  /**
+   * Validates a reviewer note.
+   *
+   * @param {*} text - Note text
+   * @returns {string|null} Reason the note is invalid, or null if valid
+   */
+  validateNote(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+      return 'note must be a non-empty string';
+    }
+    if (text.length > MAX_NOTE_LENGTH) {
+      return `note must be at most ${MAX_NOTE_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Moves an application to its next review status.
+   * Approving registers the applicant as a recipient and links the record.
+   *
+   * @param {string} reference - Reference number
+   * @param {Object} params - Review parameters
+   * @param {string} params.status - New status
+   * @param {string} params.reviewer - Reviewer making the change
+   * @param {string} [params.note] - Note explaining the decision
+   * @param {Object} [params.recipient] - Recipient fields for an approval
+   * @param {string} params.recipient.region - Where the applicant is
+   * @param {string} [params.recipient.verificationStatus] - Initial verification status
+   * @returns {Promise<Object>} Updated application record
+   * @throws {Error} With status 404 if the application does not exist, 400 if the
+   *   status, note or recipient fields are invalid, 409 if the transition is not allowed
+   */
+  async reviewApplication(reference, { status, reviewer, note, recipient = {} }) {
+    const application = this.getApplication(reference);
+    if (!application) {
+      throw httpError(404, `Application not found: ${reference}`);
+    }
+
+    const fieldErrors = [];
+    if (!APPLICATION_STATUSES.includes(status)) {
+      fieldErrors.push(`status must be one of: ${APPLICATION_STATUSES.join(', ')}`);
+    }
+    if (note !== undefined) {
+      const noteError = this.validateNote(note);
+      if (noteError) {
+        fieldErrors.push(noteError);
+      }
+    }
+    if (fieldErrors.length > 0) {
+      throw httpError(400, `Invalid review: ${fieldErrors.join('; ')}`);
+    }
+    if (!this.canTransition(application, status)) {
+      throw httpError(409, `Cannot move application from ${application.status} to ${status}`);
+    }
+
+    const recipientFields = {
+      name: application.fullName,
+      ...RecipientRegistry.fromWallet(application.walletAddress),
+      region: recipient.region,
+      verificationStatus: recipient.verificationStatus,
+      applicationReference: application.reference
+    };
+    if (status === 'approved') {
+      const errors = this.recipientRegistry.validateRecipient(recipientFields);
+      if (errors.length > 0) {
+        throw httpError(400, `Invalid recipient: ${errors.join('; ')}`);
+      }
+    }
+
+    // Change status before awaiting so a concurrent review can't approve twice
+    const now = new Date().toISOString();
+    application.status = status;
+    application.history.push({ status, by: reviewer, at: now });
+    if (note) {
+      application.notes.push({ text: note.trim(), by: reviewer, at: now });
+    }
+    application.updatedAt = now;
+
+    if (status === 'approved') {
+      const created = await this.recipientRegistry.createRecipient(recipientFields);
+      application.recipientId = created.id;
+    }
+
+    await this.saveToDisk();
+    console.log(`Support application ${application.reference} ${status} by ${reviewer}`);
+    return application;
+  }
+
+  /**
+   * Adds a reviewer note without changing status.
+   *
+   * @param {string} reference - Reference number
+   * @param {string} reviewer - Reviewer writing the note
+   * @param {string} text - Note text
+   * @returns {Promise<Object>} Updated application record
+   * @throws {Error} With status 404 if the application does not exist, 400 if the note is invalid
+   */
+  async addNote(reference, reviewer, text) {
+    const application = this.getApplication(reference);
+    if (!application) {
+      throw httpError(404, `Application not found: ${reference}`);
+    }
+    const noteError = this.validateNote(text);
+    if (noteError) {
+      throw httpError(400, `Invalid note: ${noteError}`);
+    }
+
+    application.notes.push({ text: text.trim(), by: reviewer, at: new Date().toISOString() });
+    application.updatedAt = new Date().toISOString();
+
+    await this.saveToDisk();
+    return application;
+  }
+
+  /**
+   * Lists applications in the order they were submitted (review queue order).
+   *
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.status] - Only this status
+   * @returns {Array<Object>} Application records
+   */
+  listApplications({ status } = {}) {
+    return Array.from(this.applications.values())
+      .filter(a => !status || a.status === status)
+      .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+  }
+
+  /**
+   * Retrieves an application by reference number.
+   *
+   * @param {string} reference - Reference number
+   * @returns {Object|null} Application record
+   */
+  getApplication(reference) {
+    return this.applications.get(ApplicationManager.normalizeReference(reference)) || null;
+  }
+
+  /**
+   * Status of an application as shown to the applicant.
+   * Anyone holding the reference can ask, so no personal details are included.
+   *
+   * @param {string} reference - Reference number
+   * @returns {Object|null} Status (reference, status, submittedAt, updatedAt), or null if unknown
+   */
+  getStatus(reference) {
+    const application = this.getApplication(reference);
+    if (!application) {
+      return null;
+    }
+
+    const { status, submittedAt, updatedAt } = application;
+    return { reference: application.reference, status, submittedAt, updatedAt };
+  }
+
+  /**
+   * Loads applications from disk into memory.
+   * Starts with no applications if the file doesn't exist.
+   *
+   * @returns {Promise<void>}
+   */
+  async loadFromDisk() {
+    this.applications.clear();
+    try {
+      const applications = JSON.parse(await fs.readFile(this.storageFilePath, 'utf8'));
+      for (const application of applications) {
+        this.applications.set(application.reference, application);
+      }
+      console.log(`Loaded ${applications.length} support applications from disk`);
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        console.error('Corrupted applications file, starting with empty state:', error.message);
+      } else if (error.code !== 'ENOENT') {
+        console.error('Error loading applications from disk:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Saves applications to disk atomically.
+   * Uses temp file + rename to prevent corruption.
+   *
+   * @returns {Promise<void>}
+   */
+  async saveToDisk() {
+    const write = async () => {
+      await fs.mkdir(path.dirname(this.storageFilePath), { recursive: true });
+
+      const tempPath = `${this.storageFilePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(Array.from(this.applications.values()), null, 2), 'utf8');
+      await fs.rename(tempPath, this.storageFilePath);
+    };
+
+    this.saving = this.saving.then(write, write);
+    return this.saving;
+  }
+}
+
+export default ApplicationManager;
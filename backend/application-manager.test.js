@@ -0,0 +1,154 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import ApplicationManager from './application-manager.js';
+import RecipientRegistry from './recipient-registry.js';
+
+describe('ApplicationManager', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-applications.json');
+  const testRecipientsPath = path.join('backend', 'data', 'test-application-recipients.json');
+  const validFields = {
+    fullName: 'Nomsa Dlamini',
+    hardshipType: 'Financial',
+    walletAddress: 'nomsa@wallet.example.com',
+    description: 'Our home was flooded.'
+  };
+  let registry;
+  let manager;
+
+  beforeEach(async () => {
+    registry = new RecipientRegistry(testRecipientsPath);
+    manager = new ApplicationManager(testStoragePath, registry);
+    await manager.loadFromDisk();
+  });
+
+  afterEach(async () => {
+    await manager.saving;
+    await registry.saving;
+    await fs.unlink(testStoragePath).catch(() => {});
+    await fs.unlink(testRecipientsPath).catch(() => {});
+  });
+
+  test('accepts Lightning Addresses, LNURLs and node public keys', () => {
+    const wallets = [
+      'nomsa@wallet.example.com',
+      'LNURL1DP68GURN8GHJ7UM9WFMXJCM99E3K7MF0V9CXJ0M385EKVCENXC6R2C35XVUKXEFCV5MKVV34X5EKZD3EV56NYD3HXQURZEPEXEJXXEPNXSCRVWFNV9NXZCN9XQ6XYEFHVGCXXCMYXYMNSERXFQ5FNS',
+      `02${'ab'.repeat(32)}`
+    ];
+
+    for (const walletAddress of wallets) {
+      assert.deepStrictEqual(manager.validateApplication({ ...validFields, walletAddress }), [], walletAddress);
+    }
+  });
+
+  test('reports every invalid field', () => {
+    const errors = manager.validateApplication({
+      fullName: ' ',
+      hardshipType: 'Lottery',
+      walletAddress: 'not a wallet',
+      description: 'x'.repeat(2001)
+    });
+
+    assert.strictEqual(errors.length, 4);
+  });
+
+  test('issues a reference whose status can be checked without personal details', async () => {
+    const application = await manager.submitApplication(validFields);
+
+    assert.match(application.reference, /^FA-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+    assert.strictEqual(application.status, 'submitted');
+
+    const status = manager.getStatus(` ${application.reference.toLowerCase()} `);
+    assert.deepStrictEqual(Object.keys(status).sort(), ['reference', 'status', 'submittedAt', 'updatedAt']);
+    assert.strictEqual(status.status, 'submitted');
+    assert.strictEqual(manager.getStatus('FA-0000-0000'), null);
+  });
+
+  test('rejects invalid applications', async () => {
+    await assert.rejects(
+      manager.submitApplication({ ...validFields, hardshipType: 'Lottery' }),
+      (error) => error.status === 400 && /Invalid application/.test(error.message)
+    );
+    assert.strictEqual(manager.applications.size, 0);
+  });
+
+  test('moves applications through review with notes and history', async () => {
+    const { reference } = await manager.submitApplication(validFields);
+
+    const reviewing = await manager.reviewApplication(reference, { status: 'under_review', reviewer: 'thabo' });
+    await manager.addNote(reference, 'thabo', 'Called applicant to confirm address');
+    const rejected = await manager.reviewApplication(reference, { status: 'rejected', reviewer: 'lerato', note: 'Outside the affected area' });
+
+    assert.strictEqual(reviewing, rejected);
+    assert.deepStrictEqual(rejected.history.map(h => [h.status, h.by]), [
+      ['submitted', null],
+      ['under_review', 'thabo'],
+      ['rejected', 'lerato']
+    ]);
+    assert.deepStrictEqual(rejected.notes.map(n => [n.by, n.text]), [
+      ['thabo', 'Called applicant to confirm address'],
+      ['lerato', 'Outside the affected area']
+    ]);
+    assert.strictEqual(rejected.recipientId, null);
+    assert.strictEqual(manager.getStatus(reference).status, 'rejected');
+  });
+
+  test('only allows forward review transitions', async () => {
+    const { reference } = await manager.submitApplication(validFields);
+    const application = manager.getApplication(reference);
+
+    assert.strictEqual(manager.canTransition(application, 'approved'), false);
+    await assert.rejects(
+      manager.reviewApplication(reference, { status: 'approved', reviewer: 'thabo', recipient: { region: 'Durban' } }),
+      (error) => error.status === 409 && /Cannot move application from submitted to approved/.test(error.message)
+    );
+    await assert.rejects(
+      manager.reviewApplication('FA-0000-0000', { status: 'under_review', reviewer: 'thabo' }),
+      (error) => error.status === 404 && /Application not found/.test(error.message)
+    );
+  });
+
+  test('rejects invalid review statuses and notes', async () => {
+    const { reference } = await manager.submitApplication(validFields);
+
+    await assert.rejects(
+      manager.reviewApplication(reference, { status: 'done', reviewer: 'thabo', note: ' ' }),
+      (error) => error.status === 400 && /status must be one of.*note must be a non-empty string/.test(error.message)
+    );
+    await assert.rejects(
+      manager.addNote(reference, 'thabo', ''),
+      (error) => error.status === 400 && /note must be a non-empty string/.test(error.message)
+    );
+    assert.deepStrictEqual(manager.getApplication(reference).notes, []);
+  });
+
+  test('registers approved applicants as recipients', async () => {
+    const { reference } = await manager.submitApplication({ ...validFields, walletAddress: `02${'ab'.repeat(32)}` });
+    await manager.reviewApplication(reference, { status: 'under_review', reviewer: 'thabo' });
+
+    await assert.rejects(
+      manager.reviewApplication(reference, { status: 'approved', reviewer: 'lerato' }),
+      /region must be a non-empty string/
+    );
+    assert.strictEqual(manager.getApplication(reference).status, 'under_review');
+
+    const approved = await manager.reviewApplication(reference, { status: 'approved', reviewer: 'lerato', recipient: { region: 'Durban' } });
+    const recipient = registry.getRecipient(approved.recipientId);
+
+    assert.strictEqual(recipient.name, 'Nomsa Dlamini');
+    assert.strictEqual(recipient.region, 'Durban');
+    assert.strictEqual(recipient.nodePubkey, `02${'ab'.repeat(32)}`);
+    assert.strictEqual(recipient.verificationStatus, 'unverified');
+    assert.strictEqual(recipient.applicationReference, reference);
+  });
+
+  test('persists applications across restarts', async () => {
+    const application = await manager.submitApplication(validFields);
+
+    const reloaded = new ApplicationManager(testStoragePath, registry);
+    await reloaded.loadFromDisk();
+
+    assert.deepStrictEqual(reloaded.getApplication(application.reference), application);
+  });
+});
@@ -0,0 +1,421 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Staff and machine roles.
+ * - viewer: read-only access to staff views (granted by every role)
+ * - campaign_manager: campaigns, support applications and recipients
+ * - finance: exports and payouts
+ * - node_operator: Lightning node internals
+ */
+export const ROLES = ['viewer', 'campaign_manager', 'finance', 'node_operator'];
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{2,63}$/;
+const MIN_PASSWORD_LENGTH = 12;
+const SCRYPT_KEY_LENGTH = 64;
+const API_KEY_PATTERN = /^fa_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+// Random base64url can begin with "fa_"; the prefix keeps session tokens apart from API keys
+const SESSION_TOKEN_PREFIX = 'fs_';
+
+// Compared against when a username doesn't exist so timing doesn't reveal it
+const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(SCRYPT_KEY_LENGTH * 2)}`;
+
+/**
+ * SHA256 of a secret (hex)
+ * @param {string} secret - Secret value
+ * @returns {string} Hash
+ */
+function sha256(secret) {
+  return crypto.createHash('sha256').update(secret, 'utf8').digest('hex');
+}
+
+/**
+ * AuthManager authenticates staff and machines and knows their roles.
+ *
+ * Responsibilities:
+ * - Store staff accounts with scrypt-hashed passwords
+ * - Issue API keys for machines, storing only a hash of each key
+ * - Log staff in to short-lived sessions held in memory
+ * - Resolve credentials to a principal ({ type, id, name, roles })
+ * - Persist accounts and API keys to JSON file atomically
+ */
+class AuthManager {
+  /**
+   * Creates a new AuthManager instance.
+   *
+   * @param {string} storageFilePath - Path to JSON file holding users and API keys
+   * @param {Object} [options] - Auth options
+   * @param {number} [options.sessionTtlSeconds=28800] - How long a staff session lasts
+   */
+  constructor(storageFilePath, options = {}) {
+    this.storageFilePath = storageFilePath;
+    this.sessionTtlSeconds = options.sessionTtlSeconds || 8 * 60 * 60;
+
+    // Keyed by username
+    this.users = new Map();
+    // Keyed by key id
+    this.apiKeys = new Map();
+    // Keyed by SHA256 of the session token; sessions end on restart
+    this.sessions = new Map();
+    // Serializes saves so concurrent changes don't share a temp file
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Hashes a password with a random salt.
+   *
+   * @param {string} password - Plain-text password
+   * @returns {Promise<string>} Encoded hash (scrypt$salt$hash)
+   */
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+  }
+
+  /**
+   * Checks a password against an encoded hash in constant time.
+   *
+   * @param {string} password - Plain-text password
+   * @param {string} encoded - Hash from hashPassword()
+   * @returns {Promise<boolean>} True if the password matches
+   */
+  static async verifyPassword(password, encoded) {
+    const [scheme, salt, expected] = String(encoded).split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+      return false;
+    }
+
+    const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+  }
+
+  /**
+   * Checks whether a principal holds a role. Any role grants viewer.
+   *
+   * @param {Object|null} principal - Authenticated principal
+   * @param {string} role - Required role
+   * @returns {boolean} True if the principal holds the role
+   */
+  static hasRole(principal, role) {
+    if (!principal || principal.roles.length === 0) {
+      return false;
+    }
+    return role === 'viewer' || principal.roles.includes(role);
+  }
+
+  /**
+   * Validates a list of roles.
+   *
+   * @param {*} roles - Roles to validate
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateRoles(roles) {
+    if (!Array.isArray(roles) || roles.length === 0) {
+      return ['roles must be a non-empty array'];
+    }
+    const unknown = roles.filter(r => !ROLES.includes(r));
+    return unknown.length > 0 ? [`Unknown roles: ${unknown.join(', ')} (expected ${ROLES.join(', ')})`] : [];
+  }
+
+  /**
+   * Creates a staff account.
+   *
+   * @param {Object} params - Account parameters
+   * @param {string} params.username - Login name
+   * @param {string} params.password - Password (at least 12 characters)
+   * @param {string[]} params.roles - Roles granted
+   * @returns {Promise<Object>} Account record without the password hash
+   * @throws {Error} If fields are invalid or the username is taken
+   */
+  async createUser({ username, password, roles }) {
+    const errors = this.validateRoles(roles);
+    if (!USERNAME_PATTERN.test(String(username))) {
+      errors.push('username must be 3-64 lowercase letters, digits, ".", "_" or "-"');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid user: ${errors.join('; ')}`);
+    }
+    if (this.users.has(username)) {
+      throw new Error(`User already exists: ${username}`);
+    }
+
+    const user = {
+      username,
+      passwordHash: await AuthManager.hashPassword(password),
+      roles: [...new Set(roles)],
+      createdAt: new Date().toISOString()
+    };
+    this.users.set(username, user);
+    await this.saveToDisk();
+
+    return AuthManager._publicUser(user);
+  }
+
+  /**
+   * Deletes a staff account and ends its sessions.
+   *
+   * @param {string} username - Login name
+   * @returns {Promise<boolean>} True if an account was deleted
+   */
+  async deleteUser(username) {
+    const deleted = this.users.delete(username);
+    if (deleted) {
+      for (const [id, session] of this.sessions) {
+        if (session.username === username) {
+          this.sessions.delete(id);
+        }
+      }
+      await this.saveToDisk();
+    }
+    return deleted;
+  }
+
+  /**
+   * Issues an API key. The key itself is returned once and never stored.
+   *
+   * @param {Object} params - Key parameters
+   * @param {string} params.name - What the key is for (e.g. "accounting-sync")
+   * @param {string[]} params.roles - Roles granted
+   * @returns {Promise<{key: string, apiKey: Object}>} Plain key and its stored record
+   * @throws {Error} If fields are invalid
+   */
+  async createApiKey({ name, roles }) {
+    const errors = this.validateRoles(roles);
+    if (typeof name !== 'string' || name.trim() === '') {
+      errors.push('name must be a non-empty string');
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid API key: ${errors.join('; ')}`);
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const apiKey = {
+      id,
+      name: name.trim(),
+      roles: [...new Set(roles)],
+      secretHash: sha256(secret),
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    this.apiKeys.set(id, apiKey);
+    await this.saveToDisk();
+
+    return { key: `fa_${id}_${secret}`, apiKey: AuthManager._publicApiKey(apiKey) };
+  }
+
+  /**
+   * Revokes an API key.
+   *
+   * @param {string} id - Key id
+   * @returns {Promise<boolean>} True if an active key was revoked
+   */
+  async revokeApiKey(id) {
+    const apiKey = this.apiKeys.get(id);
+    if (!apiKey || apiKey.revokedAt) {
+      return false;
+    }
+
+    apiKey.revokedAt = new Date().toISOString();
+    await this.saveToDisk();
+    return true;
+  }
+
+  /**
+   * Resolves an API key to a principal.
+   *
+   * @param {string} key - Key as issued (fa_<id>_<secret>)
+   * @returns {Object|null} Principal, or null if the key is unknown or revoked
+   */
+  authenticateApiKey(key) {
+    const match = API_KEY_PATTERN.exec(String(key));
+    const apiKey = match && this.apiKeys.get(match[1]);
+    if (!apiKey || apiKey.revokedAt) {
+      return null;
+    }
+
+    const expected = Buffer.from(apiKey.secretHash, 'hex');
+    const actual = Buffer.from(sha256(match[2]), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    return { type: 'api_key', id: apiKey.id, name: apiKey.name, roles: apiKey.roles };
+  }
+
+  /**
+   * Logs a staff member in.
+   *
+   * @param {string} username - Login name
+   * @param {string} password - Password
+   * @returns {Promise<Object|null>} Session ({ token, expiresAt, principal }), or null if the credentials are wrong
+   */
+  async login(username, password) {
+    const user = this.users.get(String(username));
+    // Hash even for unknown users so response time doesn't reveal which exist
+    const valid = await AuthManager.verifyPassword(String(password), user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      return null;
+    }
+
+    this._pruneSessions();
+    const token = `${SESSION_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const expiresAt = new Date(Date.now() + this.sessionTtlSeconds * 1000).toISOString();
+    this.sessions.set(sha256(token), { username: user.username, expiresAt });
+
+    return { token, expiresAt, principal: AuthManager._userPrincipal(user) };
+  }
+
+  /**
+   * Ends a session.
+   *
+   * @param {string} token - Session token
+   * @returns {boolean} True if a session was ended
+   */
+  logout(token) {
+    return this.sessions.delete(sha256(String(token)));
+  }
+
+  /**
+   * Resolves a session token to a principal.
+   * Roles are read from the account, so changes apply to live sessions.
+   *
+   * @param {string} token - Session token
+   * @returns {Object|null} Principal, or null if the session is unknown or expired
+   */
+  authenticateSession(token) {
+    const id = sha256(String(token));
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+
+    const user = this.users.get(session.username);
+    if (!user || new Date(session.expiresAt) <= new Date()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return AuthManager._userPrincipal(user);
+  }
+
+  /**
+   * Staff accounts without password hashes.
+   *
+   * @returns {Array<Object>} Account records
+   */
+  listUsers() {
+    return Array.from(this.users.values()).map(u => AuthManager._publicUser(u));
+  }
+
+  /**
+   * API keys without secret hashes.
+   *
+   * @returns {Array<Object>} Key records
+   */
+  listApiKeys() {
+    return Array.from(this.apiKeys.values()).map(k => AuthManager._publicApiKey(k));
+  }
+
+  /**
+   * Drop expired sessions
+   * @private
+   */
+  _pruneSessions() {
+    const now = new Date();
+    for (const [id, session] of this.sessions) {
+      if (new Date(session.expiresAt) <= now) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Principal for a staff account
+   * @param {Object} user - Account record
+   * @returns {Object} Principal
+   * @private
+   */
+  static _userPrincipal(user) {
+    return { type: 'user', id: user.username, name: user.username, roles: user.roles };
+  }
+
+  /**
+   * Account record without the password hash
+   * @param {Object} user - Account record
+   * @returns {Object} Public account record
+   * @private
+   */
+  static _publicUser({ passwordHash: _passwordHash, ...user }) {
+    return user;
+  }
+
+  /**
+   * Key record without the secret hash
+   * @param {Object} apiKey - Key record
+   * @returns {Object} Public key record
+   * @private
+   */
+  static _publicApiKey({ secretHash: _secretHash, ...apiKey }) {
+    return apiKey;
+  }
+
+  /**
+   * Loads accounts and API keys from disk.
+   * Starts with none if the file doesn't exist.
+   *
+   * @returns {Promise<void>}
+   */
+  async loadFromDisk() {
+    this.users.clear();
+    this.apiKeys.clear();
+    try {
+      const { users = [], apiKeys = [] } = JSON.parse(await fs.readFile(this.storageFilePath, 'utf8'));
+      for (const user of users) {
+        this.users.set(user.username, user);
+      }
+      for (const apiKey of apiKeys) {
+        this.apiKeys.set(apiKey.id, apiKey);
+      }
+      console.log(`Loaded ${users.length} staff accounts and ${apiKeys.length} API keys from disk`);
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        console.error('Corrupted auth file, starting with no accounts:', error.message);
+      } else if (error.code !== 'ENOENT') {
+        console.error('Error loading auth data from disk:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Saves accounts and API keys to disk atomically.
+   * Uses temp file + rename to prevent corruption; the file is owner-only.
+   *
+   * @returns {Promise<void>}
+   */
+  async saveToDisk() {
+    const write = async () => {
+      await fs.mkdir(path.dirname(this.storageFilePath), { recursive: true });
+
+      const data = {
+        users: Array.from(this.users.values()),
+        apiKeys: Array.from(this.apiKeys.values())
+      };
+      const tempPath = `${this.storageFilePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+      await fs.rename(tempPath, this.storageFilePath);
+    };
+
+    this.saving = this.saving.then(write, write);
+    return this.saving;
+  }
+}
+
+export default AuthManager;
@@ -0,0 +1,201 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import AuthManager from './auth-manager.js';
+import createAuthMiddleware from './auth-middleware.js';
+
+describe('AuthManager', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-auth.json');
+  let auth;
+
+  beforeEach(async () => {
+    auth = new AuthManager(testStoragePath, { sessionTtlSeconds: 60 });
+    await auth.loadFromDisk();
+  });
+
+  afterEach(async () => {
+    await auth.saving;
+    await fs.unlink(testStoragePath).catch(() => {});
+  });
+
+  test('hashes passwords with a per-password salt', async () => {
+    const first = await AuthManager.hashPassword('correct horse battery');
+    const second = await AuthManager.hashPassword('correct horse battery');
+
+    assert.notStrictEqual(first, second);
+    assert.strictEqual(await AuthManager.verifyPassword('correct horse battery', first), true);
+    assert.strictEqual(await AuthManager.verifyPassword('wrong horse battery', first), false);
+    assert.strictEqual(await AuthManager.verifyPassword('anything', 'md5$x$y'), false);
+  });
+
+  test('every role grants viewer', () => {
+    const finance = { type: 'user', id: 'zanele', name: 'zanele', roles: ['finance'] };
+    const viewer = { type: 'user', id: 'pieter', name: 'pieter', roles: ['viewer'] };
+
+    assert.strictEqual(AuthManager.hasRole(finance, 'viewer'), true);
+    assert.strictEqual(AuthManager.hasRole(finance, 'finance'), true);
+    assert.strictEqual(AuthManager.hasRole(viewer, 'finance'), false);
+    assert.strictEqual(AuthManager.hasRole(finance, 'node_operator'), false);
+    assert.strictEqual(AuthManager.hasRole(null, 'viewer'), false);
+  });
+
+  test('validates new accounts', async () => {
+    await assert.rejects(
+      auth.createUser({ username: 'Z', password: 'short', roles: ['root'] }),
+      /Unknown roles: root.*username must be.*password must be at least 12 characters/
+    );
+
+    await auth.createUser({ username: 'zanele', password: 'correct horse battery', roles: ['finance'] });
+    await assert.rejects(
+      auth.createUser({ username: 'zanele', password: 'correct horse battery', roles: ['viewer'] }),
+      /User already exists/
+    );
+  });
+
+  test('logs staff in to sessions that end on logout or deletion', async () => {
+    const user = await auth.createUser({ username: 'zanele', password: 'correct horse battery', roles: ['finance'] });
+    assert.strictEqual(user.passwordHash, undefined);
+
+    assert.strictEqual(await auth.login('zanele', 'wrong password!'), null);
+    assert.strictEqual(await auth.login('nobody', 'correct horse battery'), null);
+
+    const session = await auth.login('zanele', 'correct horse battery');
+    assert.deepStrictEqual(auth.authenticateSession(session.token), { type: 'user', id: 'zanele', name: 'zanele', roles: ['finance'] });
+
+    assert.strictEqual(auth.logout(session.token), true);
+    assert.strictEqual(auth.authenticateSession(session.token), null);
+
+    const second = await auth.login('zanele', 'correct horse battery');
+    await auth.deleteUser('zanele');
+    assert.strictEqual(auth.authenticateSession(second.token), null);
+  });
+
+  test('expires sessions', async () => {
+    await auth.createUser({ username: 'zanele', password: 'correct horse battery', roles: ['finance'] });
+    auth.sessionTtlSeconds = 0.01;
+
+    const session = await auth.login('zanele', 'correct horse battery');
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.strictEqual(auth.authenticateSession(session.token), null);
+  });
+
+  test('stores only a hash of API keys and honours revocation', async () => {
+    const { key, apiKey } = await auth.createApiKey({ name: 'accounting-sync', roles: ['finance'] });
+
+    assert.match(key, /^fa_[0-9a-f]{16}_/);
+    assert.strictEqual(apiKey.secretHash, undefined);
+    assert.ok(!(await fs.readFile(testStoragePath, 'utf8')).includes(key.split('_')[2]));
+
+    assert.deepStrictEqual(auth.authenticateApiKey(key), { type: 'api_key', id: apiKey.id, name: 'accounting-sync', roles: ['finance'] });
+    const tampered = `${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`;
+    assert.strictEqual(auth.authenticateApiKey(tampered), null);
+    assert.strictEqual(auth.authenticateApiKey('not-a-key'), null);
+
+    assert.strictEqual(await auth.revokeApiKey(apiKey.id), true);
+    assert.strictEqual(auth.authenticateApiKey(key), null);
+  });
+
+  test('persists accounts and API keys across restarts', async () => {
+    await auth.createUser({ username: 'zanele', password: 'correct horse battery', roles: ['finance'] });
+    const { key } = await auth.createApiKey({ name: 'monitoring', roles: ['node_operator'] });
+
+    const reloaded = new AuthManager(testStoragePath);
+    await reloaded.loadFromDisk();
+
+    assert.ok(await reloaded.login('zanele', 'correct horse battery'));
+    assert.strictEqual(reloaded.authenticateApiKey(key).name, 'monitoring');
+    assert.ok(!(await fs.readFile(testStoragePath, 'utf8')).includes('correct horse battery'));
+  });
+
+  describe('middleware', () => {
+    function run(middleware, headers) {
+      const req = { get: (name) => headers[name.toLowerCase()] };
+      const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+      };
+      let nextCalled = false;
+      middleware(req, res, () => { nextCalled = true; });
+      return { req, res, nextCalled };
+    }
+
+    test('leaves anonymous requests anonymous', () => {
+      const { authenticate } = createAuthMiddleware(auth);
+
+      const { req, nextCalled } = run(authenticate, {});
+
+      assert.strictEqual(req.auth, null);
+      assert.strictEqual(nextCalled, true);
+    });
+
+    test('treats a malformed session cookie as anonymous', () => {
+      const { authenticate } = createAuthMiddleware(auth);
+
+      const { req, nextCalled } = run(authenticate, { cookie: 'fa_session=%E0%A4%A' });
+
+      assert.strictEqual(req.auth, null);
+      assert.strictEqual(nextCalled, true);
+    });
+
+    test('resolves session cookies and bearer tokens', async () => {
+      const { authenticate } = createAuthMiddleware(auth);
+      await auth.createUser({ username: 'zanele', password: 'correct horse battery', roles: ['finance'] });
+      const { token } = await auth.login('zanele', 'correct horse battery');
+
+      assert.strictEqual(run(authenticate, { cookie: `theme=dark; fa_session=${token}` }).req.auth.name, 'zanele');
+      assert.strictEqual(run(authenticate, { authorization: `Bearer ${token}` }).req.auth.name, 'zanele');
+      assert.strictEqual(run(authenticate, { authorization: 'Bearer unknown' }).req.auth, null);
+    });
+
+    test('never mistakes a session token for an API key', async () => {
+      const { authenticate } = createAuthMiddleware(auth);
+      await auth.createUser({ username: 'zanele', password: 'correct horse battery', roles: ['finance'] });
+      // Random bytes whose base64url form starts with "fa_"
+      const randomBytes = mock.method(crypto, 'randomBytes', () => Buffer.from(`fa_${'A'.repeat(40)}`, 'base64url'));
+      const { token } = await auth.login('zanele', 'correct horse battery');
+      randomBytes.mock.restore();
+
+      const { req, res } = run(authenticate, { authorization: `Bearer ${token}` });
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(req.auth.name, 'zanele');
+    });
+
+    test('resolves API keys and rejects bad ones', async () => {
+      const { authenticate } = createAuthMiddleware(auth);
+      const { key } = await auth.createApiKey({ name: 'monitoring', roles: ['node_operator'] });
+
+      assert.strictEqual(run(authenticate, { authorization: `Bearer ${key}` }).req.auth.name, 'monitoring');
+      assert.strictEqual(run(authenticate, { 'x-api-key': key }).req.auth.name, 'monitoring');
+
+      const bad = run(authenticate, { 'x-api-key': 'fa_0000000000000000_nope' });
+      assert.strictEqual(bad.res.statusCode, 401);
+      assert.strictEqual(bad.nextCalled, false);
+    });
+
+    test('requireRole answers 401 without credentials and 403 without the role', () => {
+      const { requireRole } = createAuthMiddleware(auth);
+      const viewer = { type: 'user', id: 'pieter', name: 'pieter', roles: ['viewer'] };
+      const finance = { type: 'user', id: 'zanele', name: 'zanele', roles: ['finance'] };
+      const operator = { type: 'api_key', id: 'k', name: 'monitoring', roles: ['node_operator'] };
+      const check = (principal, role) => {
+        const req = { auth: principal };
+        const res = { status(code) { this.statusCode = code; return this; }, json() { return this; } };
+        let allowed = false;
+        requireRole(role)(req, res, () => { allowed = true; });
+        return allowed ? 'allowed' : res.statusCode;
+      };
+
+      assert.strictEqual(check(null, 'viewer'), 401);
+      assert.strictEqual(check(viewer, 'finance'), 403);
+      assert.strictEqual(check(finance, 'finance'), 'allowed');
+      assert.strictEqual(check(finance, 'viewer'), 'allowed');
+      assert.strictEqual(check(operator, 'finance'), 403);
+      assert.strictEqual(check(operator, 'node_operator'), 'allowed');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import AuthManager from './auth-manager.js';
+
+/**
+ * Name of the cookie carrying a staff session token.
+ */
+export const SESSION_COOKIE = 'fa_session';
+
+/**
+ * Read one cookie from a Cookie header
+ * @param {string} header - Cookie header value
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value, or null if missing or not validly encoded
+ */
+export function readCookie(header, name) {
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0 && part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                // Malformed percent-encoding: treat the request as anonymous
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the authentication middleware.
+ *
+ * `authenticate` runs on every request and sets req.auth to the principal
+ * behind an API key (`Authorization: Bearer fa_...` or `X-API-Key`) or a
+ * staff session (cookie or bearer token), or null for anonymous requests.
+ * Routes opt in to protection with `requireRole(role)`; routes without it
+ * stay anonymous.
+ *
+ * @param {AuthManager} authManager - AuthManager instance
+ * @returns {{authenticate: Function, requireRole: Function}} Middleware
+ */
+export default function createAuthMiddleware(authManager) {
+    function authenticate(req, res, next) {
+        const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '')?.[1] || null;
+        // Session tokens start with "fs_", so any "fa_" bearer token is meant as an API key
+        const apiKey = req.get('x-api-key') || (bearer && bearer.startsWith('fa_') ? bearer : null);
+
+        if (apiKey) {
+            req.auth = authManager.authenticateApiKey(apiKey);
+            if (!req.auth) {
+                // A bad key is a misconfigured client: fail loudly rather than run anonymously
+                return res.status(401).json({ error: 'Invalid API key' });
+            }
+            return next();
+        }
+
+        const token = bearer || readCookie(req.get('cookie'), SESSION_COOKIE);
+        req.auth = token ? authManager.authenticateSession(token) : null;
+        next();
+    }
+
+    function requireRole(role) {
+        return (req, res, next) => {
+            if (!req.auth) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            if (!AuthManager.hasRole(req.auth, role)) {
+                return res.status(403).json({ error: `Requires the ${role} role` });
+            }
+            next();
+        };
+    }
+
+    return { authenticate, requireRole };
+}
@@ -0,0 +1,411 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Valid campaign lifecycle states.
+ * Only "active" campaigns accept new donations.
+ */
+export const CAMPAIGN_STATUSES = ['draft', 'active', 'paused', 'closed'];
+
+/**
+ * How a campaign collects donations.
+ * "all_or_nothing" campaigns take pledges (hold invoices) that are only
+ * collected if the goal is reached by the end date.
+ */
+export const FUNDING_MODELS = ['keep_it_all', 'all_or_nothing'];
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Local part of a Lightning Address (LUD-16)
+const ADDRESS_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+
+/**
+ * Build an error the server error handler maps to an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * CampaignManager manages the causes donors can give to, with persistent storage.
+ *
+ * Responsibilities:
+ * - Create, update and delete campaign records
+ * - Validate campaign fields and lifecycle status
+ * - Persist campaigns to JSON file atomically
+ * - Seed default campaigns when no campaign file exists
+ */
+class CampaignManager {
+  /**
+   * Creates a new CampaignManager instance.
+   *
+   * @param {string} storageFilePath - Path to JSON file for persistent storage
+   * @param {Array<Object>} [defaultCampaigns=[]] - Campaigns to seed when no file exists
+   */
+  constructor(storageFilePath, defaultCampaigns = []) {
+    this.storageFilePath = storageFilePath;
+    this.defaultCampaigns = defaultCampaigns;
+    // In-memory Map keyed by campaign id
+    this.campaigns = new Map();
+  }
+
+  /**
+   * Derives a URL-safe campaign id from a title.
+   *
+   * @param {string} title - Campaign title
+   * @returns {string} Slug id (e.g. "Disaster Relief" -> "disaster-relief")
+   */
+  static slugify(title) {
+    return String(title)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Validates campaign fields.
+   *
+   * @param {Object} fields - Campaign fields to validate
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.partial=false] - Only validate fields that are present (for updates)
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateCampaign(fields, { partial = false } = {}) {
+    const errors = [];
+    const has = (key) => fields[key] !== undefined;
+
+    if (!partial || has('title')) {
+      if (typeof fields.title !== 'string' || fields.title.trim() === '') {
+        errors.push('Title must be a non-empty string');
+      }
+    }
+
+    if (has('id') && (typeof fields.id !== 'string' || !ID_PATTERN.test(fields.id))) {
+      errors.push('Id must contain only lowercase letters, numbers and single hyphens');
+    }
+
+    if (has('description') && typeof fields.description !== 'string') {
+      errors.push('Description must be a string');
+    }
+
+    if (has('image') && typeof fields.image !== 'string') {
+      errors.push('Image must be a string');
+    }
+
+    if (has('goalSats') && fields.goalSats !== null && (!Number.isInteger(fields.goalSats) || fields.goalSats < 1)) {
+      errors.push('goalSats must be a positive integer or null');
+    }
+
+    if (has('addressName') && fields.addressName !== null &&
+        (typeof fields.addressName !== 'string' || !ADDRESS_NAME_PATTERN.test(fields.addressName))) {
+      errors.push('addressName must be up to 64 lowercase letters, numbers, dots, hyphens or underscores');
+    }
+
+    if (has('status') && !CAMPAIGN_STATUSES.includes(fields.status)) {
+      errors.push(`Status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`);
+    }
+
+    if (has('fundingModel') && !FUNDING_MODELS.includes(fields.fundingModel)) {
+      errors.push(`fundingModel must be one of: ${FUNDING_MODELS.join(', ')}`);
+    }
+    if (fields.fundingModel === 'all_or_nothing' && (!fields.goalSats || !fields.endDate)) {
+      errors.push('all_or_nothing campaigns need a goalSats and an endDate');
+    }
+
+    for (const key of ['startDate', 'endDate']) {
+      if (has(key) && fields[key] !== null && isNaN(new Date(fields[key]).getTime())) {
+        errors.push(`${key} must be a valid date`);
+      }
+    }
+
+    if (fields.startDate && fields.endDate && new Date(fields.endDate) < new Date(fields.startDate)) {
+      errors.push('endDate must not be before startDate');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Creates a new campaign.
+   *
+   * @param {Object} params - Campaign parameters
+   * @param {string} params.title - Campaign title
+   * @param {string} [params.id] - Slug id (derived from title if omitted)
+   * @param {string} [params.description=''] - Campaign description
+   * @param {string} [params.image=''] - Image URL or frontend-relative path
+   * @param {number} [params.goalSats] - Fundraising target in satoshis
+   * @param {string} [params.addressName] - Lightning Address name (e.g. "floods" for floods@ourdomain)
+   * @param {string} [params.status='draft'] - Lifecycle status
+   * @param {string} [params.fundingModel='keep_it_all'] - One of FUNDING_MODELS
+   * @param {string|Date} [params.startDate] - When the campaign starts accepting donations
+   * @param {string|Date} [params.endDate] - When the campaign stops accepting donations
+   * @returns {Promise<Object>} Created campaign record
+   * @throws {Error} With status 400 if fields are invalid, 409 if the id or address
+   *   name is already taken
+   */
+  async createCampaign(params) {
+    const errors = this.validateCampaign(params);
+    if (errors.length > 0) {
+      throw httpError(400, `Invalid campaign: ${errors.join('; ')}`);
+    }
+
+    const id = params.id || CampaignManager.slugify(params.title);
+    if (!id) {
+      throw httpError(400, 'Invalid campaign: Title must contain letters or numbers');
+    }
+    if (this.campaigns.has(id)) {
+      throw httpError(409, `Campaign already exists: ${id}`);
+    }
+    if (params.addressName && !this.isAddressNameAvailable(params.addressName, id)) {
+      throw httpError(409, `Lightning address name already in use: ${params.addressName}`);
+    }
+
+    const now = new Date().toISOString();
+    const campaign = {
+      id,
+      title: params.title.trim(),
+      description: params.description || '',
+      image: params.image || '',
+      goalSats: params.goalSats || null,
+      addressName: params.addressName || null,
+      status: params.status || 'draft',
+      fundingModel: params.fundingModel || 'keep_it_all',
+      startDate: params.startDate ? new Date(params.startDate).toISOString() : null,
+      endDate: params.endDate ? new Date(params.endDate).toISOString() : null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.campaigns.set(id, campaign);
+    await this.saveToDisk();
+
+    return campaign;
+  }
+
+  /**
+   * Updates an existing campaign. The id and creation time cannot change.
+   *
+   * @param {string} id - Campaign id
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated campaign record
+   * @throws {Error} With status 404 if the campaign does not exist, 400 if fields are
+   *   invalid, 409 if the address name is taken
+   */
+  async updateCampaign(id, updates) {
+    const campaign = this.campaigns.get(id);
+    if (!campaign) {
+      throw httpError(404, `Campaign not found: ${id}`);
+    }
+
+    const { id: _id, createdAt: _createdAt, updatedAt: _updatedAt, ...fields } = updates;
+    const errors = this.validateCampaign({ ...campaign, ...fields }, { partial: true });
+    if (errors.length > 0) {
+      throw httpError(400, `Invalid campaign: ${errors.join('; ')}`);
+    }
+    if (fields.addressName && !this.isAddressNameAvailable(fields.addressName, id)) {
+      throw httpError(409, `Lightning address name already in use: ${fields.addressName}`);
+    }
+
+    for (const key of ['title', 'description', 'image', 'goalSats', 'addressName', 'status', 'fundingModel']) {
+      if (fields[key] !== undefined) {
+        campaign[key] = key === 'title' ? fields[key].trim() : fields[key];
+      }
+    }
+    for (const key of ['startDate', 'endDate']) {
+      if (fields[key] !== undefined) {
+        campaign[key] = fields[key] ? new Date(fields[key]).toISOString() : null;
+      }
+    }
+    campaign.updatedAt = new Date().toISOString();
+
+    await this.saveToDisk();
+    return campaign;
+  }
+
+  /**
+   * Deletes a campaign.
+   *
+   * @param {string} id - Campaign id
+   * @returns {Promise<boolean>} True if a campaign was deleted
+   */
+  async deleteCampaign(id) {
+    const deleted = this.campaigns.delete(id);
+    if (deleted) {
+      await this.saveToDisk();
+    }
+    return deleted;
+  }
+
+  /**
+   * Retrieves a campaign by id.
+   *
+   * @param {string} id - Campaign id
+   * @returns {Promise<Object|null>} Campaign record or null if not found
+   */
+  async getCampaign(id) {
+    return this.campaigns.get(id) || null;
+  }
+
+  /**
+   * Resolves a Lightning Address name to a campaign. A campaign answers to
+   * its addressName, or to its id when no other campaign claims that name.
+   *
+   * @param {string} name - Local part of the address (before the @)
+   * @returns {Promise<Object|null>} Campaign record or null if not found
+   */
+  async getCampaignByAddressName(name) {
+    const normalized = String(name).toLowerCase();
+    for (const campaign of this.campaigns.values()) {
+      if (campaign.addressName === normalized) {
+        return campaign;
+      }
+    }
+    return this.campaigns.get(normalized) || null;
+  }
+
+  /**
+   * Checks that an address name resolves to no campaign other than the given one.
+   *
+   * @param {string} name - Address name
+   * @param {string} [campaignId] - Campaign that would own the name
+   * @returns {boolean} True if the name is free for this campaign
+   */
+  isAddressNameAvailable(name, campaignId) {
+    for (const campaign of this.campaigns.values()) {
+      if (campaign.id === campaignId) continue;
+      if (campaign.addressName === name || campaign.id === name) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Retrieves campaigns, optionally filtered by status.
+   *
+   * @param {Object} [filters] - Query filters
+   * @param {string} [filters.status] - Only return campaigns with this status
+   * @returns {Promise<Array>} Campaign records in creation order
+   */
+  async listCampaigns({ status } = {}) {
+    const campaigns = Array.from(this.campaigns.values());
+    return status ? campaigns.filter(c => c.status === status) : campaigns;
+  }
+
+  /**
+   * Combines a campaign's goal with its donation totals.
+   *
+   * @param {Object} campaign - Campaign record
+   * @param {Object} stats - Totals from DonationTracker.getCampaignStats()
+   * @returns {Object} Progress summary
+   * @property {string} campaignId - Campaign id
+   * @property {number|null} goalSats - Fundraising target in satoshis
+   * @property {number} raisedSats - Total of completed donations in satoshis
+   * @property {number} donorCount - Number of completed donations
+   * @property {number|null} percentage - Percent of goal raised (may exceed 100), null without a goal
+   * @property {string|null} lastDonationAt - Completion time of the latest donation
+   */
+  getProgress(campaign, stats) {
+    const percentage = campaign.goalSats
+      ? Math.round((stats.raisedSats / campaign.goalSats) * 1000) / 10
+      : null;
+
+    return {
+      campaignId: campaign.id,
+      goalSats: campaign.goalSats || null,
+      raisedSats: stats.raisedSats,
+      donorCount: stats.donorCount,
+      percentage,
+      lastDonationAt: stats.lastDonationAt
+    };
+  }
+
+  /**
+   * Checks whether a campaign can currently receive donations:
+   * it must be active and within its start/end dates.
+   *
+   * @param {Object} campaign - Campaign record
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {boolean} True if donations are accepted
+   */
+  isAcceptingDonations(campaign, now = new Date()) {
+    if (!campaign || campaign.status !== 'active') {
+      return false;
+    }
+    if (campaign.startDate && now < new Date(campaign.startDate)) {
+      return false;
+    }
+    if (campaign.endDate && now > new Date(campaign.endDate)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Loads campaigns from disk into memory.
+   * Seeds default campaigns if the file doesn't exist yet.
+   * Handles corrupted JSON gracefully.
+   *
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.quiet=false] - Skip progress logs (errors are still logged)
+   * @returns {Promise<void>}
+   */
+  async loadFromDisk({ quiet = false } = {}) {
+    try {
+      const data = await fs.readFile(this.storageFilePath, 'utf8');
+      const campaigns = JSON.parse(data);
+
+      this.campaigns.clear();
+      for (const campaign of campaigns) {
+        this.campaigns.set(campaign.id, campaign);
+      }
+
+      if (!quiet) {
+        console.log(`Loaded ${campaigns.length} campaigns from disk`);
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        if (!quiet) {
+          console.log('No existing campaigns file found, seeding defaults');
+        }
+        this.campaigns.clear();
+        for (const seed of this.defaultCampaigns) {
+          await this.createCampaign({ status: 'active', ...seed });
+        }
+      } else if (error instanceof SyntaxError) {
+        console.error('Corrupted campaigns file, starting with empty state:', error.message);
+      } else {
+        console.error('Error loading campaigns from disk:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Saves campaigns to disk atomically.
+   * Uses temp file + rename to prevent corruption.
+   *
+   * @returns {Promise<void>}
+   */
+  async saveToDisk() {
+    try {
+      const dir = path.dirname(this.storageFilePath);
+      await fs.mkdir(dir, { recursive: true });
+
+      const campaigns = Array.from(this.campaigns.values());
+
+      const tempPath = `${this.storageFilePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(campaigns, null, 2), 'utf8');
+      await fs.rename(tempPath, this.storageFilePath);
+    } catch (error) {
+      console.error('Error saving campaigns to disk:', error.message);
+      throw error;
+    }
+  }
+}
+
+export default CampaignManager;
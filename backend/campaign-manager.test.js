@@ -0,0 +1,242 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import CampaignManager from './campaign-manager.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+describe('CampaignManager', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-campaigns.json');
+  let manager;
+
+  beforeEach(async () => {
+    manager = new CampaignManager(testStoragePath);
+    await manager.loadFromDisk();
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.unlink(testStoragePath);
+    } catch (error) {
+      // Ignore if file doesn't exist
+    }
+  });
+
+  describe('createCampaign', () => {
+    test('creates a draft campaign with an id derived from the title', async () => {
+      const campaign = await manager.createCampaign({
+        title: 'KZN Flood Appeal',
+        description: 'Emergency relief for flood victims'
+      });
+
+      assert.strictEqual(campaign.id, 'kzn-flood-appeal');
+      assert.strictEqual(campaign.status, 'draft');
+      assert.strictEqual(campaign.startDate, null);
+      assert.ok(campaign.createdAt);
+    });
+
+    test('rejects a missing title', async () => {
+      await assert.rejects(
+        async () => {
+          await manager.createCampaign({ description: 'No title' });
+        },
+        {
+          message: 'Invalid campaign: Title must be a non-empty string'
+        }
+      );
+    });
+
+    test('rejects an unknown status', async () => {
+      await assert.rejects(
+        async () => {
+          await manager.createCampaign({ title: 'Test', status: 'live' });
+        },
+        {
+          message: /Status must be one of/
+        }
+      );
+    });
+
+    test('rejects an end date before the start date', async () => {
+      await assert.rejects(
+        async () => {
+          await manager.createCampaign({ title: 'Test', startDate: '2026-02-01', endDate: '2026-01-01' });
+        },
+        {
+          message: 'Invalid campaign: endDate must not be before startDate',
+          status: 400
+        }
+      );
+    });
+
+    test('requires a goal and end date for all-or-nothing campaigns', async () => {
+      await assert.rejects(
+        manager.createCampaign({ title: 'Roof', fundingModel: 'all_or_nothing', goalSats: 10000 }),
+        { message: 'Invalid campaign: all_or_nothing campaigns need a goalSats and an endDate' }
+      );
+
+      const campaign = await manager.createCampaign({ title: 'Roof', fundingModel: 'all_or_nothing', goalSats: 10000, endDate: '2026-06-30' });
+      assert.strictEqual(campaign.fundingModel, 'all_or_nothing');
+      assert.strictEqual((await manager.createCampaign({ title: 'Floods' })).fundingModel, 'keep_it_all');
+    });
+
+    test('rejects a duplicate id', async () => {
+      await manager.createCampaign({ title: 'Water' });
+      await assert.rejects(
+        async () => {
+          await manager.createCampaign({ title: 'Water' });
+        },
+        {
+          message: 'Campaign already exists: water',
+          status: 409
+        }
+      );
+    });
+  });
+
+  describe('updateCampaign', () => {
+    test('updates fields but keeps the id', async () => {
+      await manager.createCampaign({ title: 'Water' });
+
+      const updated = await manager.updateCampaign('water', { id: 'other', status: 'active', title: 'Clean Water' });
+
+      assert.strictEqual(updated.id, 'water');
+      assert.strictEqual(updated.status, 'active');
+      assert.strictEqual(updated.title, 'Clean Water');
+    });
+
+    test('throws for a non-existent campaign', async () => {
+      await assert.rejects(
+        async () => {
+          await manager.updateCampaign('missing', { status: 'active' });
+        },
+        {
+          message: 'Campaign not found: missing'
+        }
+      );
+    });
+  });
+
+  describe('listCampaigns', () => {
+    test('filters by status', async () => {
+      await manager.createCampaign({ title: 'Water', status: 'active' });
+      await manager.createCampaign({ title: 'Schools' });
+
+      const active = await manager.listCampaigns({ status: 'active' });
+
+      assert.deepStrictEqual(active.map(c => c.id), ['water']);
+      assert.strictEqual((await manager.listCampaigns()).length, 2);
+    });
+  });
+
+  describe('getProgress', () => {
+    test('computes percentage of the goal raised', async () => {
+      const campaign = await manager.createCampaign({ title: 'Floods', goalSats: 200000 });
+
+      const progress = manager.getProgress(campaign, { raisedSats: 50500, donorCount: 3, lastDonationAt: '2026-06-01T00:00:00.000Z' });
+
+      assert.deepStrictEqual(progress, {
+        campaignId: 'floods',
+        goalSats: 200000,
+        raisedSats: 50500,
+        donorCount: 3,
+        percentage: 25.3,
+        lastDonationAt: '2026-06-01T00:00:00.000Z'
+      });
+    });
+
+    test('returns null percentage when the campaign has no goal', async () => {
+      const campaign = await manager.createCampaign({ title: 'Floods' });
+
+      const progress = manager.getProgress(campaign, { raisedSats: 1000, donorCount: 1, lastDonationAt: null });
+
+      assert.strictEqual(progress.percentage, null);
+    });
+
+    test('rejects a non-integer goal', async () => {
+      await assert.rejects(
+        async () => {
+          await manager.createCampaign({ title: 'Floods', goalSats: 10.5 });
+        },
+        {
+          message: 'Invalid campaign: goalSats must be a positive integer or null'
+        }
+      );
+    });
+  });
+
+  describe('Lightning Address names', () => {
+    test('resolves a campaign by address name or id', async () => {
+      await manager.createCampaign({ title: 'Disaster Relief', addressName: 'floods' });
+
+      assert.strictEqual((await manager.getCampaignByAddressName('floods')).id, 'disaster-relief');
+      assert.strictEqual((await manager.getCampaignByAddressName('Disaster-Relief')).id, 'disaster-relief');
+      assert.strictEqual(await manager.getCampaignByAddressName('drought'), null);
+    });
+
+    test('rejects a name already used by another campaign', async () => {
+      await manager.createCampaign({ title: 'Disaster Relief', addressName: 'floods' });
+      await manager.createCampaign({ title: 'Water' });
+
+      await assert.rejects(
+        async () => {
+          await manager.updateCampaign('water', { addressName: 'floods' });
+        },
+        {
+          message: 'Lightning address name already in use: floods'
+        }
+      );
+      assert.strictEqual(manager.isAddressNameAvailable('water', 'disaster-relief'), false);
+      assert.strictEqual(manager.isAddressNameAvailable('floods', 'disaster-relief'), true);
+    });
+
+    test('rejects an invalid name', async () => {
+      await assert.rejects(
+        async () => {
+          await manager.createCampaign({ title: 'Floods', addressName: 'Floods Appeal' });
+        },
+        {
+          message: /addressName must be/
+        }
+      );
+    });
+  });
+
+  describe('isAcceptingDonations', () => {
+    test('only accepts active campaigns within their dates', () => {
+      const now = new Date('2026-06-15T00:00:00Z');
+
+      assert.strictEqual(manager.isAcceptingDonations({ status: 'active' }, now), true);
+      assert.strictEqual(manager.isAcceptingDonations({ status: 'paused' }, now), false);
+      assert.strictEqual(manager.isAcceptingDonations({ status: 'active', startDate: '2026-07-01T00:00:00Z' }, now), false);
+      assert.strictEqual(manager.isAcceptingDonations({ status: 'active', endDate: '2026-06-01T00:00:00Z' }, now), false);
+    });
+  });
+
+  describe('persistence', () => {
+    test('seeds default campaigns as active when no file exists', async () => {
+      await fs.unlink(testStoragePath).catch(() => {});
+      const seeded = new CampaignManager(testStoragePath, [{ id: 'disaster-relief', title: 'Disaster Relief' }]);
+      await seeded.loadFromDisk();
+
+      const campaign = await seeded.getCampaign('disaster-relief');
+      assert.strictEqual(campaign.status, 'active');
+    });
+
+    test('reloads campaigns from disk', async () => {
+      await manager.createCampaign({ title: 'Water', status: 'active' });
+
+      const reloaded = new CampaignManager(testStoragePath, [{ title: 'Ignored' }]);
+      await reloaded.loadFromDisk();
+
+      assert.deepStrictEqual((await reloaded.listCampaigns()).map(c => c.id), ['water']);
+    });
+
+    test('deleteCampaign removes the campaign', async () => {
+      await manager.createCampaign({ title: 'Water' });
+
+      assert.strictEqual(await manager.deleteCampaign('water'), true);
+      assert.strictEqual(await manager.getCampaign('water'), null);
+      assert.strictEqual(await manager.deleteCampaign('water'), false);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+// Campaigns seeded into an empty campaign store on first start
+
+export default [
+    {
+        id: 'code-africa',
+        title: 'Code for Africa',
+        description: 'Empowering African youth with coding skills to build the future of the continent.',
+        image: 'https://images.unsplash.com/photo-1571171637578-41bc2dd41cd2?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60',
+        goalSats: 2000000
+    },
+    {
+        id: 'clean-water',
+        title: 'Water & Sanitation',
+        description: 'Building boreholes to provide accessible clean water to rural communities.',
+        image: 'https://images.unsplash.com/photo-1538300342682-cf57afb97285?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60',
+        goalSats: 5000000
+    },
+    {
+        id: 'solar-schools',
+        title: 'Clean Energy for Schools',
+        description: 'Providing renewable solar energy to power education in off-grid areas.',
+        image: 'https://images.unsplash.com/photo-1509391366360-2e959784a276?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60',
+        goalSats: 3000000
+    },
+    {
+        id: 'sustainable-farming',
+        title: 'Sustainable Farming',
+        description: 'Supporting smallholder farmers with resources for sustainable agriculture.',
+        image: 'https://images.unsplash.com/photo-1495107334309-fcf20504a5ab?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60',
+        goalSats: 2500000
+    },
+    {
+        id: 'disaster-relief',
+        title: 'Disaster Relief',
+        addressName: 'floods',
+        description: 'Emergency aid and rebuilding support for communities affected by floods in Limpopo.',
+        image: 'images/Natural_Disaster_2.jpeg',
+        goalSats: 10000000
+    },
+    {
+        id: 'orphanage-support',
+        title: 'Orphanage Support',
+        description: 'Providing essential support and resources to orphanages in need.',
+        image: 'https://images.unsplash.com/photo-1488521787991-ed7bbaae773c?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60',
+        goalSats: 1500000
+    }
+];
@@ -6,6 +6,53 @@ const __dirname = path.dirname(__filename);
 
 export default {
     port: process.env.PORT || 3000,
+    storageDriver: process.env.STORAGE_DRIVER || 'json', // 'json' | 'sqlite'
     dataFilePath: process.env.DATA_FILE_PATH || path.join(__dirname, '../data/donations.json'),
+    sqliteFilePath: process.env.SQLITE_FILE_PATH || path.join(__dirname, '../data/donations.db'),
+    campaignsFilePath: process.env.CAMPAIGNS_FILE_PATH || path.join(__dirname, '../data/campaigns.json'),
+    ledgerFilePath: process.env.LEDGER_FILE_PATH || path.join(__dirname, '../data/ledger-roots.json'),
+    ledgerInterval: Number(process.env.LEDGER_INTERVAL_MS) || 60 * 60 * 1000,
+    feePolicyInterval: Number(process.env.FEE_POLICY_INTERVAL_MS) || 15 * 60 * 1000,
+    // Reset channels that drift from zero routing fees; 'false' only reports them
+    feePolicyAutoCorrect: process.env.FEE_POLICY_AUTO_CORRECT !== 'false',
+    // Invoices larger than the node can receive: 'reject' | 'warn' | 'off'
+    inboundGuard: process.env.INBOUND_GUARD || 'reject',
+    lowInboundThreshold: Number(process.env.LOW_INBOUND_THRESHOLD_SATS ?? 500000),
+    // Hint private channels in invoices, for recipients behind the hub on private channels
+    routeHints: process.env.ROUTE_HINTS === 'true',
+    maxRouteHints: Number(process.env.MAX_ROUTE_HINTS) || 3,
+    pledgesFilePath: process.env.PLEDGES_FILE_PATH || path.join(__dirname, '../data/pledges.json'),
+    pledgeInterval: Number(process.env.PLEDGE_INTERVAL_MS) || 60 * 1000,
+    // Blocks a pledge HTLC can be held, and how many before its timeout to release it
+    pledgeCltvDelta: Number(process.env.PLEDGE_CLTV_DELTA) || 288,
+    pledgeSafetyBlocks: Number(process.env.PLEDGE_SAFETY_BLOCKS ?? 36),
+    pledgeExpirySeconds: Number(process.env.PLEDGE_EXPIRY_SECONDS) || 10 * 60,
+    applicationsFilePath: process.env.APPLICATIONS_FILE_PATH || path.join(__dirname, '../data/applications.json'),
+    recipientsFilePath: process.env.RECIPIENTS_FILE_PATH || path.join(__dirname, '../data/recipients.json'),
+    payoutsFilePath: process.env.PAYOUTS_FILE_PATH || path.join(__dirname, '../data/payouts.json'),
+    payoutMaxFeeSats: Number(process.env.PAYOUT_MAX_FEE_SATS ?? 10), // routing fee cap per payout
+    // Distinct admins who must approve a payout before it is sent
+    payoutApprovalQuorum: Number(process.env.PAYOUT_APPROVAL_QUORUM) || 2,
+    payoutProposalTtlSeconds: Number(process.env.PAYOUT_PROPOSAL_TTL_SECONDS) || 24 * 60 * 60,
+    rateProvider: process.env.RATE_PROVIDER || 'static', // 'static' | 'file' | 'http'
+    // Fiat units per BTC for the static provider
+    fiatRates: {
+        ZAR: Number(process.env.BTC_ZAR_RATE) || null,
+        USD: Number(process.env.BTC_USD_RATE) || null
+    },
+    ratesFilePath: process.env.RATES_FILE_PATH || path.join(__dirname, '../data/rates.json'),
+    ratesUrl: process.env.RATES_URL || 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=zar,usd',
+    rateCacheSeconds: Number(process.env.RATE_CACHE_SECONDS) || 60,
+    // Fiat invoices expire (and their rate lock ends) after this long
+    rateLockSeconds: Number(process.env.RATE_LOCK_SECONDS) || 15 * 60,
+    // Public base URL wallets use to reach LNURL endpoints
+    publicUrl: process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`,
+    lnurlMinSendable: Number(process.env.LNURL_MIN_SENDABLE) || 1000, // millisatoshis
+    lnurlMaxSendable: Number(process.env.LNURL_MAX_SENDABLE) || 10000000000,
+    lnurlCommentAllowed: Number(process.env.LNURL_COMMENT_ALLOWED ?? 140), // characters, 0 disables comments
+    authFilePath: process.env.AUTH_FILE_PATH || path.join(__dirname, '../data/auth.json'),
+    sessionTtlSeconds: Number(process.env.SESSION_TTL_SECONDS) || 8 * 60 * 60,
+    // Browser origins allowed to call the API cross-origin (comma-separated); none by default
+    corsOrigins: (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
     env: process.env.NODE_ENV || 'development'
 };
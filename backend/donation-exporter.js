@@ -0,0 +1,306 @@
+import { FIAT_CURRENCIES } from './exchange-rate-service.js';
+import { DONATION_STATUSES } from './donation-tracker.js';
+
+const SATS_PER_BTC = 100000000;
+
+/**
+ * Default ledger accounts for the double-entry layout.
+ */
+export const DEFAULT_ACCOUNTS = {
+  asset: 'Assets:Lightning Wallet',
+  income: 'Income:Donations'
+};
+
+const FLAT_COLUMNS = [
+  'date', 'paymentHash', 'campaignId', 'campaignTitle', 'status', 'amountSats',
+  ...FIAT_CURRENCIES.flatMap(c => [`rate${c}`, `value${c}`]),
+  'rateSource', 'rateCapturedAt'
+];
+
+const JOURNAL_COLUMNS = ['Date', 'Reference', 'Account', 'Description', 'Debit', 'Credit', 'Currency'];
+
+/**
+ * Quote a CSV field when needed and neutralise spreadsheet formulas
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Join rows into CSV text (CRLF line endings per RFC 4180)
+ * @param {string[]} columns - Header row
+ * @param {Array<Array>} rows - Data rows
+ * @returns {string} CSV document
+ */
+function toCsvText(columns, rows) {
+  return [columns, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse and validate export options shared by the HTTP route and the CLI.
+ * Accepts format (csv|json), layout (flat|double-entry), month (YYYY-MM),
+ * from, to, status (comma-separated), campaign and currency.
+ *
+ * @param {Object} params - Raw string options
+ * @returns {{options: Object}|{errors: string[]}} Parsed options, or every validation error
+ */
+export function parseExportOptions(params) {
+  const errors = [];
+  const options = {
+    format: params.format ?? 'csv',
+    layout: params.layout ?? 'flat',
+    currency: params.currency ?? 'ZAR',
+    filters: {}
+  };
+
+  if (!['csv', 'json'].includes(options.format)) {
+    errors.push('format must be csv or json');
+  }
+
+  if (!['flat', 'double-entry'].includes(options.layout)) {
+    errors.push('layout must be flat or double-entry');
+  } else if (options.layout === 'double-entry' && options.format !== 'csv') {
+    errors.push('double-entry layout is only available as csv');
+  }
+
+  if (!FIAT_CURRENCIES.includes(options.currency)) {
+    errors.push(`currency must be one of: ${FIAT_CURRENCIES.join(', ')}`);
+  }
+
+  if (params.month !== undefined) {
+    const range = DonationExporter.monthRange(params.month);
+    if (!range) {
+      errors.push('month must be in YYYY-MM form');
+    } else {
+      Object.assign(options.filters, range);
+    }
+  }
+
+  for (const key of ['from', 'to']) {
+    if (params[key] !== undefined) {
+      const value = new Date(params[key]);
+      if (isNaN(value.getTime())) {
+        errors.push(`${key} must be a valid date`);
+      }
+      options.filters[key] = value;
+    }
+  }
+
+  if (params.status !== undefined) {
+    options.filters.statuses = String(params.status).split(',');
+    if (options.filters.statuses.some(s => !DONATION_STATUSES.includes(s))) {
+      errors.push(`status must be one or more of: ${DONATION_STATUSES.join(', ')}`);
+    }
+  }
+
+  if (params.campaign !== undefined) {
+    options.filters.campaignId = String(params.campaign);
+  }
+
+  return errors.length > 0 ? { errors } : { options };
+}
+
+/**
+ * DonationExporter produces accounting exports of donation records.
+ *
+ * Responsibilities:
+ * - Select donations by settlement (or creation) date, status and campaign
+ * - Value each donation in fiat using the rate snapshot taken when its settlement was recorded
+ * - Render flat CSV/JSON exports and a double-entry journal CSV
+ */
+class DonationExporter {
+  /**
+   * Creates a new DonationExporter instance.
+   *
+   * @param {DonationTracker} donationTracker - DonationTracker instance
+   * @param {CampaignManager} campaignManager - CampaignManager instance for campaign titles
+   * @param {Object} [accounts] - Ledger account names for the double-entry layout
+   */
+  constructor(donationTracker, campaignManager, accounts = {}) {
+    this.donationTracker = donationTracker;
+    this.campaignManager = campaignManager;
+    this.accounts = { ...DEFAULT_ACCOUNTS, ...accounts };
+  }
+
+  /**
+   * Converts a "YYYY-MM" month into a [from, to) date range (UTC).
+   *
+   * @param {string} month - Month in YYYY-MM form
+   * @returns {{from: Date, to: Date}|null} Range, or null if the month is invalid
+   */
+  static monthRange(month) {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(String(month));
+    if (!match) {
+      return null;
+    }
+
+    const year = Number(match[1]);
+    const monthIndex = Number(match[2]) - 1;
+    return {
+      from: new Date(Date.UTC(year, monthIndex, 1)),
+      to: new Date(Date.UTC(year, monthIndex + 1, 1))
+    };
+  }
+
+  /**
+   * Fiat value of a sats amount at a per-BTC rate, rounded to cents.
+   *
+   * @param {number} amountSats - Amount in satoshis
+   * @param {number} ratePerBtc - Fiat units per BTC
+   * @returns {number} Fiat value
+   */
+  static toFiat(amountSats, ratePerBtc) {
+    return Math.round((amountSats * ratePerBtc / SATS_PER_BTC) * 100) / 100;
+  }
+
+  /**
+   * Builds export rows, oldest first. A donation's date is when it settled,
+   * or when it was created if it never settled.
+   *
+   * @param {Object} [filters] - Export filters
+   * @param {Date} [filters.from] - Only donations dated on/after this time
+   * @param {Date} [filters.to] - Only donations dated before this time
+   * @param {string[]} [filters.statuses] - Only these statuses
+   * @param {string} [filters.campaignId] - Only this campaign
+   * @returns {Promise<Array<Object>>} Export rows
+   */
+  async getRows({ from, to, statuses, campaignId } = {}) {
+    const donations = await this.donationTracker.getAllDonations();
+    const titles = new Map();
+
+    const rows = [];
+    for (const donation of donations) {
+      const date = donation.completedAt || donation.createdAt;
+      const time = new Date(date).getTime();
+
+      if (from && time < from.getTime()) continue;
+      if (to && time >= to.getTime()) continue;
+      if (statuses && !statuses.includes(donation.status)) continue;
+      if (campaignId && donation.campaignId !== campaignId) continue;
+
+      const id = donation.campaignId ?? null;
+      if (id && !titles.has(id)) {
+        const campaign = await this.campaignManager.getCampaign(id);
+        titles.set(id, campaign ? campaign.title : null);
+      }
+
+      const snapshot = donation.fiatSnapshot || null;
+      const fiat = {};
+      for (const currency of FIAT_CURRENCIES) {
+        const rate = snapshot?.rates?.[currency] ?? null;
+        fiat[currency] = {
+          rate,
+          value: rate === null ? null : DonationExporter.toFiat(donation.amount, rate)
+        };
+      }
+
+      rows.push({
+        date,
+        paymentHash: donation.paymentHash,
+        campaignId: id,
+        campaignTitle: id ? titles.get(id) : null,
+        status: donation.status,
+        amountSats: donation.amount,
+        fiat,
+        rateSource: snapshot?.source ?? null,
+        rateCapturedAt: snapshot?.capturedAt ?? null
+      });
+    }
+
+    return rows.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Renders rows as a flat CSV, one line per donation.
+   *
+   * @param {Array<Object>} rows - Rows from getRows()
+   * @returns {string} CSV document
+   */
+  toCsv(rows) {
+    return toCsvText(FLAT_COLUMNS, rows.map(row => [
+      row.date,
+      row.paymentHash,
+      row.campaignId,
+      row.campaignTitle,
+      row.status,
+      row.amountSats,
+      ...FIAT_CURRENCIES.flatMap(c => [row.fiat[c].rate, row.fiat[c].value]),
+      row.rateSource,
+      row.rateCapturedAt
+    ]));
+  }
+
+  /**
+   * Renders completed donations as a double-entry journal: each donation
+   * debits the wallet asset account and credits the campaign's income account.
+   * Donations without a rate snapshot are journaled in sats (currency "SAT").
+   *
+   * @param {Array<Object>} rows - Rows from getRows()
+   * @param {Object} [options] - Layout options
+   * @param {string} [options.currency='ZAR'] - Fiat currency of the journal
+   * @returns {string} CSV document
+   * @throws {Error} If the currency is not supported
+   */
+  toDoubleEntryCsv(rows, { currency = 'ZAR' } = {}) {
+    if (!FIAT_CURRENCIES.includes(currency)) {
+      throw new Error(`Currency must be one of: ${FIAT_CURRENCIES.join(', ')}`);
+    }
+
+    const lines = [];
+    for (const row of rows) {
+      if (row.status !== 'completed') continue;
+
+      const value = row.fiat[currency].value;
+      const amount = value === null ? String(row.amountSats) : value.toFixed(2);
+      const unit = value === null ? 'SAT' : currency;
+      const date = row.date.slice(0, 10);
+      const description = `Lightning donation${row.campaignTitle ? ` - ${row.campaignTitle}` : ''} (${row.amountSats} sats)`;
+      const incomeAccount = row.campaignId ? `${this.accounts.income}:${row.campaignId}` : this.accounts.income;
+
+      lines.push([date, row.paymentHash, this.accounts.asset, description, amount, '', unit]);
+      lines.push([date, row.paymentHash, incomeAccount, description, '', amount, unit]);
+    }
+
+    return toCsvText(JOURNAL_COLUMNS, lines);
+  }
+
+  /**
+   * Builds a complete export from parsed options.
+   *
+   * @param {Object} options - Options from parseExportOptions()
+   * @returns {Promise<{body: string, contentType: string, extension: string}>} Export document
+   */
+  async export({ format, layout, currency, filters }) {
+    const rows = await this.getRows(filters);
+
+    if (format === 'json') {
+      return { body: this.toJson(rows), contentType: 'application/json', extension: 'json' };
+    }
+
+    const body = layout === 'double-entry' ? this.toDoubleEntryCsv(rows, { currency }) : this.toCsv(rows);
+    return { body, contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+  }
+
+  /**
+   * Renders rows as JSON.
+   *
+   * @param {Array<Object>} rows - Rows from getRows()
+   * @returns {string} JSON document
+   */
+  toJson(rows) {
+    return JSON.stringify({ donations: rows }, null, 2);
+  }
+}
+
+export default DonationExporter;
@@ -0,0 +1,118 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import DonationExporter, { parseExportOptions } from './donation-exporter.js';
+import DonationTracker from './donation-tracker.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+describe('DonationExporter', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-export-donations.json');
+  const campaignManager = {
+    getCampaign: async (id) => (id === 'clean-water' ? { id, title: 'Clean Water, Now' } : null)
+  };
+  let tracker;
+  let exporter;
+
+  async function addDonation(paymentHash, amount, { campaignId = null, completedAt = null, fiatSnapshot = null } = {}) {
+    await tracker.createDonation({ amount, paymentHash, description: 'Export test', paymentRequest: 'lnbc...', campaignId });
+    if (completedAt) {
+      await tracker.updateDonationStatus(paymentHash, 'completed', {
+        preimage: 'ab'.repeat(32),
+        completedAt: new Date(completedAt),
+        fiatSnapshot
+      });
+    }
+  }
+
+  beforeEach(async () => {
+    tracker = new DonationTracker(testStoragePath);
+    await tracker.loadFromDisk();
+    exporter = new DonationExporter(tracker, campaignManager);
+
+    await addDonation('a'.repeat(64), 50000, {
+      campaignId: 'clean-water',
+      completedAt: '2026-06-03T09:30:00Z',
+      fiatSnapshot: { rates: { ZAR: 1200000, USD: 65000 }, source: 'static', capturedAt: '2026-06-03T09:30:00.000Z' }
+    });
+    await addDonation('b'.repeat(64), 1000, { completedAt: '2026-07-01T00:00:00Z' });
+    await addDonation('c'.repeat(64), 2000);
+  });
+
+  afterEach(async () => {
+    await tracker.close();
+    await fs.unlink(testStoragePath).catch(() => {});
+  });
+
+  test('values donations with the rate snapshot taken at settlement', async () => {
+    const [row] = await exporter.getRows({ statuses: ['completed'], campaignId: 'clean-water' });
+
+    assert.strictEqual(row.campaignTitle, 'Clean Water, Now');
+    assert.deepStrictEqual(row.fiat, {
+      ZAR: { rate: 1200000, value: 600 },
+      USD: { rate: 65000, value: 32.5 }
+    });
+  });
+
+  test('leaves fiat values empty without a snapshot', async () => {
+    const rows = await exporter.getRows({ statuses: ['completed'] });
+
+    assert.strictEqual(rows[1].paymentHash, 'b'.repeat(64));
+    assert.strictEqual(rows[1].fiat.ZAR.value, null);
+  });
+
+  test('month range covers settlements within the month only', async () => {
+    const rows = await exporter.getRows(DonationExporter.monthRange('2026-06'));
+
+    assert.deepStrictEqual(rows.map(r => r.paymentHash), ['a'.repeat(64)]);
+  });
+
+  test('flat CSV quotes fields and has one line per donation', async () => {
+    const csv = exporter.toCsv(await exporter.getRows({ campaignId: 'clean-water' }));
+    const lines = csv.trimEnd().split('\r\n');
+
+    assert.strictEqual(lines[0], 'date,paymentHash,campaignId,campaignTitle,status,amountSats,rateZAR,valueZAR,rateUSD,valueUSD,rateSource,rateCapturedAt');
+    assert.strictEqual(lines[1], `2026-06-03T09:30:00.000Z,${'a'.repeat(64)},clean-water,"Clean Water, Now",completed,50000,1200000,600,65000,32.5,static,2026-06-03T09:30:00.000Z`);
+  });
+
+  test('double-entry CSV balances each completed donation', async () => {
+    const csv = exporter.toDoubleEntryCsv(await exporter.getRows(), { currency: 'USD' });
+    const lines = csv.trimEnd().split('\r\n');
+
+    assert.strictEqual(lines.length, 5);
+    assert.strictEqual(lines[1], `2026-06-03,${'a'.repeat(64)},Assets:Lightning Wallet,"Lightning donation - Clean Water, Now (50000 sats)",32.50,,USD`);
+    assert.strictEqual(lines[2], `2026-06-03,${'a'.repeat(64)},Income:Donations:clean-water,"Lightning donation - Clean Water, Now (50000 sats)",,32.50,USD`);
+    assert.strictEqual(lines[3], `2026-07-01,${'b'.repeat(64)},Assets:Lightning Wallet,Lightning donation (1000 sats),1000,,SAT`);
+  });
+
+  test('JSON export includes every matching row', async () => {
+    const { body, contentType } = await exporter.export({ format: 'json', layout: 'flat', currency: 'ZAR', filters: {} });
+
+    assert.strictEqual(contentType, 'application/json');
+    assert.strictEqual(JSON.parse(body).donations.length, 3);
+  });
+
+  describe('parseExportOptions', () => {
+    test('applies defaults', () => {
+      const { options } = parseExportOptions({});
+
+      assert.deepStrictEqual(options, { format: 'csv', layout: 'flat', currency: 'ZAR', filters: {} });
+    });
+
+    test('reports every invalid option', () => {
+      const { errors } = parseExportOptions({ format: 'xml', month: '2026-13', currency: 'EUR', status: 'paid' });
+
+      assert.deepStrictEqual(errors, [
+        'format must be csv or json',
+        'currency must be one of: ZAR, USD',
+        'month must be in YYYY-MM form',
+        'status must be one or more of: pending, held, completed, expired, failed, cancelled'
+      ]);
+    });
+
+    test('rejects a JSON double-entry export', () => {
+      const { errors } = parseExportOptions({ format: 'json', layout: 'double-entry' });
+
+      assert.deepStrictEqual(errors, ['double-entry layout is only available as csv']);
+    });
+  });
+});
@@ -1,6 +1,22 @@
 import { v4 as uuidv4 } from 'uuid';
-import fs from 'fs/promises';
-import path from 'path';
+import JsonDonationStore from './storage/json-donation-store.js';
+
+/**
+ * Donation lifecycle states.
+ * Pledges (hold invoices) are "held" once paid and end "completed" when
+ * collected or "cancelled" when the donor's payment is returned.
+ */
+export const DONATION_STATUSES = ['pending', 'held', 'completed', 'expired', 'failed', 'cancelled'];
+
+/**
+ * States a donation never leaves.
+ */
+export const FINAL_DONATION_STATUSES = ['completed', 'expired', 'failed', 'cancelled'];
+
+/**
+ * Fields donation history can be sorted by.
+ */
+export const DONATION_SORT_FIELDS = ['createdAt', 'amount'];
 
 /**
  * DonationTracker manages donation records with persistent storage.
@@ -9,9 +25,10 @@ import path from 'path';
  * - Create donation records with initial "pending" status
  * - Update donation status as payments progress
  * - Store preimage for completed donations
- * - Persist donations to JSON file atomically
+ * - Persist donations through a pluggable store (JSON file or SQLite)
  * - Load donations on system startup
  * - Query donations by payment hash
+ * - Filter, sort and paginate donation history
  * 
  * Validates: Requirements 6.1, 6.4
  */
@@ -19,10 +36,13 @@ class DonationTracker {
   /**
    * Creates a new DonationTracker instance.
    * 
-   * @param {string} storageFilePath - Path to JSON file for persistent storage
+   * A store must implement loadAll(), save(donation), saveAll(donations),
+   * query(filters) and close(). Passing a file path uses a JsonDonationStore.
+   * 
+   * @param {string|Object} storage - JSON file path or donation store instance
    */
-  constructor(storageFilePath) {
-    this.storageFilePath = storageFilePath;
+  constructor(storage) {
+    this.store = typeof storage === 'string' ? new JsonDonationStore(storage) : storage;
     // In-memory Map for fast lookups by payment hash
     this.donations = new Map();
   }
@@ -35,13 +55,24 @@ class DonationTracker {
    * @param {string} params.paymentHash - Lightning payment hash (hex)
    * @param {string} params.description - Payment description
    * @param {string} params.paymentRequest - BOLT11 invoice string
+   * @param {Date} [params.expiresAt] - Invoice expiry (defaults to 1 hour from now)
+   * @param {string} [params.campaignId] - Campaign the donation is for
+   * @param {Object} [params.rateLock] - Exchange rate quoted for a fiat-denominated donation
+   * @param {string} [params.comment] - Donor comment or message sent with the payment
+   * @param {string} [params.source] - How the payment arrived when not via our invoice ('keysend' | 'amp')
+   * @param {boolean} [params.pledge=false] - Paid with a hold invoice that only settles if the campaign reaches its goal
    * @returns {Promise<Object>} Created donation record
    */
-  async createDonation({ amount, paymentHash, description, paymentRequest }) {
+  async createDonation({ amount, paymentHash, description, paymentRequest, expiresAt, campaignId = null, rateLock = null, comment = null, source = null, pledge = false }) {
     const donation = {
       id: uuidv4(),
       amount,
       description,
+      campaignId,
+      rateLock,
+      comment,
+      source,
+      pledge,
       paymentHash,
       paymentRequest,
       preimage: null,
@@ -49,11 +80,11 @@ class DonationTracker {
       error: null,
       createdAt: new Date().toISOString(),
       completedAt: null,
-      expiresAt: new Date(Date.now() + 3600000).toISOString() // 1 hour default
+      expiresAt: (expiresAt ? new Date(expiresAt) : new Date(Date.now() + 3600000)).toISOString() // 1 hour default
     };
 
     this.donations.set(paymentHash, donation);
-    await this.saveToDisk();
+    await this.store.save(donation);
     
     return donation;
   }
@@ -62,11 +93,12 @@ class DonationTracker {
    * Updates the status of an existing donation.
    * 
    * @param {string} paymentHash - Payment hash to identify donation
-   * @param {string} status - New status: 'pending' | 'completed' | 'expired' | 'failed'
+   * @param {string} status - New status, one of DONATION_STATUSES
    * @param {Object} metadata - Optional metadata
    * @param {string} metadata.preimage - Preimage for completed donations
-   * @param {string} metadata.error - Error message for failed donations
+   * @param {string} metadata.error - Error message for failed or cancelled donations
    * @param {Date} metadata.completedAt - Completion timestamp
+   * @param {Object} metadata.fiatSnapshot - Exchange rates captured when the settlement was recorded
    * @returns {Promise<void>}
    */
   async updateDonationStatus(paymentHash, status, metadata = {}) {
@@ -90,7 +122,11 @@ class DonationTracker {
       donation.completedAt = metadata.completedAt.toISOString();
     }
 
-    await this.saveToDisk();
+    if (metadata.fiatSnapshot) {
+      donation.fiatSnapshot = metadata.fiatSnapshot;
+    }
+
+    await this.store.save(donation);
   }
 
   /**
@@ -113,21 +149,144 @@ class DonationTracker {
   }
 
   /**
-   * Loads donation records from disk into memory.
-   * Creates the data directory if it doesn't exist.
+   * Encodes a pagination cursor pointing at a donation.
+   * 
+   * @param {Object} donation - Last donation on the current page
+   * @param {string} sort - Field the results are sorted by
+   * @returns {string} Opaque base64url cursor
+   */
+  static encodeCursor(donation, sort) {
+    return Buffer.from(JSON.stringify({ v: donation[sort], h: donation.paymentHash })).toString('base64url');
+  }
+
+  /**
+   * Decodes a pagination cursor.
+   * 
+   * @param {string} cursor - Cursor from a previous page
+   * @returns {Object|null} Decoded { v, h } position, or null if malformed
+   */
+  static decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!position || typeof position.h !== 'string' || !('v' in position)) {
+        return null;
+      }
+      return position;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Queries donation history with filters, sorting and cursor pagination.
+   * Results are ordered by the sort field, then payment hash for stable pages.
+   * Filtering and paging run in the store, so SQLite answers from its indexes.
+   * 
+   * @param {Object} [query] - Query options
+   * @param {string[]} [query.statuses] - Only include these statuses
+   * @param {string} [query.campaignId] - Only include donations for this campaign
+   * @param {number} [query.minAmount] - Minimum amount in satoshis (inclusive)
+   * @param {number} [query.maxAmount] - Maximum amount in satoshis (inclusive)
+   * @param {Date} [query.from] - Created at or after this time
+   * @param {Date} [query.to] - Created at or before this time
+   * @param {string} [query.sort='createdAt'] - 'createdAt' | 'amount'
+   * @param {string} [query.order='desc'] - 'asc' | 'desc'
+   * @param {number} [query.limit=20] - Page size
+   * @param {string} [query.cursor] - Cursor returned with the previous page
+   * @returns {Promise<Object>} Page of results
+   * @property {Array<Object>} donations - Donation records on this page
+   * @property {string|null} nextCursor - Cursor for the next page, null on the last page
+   * @throws {Error} If the sort field or cursor is invalid
+   */
+  async queryDonations(query = {}) {
+    const {
+      statuses,
+      campaignId,
+      minAmount,
+      maxAmount,
+      from,
+      to,
+      sort = 'createdAt',
+      order = 'desc',
+      limit = 20,
+      cursor
+    } = query;
+
+    if (!DONATION_SORT_FIELDS.includes(sort)) {
+      throw new Error(`Invalid sort field: ${sort}`);
+    }
+
+    let after = null;
+    if (cursor) {
+      const position = DonationTracker.decodeCursor(cursor);
+      if (!position) {
+        throw new Error('Invalid cursor');
+      }
+      after = { value: position.v, paymentHash: position.h };
+    }
+
+    // Fetch one extra record to learn whether there is a next page
+    const matches = await this.store.query({
+      statuses,
+      campaignId,
+      minAmount,
+      maxAmount,
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      sort,
+      order: order === 'asc' ? 'asc' : 'desc',
+      after,
+      limit: limit + 1
+    });
+
+    const donations = matches.slice(0, limit);
+    const nextCursor = matches.length > limit
+      ? DonationTracker.encodeCursor(donations[donations.length - 1], sort)
+      : null;
+
+    return { donations, nextCursor };
+  }
+
+  /**
+   * Totals completed donations for a campaign.
+   * 
+   * @param {string} campaignId - Campaign id
+   * @returns {Promise<Object>} Campaign totals
+   * @property {number} raisedSats - Sum of completed donation amounts in satoshis
+   * @property {number} donorCount - Number of completed donations
+   * @property {string|null} lastDonationAt - Latest completedAt timestamp, or null
+   */
+  async getCampaignStats(campaignId) {
+    let raisedSats = 0;
+    let donorCount = 0;
+    let lastDonationAt = null;
+
+    for (const donation of this.donations.values()) {
+      if (donation.campaignId !== campaignId || donation.status !== 'completed') {
+        continue;
+      }
+
+      raisedSats += donation.amount;
+      donorCount += 1;
+      if (donation.completedAt && (!lastDonationAt || donation.completedAt > lastDonationAt)) {
+        lastDonationAt = donation.completedAt;
+      }
+    }
+
+    return { raisedSats, donorCount, lastDonationAt };
+  }
+
+  /**
+   * Loads donation records from the store into memory.
    * Handles corrupted JSON gracefully.
    * 
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.quiet=false] - Skip progress logs (errors are still logged)
    * @returns {Promise<void>}
    */
-  async loadFromDisk() {
+  async loadFromDisk({ quiet = false } = {}) {
     try {
-      // Create directory if it doesn't exist
-      const dir = path.dirname(this.storageFilePath);
-      await fs.mkdir(dir, { recursive: true });
-
-      // Try to read the file
-      const data = await fs.readFile(this.storageFilePath, 'utf8');
-      const donations = JSON.parse(data);
+      const donations = await this.store.loadAll();
 
       // Populate the Map
       this.donations.clear();
@@ -135,12 +294,11 @@ class DonationTracker {
         this.donations.set(donation.paymentHash, donation);
       }
 
-      console.log(`Loaded ${donations.length} donations from disk`);
+      if (!quiet) {
+        console.log(`Loaded ${donations.length} donations from disk`);
+      }
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        // File doesn't exist yet, start with empty state
-        console.log('No existing donations file found, starting fresh');
-      } else if (error instanceof SyntaxError) {
+      if (error instanceof SyntaxError) {
         // Corrupted JSON
         console.error('Corrupted donations file, starting with empty state:', error.message);
       } else {
@@ -151,31 +309,27 @@ class DonationTracker {
   }
 
   /**
-   * Saves donation records to disk atomically.
-   * Uses temp file + rename to prevent corruption.
+   * Writes every in-memory donation record to the store.
    * 
    * @returns {Promise<void>}
    */
   async saveToDisk() {
     try {
-      // Create directory if it doesn't exist
-      const dir = path.dirname(this.storageFilePath);
-      await fs.mkdir(dir, { recursive: true });
-
-      // Convert Map to array
-      const donations = Array.from(this.donations.values());
-
-      // Write to temp file first (atomic write)
-      const tempPath = `${this.storageFilePath}.tmp`;
-      await fs.writeFile(tempPath, JSON.stringify(donations, null, 2), 'utf8');
-
-      // Rename temp file to target (atomic operation)
-      await fs.rename(tempPath, this.storageFilePath);
+      await this.store.saveAll(Array.from(this.donations.values()));
     } catch (error) {
       console.error('Error saving donations to disk:', error.message);
       throw error;
     }
   }
+
+  /**
+   * Flushes pending writes and closes the store.
+   * 
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.store.close();
+  }
 }
 
 export default DonationTracker;
@@ -138,6 +138,34 @@ describe('DonationTracker - Query Methods', () => {
       assert.ok(donation.createdAt);
     });
 
+    test('uses the invoice expiry when provided', async () => {
+      const expiresAt = new Date(Date.now() + 600000);
+
+      await tracker.createDonation({
+        amount: 1000,
+        paymentHash: 'hash-expiry',
+        description: 'Donation',
+        paymentRequest: 'lnbc...',
+        expiresAt
+      });
+
+      const donation = await tracker.getDonationByHash('hash-expiry');
+      assert.strictEqual(donation.expiresAt, expiresAt.toISOString());
+    });
+
+    test('records the campaign the donation is for', async () => {
+      await tracker.createDonation({
+        amount: 1000,
+        paymentHash: 'hash-campaign',
+        description: 'Donation for Disaster Relief',
+        paymentRequest: 'lnbc...',
+        campaignId: 'disaster-relief'
+      });
+
+      const donation = await tracker.getDonationByHash('hash-campaign');
+      assert.strictEqual(donation.campaignId, 'disaster-relief');
+    });
+
     test('returns updated donations after status change', async () => {
       await tracker.createDonation({
         amount: 1000,
@@ -161,6 +189,132 @@ describe('DonationTracker - Query Methods', () => {
   });
 });
 
+describe('DonationTracker getCampaignStats', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-stats-donations.json');
+  let tracker;
+
+  beforeEach(async () => {
+    tracker = new DonationTracker(testStoragePath);
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.unlink(testStoragePath);
+    } catch (error) {
+      // Ignore if file doesn't exist
+    }
+  });
+
+  test('totals only completed donations for the campaign', async () => {
+    const donations = [
+      { paymentHash: 'h1', amount: 1000, campaignId: 'floods', completedAt: new Date('2026-06-01T00:00:00Z') },
+      { paymentHash: 'h2', amount: 2500, campaignId: 'floods', completedAt: new Date('2026-06-03T00:00:00Z') },
+      { paymentHash: 'h3', amount: 4000, campaignId: 'floods' },
+      { paymentHash: 'h4', amount: 9000, campaignId: 'water', completedAt: new Date('2026-06-05T00:00:00Z') }
+    ];
+
+    for (const { paymentHash, amount, campaignId, completedAt } of donations) {
+      await tracker.createDonation({ amount, paymentHash, campaignId, description: 'Donation', paymentRequest: 'lnbc...' });
+      if (completedAt) {
+        await tracker.updateDonationStatus(paymentHash, 'completed', { preimage: 'p', completedAt });
+      }
+    }
+
+    const stats = await tracker.getCampaignStats('floods');
+
+    assert.deepStrictEqual(stats, {
+      raisedSats: 3500,
+      donorCount: 2,
+      lastDonationAt: '2026-06-03T00:00:00.000Z'
+    });
+  });
+
+  test('returns zero totals for a campaign without donations', async () => {
+    const stats = await tracker.getCampaignStats('empty');
+    assert.deepStrictEqual(stats, { raisedSats: 0, donorCount: 0, lastDonationAt: null });
+  });
+});
+
+describe('DonationTracker queryDonations', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-query-donations.json');
+  let tracker;
+
+  beforeEach(async () => {
+    tracker = new DonationTracker(testStoragePath);
+
+    const fixtures = [
+      { paymentHash: 'h1', amount: 1000, campaignId: 'floods', status: 'completed', createdAt: '2026-06-01T00:00:00.000Z' },
+      { paymentHash: 'h2', amount: 5000, campaignId: 'floods', status: 'pending', createdAt: '2026-06-02T00:00:00.000Z' },
+      { paymentHash: 'h3', amount: 2500, campaignId: 'water', status: 'completed', createdAt: '2026-06-03T00:00:00.000Z' },
+      { paymentHash: 'h4', amount: 5000, campaignId: 'floods', status: 'expired', createdAt: '2026-06-04T00:00:00.000Z' },
+      { paymentHash: 'h5', amount: 100, campaignId: 'water', status: 'completed', createdAt: '2026-06-05T00:00:00.000Z' }
+    ];
+    for (const fixture of fixtures) {
+      await tracker.createDonation({ ...fixture, description: 'Donation', paymentRequest: 'lnbc...' });
+      Object.assign(tracker.donations.get(fixture.paymentHash), fixture);
+    }
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.unlink(testStoragePath);
+    } catch (error) {
+      // Ignore if file doesn't exist
+    }
+  });
+
+  test('returns newest first by default', async () => {
+    const { donations, nextCursor } = await tracker.queryDonations();
+
+    assert.deepStrictEqual(donations.map(d => d.paymentHash), ['h5', 'h4', 'h3', 'h2', 'h1']);
+    assert.strictEqual(nextCursor, null);
+  });
+
+  test('filters by status, campaign and amount range', async () => {
+    const { donations } = await tracker.queryDonations({
+      statuses: ['completed', 'pending'],
+      campaignId: 'floods',
+      minAmount: 1000,
+      maxAmount: 5000
+    });
+
+    assert.deepStrictEqual(donations.map(d => d.paymentHash), ['h2', 'h1']);
+  });
+
+  test('filters by date range', async () => {
+    const { donations } = await tracker.queryDonations({
+      from: new Date('2026-06-02T00:00:00Z'),
+      to: new Date('2026-06-04T00:00:00Z'),
+      order: 'asc'
+    });
+
+    assert.deepStrictEqual(donations.map(d => d.paymentHash), ['h2', 'h3', 'h4']);
+  });
+
+  test('pages through results with a cursor, breaking ties by payment hash', async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const page = await tracker.queryDonations({ sort: 'amount', order: 'desc', limit: 2, cursor });
+      seen.push(...page.donations.map(d => d.paymentHash));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.deepStrictEqual(seen, ['h4', 'h2', 'h3', 'h1', 'h5']);
+  });
+
+  test('rejects an invalid cursor', async () => {
+    await assert.rejects(
+      async () => {
+        await tracker.queryDonations({ cursor: 'not-a-cursor' });
+      },
+      {
+        message: 'Invalid cursor'
+      }
+    );
+  });
+});
+
 describe('DonationTracker updateDonationStatus', () => {
   const testDataPath = path.join('backend', 'data', 'test-update-donations.json');
   let tracker;
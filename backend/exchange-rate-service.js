@@ -0,0 +1,108 @@
+/**
+ * Fiat currencies donations can be denominated and valued in.
+ */
+export const FIAT_CURRENCIES = ['ZAR', 'USD'];
+
+const SATS_PER_BTC = 100000000;
+
+/**
+ * ExchangeRateService converts between fiat and sats using a pluggable provider.
+ *
+ * Responsibilities:
+ * - Fetch BTC rates from the configured provider and cache them briefly
+ * - Snapshot rates for accounting (getRates)
+ * - Quote fiat amounts in sats with a rate lock for the invoice lifetime
+ */
+class ExchangeRateService {
+  /**
+   * Creates a new ExchangeRateService instance.
+   *
+   * @param {Object} provider - Rate provider with name and fetchRates()
+   * @param {Object} [options] - Service options
+   * @param {number} [options.cacheSeconds=60] - How long fetched rates are reused
+   * @param {number} [options.lockSeconds=900] - How long a quoted rate is honoured (fiat invoice expiry)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.cacheSeconds = options.cacheSeconds ?? 60;
+    this.lockSeconds = options.lockSeconds || 900;
+
+    this.cached = null;
+  }
+
+  /**
+   * Returns current rates, served from cache while fresh.
+   *
+   * @returns {Promise<Object>} Rate snapshot
+   * @property {Object} rates - Fiat units per BTC keyed by currency
+   * @property {string} source - Provider name
+   * @property {string} capturedAt - ISO timestamp the rates were fetched
+   * @throws {Error} If the provider fails or returns no usable rates
+   */
+  async getRates() {
+    if (this.cached && Date.now() - Date.parse(this.cached.capturedAt) < this.cacheSeconds * 1000) {
+      return this.cached;
+    }
+
+    const fetched = await this.provider.fetchRates();
+
+    const rates = {};
+    for (const currency of FIAT_CURRENCIES) {
+      const rate = Number(fetched?.[currency]);
+      if (Number.isFinite(rate) && rate > 0) {
+        rates[currency] = rate;
+      }
+    }
+
+    if (Object.keys(rates).length === 0) {
+      throw new Error(`No exchange rates available from ${this.provider.name} provider`);
+    }
+
+    this.cached = {
+      rates,
+      source: this.provider.name,
+      capturedAt: new Date().toISOString()
+    };
+    return this.cached;
+  }
+
+  /**
+   * Converts a fiat amount to sats at the current rate.
+   * The returned quote is the rate lock stored with the donation; its
+   * expiry is set to the invoice's.
+   *
+   * @param {Object} params - Quote parameters
+   * @param {string} params.currency - Fiat currency code
+   * @param {number} params.fiatAmount - Amount in fiat units (e.g. 50.00 rand)
+   * @returns {Promise<Object>} Quote
+   * @property {string} currency - Fiat currency code
+   * @property {number} fiatAmount - Amount in fiat units
+   * @property {number} ratePerBtc - Fiat units per BTC used
+   * @property {number} amountSats - Equivalent amount in satoshis (rounded)
+   * @property {string} source - Provider name
+   * @property {string} capturedAt - When the rate was fetched
+   * @throws {Error} If the currency is unsupported or has no rate
+   */
+  async quote({ currency, fiatAmount }) {
+    if (!FIAT_CURRENCIES.includes(currency)) {
+      throw new Error(`Currency must be one of: ${FIAT_CURRENCIES.join(', ')}`);
+    }
+
+    const { rates, source, capturedAt } = await this.getRates();
+    const ratePerBtc = rates[currency];
+    if (!ratePerBtc) {
+      throw new Error(`No exchange rate available for ${currency}`);
+    }
+
+    return {
+      currency,
+      fiatAmount,
+      ratePerBtc,
+      amountSats: Math.round(fiatAmount / ratePerBtc * SATS_PER_BTC),
+      source,
+      capturedAt
+    };
+  }
+}
+
+export default ExchangeRateService;
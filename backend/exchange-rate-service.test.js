@@ -0,0 +1,110 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import ExchangeRateService from './exchange-rate-service.js';
+
+describe('ExchangeRateService', () => {
+  let provider;
+  let service;
+
+  beforeEach(() => {
+    provider = {
+      name: 'stub',
+      calls: 0,
+      rates: { ZAR: 1250000, USD: 68000 },
+      fetchRates: async () => {
+        provider.calls++;
+        return provider.rates;
+      }
+    };
+    service = new ExchangeRateService(provider, { cacheSeconds: 60, lockSeconds: 600 });
+  });
+
+  describe('getRates', () => {
+    test('snapshots rates with their source', async () => {
+      const snapshot = await service.getRates();
+
+      assert.deepStrictEqual(snapshot.rates, { ZAR: 1250000, USD: 68000 });
+      assert.strictEqual(snapshot.source, 'stub');
+      assert.ok(snapshot.capturedAt);
+    });
+
+    test('serves cached rates while fresh', async () => {
+      await service.getRates();
+      await service.getRates();
+
+      assert.strictEqual(provider.calls, 1);
+    });
+
+    test('refetches once the cache is stale', async () => {
+      service = new ExchangeRateService(provider, { cacheSeconds: 0 });
+
+      await service.getRates();
+      await service.getRates();
+
+      assert.strictEqual(provider.calls, 2);
+    });
+
+    test('drops unsupported currencies and unusable rates', async () => {
+      provider.rates = { ZAR: '1250000', USD: -1, EUR: 60000 };
+
+      const { rates } = await service.getRates();
+
+      assert.deepStrictEqual(rates, { ZAR: 1250000 });
+    });
+
+    test('throws when the provider has no usable rates', async () => {
+      provider.rates = {};
+
+      await assert.rejects(
+        async () => {
+          await service.getRates();
+        },
+        {
+          message: 'No exchange rates available from stub provider'
+        }
+      );
+    });
+  });
+
+  describe('quote', () => {
+    test('converts fiat to sats at the current rate', async () => {
+      const quote = await service.quote({ currency: 'ZAR', fiatAmount: 50 });
+
+      assert.strictEqual(quote.amountSats, 4000);
+      assert.strictEqual(quote.ratePerBtc, 1250000);
+      assert.strictEqual(quote.currency, 'ZAR');
+      assert.strictEqual(quote.fiatAmount, 50);
+      assert.strictEqual(quote.source, 'stub');
+    });
+
+    test('rounds to the nearest sat', async () => {
+      const quote = await service.quote({ currency: 'USD', fiatAmount: 0.01 });
+
+      assert.strictEqual(quote.amountSats, 15);
+    });
+
+    test('rejects an unsupported currency', async () => {
+      await assert.rejects(
+        async () => {
+          await service.quote({ currency: 'EUR', fiatAmount: 10 });
+        },
+        {
+          message: 'Currency must be one of: ZAR, USD'
+        }
+      );
+    });
+
+    test('rejects a currency the provider has no rate for', async () => {
+      provider.rates = { USD: 68000 };
+
+      await assert.rejects(
+        async () => {
+          await service.quote({ currency: 'ZAR', fiatAmount: 10 });
+        },
+        {
+          message: 'No exchange rate available for ZAR'
+        }
+      );
+    });
+  });
+});
@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+
+/**
+ * FileRateProvider reads BTC exchange rates from a JSON file.
+ *
+ * The file maps currency codes to fiat units per BTC, e.g.
+ * { "ZAR": 1200000, "USD": 65000 }. It is re-read on every fetch, so an
+ * operator (or a cron job) can update rates without restarting the server.
+ *
+ * Implements the rate provider interface used by ExchangeRateService:
+ * name, fetchRates()
+ */
+class FileRateProvider {
+  /**
+   * Creates a new FileRateProvider instance.
+   *
+   * @param {string} filePath - Path to the rates JSON file
+   */
+  constructor(filePath) {
+    this.name = 'file';
+    this.filePath = filePath;
+  }
+
+  /**
+   * Reads the rates file.
+   *
+   * @returns {Promise<Object>} Fiat units per BTC keyed by currency
+   * @throws {Error} If the file is missing or not valid JSON
+   */
+  async fetchRates() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read rates file ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+export default FileRateProvider;
@@ -0,0 +1,62 @@
+import axios from 'axios';
+
+/**
+ * HttpRateProvider fetches BTC exchange rates from a price API.
+ *
+ * Expects a CoinGecko "simple price" style response:
+ * { "bitcoin": { "zar": 1200000, "usd": 65000 } }
+ *
+ * Implements the rate provider interface used by ExchangeRateService:
+ * name, fetchRates()
+ */
+class HttpRateProvider {
+  /**
+   * Creates a new HttpRateProvider instance.
+   *
+   * @param {Object} options - Provider options
+   * @param {string} options.url - Price API URL
+   * @param {number} [options.timeout=5000] - Request timeout in milliseconds
+   */
+  constructor({ url, timeout = 5000 }) {
+    this.name = 'http';
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Fetch the raw price response
+   * @returns {Promise<Object>} Parsed JSON body
+   * @private
+   */
+  async _fetch() {
+    const response = await axios.get(this.url, { timeout: this.timeout });
+    return response.data;
+  }
+
+  /**
+   * Fetches current rates.
+   *
+   * @returns {Promise<Object>} Fiat units per BTC keyed by currency
+   * @throws {Error} If the request fails or the response has no BTC prices
+   */
+  async fetchRates() {
+    let body;
+    try {
+      body = await this._fetch();
+    } catch (error) {
+      throw new Error(`Failed to fetch exchange rates: ${error.message}`);
+    }
+
+    if (!body || typeof body.bitcoin !== 'object' || body.bitcoin === null) {
+      throw new Error('Unexpected exchange rate response: missing bitcoin prices');
+    }
+
+    const rates = {};
+    for (const [currency, rate] of Object.entries(body.bitcoin)) {
+      rates[currency.toUpperCase()] = rate;
+    }
+    return rates;
+  }
+}
+
+export default HttpRateProvider;
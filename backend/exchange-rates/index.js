@@ -0,0 +1,32 @@
+import StaticRateProvider from './static-rate-provider.js';
+import FileRateProvider from './file-rate-provider.js';
+import HttpRateProvider from './http-rate-provider.js';
+
+/**
+ * Creates the exchange rate provider selected by configuration.
+ *
+ * @param {Object} config - Rate configuration
+ * @param {string} [config.rateProvider='static'] - 'static' | 'file' | 'http'
+ * @param {Object} config.fiatRates - Fiat units per BTC (static provider)
+ * @param {string} config.ratesFilePath - Rates JSON file (file provider)
+ * @param {string} config.ratesUrl - Price API URL (http provider)
+ * @returns {Object} Rate provider
+ * @throws {Error} If the provider is unknown
+ */
+export function createRateProvider(config) {
+  const provider = config.rateProvider || 'static';
+
+  if (provider === 'static') {
+    return new StaticRateProvider(config.fiatRates);
+  }
+
+  if (provider === 'file') {
+    return new FileRateProvider(config.ratesFilePath);
+  }
+
+  if (provider === 'http') {
+    return new HttpRateProvider({ url: config.ratesUrl });
+  }
+
+  throw new Error(`Unknown rate provider: ${provider}`);
+}
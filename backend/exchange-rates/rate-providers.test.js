@@ -0,0 +1,88 @@
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import StaticRateProvider from './static-rate-provider.js';
+import FileRateProvider from './file-rate-provider.js';
+import HttpRateProvider from './http-rate-provider.js';
+import { createRateProvider } from './index.js';
+
+describe('Rate providers', () => {
+  const ratesPath = path.join('backend', 'data', 'test-rates.json');
+
+  afterEach(async () => {
+    await fs.unlink(ratesPath).catch(() => {});
+  });
+
+  test('StaticRateProvider returns the configured rates', async () => {
+    const provider = new StaticRateProvider({ ZAR: 1200000, USD: 65000 });
+
+    assert.deepStrictEqual(await provider.fetchRates(), { ZAR: 1200000, USD: 65000 });
+  });
+
+  test('FileRateProvider re-reads the file on every fetch', async () => {
+    const provider = new FileRateProvider(ratesPath);
+
+    await fs.writeFile(ratesPath, JSON.stringify({ ZAR: 1200000 }));
+    assert.deepStrictEqual(await provider.fetchRates(), { ZAR: 1200000 });
+
+    await fs.writeFile(ratesPath, JSON.stringify({ ZAR: 1300000 }));
+    assert.deepStrictEqual(await provider.fetchRates(), { ZAR: 1300000 });
+  });
+
+  test('FileRateProvider reports a missing file', async () => {
+    const provider = new FileRateProvider(ratesPath);
+
+    await assert.rejects(
+      async () => {
+        await provider.fetchRates();
+      },
+      {
+        message: /^Failed to read rates file/
+      }
+    );
+  });
+
+  test('HttpRateProvider maps a simple price response to currency codes', async () => {
+    const provider = new HttpRateProvider({ url: 'http://rates.invalid' });
+    provider._fetch = async () => ({ bitcoin: { zar: 1200000, usd: 65000 } });
+
+    assert.deepStrictEqual(await provider.fetchRates(), { ZAR: 1200000, USD: 65000 });
+  });
+
+  test('HttpRateProvider wraps request failures', async () => {
+    const provider = new HttpRateProvider({ url: 'http://rates.invalid' });
+    provider._fetch = async () => {
+      throw new Error('timeout of 5000ms exceeded');
+    };
+
+    await assert.rejects(
+      async () => {
+        await provider.fetchRates();
+      },
+      {
+        message: 'Failed to fetch exchange rates: timeout of 5000ms exceeded'
+      }
+    );
+  });
+
+  test('HttpRateProvider rejects an unexpected response', async () => {
+    const provider = new HttpRateProvider({ url: 'http://rates.invalid' });
+    provider._fetch = async () => ({ error: 'rate limited' });
+
+    await assert.rejects(
+      async () => {
+        await provider.fetchRates();
+      },
+      {
+        message: 'Unexpected exchange rate response: missing bitcoin prices'
+      }
+    );
+  });
+
+  test('createRateProvider rejects an unknown provider', () => {
+    assert.throws(() => createRateProvider({ rateProvider: 'oracle' }), {
+      message: 'Unknown rate provider: oracle'
+    });
+  });
+});
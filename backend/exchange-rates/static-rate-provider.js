@@ -0,0 +1,31 @@
+/**
+ * StaticRateProvider serves fixed BTC exchange rates from configuration.
+ *
+ * Suits offline deployments and development. Rates are expressed as fiat
+ * units per 1 BTC.
+ *
+ * Implements the rate provider interface used by ExchangeRateService:
+ * name, fetchRates()
+ */
+class StaticRateProvider {
+  /**
+   * Creates a new StaticRateProvider instance.
+   *
+   * @param {Object} rates - Fiat units per BTC keyed by currency (e.g. { ZAR: 1200000, USD: 65000 })
+   */
+  constructor(rates = {}) {
+    this.name = 'static';
+    this.rates = { ...rates };
+  }
+
+  /**
+   * Returns the configured rates.
+   *
+   * @returns {Promise<Object>} Fiat units per BTC keyed by currency
+   */
+  async fetchRates() {
+    return { ...this.rates };
+  }
+}
+
+export default StaticRateProvider;
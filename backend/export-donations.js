@@ -0,0 +1,56 @@
+// Accounting export of donations, same options as GET /api/exports/donations
+// Usage: npm run export:donations -- --month 2026-06 [--format csv|json]
+//        [--layout flat|double-entry] [--currency ZAR|USD] [--status completed]
+//        [--campaign id] [--from date] [--to date] [--out file]
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import serverConfig from './config/server-config.js';
+import DonationTracker from './donation-tracker.js';
+import CampaignManager from './campaign-manager.js';
+import DonationExporter, { parseExportOptions } from './donation-exporter.js';
+import { createDonationStore } from './storage/index.js';
+
+const { values } = parseArgs({
+    options: {
+        format: { type: 'string' },
+        layout: { type: 'string' },
+        currency: { type: 'string' },
+        month: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        status: { type: 'string' },
+        campaign: { type: 'string' },
+        out: { type: 'string' }
+    }
+});
+
+const { out, ...params } = values;
+const { options, errors } = parseExportOptions(params);
+if (errors) {
+    console.error(`Invalid options:\n  ${errors.join('\n  ')}`);
+    process.exit(1);
+}
+
+const donationTracker = new DonationTracker(await createDonationStore(serverConfig));
+// No default campaigns: an export must never seed the campaigns file
+const campaignManager = new CampaignManager(serverConfig.campaignsFilePath);
+
+try {
+    // Stdout carries the export itself, so skip the load summaries
+    await donationTracker.loadFromDisk({ quiet: true });
+    await campaignManager.loadFromDisk({ quiet: true });
+
+    const { body } = await new DonationExporter(donationTracker, campaignManager).export(options);
+
+    if (out) {
+        await fs.writeFile(out, body, 'utf8');
+        console.error(`Wrote ${out}`);
+    } else {
+        process.stdout.write(body);
+    }
+} catch (error) {
+    console.error('Export failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    await donationTracker.close();
+}
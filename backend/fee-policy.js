@@ -0,0 +1,176 @@
+/**
+ * Routing fees the hub charges on every channel (Requirement 11).
+ */
+export const ZERO_FEE_POLICY = Object.freeze({ baseFeeMtokens: '0', feeRate: 0 });
+
+/**
+ * FeePolicyEnforcer checks that the hub routes donations at zero fees.
+ *
+ * Responsibilities:
+ * - Audit our side's fee policy on every channel, at startup and on a schedule
+ * - Correct drifted channels back to zero fees (unless auto-correct is off)
+ * - Keep the latest audit so operators can see violations and corrections
+ *
+ * Fees can drift when a channel is opened outside the platform or when
+ * someone changes lnd.conf defaults, so the policy is checked rather than
+ * assumed.
+ */
+class FeePolicyEnforcer {
+  /**
+   * Creates a new FeePolicyEnforcer instance.
+   *
+   * @param {LightningClient} lightningClient - LightningClient instance
+   * @param {Object} [options] - Enforcer options
+   * @param {number} [options.interval=900000] - Audit interval in milliseconds
+   * @param {boolean} [options.autoCorrect=true] - Reset drifted channels to zero fees
+   */
+  constructor(lightningClient, options = {}) {
+    this.lightningClient = lightningClient;
+    this.interval = options.interval || 900000;
+    this.autoCorrect = options.autoCorrect !== false;
+
+    this.lastAudit = null;
+    this.timer = null;
+    this.auditing = null;
+    this.auditingCorrects = false;
+  }
+
+  /**
+   * Channels whose fee policy is not zero.
+   *
+   * @param {Array<Object>} policies - Fee policies from LightningClient.listFeePolicies()
+   * @returns {Array<Object>} Violations (channelId, transactionId, transactionVout, baseFeeMtokens, feeRate)
+   */
+  static findViolations(policies) {
+    return policies
+      .filter(p => BigInt(p.baseFeeMtokens || 0) !== 0n || (p.feeRate || 0) !== 0)
+      .map(p => ({
+        channelId: p.id,
+        transactionId: p.transactionId,
+        transactionVout: p.transactionVout,
+        baseFeeMtokens: String(p.baseFeeMtokens),
+        feeRate: p.feeRate
+      }));
+  }
+
+  /**
+   * Starts periodic audits. The first audit runs immediately.
+   */
+  start() {
+    this.stop();
+    this._safeAudit();
+    this.timer = setInterval(() => this._safeAudit(), this.interval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stops periodic audits.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run audit() and log failures (e.g. LND not connected yet)
+   * @private
+   */
+  _safeAudit() {
+    this.audit().catch((error) => {
+      console.error('Fee policy audit failed:', error.message);
+    });
+  }
+
+  /**
+   * Checks every channel's fee policy and, when correcting, resets violations
+   * to zero fees. Concurrent calls share one audit, except that a correcting
+   * call never settles for a read-only audit already running.
+   *
+   * @param {Object} [options] - Audit options
+   * @param {boolean} [options.correct=this.autoCorrect] - Correct violations found
+   * @returns {Promise<Object>} Audit result
+   * @property {string} checkedAt - When the audit ran (ISO 8601)
+   * @property {number} channelCount - Channels checked
+   * @property {boolean} compliant - True if every channel now charges zero fees
+   * @property {Array<Object>} violations - Channels found charging fees, each with
+   *   corrected (boolean) and error (string|null) from the correction attempt
+   * @throws {Error} If the policies cannot be read
+   */
+  async audit({ correct = this.autoCorrect } = {}) {
+    if (this.auditing && (this.auditingCorrects || !correct)) {
+      return this.auditing;
+    }
+
+    const previous = this.auditing || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this._audit(correct));
+    const tracked = run.finally(() => {
+      if (this.auditing === tracked) {
+        this.auditing = null;
+      }
+    });
+    this.auditing = tracked;
+    this.auditingCorrects = correct;
+    return tracked;
+  }
+
+  /**
+   * Run one audit
+   * @param {boolean} correct - Correct violations found
+   * @returns {Promise<Object>} Audit result
+   * @private
+   */
+  async _audit(correct) {
+    const policies = await this.lightningClient.listFeePolicies();
+    const violations = FeePolicyEnforcer.findViolations(policies);
+
+    for (const violation of violations) {
+      violation.corrected = false;
+      violation.error = null;
+      if (!correct) {
+        continue;
+      }
+
+      try {
+        await this.lightningClient.updateChannelFees(
+          { id: violation.channelId, transactionId: violation.transactionId, transactionVout: violation.transactionVout },
+          ZERO_FEE_POLICY
+        );
+        violation.corrected = true;
+        console.warn(`Channel ${violation.channelId} charged ${violation.baseFeeMtokens} msat + ${violation.feeRate} ppm; reset to zero fees`);
+      } catch (error) {
+        violation.error = error.message;
+        console.error(`Could not reset fees on channel ${violation.channelId}:`, error.message);
+      }
+    }
+
+    if (violations.some(v => !v.corrected)) {
+      console.warn(`Fee policy: ${violations.filter(v => !v.corrected).length} of ${policies.length} channels charge routing fees`);
+    }
+
+    this.lastAudit = {
+      checkedAt: new Date().toISOString(),
+      channelCount: policies.length,
+      compliant: violations.every(v => v.corrected),
+      violations
+    };
+    return this.lastAudit;
+  }
+
+  /**
+   * Policy, settings and latest audit, for operators.
+   *
+   * @returns {Object} Status (policy, autoCorrect, interval, lastAudit)
+   */
+  getStatus() {
+    return {
+      policy: ZERO_FEE_POLICY,
+      autoCorrect: this.autoCorrect,
+      interval: this.interval,
+      lastAudit: this.lastAudit
+    };
+  }
+}
+
+export default FeePolicyEnforcer;
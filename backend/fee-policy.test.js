@@ -0,0 +1,105 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import FeePolicyEnforcer, { ZERO_FEE_POLICY } from './fee-policy.js';
+
+describe('FeePolicyEnforcer', () => {
+  let policies;
+  let lightningClient;
+
+  const policy = (id, baseFeeMtokens, feeRate) => ({
+    id,
+    transactionId: id.replace(/x/g, '').padStart(64, '0'),
+    transactionVout: 0,
+    baseFeeMtokens,
+    feeRate
+  });
+
+  beforeEach(() => {
+    policies = [policy('1x1x0', '0', 0), policy('2x1x0', '1000', 0), policy('3x1x0', '0', 1)];
+    lightningClient = {
+      updates: [],
+      listFeePolicies: async () => policies.map(p => ({ ...p })),
+      updateChannelFees: async (channel, fees) => {
+        lightningClient.updates.push({ channel, fees });
+        const target = policies.find(p => p.id === channel.id);
+        Object.assign(target, fees);
+      }
+    };
+  });
+
+  test('findViolations() flags any non-zero base fee or fee rate', () => {
+    const violations = FeePolicyEnforcer.findViolations(policies);
+
+    assert.deepStrictEqual(violations.map(v => v.channelId), ['2x1x0', '3x1x0']);
+    assert.strictEqual(violations[0].baseFeeMtokens, '1000');
+    assert.strictEqual(violations[1].feeRate, 1);
+  });
+
+  test('audit() resets drifted channels to zero fees', async () => {
+    const enforcer = new FeePolicyEnforcer(lightningClient);
+
+    const audit = await enforcer.audit();
+
+    assert.strictEqual(audit.channelCount, 3);
+    assert.strictEqual(audit.compliant, true);
+    assert.deepStrictEqual(audit.violations.map(v => [v.channelId, v.corrected]), [['2x1x0', true], ['3x1x0', true]]);
+    assert.deepStrictEqual(lightningClient.updates.map(u => u.fees), [ZERO_FEE_POLICY, ZERO_FEE_POLICY]);
+    assert.strictEqual(lightningClient.updates[0].channel.transactionId, policies[1].transactionId);
+    assert.strictEqual(FeePolicyEnforcer.findViolations(policies).length, 0);
+  });
+
+  test('audit() only reports violations when auto-correct is off', async () => {
+    const enforcer = new FeePolicyEnforcer(lightningClient, { autoCorrect: false });
+
+    const audit = await enforcer.audit();
+
+    assert.strictEqual(audit.compliant, false);
+    assert.strictEqual(audit.violations.length, 2);
+    assert.strictEqual(lightningClient.updates.length, 0);
+    assert.strictEqual(enforcer.getStatus().lastAudit, audit);
+
+    const enforced = await enforcer.audit({ correct: true });
+    assert.strictEqual(enforced.compliant, true);
+  });
+
+  test('audit() records channels it could not correct', async () => {
+    lightningClient.updateChannelFees = async (channel) => {
+      if (channel.id === '3x1x0') {
+        throw new Error('Failed to update fees on channel 3x1x0: channel is pending');
+      }
+    };
+    const enforcer = new FeePolicyEnforcer(lightningClient);
+
+    const audit = await enforcer.audit();
+
+    assert.strictEqual(audit.compliant, false);
+    const failed = audit.violations.find(v => v.channelId === '3x1x0');
+    assert.strictEqual(failed.corrected, false);
+    assert.match(failed.error, /pending/);
+  });
+
+  test('concurrent audits share one pass over the channels', async () => {
+    let reads = 0;
+    const list = lightningClient.listFeePolicies;
+    lightningClient.listFeePolicies = async () => {
+      reads++;
+      return list();
+    };
+    const enforcer = new FeePolicyEnforcer(lightningClient);
+
+    const [first, second] = await Promise.all([enforcer.audit(), enforcer.audit()]);
+
+    assert.strictEqual(first, second);
+    assert.strictEqual(reads, 1);
+  });
+
+  test('a correcting audit does not settle for a read-only one in progress', async () => {
+    const enforcer = new FeePolicyEnforcer(lightningClient, { autoCorrect: false });
+
+    const [readOnly, enforced] = await Promise.all([enforcer.audit(), enforcer.audit({ correct: true })]);
+
+    assert.strictEqual(readOnly.compliant, false);
+    assert.strictEqual(enforced.compliant, true);
+    assert.strictEqual(lightningClient.updates.length, 2);
+  });
+});
@@ -1,4 +1,19 @@
-import { createInvoice, getInvoice, parsePaymentRequest } from 'ln-service';
+import crypto from 'crypto';
+import {
+  cancelHodlInvoice,
+  createHodlInvoice,
+  createInvoice,
+  getInvoice,
+  parsePaymentRequest,
+  settleHodlInvoice
+} from 'ln-service';
+import QRCode from 'qrcode';
+
+/**
+ * What to do when an invoice is larger than the node can receive:
+ * refuse it, issue it with a warning, or skip the check.
+ */
+export const INBOUND_GUARD_MODES = ['reject', 'warn', 'off'];
 
 /**
  * InvoiceGenerator handles creation and management of Lightning invoices
@@ -8,9 +23,23 @@ class InvoiceGenerator {
   /**
    * Create a new Invoice Generator
    * @param {Object} lightningClient - LightningClient instance
+   * @param {Object} [options] - Generator options
+   * @param {string} [options.inboundGuard='reject'] - One of INBOUND_GUARD_MODES
+   * @param {number} [options.lowInboundThreshold=500000] - Receivable sats below which
+   *   inbound liquidity is reported as low
+   * @param {boolean} [options.routeHints=false] - Add route hints through private channels
+   * @param {number} [options.maxRouteHints=3] - Most route hints per invoice
    */
-  constructor(lightningClient) {
+  constructor(lightningClient, options = {}) {
     this.lightningClient = lightningClient;
+    this.inboundGuard = options.inboundGuard || 'reject';
+    this.lowInboundThreshold = options.lowInboundThreshold ?? 500000;
+    this.routeHints = Boolean(options.routeHints);
+    this.maxRouteHints = options.maxRouteHints ?? 3;
+
+    if (!INBOUND_GUARD_MODES.includes(this.inboundGuard)) {
+      throw new Error(`inboundGuard must be one of: ${INBOUND_GUARD_MODES.join(', ')}`);
+    }
   }
 
   /**
@@ -18,36 +47,34 @@ class InvoiceGenerator {
    * @param {Object} params - Invoice parameters
    * @param {number} params.amount - Amount in satoshis (minimum 1)
    * @param {string} params.description - Invoice description
+   * @param {string} [params.descriptionHash] - SHA256 of the description (hex); when set the
+   *   invoice commits to the hash instead of carrying the description (LNURL-pay)
    * @param {number} [params.expirySeconds=3600] - Expiry time in seconds (default 1 hour)
    * @returns {Promise<Object>} Invoice details
    * @property {string} paymentRequest - BOLT11 invoice string
    * @property {string} paymentHash - Payment hash (hex)
    * @property {Date} expiresAt - Expiration timestamp
-   * @throws {Error} If amount is invalid or invoice creation fails
+   * @property {string|null} liquidityWarning - Set when the node may not be able to
+   *   receive the amount (inboundGuard 'warn')
+   * @property {Array<Object>} routeHints - Private channels hinted in the invoice
+   *   (channelId, peerPublicKey); empty when route hints are off or none qualify
+   * @throws {Error} If amount is invalid or invoice creation fails; with code
+   *   'InsufficientInboundLiquidity' (and error.available) when the node cannot
+   *   receive the amount (inboundGuard 'reject')
    */
   async generateInvoice(params) {
-    const { amount, description, expirySeconds = 3600 } = params;
-
-    // Validate amount >= 1 satoshi
-    if (!amount || amount < 1) {
-      throw new Error('Amount must be at least 1 satoshi');
-    }
+    const { amount, description, descriptionHash, expirySeconds = 3600 } = params;
 
-    // Validate amount is an integer
-    if (!Number.isInteger(amount)) {
-      throw new Error('Amount must be an integer');
-    }
-
-    // Validate description is provided
-    if (!description || typeof description !== 'string' || description.trim() === '') {
-      throw new Error('Description must be a non-empty string');
-    }
+    this._validateInvoiceParams(params);
 
     // Ensure LND is connected
     if (!this.lightningClient.lnd) {
       throw new Error('LND not connected. Call connect() first.');
     }
 
+    const liquidityWarning = await this._checkInboundLiquidity(amount);
+    const routeHints = await this._buildRouteHints(amount);
+
     try {
       // Calculate expiration time
       const expiresAt = new Date(Date.now() + expirySeconds * 1000);
@@ -56,20 +83,279 @@ class InvoiceGenerator {
       const invoice = await createInvoice({
         lnd: this.lightningClient.lnd,
         tokens: amount,
-        description: description,
+        ...(descriptionHash ? { description_hash: descriptionHash } : { description }),
+        ...(routeHints.length > 0 ? { routes: routeHints.map(hint => hint.route) } : {}),
         expires_at: expiresAt.toISOString()
       });
 
       return {
         paymentRequest: invoice.request,
         paymentHash: invoice.id,
-        expiresAt: expiresAt
+        expiresAt: expiresAt,
+        liquidityWarning,
+        routeHints: routeHints.map(({ channelId, peerPublicKey }) => ({ channelId, peerPublicKey }))
       };
     } catch (error) {
       throw new Error(`Failed to create invoice: ${error.message}`);
     }
   }
 
+  /**
+   * Generate a hold invoice for a pledge
+   * Paying it locks the donor's HTLC without settling: nothing is collected
+   * until settleHoldInvoice() is called with the returned preimage, and
+   * cancelHoldInvoice() returns the funds. The HTLC must be settled or
+   * cancelled before its CLTV timeout (see getHoldInvoiceState()).
+   * @param {Object} params - Invoice parameters
+   * @param {number} params.amount - Amount in satoshis (minimum 1)
+   * @param {string} params.description - Invoice description
+   * @param {number} [params.expirySeconds=600] - Time the donor has to pay
+   * @param {number} [params.cltvDelta] - Final CLTV delta, which bounds how long the HTLC can be held
+   * @returns {Promise<Object>} Invoice details, as generateInvoice() plus
+   * @property {string} preimage - Secret that settles the invoice (hex); keep it private
+   * @throws {Error} As generateInvoice()
+   */
+  async generateHoldInvoice(params) {
+    const { amount, description, expirySeconds = 600, cltvDelta } = params;
+
+    this._validateInvoiceParams(params);
+
+    if (!this.lightningClient.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    const liquidityWarning = await this._checkInboundLiquidity(amount);
+    const routeHints = await this._buildRouteHints(amount);
+
+    const preimage = crypto.randomBytes(32).toString('hex');
+    const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+
+    try {
+      const expiresAt = new Date(Date.now() + expirySeconds * 1000);
+
+      const invoice = await createHodlInvoice({
+        lnd: this.lightningClient.lnd,
+        id: paymentHash,
+        tokens: amount,
+        description,
+        ...(cltvDelta ? { cltv_delta: cltvDelta } : {}),
+        ...(routeHints.length > 0 ? { routes: routeHints.map(hint => hint.route) } : {}),
+        expires_at: expiresAt.toISOString()
+      });
+
+      return {
+        paymentRequest: invoice.request,
+        paymentHash,
+        preimage,
+        expiresAt,
+        liquidityWarning,
+        routeHints: routeHints.map(({ channelId, peerPublicKey }) => ({ channelId, peerPublicKey }))
+      };
+    } catch (error) {
+      throw new Error(`Failed to create hold invoice: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collect a held payment
+   * @param {string} preimage - Preimage returned by generateHoldInvoice() (hex)
+   * @returns {Promise<void>}
+   * @throws {Error} If LND is not connected or the invoice cannot be settled
+   */
+  async settleHoldInvoice(preimage) {
+    if (!this.lightningClient.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    try {
+      await settleHodlInvoice({ lnd: this.lightningClient.lnd, secret: preimage });
+    } catch (error) {
+      throw new Error(`Failed to settle hold invoice: ${Array.isArray(error) ? error[1] : error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a hold invoice, returning any held payment to the donor
+   * @param {string} paymentHash - Payment hash (hex)
+   * @returns {Promise<void>}
+   * @throws {Error} If LND is not connected or the invoice cannot be cancelled
+   */
+  async cancelHoldInvoice(paymentHash) {
+    if (!this.lightningClient.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    try {
+      await cancelHodlInvoice({ lnd: this.lightningClient.lnd, id: paymentHash });
+    } catch (error) {
+      throw new Error(`Failed to cancel hold invoice: ${Array.isArray(error) ? error[1] : error.message}`);
+    }
+  }
+
+  /**
+   * Check a hold invoice's state
+   * @param {string} paymentHash - Payment hash (hex)
+   * @returns {Promise<Object>} Hold invoice state
+   * @property {boolean} isHeld - A payment is locked and waiting to be settled or cancelled
+   * @property {boolean} isConfirmed - The invoice has been settled
+   * @property {boolean} isCanceled - The invoice has been cancelled
+   * @property {Date} expiresAt - When the invoice stops accepting payment
+   * @property {number|null} timeoutHeight - Lowest CLTV timeout of the held HTLCs; the
+   *   invoice must be settled or cancelled before this block height
+   * @property {Date|null} heldAt - When LND accepted the first held HTLC
+   * @throws {Error} If LND is not connected or lookup fails
+   */
+  async getHoldInvoiceState(paymentHash) {
+    if (!this.lightningClient.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    try {
+      const invoice = await getInvoice({ lnd: this.lightningClient.lnd, id: paymentHash });
+      const held = invoice.payments.filter(payment => payment.is_held);
+      const timeouts = held.map(payment => payment.timeout);
+      const acceptedAt = held.map(payment => Date.parse(payment.created_at));
+
+      return {
+        isHeld: Boolean(invoice.is_held),
+        isConfirmed: invoice.is_confirmed,
+        isCanceled: Boolean(invoice.is_canceled),
+        expiresAt: new Date(invoice.expires_at),
+        timeoutHeight: timeouts.length > 0 ? Math.min(...timeouts) : null,
+        heldAt: acceptedAt.length > 0 ? new Date(Math.min(...acceptedAt)) : null
+      };
+    } catch (error) {
+      throw new Error(`Failed to check hold invoice: ${Array.isArray(error) ? error[1] : error.message}`);
+    }
+  }
+
+  /**
+   * Validate amount and description for a new invoice
+   * @param {Object} params - Invoice parameters
+   * @throws {Error} If a parameter is invalid
+   * @private
+   */
+  _validateInvoiceParams({ amount, description, descriptionHash }) {
+    // Validate amount >= 1 satoshi
+    if (!amount || amount < 1) {
+      throw new Error('Amount must be at least 1 satoshi');
+    }
+
+    // Validate amount is an integer
+    if (!Number.isInteger(amount)) {
+      throw new Error('Amount must be an integer');
+    }
+
+    // Validate description is provided
+    if (!description || typeof description !== 'string' || description.trim() === '') {
+      throw new Error('Description must be a non-empty string');
+    }
+
+    if (descriptionHash !== undefined && !/^[0-9a-f]{64}$/.test(descriptionHash)) {
+      throw new Error('Description hash must be 64 hex characters');
+    }
+  }
+
+  /**
+   * Inbound liquidity with a low-liquidity flag, for the node status endpoint
+   * @returns {Promise<Object>} LightningClient.getInboundLiquidity() plus lowThreshold and low
+   * @throws {Error} If LND is not connected or liquidity cannot be read
+   */
+  async getInboundLiquidityStatus() {
+    const liquidity = await this.lightningClient.getInboundLiquidity();
+
+    return {
+      ...liquidity,
+      lowThreshold: this.lowInboundThreshold,
+      low: liquidity.available < this.lowInboundThreshold
+    };
+  }
+
+  /**
+   * Route hints for an invoice, if enabled
+   * An invoice without hints is still payable over public channels, so a
+   * failure here is logged rather than thrown.
+   * @param {number} amount - Invoice amount in satoshis
+   * @returns {Promise<Array<Object>>} Hints from LightningClient.getPrivateRouteHints()
+   * @private
+   */
+  async _buildRouteHints(amount) {
+    if (!this.routeHints) {
+      return [];
+    }
+
+    try {
+      return await this.lightningClient.getPrivateRouteHints(amount, { maxHints: this.maxRouteHints });
+    } catch (error) {
+      console.warn('Could not build route hints:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Check the node can receive an amount before invoicing it
+   * A donor paying an invoice we can't receive only sees an opaque route
+   * failure, so we refuse (or flag) it up front. If liquidity can't be read
+   * the invoice is issued anyway.
+   * @param {number} amount - Invoice amount in satoshis
+   * @returns {Promise<string|null>} Warning when the amount may not be receivable
+   * @throws {Error} With code 'InsufficientInboundLiquidity' in 'reject' mode
+   * @private
+   */
+  async _checkInboundLiquidity(amount) {
+    if (this.inboundGuard === 'off') {
+      return null;
+    }
+
+    let liquidity;
+    try {
+      liquidity = await this.lightningClient.getInboundLiquidity();
+    } catch (error) {
+      console.warn('Could not check inbound liquidity:', error.message);
+      return null;
+    }
+
+    if (amount <= liquidity.available) {
+      return null;
+    }
+
+    const message = `The node can receive at most ${liquidity.available} sats right now`;
+    if (this.inboundGuard === 'reject') {
+      const error = new Error(`Insufficient inbound liquidity for ${amount} sats: ${message}`);
+      error.code = 'InsufficientInboundLiquidity';
+      error.available = liquidity.available;
+      throw error;
+    }
+
+    console.warn(`Invoicing ${amount} sats with low inbound liquidity: ${message}`);
+    return message;
+  }
+
+  /**
+   * Render a BOLT11 payment request as a PNG QR code
+   * @param {string} paymentRequest - BOLT11 invoice string
+   * @returns {Promise<string>} Base64-encoded PNG image (no data URI prefix)
+   * @throws {Error} If the payment request is missing or rendering fails
+   */
+  async generateQrCode(paymentRequest) {
+    if (!paymentRequest || typeof paymentRequest !== 'string') {
+      throw new Error('Payment request must be a non-empty string');
+    }
+
+    try {
+      const png = await QRCode.toBuffer(paymentRequest, {
+        type: 'png',
+        errorCorrectionLevel: 'L',
+        scale: 10,
+        margin: 4
+      });
+
+      return png.toString('base64');
+    } catch (error) {
+      throw new Error(`Failed to generate QR code: ${error.message}`);
+    }
+  }
+
   /**
    * Check the status of an invoice by payment hash
    * @param {string} paymentHash - Payment hash (hex)
@@ -123,6 +409,8 @@ class InvoiceGenerator {
    * @property {number} amount - Amount in satoshis
    * @property {string} destination - Destination node public key
    * @property {string} description - Invoice description
+   * @property {Date} expiresAt - Expiration timestamp
+   * @property {boolean} isExpired - Whether the invoice has already expired
    * @throws {Error} If invoice decoding fails
    */
   async decodeInvoice(paymentRequest) {
@@ -135,7 +423,9 @@ class InvoiceGenerator {
         paymentHash: decoded.id,
         amount: decoded.tokens,
         destination: decoded.destination,
-        description: decoded.description
+        description: decoded.description,
+        expiresAt: new Date(decoded.expires_at),
+        isExpired: decoded.is_expired
       };
     } catch (error) {
       throw new Error(`Failed to decode invoice: ${error.message}`);
@@ -119,6 +119,22 @@ describe('InvoiceGenerator', () => {
       );
     });
 
+    test('rejects a malformed description hash', async () => {
+      setup();
+      await assert.rejects(
+        async () => {
+          await invoiceGenerator.generateInvoice({
+            amount: 1000,
+            description: 'Test',
+            descriptionHash: 'not-a-hash'
+          });
+        },
+        {
+          message: 'Description hash must be 64 hex characters'
+        }
+      );
+    });
+
     test('throws error when LND is not connected', async () => {
       setup();
       mockLightningClient.lnd = null;
@@ -137,6 +153,101 @@ describe('InvoiceGenerator', () => {
     });
   });
 
+  describe('generateInvoice - inbound liquidity guard', () => {
+    const liquidity = { remoteBalance: 150000, pendingInvoiceAmount: 50000, available: 100000, activeChannels: 2 };
+
+    test('rejects an amount larger than the node can receive', async () => {
+      setup();
+      mockLightningClient.getInboundLiquidity = async () => liquidity;
+
+      await assert.rejects(
+        async () => {
+          await invoiceGenerator.generateInvoice({ amount: 5000000, description: 'Test' });
+        },
+        (error) => {
+          assert.strictEqual(error.code, 'InsufficientInboundLiquidity');
+          assert.strictEqual(error.available, 100000);
+          return true;
+        }
+      );
+    });
+
+    test('warns instead of rejecting in warn mode', async () => {
+      setup();
+      mockLightningClient.getInboundLiquidity = async () => liquidity;
+      invoiceGenerator = new InvoiceGenerator(mockLightningClient, { inboundGuard: 'warn' });
+
+      assert.match(await invoiceGenerator._checkInboundLiquidity(5000000), /at most 100000 sats/);
+      assert.strictEqual(await invoiceGenerator._checkInboundLiquidity(100000), null);
+    });
+
+    test('skips the check when liquidity cannot be read or the guard is off', async () => {
+      setup();
+      let checked = 0;
+      mockLightningClient.getInboundLiquidity = async () => {
+        checked++;
+        throw new Error('Failed to list channels: timeout');
+      };
+
+      assert.strictEqual(await invoiceGenerator._checkInboundLiquidity(5000000), null);
+
+      invoiceGenerator = new InvoiceGenerator(mockLightningClient, { inboundGuard: 'off' });
+      assert.strictEqual(await invoiceGenerator._checkInboundLiquidity(5000000), null);
+      assert.strictEqual(checked, 1);
+    });
+
+    test('flags low inbound liquidity for node status', async () => {
+      setup();
+      mockLightningClient.getInboundLiquidity = async () => liquidity;
+      invoiceGenerator = new InvoiceGenerator(mockLightningClient, { lowInboundThreshold: 200000 });
+
+      const status = await invoiceGenerator.getInboundLiquidityStatus();
+
+      assert.strictEqual(status.available, 100000);
+      assert.strictEqual(status.lowThreshold, 200000);
+      assert.strictEqual(status.low, true);
+    });
+
+    test('rejects an unknown guard mode', () => {
+      assert.throws(() => new InvoiceGenerator({}, { inboundGuard: 'maybe' }), /inboundGuard must be one of/);
+    });
+  });
+
+  describe('generateInvoice - route hints', () => {
+    test('adds no hints unless enabled', async () => {
+      setup();
+      mockLightningClient.getPrivateRouteHints = async () => {
+        throw new Error('should not be called');
+      };
+
+      assert.deepStrictEqual(await invoiceGenerator._buildRouteHints(1000), []);
+    });
+
+    test('asks for hints covering the amount, up to the configured maximum', async () => {
+      setup();
+      const calls = [];
+      const hint = { channelId: '700000x1x0', peerPublicKey: '03' + 'c'.repeat(64), route: [] };
+      mockLightningClient.getPrivateRouteHints = async (amount, options) => {
+        calls.push({ amount, ...options });
+        return [hint];
+      };
+      invoiceGenerator = new InvoiceGenerator(mockLightningClient, { routeHints: true, maxRouteHints: 2 });
+
+      assert.deepStrictEqual(await invoiceGenerator._buildRouteHints(25000), [hint]);
+      assert.deepStrictEqual(calls, [{ amount: 25000, maxHints: 2 }]);
+    });
+
+    test('issues the invoice without hints when they cannot be built', async () => {
+      setup();
+      mockLightningClient.getPrivateRouteHints = async () => {
+        throw new Error('Failed to build route hints: timeout');
+      };
+      invoiceGenerator = new InvoiceGenerator(mockLightningClient, { routeHints: true });
+
+      assert.deepStrictEqual(await invoiceGenerator._buildRouteHints(25000), []);
+    });
+  });
+
   describe('checkInvoiceStatus - validation', () => {
     test('throws error when LND is not connected', async () => {
       setup();
@@ -216,6 +327,31 @@ describe('InvoiceGenerator', () => {
     });
   });
 
+  describe('generateQrCode', () => {
+    test('returns a base64-encoded PNG for a payment request', async () => {
+      setup();
+
+      const qr = await invoiceGenerator.generateQrCode('lnbcrt10u1pexample');
+      const png = Buffer.from(qr, 'base64');
+
+      // PNG signature: 0x89 'P' 'N' 'G'
+      assert.strictEqual(png.subarray(1, 4).toString('ascii'), 'PNG');
+      assert.ok(!qr.startsWith('data:'));
+    });
+
+    test('rejects an empty payment request', async () => {
+      setup();
+      await assert.rejects(
+        async () => {
+          await invoiceGenerator.generateQrCode('');
+        },
+        {
+          message: 'Payment request must be a non-empty string'
+        }
+      );
+    });
+  });
+
   describe('constructor', () => {
     test('creates instance with lightning client', () => {
       setup();
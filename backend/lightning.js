@@ -1,5 +1,19 @@
 import fs from 'fs';
-import { authenticatedLndGrpc, getWalletInfo, getChannels } from 'ln-service';
+import {
+  authenticatedLndGrpc,
+  closeChannel,
+  getChannel,
+  getChannels,
+  getFeeRates,
+  getInvoices,
+  getPendingChannels,
+  getWalletInfo,
+  openChannel,
+  pay,
+  signMessage,
+  updateRoutingFees,
+  verifyMessage
+} from 'ln-service';
 
 /**
  * LightningClient provides a clean abstraction over LND's gRPC API
@@ -12,12 +26,16 @@ class LightningClient {
    * @param {string} config.lndSocket - LND socket address (e.g., 'localhost:10009')
    * @param {string} config.tlsCertPath - Path to TLS certificate file
    * @param {string} config.macaroonPath - Path to macaroon file
+   * @param {number} [config.liquidityCacheMs=5000] - How long getInboundLiquidity() reuses a reading
    */
   constructor(config) {
     this.lndSocket = config.lndSocket;
     this.tlsCertPath = config.tlsCertPath;
     this.macaroonPath = config.macaroonPath;
+    this.liquidityCacheMs = config.liquidityCacheMs ?? 5000;
     this.lnd = null;
+    // Latest inbound liquidity reading: { promise, expiresAt }
+    this.liquidityCache = null;
   }
 
   /**
@@ -114,6 +132,7 @@ class LightningClient {
    * @property {number} numChannels - Total number of channels
    * @property {number} numActiveChannels - Number of active channels
    * @property {boolean} synced - Blockchain sync status
+   * @property {number} blockHeight - Current best block height
    * @throws {Error} If LND is not connected or query fails
    */
   async getNodeInfo() {
@@ -129,7 +148,8 @@ class LightningClient {
         alias: walletInfo.alias,
         numChannels: walletInfo.active_channels_count + walletInfo.pending_channels_count,
         numActiveChannels: walletInfo.active_channels_count,
-        synced: walletInfo.is_synced_to_chain
+        synced: walletInfo.is_synced_to_chain,
+        blockHeight: walletInfo.current_block_height
       };
     } catch (error) {
       throw new Error(`Failed to get node info: ${error.message}`);
@@ -147,6 +167,9 @@ class LightningClient {
    * @property {string} remotePubkey - Remote node public key
    * @property {number} baseFee - Base fee in millisatoshis
    * @property {number} feeRate - Fee rate in parts per million
+   * @property {boolean} isPrivate - Channel is not announced to the network
+   * @property {string} transactionId - Funding transaction id
+   * @property {number} transactionVout - Funding transaction output index
    * @throws {Error} If LND is not connected or query fails
    */
   async listChannels() {
@@ -155,7 +178,12 @@ class LightningClient {
     }
 
     try {
-      const { channels } = await getChannels({ lnd: this.lnd });
+      // getChannels has no fee fields; our side's policy comes from getFeeRates
+      const [{ channels }, policies] = await Promise.all([
+        getChannels({ lnd: this.lnd }),
+        this.listFeePolicies()
+      ]);
+      const policyById = new Map(policies.map(policy => [policy.id, policy]));
 
       return channels.map(channel => ({
         id: channel.id,
@@ -164,14 +192,472 @@ class LightningClient {
         remoteBalance: channel.remote_balance,
         isActive: channel.is_active,
         remotePubkey: channel.partner_public_key,
-        baseFee: channel.local_base_fee_mtokens ? parseInt(channel.local_base_fee_mtokens) / 1000 : 0,
-        feeRate: channel.local_fee_rate || 0
+        baseFee: Number(policyById.get(channel.id)?.baseFeeMtokens || 0) / 1000,
+        feeRate: policyById.get(channel.id)?.feeRate || 0,
+        isPrivate: Boolean(channel.is_private),
+        transactionId: channel.transaction_id,
+        transactionVout: channel.transaction_vout
       }));
     } catch (error) {
       throw new Error(`Failed to list channels: ${error.message}`);
     }
   }
 
+  /**
+   * List channels that are waiting to open or to finish closing
+   * @returns {Promise<Array<Object>>} Array of pending channel objects
+   * @property {string} state - 'pending_open' or 'pending_close'
+   * @property {string} transactionId - Funding transaction id
+   * @property {number} transactionVout - Funding transaction output index
+   * @property {string|null} closingTransactionId - Closing transaction id (pending_close only)
+   * @property {number} capacity - Total capacity in satoshis
+   * @property {number} localBalance - Local balance in satoshis
+   * @property {number} remoteBalance - Remote balance in satoshis
+   * @property {string} remotePubkey - Remote node public key
+   * @property {number|null} timelockBlocks - Blocks until force-closed funds are spendable
+   * @throws {Error} If LND is not connected or query fails
+   */
+  async listPendingChannels() {
+    if (!this.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    try {
+      const { pending_channels } = await getPendingChannels({ lnd: this.lnd });
+
+      return pending_channels.map(channel => ({
+        state: channel.is_opening ? 'pending_open' : 'pending_close',
+        transactionId: channel.transaction_id,
+        transactionVout: channel.transaction_vout,
+        closingTransactionId: channel.close_transaction_id || null,
+        capacity: channel.capacity,
+        localBalance: channel.local_balance,
+        remoteBalance: channel.remote_balance,
+        remotePubkey: channel.partner_public_key,
+        timelockBlocks: channel.timelock_blocks ?? null
+      }));
+    } catch (error) {
+      throw new Error(`Failed to list pending channels: ${error.message}`);
+    }
+  }
+
+  /**
+   * How much the node can receive right now
+   * Inbound capacity is the remote balance of active channels. Open invoices
+   * that haven't been paid yet will use some of it, so their amounts are
+   * subtracted; held invoices already lock their HTLCs and are not.
+   * Listing open invoices pages through LND, so a reading is reused for
+   * liquidityCacheMs and concurrent callers share the one in flight.
+   * @returns {Promise<Object>} Inbound liquidity
+   * @property {number} remoteBalance - Remote balance of active channels in satoshis
+   * @property {number} pendingInvoiceAmount - Unpaid, unexpired invoice amounts in satoshis
+   * @property {number} available - Satoshis still receivable (never negative)
+   * @property {number} activeChannels - Number of active channels
+   * @throws {Error} If LND is not connected or query fails
+   */
+  async getInboundLiquidity() {
+    if (!this.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    if (this.liquidityCache && this.liquidityCache.expiresAt > Date.now()) {
+      return this.liquidityCache.promise;
+    }
+
+    const cache = { promise: this._readInboundLiquidity(), expiresAt: Infinity };
+    this.liquidityCache = cache;
+    try {
+      const liquidity = await cache.promise;
+      cache.expiresAt = Date.now() + this.liquidityCacheMs;
+      return liquidity;
+    } catch (error) {
+      // Don't keep serving a failed reading
+      if (this.liquidityCache === cache) {
+        this.liquidityCache = null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read inbound liquidity from LND
+   * @returns {Promise<Object>} See getInboundLiquidity()
+   * @private
+   */
+  async _readInboundLiquidity() {
+    const active = (await this.listChannels()).filter(channel => channel.isActive);
+    const remoteBalance = active.reduce((sum, channel) => sum + channel.remoteBalance, 0);
+
+    let pendingInvoiceAmount = 0;
+    try {
+      const now = Date.now();
+      let token;
+      do {
+        // The filter is not carried by the paging token, so repeat it on every page
+        const page = token
+          ? await getInvoices({ lnd: this.lnd, is_unconfirmed: true, token })
+          : await getInvoices({ lnd: this.lnd, is_unconfirmed: true, limit: 100 });
+
+        for (const invoice of page.invoices) {
+          if (!invoice.is_confirmed && !invoice.is_canceled && !invoice.is_held && Date.parse(invoice.expires_at) > now) {
+            pendingInvoiceAmount += invoice.tokens;
+          }
+        }
+        token = page.next;
+      } while (token);
+    } catch (error) {
+      throw this._wrapLndError('Failed to list pending invoices', error);
+    }
+
+    return {
+      remoteBalance,
+      pendingInvoiceAmount,
+      available: Math.max(0, remoteBalance - pendingInvoiceAmount),
+      activeChannels: active.length
+    };
+  }
+
+  /**
+   * Build invoice route hints through private channels
+   * Private channels aren't announced, so a payer can only find a route over
+   * them from a hint. Only active private channels whose peer could send the
+   * whole amount are used, largest remote balance first.
+   * @param {number} amount - Invoice amount in satoshis
+   * @param {Object} [options] - Hint options
+   * @param {number} [options.maxHints=3] - Most hints to return
+   * @returns {Promise<Array<Object>>} Route hints
+   * @property {string} channelId - Private channel ID
+   * @property {string} peerPublicKey - Peer the payment enters through
+   * @property {number} remoteBalance - Peer's balance on the channel in satoshis
+   * @property {Array<Object>} route - ln-service createInvoice route
+   * @throws {Error} If LND is not connected or query fails
+   */
+  async getPrivateRouteHints(amount, options = {}) {
+    if (!this.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+    const maxHints = options.maxHints ?? 3;
+
+    const candidates = (await this.listChannels())
+      .filter(channel => channel.isPrivate && channel.isActive && channel.remoteBalance >= amount)
+      .sort((a, b) => b.remoteBalance - a.remoteBalance);
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    try {
+      const { public_key } = await getWalletInfo({ lnd: this.lnd });
+      const hints = [];
+
+      for (const channel of candidates) {
+        if (hints.length >= maxHints) {
+          break;
+        }
+
+        // The hint carries the fees the peer charges to forward into us
+        const { policies } = await getChannel({ lnd: this.lnd, id: channel.id });
+        const peerPolicy = policies.find(policy => policy.public_key === channel.remotePubkey);
+        if (!peerPolicy || peerPolicy.cltv_delta === undefined || peerPolicy.is_disabled) {
+          continue;
+        }
+
+        hints.push({
+          channelId: channel.id,
+          peerPublicKey: channel.remotePubkey,
+          remoteBalance: channel.remoteBalance,
+          route: [
+            { public_key: channel.remotePubkey },
+            {
+              public_key,
+              channel: channel.id,
+              base_fee_mtokens: peerPolicy.base_fee_mtokens || '0',
+              fee_rate: peerPolicy.fee_rate || 0,
+              cltv_delta: peerPolicy.cltv_delta
+            }
+          ]
+        });
+      }
+
+      return hints;
+    } catch (error) {
+      throw new Error(`Failed to build route hints: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the routing fees our side of each channel charges
+   * @returns {Promise<Array<Object>>} Array of fee policy objects
+   * @property {string} id - Channel ID
+   * @property {string} transactionId - Funding transaction id
+   * @property {number} transactionVout - Funding transaction output index
+   * @property {string} baseFeeMtokens - Base fee in millisatoshis
+   * @property {number} feeRate - Fee rate in parts per million
+   * @throws {Error} If LND is not connected or query fails
+   */
+  async listFeePolicies() {
+    if (!this.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    try {
+      const { channels } = await getFeeRates({ lnd: this.lnd });
+
+      return channels.map(channel => ({
+        id: channel.id,
+        transactionId: channel.transaction_id,
+        transactionVout: channel.transaction_vout,
+        baseFeeMtokens: channel.base_fee_mtokens,
+        feeRate: channel.fee_rate
+      }));
+    } catch (error) {
+      throw new Error(`Failed to list fee policies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the routing fees our side of a channel charges
+   * The rest of the channel's policy (CLTV delta, HTLC limits) is kept, since
+   * updateRoutingFees resets any attribute it isn't given.
+   * @param {Object} channel - Channel to update
+   * @param {string} channel.id - Channel ID
+   * @param {string} channel.transactionId - Funding transaction id
+   * @param {number} channel.transactionVout - Funding transaction output index
+   * @param {Object} fees - New fees
+   * @param {string} fees.baseFeeMtokens - Base fee in millisatoshis
+   * @param {number} fees.feeRate - Fee rate in parts per million
+   * @returns {Promise<void>}
+   * @throws {Error} If LND is not connected or LND rejects the update
+   *   (code 'FailedToUpdateRoutingFees' when LND reports a per-channel failure)
+   */
+  async updateChannelFees({ id, transactionId, transactionVout }, { baseFeeMtokens, feeRate }) {
+    if (!this.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    let failures;
+    try {
+      const [{ public_key }, { policies }] = await Promise.all([
+        getWalletInfo({ lnd: this.lnd }),
+        getChannel({ lnd: this.lnd, id })
+      ]);
+      const current = policies.find(policy => policy.public_key === public_key) || {};
+
+      ({ failures = [] } = await updateRoutingFees({
+        lnd: this.lnd,
+        transaction_id: transactionId,
+        transaction_vout: transactionVout,
+        base_fee_mtokens: baseFeeMtokens,
+        fee_rate: feeRate,
+        ...(current.cltv_delta !== undefined ? { cltv_delta: current.cltv_delta } : {}),
+        ...(current.min_htlc_mtokens !== undefined ? { min_htlc_mtokens: current.min_htlc_mtokens } : {}),
+        ...(current.max_htlc_mtokens !== undefined ? { max_htlc_mtokens: current.max_htlc_mtokens } : {})
+      }));
+    } catch (error) {
+      throw this._wrapLndError(`Failed to update fees on channel ${id}`, error);
+    }
+
+    if (failures.length > 0) {
+      const error = new Error(`Failed to update fees on channel ${id}: ${failures.map(f => f.failure).join('; ')}`);
+      error.code = 'FailedToUpdateRoutingFees';
+      throw error;
+    }
+  }
+
+  /**
+   * Open a channel funded from the on-chain wallet
+   * The channel starts with the hub's zero-fee routing policy.
+   * @param {Object} params - Channel parameters
+   * @param {string} params.partnerPublicKey - Peer node public key
+   * @param {number} params.localAmount - Channel capacity in satoshis
+   * @param {string} [params.partnerSocket] - Peer host:port, if not already connected
+   * @param {boolean} [params.isPrivate=false] - Don't announce the channel
+   * @returns {Promise<Object>} Funding outpoint of the pending channel
+   * @property {string} transactionId - Funding transaction id
+   * @property {number} transactionVout - Funding transaction output index
+   * @throws {Error} If LND is not connected or the open fails; ln-service failure
+   *   names (e.g. InsufficientFundsToCreateChannel) are set as error.code
+   */
+  async openChannel({ partnerPublicKey, localAmount, partnerSocket, isPrivate = false }) {
+    if (!this.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    try {
+      const channel = await openChannel({
+        lnd: this.lnd,
+        partner_public_key: partnerPublicKey,
+        local_tokens: localAmount,
+        is_private: isPrivate,
+        base_fee_mtokens: '0',
+        fee_rate: 0,
+        ...(partnerSocket ? { partner_socket: partnerSocket } : {})
+      });
+
+      return {
+        transactionId: channel.transaction_id,
+        transactionVout: channel.transaction_vout
+      };
+    } catch (error) {
+      throw this._wrapLndError('Failed to open channel', error);
+    }
+  }
+
+  /**
+   * Close a channel, cooperatively unless forced
+   * @param {string} id - Channel ID (e.g. 700000x1x0)
+   * @param {Object} [options] - Close options
+   * @param {boolean} [options.force=false] - Force close without the peer
+   * @returns {Promise<Object>} Closing transaction
+   * @property {string} transactionId - Closing transaction id
+   * @property {number} transactionVout - Closing transaction output index
+   * @throws {Error} If LND is not connected or the close fails; ln-service
+   *   failure names are set as error.code
+   */
+  async closeChannel(id, options = {}) {
+    if (!this.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    try {
+      const closing = await closeChannel({ lnd: this.lnd, id, is_force_close: Boolean(options.force) });
+
+      return {
+        transactionId: closing.transaction_id,
+        transactionVout: closing.transaction_vout
+      };
+    } catch (error) {
+      throw this._wrapLndError('Failed to close channel', error);
+    }
+  }
+
+  /**
+   * Wait until a newly opened channel is active
+   * Polls listChannels until the channel with this funding outpoint is active.
+   * @param {Object} outpoint - Funding outpoint returned by openChannel
+   * @param {string} outpoint.transactionId - Funding transaction id
+   * @param {number} outpoint.transactionVout - Funding transaction output index
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.timeoutMs=600000] - Give up after this long
+   * @param {number} [options.pollIntervalMs=5000] - Delay between checks
+   * @returns {Promise<Object>} The active channel (as returned by listChannels)
+   * @throws {Error} With code 'ChannelActivationTimeout' if the channel is not active in time
+   */
+  async waitForChannelActive({ transactionId, transactionVout }, options = {}) {
+    const timeoutMs = options.timeoutMs ?? 600000;
+    const pollIntervalMs = options.pollIntervalMs ?? 5000;
+    const deadline = Date.now() + timeoutMs;
+
+    while (true) {
+      const channels = await this.listChannels();
+      const channel = channels.find(c => c.transactionId === transactionId && c.transactionVout === transactionVout);
+      if (channel && channel.isActive) {
+        return channel;
+      }
+
+      if (Date.now() + pollIntervalMs > deadline) {
+        const error = new Error(`Channel ${transactionId}:${transactionVout} not active after ${timeoutMs}ms`);
+        error.code = 'ChannelActivationTimeout';
+        throw error;
+      }
+      await this._sleep(pollIntervalMs);
+    }
+  }
+
+  /**
+   * Sign a message with the node's identity key
+   * @param {string} message - Message to sign
+   * @returns {Promise<string>} zbase32 signature
+   * @throws {Error} If LND is not connected or signing fails
+   */
+  async signMessage(message) {
+    if (!this.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    try {
+      const { signature } = await signMessage({ lnd: this.lnd, message });
+      return signature;
+    } catch (error) {
+      throw new Error(`Failed to sign message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recover the public key that signed a message
+   * @param {string} message - Signed message
+   * @param {string} signature - zbase32 signature from signMessage
+   * @returns {Promise<string>} Public key of the signing node (hex)
+   * @throws {Error} If LND is not connected or verification fails
+   */
+  async verifyMessage(message, signature) {
+    if (!this.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    try {
+      const { signed_by } = await verifyMessage({ lnd: this.lnd, message, signature });
+      return signed_by;
+    } catch (error) {
+      throw new Error(`Failed to verify message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pay a BOLT11 invoice
+   * @param {string} paymentRequest - BOLT11 invoice string
+   * @param {Object} [options] - Payment options
+   * @param {number} [options.maxFee] - Maximum routing fee in satoshis
+   * @returns {Promise<Object>} Payment result
+   * @property {string} preimage - Payment preimage (hex)
+   * @property {number} fee - Routing fee paid in satoshis
+   * @property {number} amount - Amount paid in satoshis, excluding fees
+   * @property {Array<Object>} hops - Route hops (channel, publicKey, fee)
+   * @throws {Error} If LND is not connected or the payment fails; ln-service
+   *   failure names (e.g. PaymentPathfindingFailedToFindPossibleRoute) are set as error.code
+   */
+  async payInvoice(paymentRequest, options = {}) {
+    if (!this.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    try {
+      const payment = await pay({
+        lnd: this.lnd,
+        request: paymentRequest,
+        ...(options.maxFee !== undefined ? { max_fee: options.maxFee } : {})
+      });
+
+      return {
+        preimage: payment.secret,
+        fee: payment.fee,
+        amount: payment.tokens,
+        hops: payment.hops.map(hop => ({
+          channel: hop.channel,
+          publicKey: hop.public_key,
+          fee: hop.fee
+        }))
+      };
+    } catch (error) {
+      throw this._wrapLndError('Failed to pay invoice', error);
+    }
+  }
+
+  /**
+   * Turn an ln-service rejection into an Error
+   * ln-service rejects with [statusCode, failureName, details]; the failure
+   * name is kept as error.code so callers can tell failures apart.
+   * @param {string} message - What was being attempted
+   * @param {Array|Error} error - ln-service rejection
+   * @returns {Error} Wrapped error
+   * @private
+   */
+  _wrapLndError(message, error) {
+    const code = Array.isArray(error) ? error[1] : null;
+    const details = Array.isArray(error) ? error[2]?.err?.details || error[2]?.details : null;
+    const wrapped = new Error(`${message}: ${details || code || error.message}`);
+    wrapped.code = code;
+    return wrapped;
+  }
 }
 
 export default LightningClient;
@@ -290,4 +290,145 @@ describe('LightningClient', () => {
       );
     });
   });
+
+  describe('signMessage() / verifyMessage()', () => {
+    it('should throw error if LND is not connected', async () => {
+      const client = new LightningClient({
+        lndSocket: 'localhost:10009',
+        tlsCertPath: '/path/to/tls.cert',
+        macaroonPath: '/path/to/admin.macaroon'
+      });
+
+      await assert.rejects(
+        async () => await client.signMessage('receipt'),
+        {
+          message: 'LND not connected. Call connect() first.'
+        }
+      );
+
+      await assert.rejects(
+        async () => await client.verifyMessage('receipt', 'signature'),
+        {
+          message: 'LND not connected. Call connect() first.'
+        }
+      );
+    });
+  });
+
+  describe('channel management', () => {
+    const createClient = () => new LightningClient({
+      lndSocket: 'localhost:10009',
+      tlsCertPath: '/path/to/tls.cert',
+      macaroonPath: '/path/to/admin.macaroon'
+    });
+    const outpoint = { transactionId: 'a'.repeat(64), transactionVout: 1 };
+
+    it('should throw error if LND is not connected', async () => {
+      const client = createClient();
+
+      await assert.rejects(
+        async () => await client.openChannel({ partnerPublicKey: '02' + 'b'.repeat(64), localAmount: 100000 }),
+        { message: 'LND not connected. Call connect() first.' }
+      );
+      await assert.rejects(
+        async () => await client.closeChannel('700000x1x0'),
+        { message: 'LND not connected. Call connect() first.' }
+      );
+      await assert.rejects(
+        async () => await client.listPendingChannels(),
+        { message: 'LND not connected. Call connect() first.' }
+      );
+      await assert.rejects(
+        async () => await client.getInboundLiquidity(),
+        { message: 'LND not connected. Call connect() first.' }
+      );
+    });
+
+    it('waitForChannelActive() should resolve once the funded channel is active', async () => {
+      const client = createClient();
+      let polls = 0;
+      client.listChannels = async () => {
+        polls++;
+        return [
+          { id: '1x1x1', transactionId: 'c'.repeat(64), transactionVout: 1, isActive: true },
+          { id: '700000x1x1', ...outpoint, isActive: polls >= 3 }
+        ];
+      };
+
+      const channel = await client.waitForChannelActive(outpoint, { pollIntervalMs: 1, timeoutMs: 1000 });
+
+      assert.strictEqual(channel.id, '700000x1x1');
+      assert.strictEqual(polls, 3);
+    });
+
+    it('waitForChannelActive() should fail with ChannelActivationTimeout', async () => {
+      const client = createClient();
+      client.listChannels = async () => [];
+
+      await assert.rejects(
+        async () => await client.waitForChannelActive(outpoint, { pollIntervalMs: 5, timeoutMs: 20 }),
+        { code: 'ChannelActivationTimeout' }
+      );
+    });
+
+    it('getPrivateRouteHints() should skip public, inactive and underfunded channels', async () => {
+      const client = createClient();
+      client.lnd = {};
+      client.listChannels = async () => [
+        { id: '1x1x0', isPrivate: false, isActive: true, remoteBalance: 500000 },
+        { id: '2x1x0', isPrivate: true, isActive: false, remoteBalance: 500000 },
+        { id: '3x1x0', isPrivate: true, isActive: true, remoteBalance: 1000 }
+      ];
+
+      assert.deepStrictEqual(await client.getPrivateRouteHints(50000), []);
+    });
+
+    it('getInboundLiquidity() should reuse a recent reading', async () => {
+      const client = new LightningClient({ lndSocket: 'localhost:10009', liquidityCacheMs: 20 });
+      client.lnd = {};
+      let reads = 0;
+      client._readInboundLiquidity = async () => ({ available: ++reads });
+
+      const [first, second] = await Promise.all([client.getInboundLiquidity(), client.getInboundLiquidity()]);
+      const cached = await client.getInboundLiquidity();
+      await new Promise(resolve => setTimeout(resolve, 30));
+      const refreshed = await client.getInboundLiquidity();
+
+      assert.deepStrictEqual([first.available, second.available, cached.available, refreshed.available], [1, 1, 1, 2]);
+    });
+
+    it('getInboundLiquidity() should not cache a failed reading', async () => {
+      const client = createClient();
+      client.lnd = {};
+      let reads = 0;
+      client._readInboundLiquidity = async () => {
+        if (++reads === 1) {
+          throw new Error('Failed to list pending invoices: timeout');
+        }
+        return { available: 1000 };
+      };
+
+      await assert.rejects(async () => await client.getInboundLiquidity(), { message: /timeout/ });
+      assert.strictEqual((await client.getInboundLiquidity()).available, 1000);
+    });
+
+    it('getInboundLiquidity() should report ln-service failures listing invoices', async () => {
+      const client = createClient();
+      client.lnd = {};
+      client.listChannels = async () => [];
+
+      await assert.rejects(
+        async () => await client.getInboundLiquidity(),
+        { code: 'ExpectedLndForInvoiceListing', message: 'Failed to list pending invoices: ExpectedLndForInvoiceListing' }
+      );
+    });
+
+    it('should keep the ln-service failure name as error.code', () => {
+      const client = createClient();
+      const error = client._wrapLndError('Failed to open channel', [400, 'InsufficientFundsToCreateChannel']);
+
+      assert.strictEqual(error.code, 'InsufficientFundsToCreateChannel');
+      assert.strictEqual(error.message, 'Failed to open channel: InsufficientFundsToCreateChannel');
+    });
+  });
 });
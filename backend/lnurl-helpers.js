@@ -0,0 +1,29 @@
+/**
+ * Answers with an LNURL error. Wallets expect errors as { status: 'ERROR', reason }.
+ *
+ * @param {Object} res - Express response
+ * @param {number} httpStatus - HTTP status code
+ * @param {string} reason - Reason shown to the donor by their wallet
+ * @returns {Object} Express response
+ */
+export function lnurlError(res, httpStatus, reason) {
+  return res.status(httpStatus).json({ status: 'ERROR', reason });
+}
+
+/**
+ * Explains why a campaign can't take an LNURL payment right now.
+ *
+ * @param {CampaignManager} campaignManager - CampaignManager instance
+ * @param {Object} campaign - Campaign record
+ * @returns {string|null} Reason for the donor's wallet, or null if the campaign can be paid
+ */
+export function paymentRefusal(campaignManager, campaign) {
+  if (!campaignManager.isAcceptingDonations(campaign)) {
+    return 'Campaign is not accepting donations';
+  }
+  // Wallets expect LNURL payments to complete, not to be held until a deadline
+  if (campaign.fundingModel === 'all_or_nothing') {
+    return 'Campaign takes pledges only, pledge on the campaign page';
+  }
+  return null;
+}
@@ -0,0 +1,30 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { lnurlError, paymentRefusal } from './lnurl-helpers.js';
+
+describe('LNURL helpers', () => {
+  const campaignManager = {
+    isAcceptingDonations: (campaign) => campaign.status === 'active'
+  };
+
+  test('lnurlError answers in the LNURL error format', () => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+
+    lnurlError(res, 404, 'Campaign not found');
+
+    assert.strictEqual(res.statusCode, 404);
+    assert.deepStrictEqual(res.body, { status: 'ERROR', reason: 'Campaign not found' });
+  });
+
+  test('paymentRefusal explains why a campaign cannot be paid', () => {
+    assert.strictEqual(paymentRefusal(campaignManager, { id: 'disaster-relief', status: 'active' }), null);
+    assert.strictEqual(paymentRefusal(campaignManager, { id: 'old-appeal', status: 'closed' }), 'Campaign is not accepting donations');
+    assert.strictEqual(
+      paymentRefusal(campaignManager, { id: 'clinic-roof', status: 'active', fundingModel: 'all_or_nothing' }),
+      'Campaign takes pledges only, pledge on the campaign page'
+    );
+  });
+});
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import { bech32 } from 'bech32';
+
+// LNURLs are longer than the 90 characters bech32 allows by default
+const LNURL_MAX_LENGTH = 1023;
+
+/**
+ * LnurlPay serves LNURL-pay (LUD-06) requests for campaigns.
+ *
+ * Responsibilities:
+ * - Describe a campaign as a payRequest (metadata, min/max sendable, callback)
+ * - Mint invoices committing to SHA256(metadata) via InvoiceGenerator
+ * - Record each minted invoice as a pending donation under the campaign
+ * - Lightning Address identifiers (LUD-16) and donor comments (LUD-12)
+ *
+ * One static LNURL per campaign lets a printed QR code take any number of
+ * donations, each wallet choosing its own amount.
+ */
+class LnurlPay {
+  /**
+   * Creates a new LnurlPay instance.
+   *
+   * @param {InvoiceGenerator} invoiceGenerator - InvoiceGenerator instance
+   * @param {DonationTracker} donationTracker - DonationTracker instance
+   * @param {Object} options - LNURL options
+   * @param {string} options.baseUrl - Public base URL of this server (e.g. https://ourdomain)
+   * @param {number} [options.minSendable=1000] - Minimum amount in millisatoshis
+   * @param {number} [options.maxSendable=10000000000] - Maximum amount in millisatoshis
+   * @param {number} [options.commentAllowed=0] - Maximum donor comment length (0 disables comments)
+   */
+  constructor(invoiceGenerator, donationTracker, options = {}) {
+    this.invoiceGenerator = invoiceGenerator;
+    this.donationTracker = donationTracker;
+    this.baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+    this.minSendable = options.minSendable || 1000;
+    this.maxSendable = options.maxSendable || 10000000000;
+    this.commentAllowed = options.commentAllowed || 0;
+  }
+
+  /**
+   * Encodes a URL as a bech32 LNURL string.
+   *
+   * @param {string} url - HTTPS URL
+   * @returns {string} LNURL (lowercase; uppercase it for compact QR codes)
+   */
+  static encodeLnurl(url) {
+    const words = bech32.toWords(Buffer.from(url, 'utf8'));
+    return bech32.encode('lnurl', words, LNURL_MAX_LENGTH);
+  }
+
+  /**
+   * URL wallets fetch to start paying a campaign.
+   *
+   * @param {Object} campaign - Campaign record
+   * @returns {string} payRequest URL
+   */
+  getPayRequestUrl(campaign) {
+    return `${this.baseUrl}/api/lnurl/campaigns/${encodeURIComponent(campaign.id)}`;
+  }
+
+  /**
+   * Lightning Address for a name on this server's domain.
+   *
+   * @param {string} name - Address name
+   * @returns {string} Address (e.g. floods@ourdomain)
+   */
+  getAddress(name) {
+    return `${name}@${new URL(this.baseUrl).host}`;
+  }
+
+  /**
+   * Metadata entries a Lightning Address payRequest must carry (LUD-16).
+   *
+   * @param {string} name - Address name
+   * @returns {Array<Array<string>>} Extra metadata entries
+   */
+  getAddressMetadata(name) {
+    return [['text/identifier', this.getAddress(name)]];
+  }
+
+  /**
+   * LUD-06 metadata for a campaign. Invoices commit to the hash of this exact
+   * string, so it must only change when the campaign title does.
+   *
+   * @param {Object} campaign - Campaign record
+   * @param {Array<Array<string>>} [extraEntries=[]] - Additional metadata entries
+   * @returns {string} Metadata JSON string
+   */
+  buildMetadata(campaign, extraEntries = []) {
+    return JSON.stringify([['text/plain', `Donation to ${campaign.title}`], ...extraEntries]);
+  }
+
+  /**
+   * Builds the payRequest response for a campaign.
+   *
+   * @param {Object} campaign - Campaign record
+   * @param {Object} [options] - Response options
+   * @param {string} [options.callback] - Callback URL (defaults to the campaign callback)
+   * @param {Array<Array<string>>} [options.extraMetadata] - Additional metadata entries
+   * @returns {Object} payRequest (tag, callback, minSendable, maxSendable, metadata[, commentAllowed])
+   */
+  getPayRequest(campaign, { callback, extraMetadata } = {}) {
+    const payRequest = {
+      tag: 'payRequest',
+      callback: callback || `${this.getPayRequestUrl(campaign)}/callback`,
+      minSendable: this.minSendable,
+      maxSendable: this.maxSendable,
+      metadata: this.buildMetadata(campaign, extraMetadata)
+    };
+
+    if (this.commentAllowed > 0) {
+      payRequest.commentAllowed = this.commentAllowed;
+    }
+    return payRequest;
+  }
+
+  /**
+   * Validates a callback amount.
+   *
+   * @param {*} amountMsat - Requested amount in millisatoshis
+   * @returns {string|null} Reason the amount is invalid, or null if valid
+   */
+  validateAmount(amountMsat) {
+    if (!Number.isInteger(amountMsat) || amountMsat < this.minSendable || amountMsat > this.maxSendable) {
+      return `Amount must be between ${this.minSendable} and ${this.maxSendable} millisatoshis`;
+    }
+    if (amountMsat % 1000 !== 0) {
+      return 'Amount must be a whole number of sats';
+    }
+    return null;
+  }
+
+  /**
+   * Validates a donor comment (LUD-12).
+   *
+   * @param {*} comment - Comment query parameter, if any
+   * @returns {string|null} Reason the comment is invalid, or null if valid
+   */
+  validateComment(comment) {
+    if (comment === undefined || comment === '') {
+      return null;
+    }
+    if (typeof comment !== 'string') {
+      return 'Comment must be a string';
+    }
+    if (this.commentAllowed === 0) {
+      return 'Comments are not accepted';
+    }
+    if (comment.length > this.commentAllowed) {
+      return `Comment must be at most ${this.commentAllowed} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Mints an invoice for a callback and records the pending donation.
+   *
+   * @param {Object} campaign - Campaign record
+   * @param {number} amountMsat - Validated amount in millisatoshis
+   * @param {Object} [options] - Invoice options
+   * @param {Array<Array<string>>} [options.extraMetadata] - Metadata entries sent in the payRequest
+   * @param {string} [options.comment] - Validated donor comment, saved on the donation
+   * @returns {Promise<Object>} Callback response ({ pr, routes })
+   * @throws {Error} If the invoice cannot be created
+   */
+  async createInvoice(campaign, amountMsat, { extraMetadata, comment } = {}) {
+    const metadata = this.buildMetadata(campaign, extraMetadata);
+    const descriptionHash = crypto.createHash('sha256').update(metadata, 'utf8').digest('hex');
+    const amount = amountMsat / 1000;
+    const description = `Donation for ${campaign.title}`;
+
+    const invoice = await this.invoiceGenerator.generateInvoice({ amount, description, descriptionHash });
+
+    await this.donationTracker.createDonation({
+      paymentHash: invoice.paymentHash,
+      amount,
+      description,
+      paymentRequest: invoice.paymentRequest,
+      expiresAt: invoice.expiresAt,
+      campaignId: campaign.id,
+      comment: comment || null
+    });
+
+    return { pr: invoice.paymentRequest, routes: [] };
+  }
+}
+
+export default LnurlPay;
@@ -0,0 +1,137 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { bech32 } from 'bech32';
+import LnurlPay from './lnurl-pay.js';
+import DonationTracker from './donation-tracker.js';
+
+describe('LnurlPay', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-lnurl-donations.json');
+  const campaign = { id: 'disaster-relief', title: 'Disaster Relief', status: 'active' };
+  let tracker;
+  let invoiceRequests;
+  let lnurlPay;
+
+  beforeEach(async () => {
+    tracker = new DonationTracker(testStoragePath);
+    await tracker.loadFromDisk();
+    invoiceRequests = [];
+
+    const invoiceGenerator = {
+      generateInvoice: async (params) => {
+        invoiceRequests.push(params);
+        return {
+          paymentRequest: 'lnbc20u1mock',
+          paymentHash: crypto.randomBytes(32).toString('hex'),
+          expiresAt: new Date(Date.now() + 3600000)
+        };
+      }
+    };
+
+    lnurlPay = new LnurlPay(invoiceGenerator, tracker, {
+      baseUrl: 'https://donate.example/',
+      minSendable: 1000,
+      maxSendable: 5000000,
+      commentAllowed: 20
+    });
+  });
+
+  afterEach(async () => {
+    await tracker.close();
+    await fs.unlink(testStoragePath).catch(() => {});
+  });
+
+  test('payRequest points at the campaign callback', () => {
+    const payRequest = lnurlPay.getPayRequest(campaign);
+
+    assert.deepStrictEqual(payRequest, {
+      tag: 'payRequest',
+      callback: 'https://donate.example/api/lnurl/campaigns/disaster-relief/callback',
+      minSendable: 1000,
+      maxSendable: 5000000,
+      metadata: '[["text/plain","Donation to Disaster Relief"]]',
+      commentAllowed: 20
+    });
+  });
+
+  test('encodeLnurl round-trips through bech32', () => {
+    const url = lnurlPay.getPayRequestUrl(campaign);
+    const lnurl = LnurlPay.encodeLnurl(url);
+    const decoded = bech32.decode(lnurl, 1023);
+
+    assert.ok(lnurl.startsWith('lnurl1'));
+    assert.strictEqual(Buffer.from(bech32.fromWords(decoded.words)).toString('utf8'), url);
+  });
+
+  test('invoice commits to the hash of the advertised metadata', async () => {
+    const { metadata } = lnurlPay.getPayRequest(campaign);
+
+    const response = await lnurlPay.createInvoice(campaign, 21000);
+
+    assert.deepStrictEqual(response, { pr: 'lnbc20u1mock', routes: [] });
+    assert.strictEqual(invoiceRequests[0].amount, 21);
+    assert.strictEqual(
+      invoiceRequests[0].descriptionHash,
+      crypto.createHash('sha256').update(metadata, 'utf8').digest('hex')
+    );
+  });
+
+  test('records the donation under the campaign', async () => {
+    await lnurlPay.createInvoice(campaign, 21000);
+
+    const [donation] = await tracker.getAllDonations();
+    assert.strictEqual(donation.campaignId, 'disaster-relief');
+    assert.strictEqual(donation.amount, 21);
+    assert.strictEqual(donation.status, 'pending');
+  });
+
+  test('validateAmount enforces bounds and whole sats', () => {
+    assert.strictEqual(lnurlPay.validateAmount(21000), null);
+    assert.strictEqual(lnurlPay.validateAmount(999), 'Amount must be between 1000 and 5000000 millisatoshis');
+    assert.strictEqual(lnurlPay.validateAmount(5001000), 'Amount must be between 1000 and 5000000 millisatoshis');
+    assert.strictEqual(lnurlPay.validateAmount(NaN), 'Amount must be between 1000 and 5000000 millisatoshis');
+    assert.strictEqual(lnurlPay.validateAmount(1500), 'Amount must be a whole number of sats');
+  });
+
+  describe('Lightning Address', () => {
+    test('metadata carries the address identifier', () => {
+      const payRequest = lnurlPay.getPayRequest(campaign, { extraMetadata: lnurlPay.getAddressMetadata('floods') });
+
+      assert.deepStrictEqual(JSON.parse(payRequest.metadata), [
+        ['text/plain', 'Donation to Disaster Relief'],
+        ['text/identifier', 'floods@donate.example']
+      ]);
+    });
+
+    test('invoice hash covers the identifier entry', async () => {
+      const extraMetadata = lnurlPay.getAddressMetadata('floods');
+      const { metadata } = lnurlPay.getPayRequest(campaign, { extraMetadata });
+
+      await lnurlPay.createInvoice(campaign, 1000, { extraMetadata });
+
+      assert.strictEqual(
+        invoiceRequests[0].descriptionHash,
+        crypto.createHash('sha256').update(metadata, 'utf8').digest('hex')
+      );
+    });
+
+    test('saves the donor comment on the donation', async () => {
+      await lnurlPay.createInvoice(campaign, 1000, { comment: 'Stay strong KZN' });
+
+      const [donation] = await tracker.getAllDonations();
+      assert.strictEqual(donation.comment, 'Stay strong KZN');
+    });
+
+    test('validateComment enforces commentAllowed', () => {
+      assert.strictEqual(lnurlPay.validateComment(undefined), null);
+      assert.strictEqual(lnurlPay.validateComment('Short note'), null);
+      assert.strictEqual(lnurlPay.validateComment('x'.repeat(21)), 'Comment must be at most 20 characters');
+      assert.strictEqual(lnurlPay.validateComment(['a', 'b']), 'Comment must be a string');
+
+      lnurlPay.commentAllowed = 0;
+      assert.strictEqual(lnurlPay.validateComment('Hi'), 'Comments are not accepted');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+// Manage staff accounts and machine API keys
+// Usage: npm run auth -- add-user --username zanele --role finance [--role viewer]
+//        (password is read from the AUTH_PASSWORD environment variable)
+//        npm run auth -- remove-user --username zanele
+//        npm run auth -- create-key --name accounting-sync --role finance
+//        npm run auth -- revoke-key --id <key id>
+//        npm run auth -- list
+// Changes apply when the server restarts.
+import { parseArgs } from 'util';
+import serverConfig from './config/server-config.js';
+import AuthManager, { ROLES } from './auth-manager.js';
+
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        username: { type: 'string' },
+        name: { type: 'string' },
+        role: { type: 'string', multiple: true },
+        id: { type: 'string' }
+    }
+});
+
+const authManager = new AuthManager(serverConfig.authFilePath);
+await authManager.loadFromDisk();
+
+try {
+    switch (positionals[0]) {
+        case 'add-user': {
+            // Passwords stay out of shell history and process listings
+            const user = await authManager.createUser({
+                username: values.username,
+                password: process.env.AUTH_PASSWORD,
+                roles: values.role
+            });
+            console.log(`Created user ${user.username} (${user.roles.join(', ')})`);
+            break;
+        }
+
+        case 'remove-user':
+            console.log(await authManager.deleteUser(values.username) ? `Removed user ${values.username}` : `No such user: ${values.username}`);
+            break;
+
+        case 'create-key': {
+            const { key, apiKey } = await authManager.createApiKey({ name: values.name, roles: values.role });
+            console.log(`Created API key ${apiKey.id} for ${apiKey.name} (${apiKey.roles.join(', ')})`);
+            console.log('Store this key now, it cannot be shown again:');
+            console.log(key);
+            break;
+        }
+
+        case 'revoke-key':
+            console.log(await authManager.revokeApiKey(values.id) ? `Revoked API key ${values.id}` : `No active API key: ${values.id}`);
+            break;
+
+        case 'list':
+            console.log(JSON.stringify({ users: authManager.listUsers(), apiKeys: authManager.listApiKeys() }, null, 2));
+            break;
+
+        default:
+            console.log(`Commands: add-user, remove-user, create-key, revoke-key, list
+Roles: ${ROLES.join(', ')}`);
+    }
+} catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+
+// Domain separation so a leaf can never be passed off as an inner node
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+/**
+ * MerkleTree is a binary SHA256 hash tree over an ordered list of leaves.
+ *
+ * Leaves are hashed as SHA256(0x00 || data) and inner nodes as
+ * SHA256(0x01 || left || right). A node without a sibling is carried up
+ * to the next level unchanged, so no leaf is ever counted twice.
+ */
+class MerkleTree {
+  /**
+   * Builds the tree.
+   *
+   * @param {string[]} leafHashes - Leaf hashes (hex), in order
+   */
+  constructor(leafHashes) {
+    this.levels = [leafHashes.slice()];
+
+    let level = this.levels[0];
+    while (level.length > 1) {
+      const next = [];
+      for (let i = 0; i < level.length; i += 2) {
+        next.push(i + 1 < level.length ? MerkleTree.hashNode(level[i], level[i + 1]) : level[i]);
+      }
+      this.levels.push(next);
+      level = next;
+    }
+  }
+
+  /**
+   * Hashes leaf data.
+   *
+   * @param {string} data - Leaf contents
+   * @returns {string} Leaf hash (hex)
+   */
+  static hashLeaf(data) {
+    return crypto.createHash('sha256').update(LEAF_PREFIX).update(data, 'utf8').digest('hex');
+  }
+
+  /**
+   * Hashes two child nodes into their parent.
+   *
+   * @param {string} left - Left child hash (hex)
+   * @param {string} right - Right child hash (hex)
+   * @returns {string} Parent hash (hex)
+   */
+  static hashNode(left, right) {
+    return crypto
+      .createHash('sha256')
+      .update(NODE_PREFIX)
+      .update(Buffer.from(left, 'hex'))
+      .update(Buffer.from(right, 'hex'))
+      .digest('hex');
+  }
+
+  /**
+   * Recomputes the root from a leaf hash and its inclusion proof.
+   *
+   * @param {string} leafHash - Leaf hash (hex)
+   * @param {Array<{position: string, hash: string}>} proof - Sibling hashes from leaf to root
+   * @param {string} root - Expected root (hex)
+   * @returns {boolean} True if the proof leads to the root
+   */
+  static verifyProof(leafHash, proof, root) {
+    let hash = leafHash;
+    for (const step of proof) {
+      hash = step.position === 'left'
+        ? MerkleTree.hashNode(step.hash, hash)
+        : MerkleTree.hashNode(hash, step.hash);
+    }
+    return hash === root;
+  }
+
+  /**
+   * Root hash of the tree (null when there are no leaves).
+   *
+   * @returns {string|null} Root hash (hex)
+   */
+  get root() {
+    const top = this.levels[this.levels.length - 1];
+    return top.length > 0 ? top[0] : null;
+  }
+
+  /**
+   * Number of leaves.
+   *
+   * @returns {number} Leaf count
+   */
+  get size() {
+    return this.levels[0].length;
+  }
+
+  /**
+   * Builds the inclusion proof for the leaf at an index.
+   *
+   * @param {number} index - Leaf index
+   * @returns {Array<{position: string, hash: string}>} Sibling hashes from leaf to root
+   * @throws {Error} If the index is out of range
+   */
+  getProof(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.size) {
+      throw new Error(`Leaf index out of range: ${index}`);
+    }
+
+    const proof = [];
+    for (let depth = 0; depth < this.levels.length - 1; depth++) {
+      const level = this.levels[depth];
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < level.length) {
+        proof.push({ position: index % 2 === 0 ? 'right' : 'left', hash: level[sibling] });
+      }
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  }
+}
+
+export default MerkleTree;
@@ -0,0 +1,56 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import MerkleTree from './merkle-tree.js';
+
+describe('MerkleTree', () => {
+  const leaves = (n) => Array.from({ length: n }, (_, i) => MerkleTree.hashLeaf(`leaf-${i}`));
+
+  test('root of a single leaf is the leaf hash', () => {
+    const [leaf] = leaves(1);
+    const tree = new MerkleTree([leaf]);
+
+    assert.strictEqual(tree.root, leaf);
+    assert.deepStrictEqual(tree.getProof(0), []);
+  });
+
+  test('root of an empty tree is null', () => {
+    assert.strictEqual(new MerkleTree([]).root, null);
+  });
+
+  test('hashes pairs of nodes into their parent', () => {
+    const [a, b] = leaves(2);
+
+    assert.strictEqual(new MerkleTree([a, b]).root, MerkleTree.hashNode(a, b));
+  });
+
+  test('leaf and node hashes are domain separated', () => {
+    const [a, b] = leaves(2);
+    const concatenated = Buffer.concat([Buffer.from(a, 'hex'), Buffer.from(b, 'hex')]).toString('binary');
+
+    assert.notStrictEqual(MerkleTree.hashLeaf(concatenated), MerkleTree.hashNode(a, b));
+  });
+
+  test('every leaf has a valid inclusion proof, including odd-sized levels', () => {
+    for (const size of [2, 3, 5, 8, 13]) {
+      const hashes = leaves(size);
+      const tree = new MerkleTree(hashes);
+
+      hashes.forEach((leaf, index) => {
+        assert.ok(MerkleTree.verifyProof(leaf, tree.getProof(index), tree.root), `size ${size}, index ${index}`);
+      });
+    }
+  });
+
+  test('a proof does not verify a different leaf', () => {
+    const hashes = leaves(5);
+    const tree = new MerkleTree(hashes);
+
+    assert.strictEqual(MerkleTree.verifyProof(hashes[1], tree.getProof(0), tree.root), false);
+  });
+
+  test('getProof rejects an out-of-range index', () => {
+    assert.throws(() => new MerkleTree(leaves(3)).getProof(3), {
+      message: 'Leaf index out of range: 3'
+    });
+  });
+});
@@ -0,0 +1,458 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Payout lifecycle states.
+ * "proposed" payouts wait for admin approvals; "pending" payouts are being
+ * paid (or their outcome is unknown). Both stay reserved against the
+ * campaign balance.
+ */
+export const PAYOUT_STATUSES = ['proposed', 'pending', 'succeeded', 'failed', 'rejected', 'expired'];
+
+// Statuses that no longer hold campaign funds
+const RELEASED_STATUSES = ['failed', 'rejected', 'expired'];
+
+// ln-service failure names by failure class (Requirement 4.5, 4.6)
+const FAILURE_CODES = {
+  no_route: [
+    'PaymentPathfindingFailedToFindPossibleRoute',
+    'FailedToFindPayableRouteToDestination',
+    'PathfindingTimeoutExceeded'
+  ],
+  insufficient_liquidity: ['InsufficientBalanceToAttemptPayment'],
+  rejected: ['PaymentRejectedByDestination'],
+  timeout: ['PaymentAttemptsTimedOut'],
+  // LND could not tell us whether the HTLCs resolved
+  unknown_outcome: ['UnknownStatusOfPayment', 'FailedToReceiveDiscreteFailureOrSuccess']
+};
+
+/**
+ * Build an error the server error handler maps to an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * PayoutManager pays recipient invoices out of campaign funds (Payment_Router).
+ *
+ * Responsibilities:
+ * - Decode recipient BOLT11 invoices and reject expired or amountless ones
+ * - Check each payout against the campaign's available balance
+ * - Hold payouts as proposals until a quorum of distinct admins approves
+ * - Expire stale proposals and keep an audit trail on every payout
+ * - Pay through the hub node and store the preimage, route and fees
+ * - Classify payment failures (no route, insufficient liquidity, expired)
+ * - Persist payout records to JSON file atomically
+ *
+ * No single admin can move funds: sending requires approvals from
+ * `quorum` different admins.
+ *
+ * Validates: Requirements 4.1, 4.4, 4.5, 4.6
+ */
+class PayoutManager {
+  /**
+   * Creates a new PayoutManager instance.
+   *
+   * @param {InvoiceGenerator} invoiceGenerator - InvoiceGenerator used to decode invoices
+   * @param {LightningClient} lightningClient - LightningClient used to pay
+   * @param {DonationTracker} donationTracker - DonationTracker for campaign totals
+   * @param {Object} options - Payout options
+   * @param {string} options.storageFilePath - Path to JSON file for payout records
+   * @param {number} [options.maxFeeSats=10] - Maximum routing fee per payout in satoshis
+   * @param {number} [options.quorum=2] - Distinct admin approvals needed to pay
+   * @param {number} [options.proposalTtlSeconds=86400] - How long a proposal may wait for approvals
+   */
+  constructor(invoiceGenerator, lightningClient, donationTracker, options = {}) {
+    this.invoiceGenerator = invoiceGenerator;
+    this.lightningClient = lightningClient;
+    this.donationTracker = donationTracker;
+    this.storageFilePath = options.storageFilePath;
+    this.maxFeeSats = options.maxFeeSats ?? 10;
+    this.quorum = options.quorum || 2;
+    this.proposalTtlSeconds = options.proposalTtlSeconds || 24 * 60 * 60;
+
+    // In-memory Map keyed by payout id
+    this.payouts = new Map();
+    // Serializes saves so concurrent payouts don't share a temp file
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Maps a payment error to a failure class.
+   *
+   * @param {Error} error - Error from LightningClient.payInvoice
+   * @returns {string} One of no_route, insufficient_liquidity, expired,
+   *   rejected, timeout, unknown_outcome or unknown
+   */
+  static classifyFailure(error) {
+    for (const [failure, codes] of Object.entries(FAILURE_CODES)) {
+      if (codes.includes(error.code)) {
+        return failure;
+      }
+    }
+    if (/expired/i.test(error.message)) {
+      return 'expired';
+    }
+    return 'unknown';
+  }
+
+  /**
+   * Appends an entry to a payout's audit trail.
+   *
+   * @param {Object} payout - Payout record
+   * @param {string} action - What happened (proposed, approved, rejected, expired, paid, payment_failed, ...)
+   * @param {string|null} by - Admin responsible, or null for the system
+   * @param {Object} [details] - Extra context
+   */
+  static audit(payout, action, by, details) {
+    payout.auditTrail.push({ action, by, at: new Date().toISOString(), ...(details ? { details } : {}) });
+  }
+
+  /**
+   * Funds a campaign can still pay out: completed donations less
+   * proposed, pending and succeeded payouts (including their fees or fee reserve).
+   *
+   * @param {string} campaignId - Campaign id
+   * @returns {Promise<number>} Available balance in satoshis
+   */
+  async getAvailableBalance(campaignId) {
+    const { raisedSats } = await this.donationTracker.getCampaignStats(campaignId);
+    return raisedSats - this._reservedFor(campaignId);
+  }
+
+  /**
+   * Satoshis committed to a campaign's proposed, pending and succeeded payouts
+   * @param {string} campaignId - Campaign id
+   * @returns {number} Reserved amount
+   * @private
+   */
+  _reservedFor(campaignId) {
+    let reserved = 0;
+    for (const payout of this.payouts.values()) {
+      if (payout.campaignId !== campaignId || RELEASED_STATUSES.includes(payout.status)) {
+        continue;
+      }
+      reserved += payout.amount + (payout.status === 'succeeded' ? payout.fee : payout.maxFee);
+    }
+    return reserved;
+  }
+
+  /**
+   * Expire proposals whose approval window (or invoice) has lapsed,
+   * releasing their reserved funds
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {number} Number of proposals expired
+   * @private
+   */
+  _expireStale(now = new Date()) {
+    let expired = 0;
+    for (const payout of this.payouts.values()) {
+      if (payout.status === 'proposed' && new Date(payout.expiresAt) <= now) {
+        payout.status = 'expired';
+        PayoutManager.audit(payout, 'expired', null);
+        expired += 1;
+      }
+    }
+
+    if (expired > 0) {
+      this.saveToDisk().catch((error) => {
+        console.error('Error saving payouts to disk:', error.message);
+      });
+    }
+    return expired;
+  }
+
+  /**
+   * Proposes paying a recipient invoice from a campaign's funds.
+   * The amount is reserved until the proposal is paid, rejected or expires.
+   *
+   * @param {Object} params - Payout parameters
+   * @param {string} params.campaignId - Campaign paying out
+   * @param {string} params.paymentRequest - Recipient BOLT11 invoice
+   * @param {string} params.proposedBy - Admin proposing the payout
+   * @param {string} [params.recipientId] - Registered recipient being paid
+   * @returns {Promise<Object>} Payout record in "proposed" status
+   * @throws {Error} With status 400 if the invoice is invalid, expired or has no
+   *   amount, 409 if the invoice already has a payout or exceeds the available balance
+   */
+  async proposePayout({ campaignId, paymentRequest, proposedBy, recipientId = null }) {
+    let decoded;
+    try {
+      decoded = await this.invoiceGenerator.decodeInvoice(paymentRequest);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+
+    if (!decoded.amount) {
+      throw httpError(400, 'Invoice must specify an amount');
+    }
+    if (decoded.isExpired) {
+      throw httpError(400, 'Invoice has expired');
+    }
+
+    // Donations only grow while we await, so reserving synchronously after is safe
+    const { raisedSats } = await this.donationTracker.getCampaignStats(campaignId);
+
+    this._expireStale();
+    const existing = Array.from(this.payouts.values())
+      .find(p => p.paymentHash === decoded.paymentHash && !RELEASED_STATUSES.includes(p.status));
+    if (existing) {
+      throw httpError(409, `Invoice already has a payout: ${existing.id}`);
+    }
+
+    const available = raisedSats - this._reservedFor(campaignId);
+    if (decoded.amount + this.maxFeeSats > available) {
+      throw httpError(409, `Insufficient campaign balance: ${available} sats available, ${decoded.amount + this.maxFeeSats} sats required including fees`);
+    }
+
+    const now = new Date();
+    const ttlExpiry = new Date(now.getTime() + this.proposalTtlSeconds * 1000);
+    const payout = {
+      id: uuidv4(),
+      campaignId,
+      recipientId,
+      paymentRequest,
+      paymentHash: decoded.paymentHash,
+      amount: decoded.amount,
+      destination: decoded.destination,
+      description: decoded.description || null,
+      invoiceExpiresAt: new Date(decoded.expiresAt).toISOString(),
+      status: 'proposed',
+      proposedBy,
+      quorum: this.quorum,
+      approvals: [],
+      // A proposal can't outlive the invoice it pays
+      expiresAt: new Date(Math.min(ttlExpiry.getTime(), new Date(decoded.expiresAt).getTime())).toISOString(),
+      maxFee: this.maxFeeSats,
+      fee: null,
+      route: null,
+      preimage: null,
+      failureCode: null,
+      failureReason: null,
+      createdAt: now.toISOString(),
+      completedAt: null,
+      auditTrail: []
+    };
+    PayoutManager.audit(payout, 'proposed', proposedBy, { amount: payout.amount, destination: payout.destination });
+    this.payouts.set(payout.id, payout);
+    await this.saveToDisk();
+
+    console.log(`Payout ${payout.id} proposed by ${proposedBy}: ${payout.amount} sats from ${campaignId}`);
+    return payout;
+  }
+
+  /**
+   * Returns a payout with its invoice decoded afresh from the BOLT11 string,
+   * so approvers review what will actually be paid.
+   *
+   * @param {string} id - Payout id
+   * @returns {Promise<Object|null>} Payout record with an `invoice` field, or null
+   */
+  async getPayoutForReview(id) {
+    const payout = this.getPayout(id);
+    if (!payout) {
+      return null;
+    }
+
+    const invoice = await this.invoiceGenerator.decodeInvoice(payout.paymentRequest);
+    return { ...payout, invoice };
+  }
+
+  /**
+   * Records an admin's approval. Once `quorum` distinct admins have
+   * approved, the invoice is paid; a payment failure is recorded on the
+   * returned payout rather than thrown.
+   *
+   * @param {string} id - Payout id
+   * @param {string} admin - Approving admin
+   * @returns {Promise<Object>} Updated payout record
+   * @throws {Error} With status 404 if the payout doesn't exist, 409 if it is
+   *   not awaiting approval or the admin already approved
+   */
+  async approvePayout(id, admin) {
+    const payout = this._getProposal(id);
+
+    if (payout.approvals.some(a => a.by === admin)) {
+      throw httpError(409, `Payout already approved by ${admin}`);
+    }
+
+    payout.approvals.push({ by: admin, at: new Date().toISOString() });
+    PayoutManager.audit(payout, 'approved', admin, { approvals: payout.approvals.length, quorum: payout.quorum });
+
+    if (payout.approvals.length < payout.quorum) {
+      await this.saveToDisk();
+      return payout;
+    }
+
+    // Leave "proposed" before awaiting so a concurrent approval can't pay twice
+    payout.status = 'pending';
+    PayoutManager.audit(payout, 'payment_started', null);
+    await this.saveToDisk();
+
+    await this._pay(payout);
+    return payout;
+  }
+
+  /**
+   * Rejects a proposed payout, releasing its reserved funds.
+   *
+   * @param {string} id - Payout id
+   * @param {string} admin - Rejecting admin
+   * @param {string} [reason] - Why the payout was rejected
+   * @returns {Promise<Object>} Updated payout record
+   * @throws {Error} With status 404 if the payout doesn't exist, 409 if it is
+   *   not awaiting approval
+   */
+  async rejectPayout(id, admin, reason) {
+    const payout = this._getProposal(id);
+
+    payout.status = 'rejected';
+    payout.completedAt = new Date().toISOString();
+    PayoutManager.audit(payout, 'rejected', admin, reason ? { reason } : undefined);
+    await this.saveToDisk();
+
+    return payout;
+  }
+
+  /**
+   * Look up a payout that is still awaiting approval
+   * @param {string} id - Payout id
+   * @returns {Object} Payout record
+   * @private
+   */
+  _getProposal(id) {
+    this._expireStale();
+
+    const payout = this.payouts.get(id);
+    if (!payout) {
+      throw httpError(404, 'Payout not found');
+    }
+    if (payout.status !== 'proposed') {
+      throw httpError(409, `Payout is ${payout.status}, not awaiting approval`);
+    }
+    return payout;
+  }
+
+  /**
+   * Pay a pending payout and record the outcome
+   * @param {Object} payout - Payout record
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _pay(payout) {
+    let sent = false;
+    try {
+      const payment = await this.lightningClient.payInvoice(payout.paymentRequest, { maxFee: payout.maxFee });
+      sent = true;
+
+      const hash = crypto.createHash('sha256').update(Buffer.from(payment.preimage, 'hex')).digest('hex');
+      if (hash !== payout.paymentHash) {
+        throw new Error('Preimage verification failed: hash mismatch');
+      }
+
+      Object.assign(payout, {
+        status: 'succeeded',
+        preimage: payment.preimage,
+        fee: payment.fee,
+        route: payment.hops,
+        completedAt: new Date().toISOString()
+      });
+      PayoutManager.audit(payout, 'paid', null, { fee: payment.fee });
+      console.log(`Payout ${payout.id} paid ${payout.amount} sats (fee ${payment.fee}) for ${payout.campaignId}`);
+    } catch (error) {
+      // LND reported the payment sent, so the funds may be gone whatever went wrong after it
+      const failureCode = sent ? 'unknown_outcome' : PayoutManager.classifyFailure(error);
+      // Funds may still be in flight: keep the payout reserved for manual follow-up
+      const status = failureCode === 'unknown_outcome' ? 'pending' : 'failed';
+
+      Object.assign(payout, {
+        status,
+        failureCode,
+        failureReason: error.message,
+        completedAt: status === 'failed' ? new Date().toISOString() : null
+      });
+      PayoutManager.audit(payout, status === 'failed' ? 'payment_failed' : 'payment_unknown', null, { failureCode, reason: error.message });
+      console.error(`Payout ${payout.id} ${status === 'failed' ? 'failed' : 'has unknown outcome'} (${failureCode}): ${error.message}`);
+    }
+
+    await this.saveToDisk();
+  }
+
+  /**
+   * Retrieves a payout by id.
+   *
+   * @param {string} id - Payout id
+   * @returns {Object|null} Payout record
+   */
+  getPayout(id) {
+    this._expireStale();
+    return this.payouts.get(id) || null;
+  }
+
+  /**
+   * Lists payouts, newest first.
+   *
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.campaignId] - Only this campaign
+   * @param {string} [filters.status] - Only this status
+   * @returns {Array<Object>} Payout records
+   */
+  listPayouts({ campaignId, status } = {}) {
+    this._expireStale();
+    return Array.from(this.payouts.values())
+      .filter(p => (!campaignId || p.campaignId === campaignId) && (!status || p.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Loads payouts from disk into memory.
+   * Starts with no payouts if the file doesn't exist.
+   *
+   * @returns {Promise<void>}
+   */
+  async loadFromDisk() {
+    this.payouts.clear();
+    try {
+      const payouts = JSON.parse(await fs.readFile(this.storageFilePath, 'utf8'));
+      for (const payout of payouts) {
+        this.payouts.set(payout.id, payout);
+      }
+      console.log(`Loaded ${payouts.length} payouts from disk`);
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        console.error('Corrupted payouts file, starting with empty state:', error.message);
+      } else if (error.code !== 'ENOENT') {
+        console.error('Error loading payouts from disk:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Saves payouts to disk atomically.
+   * Uses temp file + rename to prevent corruption.
+   *
+   * @returns {Promise<void>}
+   */
+  async saveToDisk() {
+    const write = async () => {
+      await fs.mkdir(path.dirname(this.storageFilePath), { recursive: true });
+
+      const tempPath = `${this.storageFilePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(Array.from(this.payouts.values()), null, 2), 'utf8');
+      await fs.rename(tempPath, this.storageFilePath);
+    };
+
+    this.saving = this.saving.then(write, write);
+    return this.saving;
+  }
+}
+
+export default PayoutManager;
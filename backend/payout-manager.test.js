@@ -0,0 +1,275 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import PayoutManager from './payout-manager.js';
+
+describe('PayoutManager', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-payouts.json');
+  let invoices;
+  let payments;
+  let paid;
+  let raisedSats;
+  let manager;
+
+  function createInvoice(amount, overrides = {}) {
+    const preimage = crypto.randomBytes(32).toString('hex');
+    const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+    const request = `lnbc${amount}n1${paymentHash.slice(0, 8)}`;
+    invoices.set(request, {
+      paymentHash,
+      amount,
+      destination: '02recipient',
+      description: 'Shelter supplies',
+      expiresAt: new Date(Date.now() + 3600000),
+      isExpired: false,
+      ...overrides
+    });
+    return { request, preimage };
+  }
+
+  async function payOut(paymentRequest) {
+    const payout = await manager.proposePayout({ campaignId: 'disaster-relief', paymentRequest, proposedBy: 'alice' });
+    await manager.approvePayout(payout.id, 'alice');
+    return manager.approvePayout(payout.id, 'bob');
+  }
+
+  function lndError(code, details) {
+    const error = new Error(`Failed to pay invoice: ${details || code}`);
+    error.code = code;
+    return error;
+  }
+
+  beforeEach(async () => {
+    invoices = new Map();
+    payments = new Map();
+    paid = [];
+    raisedSats = 10000;
+
+    const invoiceGenerator = {
+      decodeInvoice: async (request) => {
+        if (!invoices.has(request)) {
+          throw new Error('Failed to decode invoice: ExpectedValidPaymentRequest');
+        }
+        return invoices.get(request);
+      }
+    };
+    const lightningClient = {
+      payInvoice: async (request, options) => {
+        paid.push(request);
+        const outcome = payments.get(request);
+        if (outcome instanceof Error) {
+          throw outcome;
+        }
+        assert.strictEqual(options.maxFee, 10);
+        return { preimage: outcome, fee: 1, amount: invoices.get(request).amount, hops: [{ channel: '1x1x1', publicKey: '02recipient', fee: 1 }] };
+      }
+    };
+    const donationTracker = { getCampaignStats: async () => ({ raisedSats }) };
+
+    manager = new PayoutManager(invoiceGenerator, lightningClient, donationTracker, {
+      storageFilePath: testStoragePath,
+      maxFeeSats: 10,
+      quorum: 2
+    });
+  });
+
+  afterEach(async () => {
+    await manager.saving;
+    await fs.unlink(testStoragePath).catch(() => {});
+  });
+
+  test('pays an invoice and stores preimage, route and fee', async () => {
+    const { request, preimage } = createInvoice(4000);
+    payments.set(request, preimage);
+
+    const payout = await payOut(request);
+
+    assert.strictEqual(payout.status, 'succeeded');
+    assert.strictEqual(payout.preimage, preimage);
+    assert.strictEqual(payout.fee, 1);
+    assert.deepStrictEqual(payout.route, [{ channel: '1x1x1', publicKey: '02recipient', fee: 1 }]);
+    assert.strictEqual(await manager.getAvailableBalance('disaster-relief'), 10000 - 4001);
+  });
+
+  test('rejects payouts above the available balance including the fee reserve', async () => {
+    const { request } = createInvoice(9995);
+
+    await assert.rejects(
+      manager.proposePayout({ campaignId: 'disaster-relief', paymentRequest: request, proposedBy: 'alice' }),
+      (error) => error.status === 409 && /Insufficient campaign balance: 10000 sats available/.test(error.message)
+    );
+    assert.strictEqual(manager.listPayouts().length, 0);
+  });
+
+  test('reserves balance for concurrent proposals', async () => {
+    const first = createInvoice(6000);
+    const second = createInvoice(6000);
+    payments.set(first.request, first.preimage);
+    payments.set(second.request, second.preimage);
+
+    const results = await Promise.allSettled([
+      manager.proposePayout({ campaignId: 'disaster-relief', paymentRequest: first.request, proposedBy: 'alice' }),
+      manager.proposePayout({ campaignId: 'disaster-relief', paymentRequest: second.request, proposedBy: 'bob' })
+    ]);
+
+    assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  });
+
+  test('rejects expired, amountless, undecodable and already paid invoices', async () => {
+    const expired = createInvoice(100, { isExpired: true });
+    const amountless = createInvoice(0);
+    const paid = createInvoice(100);
+    payments.set(paid.request, paid.preimage);
+    await payOut(paid.request);
+
+    const cases = [
+      [expired.request, 400, /expired/],
+      [amountless.request, 400, /amount/],
+      ['lnbcgarbage', 400, /decode/],
+      [paid.request, 409, /already has a payout/]
+    ];
+    for (const [paymentRequest, status, pattern] of cases) {
+      await assert.rejects(
+        manager.proposePayout({ campaignId: 'disaster-relief', paymentRequest, proposedBy: 'alice' }),
+        (error) => error.status === status && pattern.test(error.message)
+      );
+    }
+  });
+
+  test('classifies payment failures and releases the balance', async () => {
+    const cases = [
+      ['PaymentPathfindingFailedToFindPossibleRoute', null, 'no_route'],
+      ['InsufficientBalanceToAttemptPayment', null, 'insufficient_liquidity'],
+      [null, 'invoice expired', 'expired'],
+      ['PaymentRejectedByDestination', null, 'rejected']
+    ];
+
+    for (const [code, details, failureCode] of cases) {
+      const { request } = createInvoice(1000);
+      payments.set(request, lndError(code, details));
+
+      const payout = await payOut(request);
+
+      assert.strictEqual(payout.status, 'failed');
+      assert.strictEqual(payout.failureCode, failureCode);
+      assert.strictEqual(payout.preimage, null);
+    }
+    assert.strictEqual(await manager.getAvailableBalance('disaster-relief'), 10000);
+  });
+
+  test('keeps a payout with an unknown outcome reserved', async () => {
+    const { request } = createInvoice(1000);
+    payments.set(request, lndError('UnknownStatusOfPayment'));
+
+    const payout = await payOut(request);
+
+    assert.strictEqual(payout.status, 'pending');
+    assert.strictEqual(payout.failureCode, 'unknown_outcome');
+    assert.strictEqual(await manager.getAvailableBalance('disaster-relief'), 10000 - 1010);
+  });
+
+  test('keeps a payout reserved when the returned preimage does not match', async () => {
+    const { request } = createInvoice(1000);
+    payments.set(request, crypto.randomBytes(32).toString('hex'));
+
+    const payout = await payOut(request);
+
+    assert.strictEqual(payout.status, 'pending');
+    assert.strictEqual(payout.failureCode, 'unknown_outcome');
+    assert.strictEqual(payout.failureReason, 'Preimage verification failed: hash mismatch');
+    assert.strictEqual(payout.completedAt, null);
+    assert.strictEqual(await manager.getAvailableBalance('disaster-relief'), 10000 - 1010);
+  });
+
+  test('holds a proposal until a quorum of distinct admins approves', async () => {
+    const { request, preimage } = createInvoice(2000);
+    payments.set(request, preimage);
+
+    const proposed = await manager.proposePayout({ campaignId: 'disaster-relief', paymentRequest: request, proposedBy: 'alice' });
+    assert.strictEqual(proposed.status, 'proposed');
+    assert.strictEqual(await manager.getAvailableBalance('disaster-relief'), 10000 - 2010);
+
+    await manager.approvePayout(proposed.id, 'alice');
+    await assert.rejects(manager.approvePayout(proposed.id, 'alice'), (error) => error.status === 409);
+    assert.strictEqual(manager.getPayout(proposed.id).status, 'proposed');
+    assert.deepStrictEqual(paid, []);
+
+    const payout = await manager.approvePayout(proposed.id, 'bob');
+
+    assert.strictEqual(payout.status, 'succeeded');
+    assert.deepStrictEqual(paid, [request]);
+    assert.deepStrictEqual(payout.approvals.map(a => a.by), ['alice', 'bob']);
+    assert.deepStrictEqual(payout.auditTrail.map(e => [e.action, e.by]), [
+      ['proposed', 'alice'],
+      ['approved', 'alice'],
+      ['approved', 'bob'],
+      ['payment_started', null],
+      ['paid', null]
+    ]);
+    await assert.rejects(manager.approvePayout(proposed.id, 'carol'), (error) => error.status === 409);
+  });
+
+  test('pays once when the last approvals arrive together', async () => {
+    const { request, preimage } = createInvoice(2000);
+    payments.set(request, preimage);
+    const proposed = await manager.proposePayout({ campaignId: 'disaster-relief', paymentRequest: request, proposedBy: 'alice' });
+    await manager.approvePayout(proposed.id, 'alice');
+
+    const results = await Promise.allSettled([
+      manager.approvePayout(proposed.id, 'bob'),
+      manager.approvePayout(proposed.id, 'carol')
+    ]);
+
+    assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.deepStrictEqual(paid, [request]);
+  });
+
+  test('rejection releases the reserved funds', async () => {
+    const { request } = createInvoice(3000);
+    const proposed = await manager.proposePayout({ campaignId: 'disaster-relief', paymentRequest: request, proposedBy: 'alice' });
+
+    const payout = await manager.rejectPayout(proposed.id, 'bob', 'Wrong recipient');
+
+    assert.strictEqual(payout.status, 'rejected');
+    assert.deepStrictEqual(payout.auditTrail.at(-1).details, { reason: 'Wrong recipient' });
+    assert.strictEqual(await manager.getAvailableBalance('disaster-relief'), 10000);
+    await assert.rejects(manager.approvePayout(proposed.id, 'carol'), (error) => error.status === 409);
+  });
+
+  test('expires stale proposals', async () => {
+    const { request } = createInvoice(3000, { expiresAt: new Date(Date.now() + 50) });
+    const proposed = await manager.proposePayout({ campaignId: 'disaster-relief', paymentRequest: request, proposedBy: 'alice' });
+    assert.ok(new Date(proposed.expiresAt) <= new Date(Date.now() + 50));
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    await assert.rejects(manager.approvePayout(proposed.id, 'bob'), /Payout is expired/);
+    assert.strictEqual(manager.getPayout(proposed.id).auditTrail.at(-1).action, 'expired');
+    assert.strictEqual(await manager.getAvailableBalance('disaster-relief'), 10000);
+    assert.deepStrictEqual(paid, []);
+  });
+
+  test('shows approvers the freshly decoded invoice', async () => {
+    const { request } = createInvoice(1500);
+    const proposed = await manager.proposePayout({ campaignId: 'disaster-relief', paymentRequest: request, proposedBy: 'alice' });
+
+    const review = await manager.getPayoutForReview(proposed.id);
+
+    assert.strictEqual(review.invoice.amount, 1500);
+    assert.strictEqual(review.invoice.destination, '02recipient');
+    assert.strictEqual(await manager.getPayoutForReview('missing'), null);
+  });
+
+  test('persists payouts across restarts', async () => {
+    const { request, preimage } = createInvoice(500);
+    payments.set(request, preimage);
+    const payout = await payOut(request);
+
+    const reloaded = new PayoutManager(null, null, null, { storageFilePath: testStoragePath });
+    await reloaded.loadFromDisk();
+
+    assert.deepStrictEqual(reloaded.getPayout(payout.id), payout);
+  });
+});
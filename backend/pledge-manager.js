@@ -0,0 +1,599 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Why a held pledge was returned to the donor.
+ * Pledges released for cltv_timeout were returned only because the HTLC
+ * could not be held any longer; they can be pledged again.
+ */
+export const CANCEL_REASONS = ['goal_not_met', 'cltv_timeout', 'campaign_closed', 'campaign_unavailable'];
+
+// Average minutes between blocks, for turning CLTV heights into times
+const BLOCK_MINUTES = 10;
+
+/**
+ * Build an error the server error handler maps to an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * PledgeManager runs all-or-nothing campaigns on hold invoices.
+ *
+ * Responsibilities:
+ * - Issue pledges as hold invoices and record them as donations
+ * - Track pledges from unpaid to held, keeping each held HTLC's CLTV timeout
+ * - Collect every held pledge once the campaign's goal is reached by its end date
+ * - Return held pledges to donors when the goal is missed
+ * - Release pledges before their HTLCs time out, and let donors pledge again
+ * - Persist pledge records (including settlement preimages) to JSON file atomically
+ *
+ * A held HTLC ties up liquidity along the donor's whole route and must be
+ * resolved before its CLTV timeout, or a channel on the route force-closes.
+ * Pledges are therefore short-lived: each is released `safetyBlocks` before
+ * its timeout, and a campaign running longer than that asks donors to renew.
+ */
+class PledgeManager {
+  /**
+   * Creates a new PledgeManager instance.
+   *
+   * @param {InvoiceGenerator} invoiceGenerator - InvoiceGenerator used for hold invoices
+   * @param {LightningClient} lightningClient - LightningClient used for the block height
+   * @param {DonationTracker} donationTracker - DonationTracker holding the pledge donations
+   * @param {CampaignManager} campaignManager - CampaignManager with goals and end dates
+   * @param {ProofManager} proofManager - ProofManager that records collected pledges
+   * @param {Object} options - Pledge options
+   * @param {string} options.storageFilePath - Path to JSON file for pledge records
+   * @param {number} [options.cltvDelta=288] - Final CLTV delta of pledge invoices, in blocks
+   * @param {number} [options.safetyBlocks=36] - Release held pledges this many blocks before they time out
+   * @param {number} [options.expirySeconds=600] - Time a donor has to pay a pledge invoice
+   * @param {number} [options.interval=60000] - Processing interval in milliseconds
+   */
+  constructor(invoiceGenerator, lightningClient, donationTracker, campaignManager, proofManager, options = {}) {
+    this.invoiceGenerator = invoiceGenerator;
+    this.lightningClient = lightningClient;
+    this.donationTracker = donationTracker;
+    this.campaignManager = campaignManager;
+    this.proofManager = proofManager;
+    this.storageFilePath = options.storageFilePath;
+    this.cltvDelta = options.cltvDelta || 288;
+    this.safetyBlocks = options.safetyBlocks ?? 36;
+    this.expirySeconds = options.expirySeconds || 600;
+    this.interval = options.interval || 60000;
+
+    if (this.safetyBlocks >= this.cltvDelta) {
+      throw new Error('safetyBlocks must be smaller than cltvDelta');
+    }
+
+    // In-memory Map keyed by payment hash
+    this.pledges = new Map();
+    // Serializes saves so concurrent pledges don't share a temp file
+    this.saving = Promise.resolve();
+
+    this.timer = null;
+    this.processing = null;
+  }
+
+  /**
+   * Checks whether a campaign collects pledges rather than donations.
+   *
+   * @param {Object} campaign - Campaign record
+   * @returns {boolean} True for all-or-nothing campaigns
+   */
+  static isPledgeCampaign(campaign) {
+    return Boolean(campaign) && campaign.fundingModel === 'all_or_nothing';
+  }
+
+  /**
+   * Issues a pledge for an all-or-nothing campaign.
+   *
+   * @param {Object} params - Pledge parameters
+   * @param {string} params.campaignId - Campaign pledged to
+   * @param {number} params.amount - Amount in satoshis
+   * @param {string} [params.comment] - Donor comment
+   * @param {string} [params.repledgeOf] - Payment hash of the pledge this renews
+   * @returns {Promise<Object>} Pledge (public fields) and invoice (paymentRequest,
+   *   paymentHash, expiresAt, routeHints, liquidityWarning)
+   * @throws {Error} With status 404/409 if the campaign is unknown or not taking pledges,
+   *   or as InvoiceGenerator.generateHoldInvoice()
+   */
+  async createPledge({ campaignId, amount, comment = null, repledgeOf = null }) {
+    const campaign = await this.campaignManager.getCampaign(campaignId);
+    if (!campaign) {
+      throw httpError(404, `Campaign not found: ${campaignId}`);
+    }
+    if (!PledgeManager.isPledgeCampaign(campaign) || !this.campaignManager.isAcceptingDonations(campaign)) {
+      throw httpError(409, `Campaign is not taking pledges: ${campaignId}`);
+    }
+
+    const description = `Pledge for ${campaign.title}`;
+    const invoice = await this.invoiceGenerator.generateHoldInvoice({
+      amount,
+      description,
+      expirySeconds: this.expirySeconds,
+      cltvDelta: this.cltvDelta
+    });
+
+    const donation = await this.donationTracker.createDonation({
+      paymentHash: invoice.paymentHash,
+      amount,
+      description,
+      paymentRequest: invoice.paymentRequest,
+      expiresAt: invoice.expiresAt,
+      campaignId,
+      comment,
+      pledge: true
+    });
+
+    const now = new Date().toISOString();
+    const pledge = {
+      paymentHash: invoice.paymentHash,
+      campaignId,
+      amount,
+      preimage: invoice.preimage,
+      timeoutHeight: null,
+      heldAt: null,
+      cancelReason: null,
+      repledgeOf,
+      repledgedAs: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.pledges.set(pledge.paymentHash, pledge);
+    await this.saveToDisk();
+
+    console.log(`Pledge ${pledge.paymentHash} issued for ${campaignId} (${amount} sats)`);
+    return {
+      pledge: this.toPublic(pledge, donation),
+      invoice: {
+        paymentRequest: invoice.paymentRequest,
+        paymentHash: invoice.paymentHash,
+        expiresAt: invoice.expiresAt,
+        routeHints: invoice.routeHints,
+        liquidityWarning: invoice.liquidityWarning
+      }
+    };
+  }
+
+  /**
+   * Issues a new pledge for the same amount in place of one that was
+   * released before its HTLC timed out, or never paid.
+   *
+   * @param {string} paymentHash - Payment hash of the earlier pledge
+   * @returns {Promise<Object>} As createPledge()
+   * @throws {Error} With status 404 if the pledge is unknown, 409 if it can't be renewed
+   */
+  async repledge(paymentHash) {
+    const pledge = this.pledges.get(paymentHash);
+    if (!pledge) {
+      throw httpError(404, `Pledge not found: ${paymentHash}`);
+    }
+
+    const donation = await this.donationTracker.getDonationByHash(paymentHash);
+    if (!this.isRepledgeable(pledge, donation)) {
+      throw httpError(409, 'Only pledges released before the campaign ended, or left unpaid, can be renewed');
+    }
+
+    // Claim the renewal before awaiting so a double submit can't renew twice
+    pledge.repledgedAs = 'pending';
+    try {
+      const renewed = await this.createPledge({
+        campaignId: pledge.campaignId,
+        amount: pledge.amount,
+        comment: donation.comment,
+        repledgeOf: paymentHash
+      });
+      pledge.repledgedAs = renewed.pledge.paymentHash;
+      pledge.updatedAt = new Date().toISOString();
+      await this.saveToDisk();
+      return renewed;
+    } catch (error) {
+      pledge.repledgedAs = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Checks whether a pledge can be renewed with repledge().
+   *
+   * @param {Object} pledge - Pledge record
+   * @param {Object} donation - The pledge's donation record
+   * @returns {boolean} True if the pledge ended without the campaign deciding it
+   */
+  isRepledgeable(pledge, donation) {
+    if (pledge.repledgedAs) {
+      return false;
+    }
+    // A cancellation without a reason was LND releasing the HTLC on its own
+    return donation.status === 'expired' ||
+      (donation.status === 'cancelled' && (pledge.cancelReason === null || pledge.cancelReason === 'cltv_timeout'));
+  }
+
+  /**
+   * Pledge fields safe to show the donor (no preimage).
+   *
+   * @param {Object} pledge - Pledge record
+   * @param {Object} donation - The pledge's donation record
+   * @returns {Object} Public pledge
+   */
+  toPublic(pledge, donation) {
+    const { preimage: _preimage, ...fields } = pledge;
+    return {
+      ...fields,
+      status: donation.status,
+      repledgeable: this.isRepledgeable(pledge, donation)
+    };
+  }
+
+  /**
+   * Retrieves a pledge by payment hash.
+   *
+   * @param {string} paymentHash - Payment hash
+   * @returns {Promise<Object|null>} Public pledge, or null if unknown
+   */
+  async getPledge(paymentHash) {
+    const pledge = this.pledges.get(paymentHash);
+    if (!pledge) {
+      return null;
+    }
+    return this.toPublic(pledge, await this.donationTracker.getDonationByHash(paymentHash));
+  }
+
+  /**
+   * Progress of an all-or-nothing campaign.
+   *
+   * @param {Object} campaign - Campaign record
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Promise<Object>} Summary
+   * @property {number} raisedSats - Collected so far
+   * @property {number} heldSats - Held pledges waiting on the outcome
+   * @property {number} heldCount - Number of held pledges
+   * @property {string} state - 'open', 'funded' or 'failed'
+   */
+  async getCampaignSummary(campaign, now = new Date()) {
+    const { raisedSats } = await this.donationTracker.getCampaignStats(campaign.id);
+    const held = await this._donationsFor(campaign.id, ['held']);
+    const heldSats = held.reduce((sum, d) => sum + d.amount, 0);
+
+    let state = 'open';
+    if (raisedSats >= campaign.goalSats) {
+      state = 'funded';
+    } else if (campaign.endDate && now > new Date(campaign.endDate)) {
+      state = 'failed';
+    }
+
+    return {
+      campaignId: campaign.id,
+      goalSats: campaign.goalSats,
+      endDate: campaign.endDate,
+      raisedSats,
+      heldSats,
+      heldCount: held.length,
+      state
+    };
+  }
+
+  /**
+   * Estimated time by which a pledge made now would be released for its
+   * CLTV timeout, so donors know when they may need to renew.
+   *
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Date} Estimated release time
+   */
+  estimateReleaseAt(now = new Date()) {
+    return new Date(now.getTime() + (this.cltvDelta - this.safetyBlocks) * BLOCK_MINUTES * 60000);
+  }
+
+  /**
+   * Starts periodic processing. The first run happens immediately.
+   */
+  start() {
+    this.stop();
+    this._safeProcess();
+    this.timer = setInterval(() => this._safeProcess(), this.interval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stops periodic processing.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run process() and log failures (e.g. LND not connected yet)
+   * @private
+   */
+  _safeProcess() {
+    this.process().catch((error) => {
+      console.error('Pledge processing failed:', error.message);
+    });
+  }
+
+  /**
+   * Brings pledges up to date with LND, then collects, returns or releases
+   * them. Concurrent calls share one run.
+   *
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Promise<Object>} Report (settled, cancelled and expired payment hashes)
+   * @throws {Error} If the block height cannot be read
+   */
+  async process(now = new Date()) {
+    if (!this.processing) {
+      this.processing = this._process(now).finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  /**
+   * Run one processing pass
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Report
+   * @private
+   */
+  async _process(now) {
+    const { blockHeight } = await this.lightningClient.getNodeInfo();
+    const report = { settled: [], cancelled: [], expired: [] };
+
+    const campaignIds = new Set();
+    for (const pledge of this.pledges.values()) {
+      const donation = await this.donationTracker.getDonationByHash(pledge.paymentHash);
+      if (donation && (donation.status === 'pending' || donation.status === 'held')) {
+        try {
+          await this._refresh(pledge, donation, now, report);
+        } catch (error) {
+          console.error(`Failed to refresh pledge ${pledge.paymentHash}:`, error.message);
+        }
+        campaignIds.add(pledge.campaignId);
+      }
+    }
+
+    for (const campaignId of campaignIds) {
+      try {
+        await this._resolveCampaign(campaignId, blockHeight, now, report);
+      } catch (error) {
+        console.error(`Failed to resolve pledges for ${campaignId}:`, error.message);
+      }
+    }
+
+    if (report.settled.length + report.cancelled.length + report.expired.length > 0) {
+      await this.saveToDisk();
+      console.log(`Pledges: ${report.settled.length} collected, ${report.cancelled.length} returned, ${report.expired.length} expired`);
+    }
+    return report;
+  }
+
+  /**
+   * Update one open pledge from its hold invoice state
+   * @param {Object} pledge - Pledge record
+   * @param {Object} donation - Pledge donation (pending or held)
+   * @param {Date} now - Reference time
+   * @param {Object} report - Report being accumulated
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _refresh(pledge, donation, now, report) {
+    const state = await this.invoiceGenerator.getHoldInvoiceState(pledge.paymentHash);
+
+    if (state.isConfirmed) {
+      if (donation.status !== 'completed') {
+        await this._markCollected(pledge, now);
+      }
+    } else if (state.isHeld) {
+      pledge.timeoutHeight = state.timeoutHeight;
+      if (!pledge.heldAt) {
+        // LND's acceptance time, so a pledge locked in before the deadline counts even if seen after it
+        pledge.heldAt = (state.heldAt || now).toISOString();
+        pledge.updatedAt = now.toISOString();
+        await this.saveToDisk();
+      }
+      if (donation.status === 'pending') {
+        await this.donationTracker.updateDonationStatus(pledge.paymentHash, 'held', {});
+      }
+    } else if (state.isCanceled) {
+      if (donation.status === 'held') {
+        // LND releases HTLCs close to timing out on its own
+        await this._markCancelled(pledge, 'cltv_timeout');
+        report.cancelled.push(pledge.paymentHash);
+      } else {
+        await this.donationTracker.updateDonationStatus(pledge.paymentHash, 'expired', {});
+        report.expired.push(pledge.paymentHash);
+      }
+    } else if (state.expiresAt <= now) {
+      await this.invoiceGenerator.cancelHoldInvoice(pledge.paymentHash);
+      await this.donationTracker.updateDonationStatus(pledge.paymentHash, 'expired', {});
+      report.expired.push(pledge.paymentHash);
+    }
+  }
+
+  /**
+   * Collect, return or release the held pledges of one campaign
+   * @param {string} campaignId - Campaign id
+   * @param {number} blockHeight - Current block height
+   * @param {Date} now - Reference time
+   * @param {Object} report - Report being accumulated
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _resolveCampaign(campaignId, blockHeight, now, report) {
+    const campaign = await this.campaignManager.getCampaign(campaignId);
+    const held = (await this._donationsFor(campaignId, ['held']))
+      .map(donation => this.pledges.get(donation.paymentHash))
+      .filter(Boolean);
+
+    if (!PledgeManager.isPledgeCampaign(campaign) || !campaign.goalSats || !campaign.endDate) {
+      for (const pledge of held) {
+        await this._cancel(pledge, 'campaign_unavailable', report);
+      }
+      return;
+    }
+
+    const endDate = new Date(campaign.endDate);
+    const inTime = held.filter(pledge => new Date(pledge.heldAt) <= endDate);
+    const late = held.filter(pledge => new Date(pledge.heldAt) > endDate);
+    const { raisedSats } = await this.donationTracker.getCampaignStats(campaignId);
+    const heldSats = inTime.reduce((sum, pledge) => sum + pledge.amount, 0);
+
+    for (const pledge of late) {
+      await this._cancel(pledge, 'campaign_closed', report);
+    }
+
+    if (raisedSats + heldSats >= campaign.goalSats) {
+      for (const pledge of inTime) {
+        await this._settle(pledge, now, report);
+      }
+      return;
+    }
+
+    if (now > endDate) {
+      for (const pledge of inTime) {
+        await this._cancel(pledge, 'goal_not_met', report);
+      }
+      // Invoices still unpaid at the deadline must not be held after it
+      for (const donation of await this._donationsFor(campaignId, ['pending'])) {
+        if (this.pledges.has(donation.paymentHash)) {
+          await this.invoiceGenerator.cancelHoldInvoice(donation.paymentHash);
+          await this.donationTracker.updateDonationStatus(donation.paymentHash, 'expired', {});
+          report.expired.push(donation.paymentHash);
+        }
+      }
+      return;
+    }
+
+    for (const pledge of inTime) {
+      if (pledge.timeoutHeight !== null && blockHeight >= pledge.timeoutHeight - this.safetyBlocks) {
+        await this._cancel(pledge, 'cltv_timeout', report);
+      }
+    }
+  }
+
+  /**
+   * Settle a held pledge and record it as completed
+   * @param {Object} pledge - Pledge record
+   * @param {Date} now - Reference time
+   * @param {Object} report - Report being accumulated
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _settle(pledge, now, report) {
+    try {
+      await this.invoiceGenerator.settleHoldInvoice(pledge.preimage);
+      await this._markCollected(pledge, now);
+      report.settled.push(pledge.paymentHash);
+    } catch (error) {
+      console.error(`Failed to collect pledge ${pledge.paymentHash}:`, error.message);
+    }
+  }
+
+  /**
+   * Cancel a held pledge, returning the payment to the donor
+   * @param {Object} pledge - Pledge record
+   * @param {string} reason - One of CANCEL_REASONS
+   * @param {Object} report - Report being accumulated
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _cancel(pledge, reason, report) {
+    try {
+      await this.invoiceGenerator.cancelHoldInvoice(pledge.paymentHash);
+      await this._markCancelled(pledge, reason);
+      report.cancelled.push(pledge.paymentHash);
+    } catch (error) {
+      console.error(`Failed to return pledge ${pledge.paymentHash}:`, error.message);
+    }
+  }
+
+  /**
+   * Record a settled pledge as a completed donation with its proof
+   * @param {Object} pledge - Pledge record
+   * @param {Date} now - Settlement time
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _markCollected(pledge, now) {
+    await this.proofManager.storeProof({ paymentHash: pledge.paymentHash, preimage: pledge.preimage, completedAt: now });
+    pledge.updatedAt = now.toISOString();
+  }
+
+  /**
+   * Record a returned pledge
+   * @param {Object} pledge - Pledge record
+   * @param {string} reason - One of CANCEL_REASONS
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _markCancelled(pledge, reason) {
+    pledge.cancelReason = reason;
+    pledge.updatedAt = new Date().toISOString();
+    await this.donationTracker.updateDonationStatus(pledge.paymentHash, 'cancelled', { error: reason });
+  }
+
+  /**
+   * Pledge donations of a campaign in the given statuses
+   * @param {string} campaignId - Campaign id
+   * @param {string[]} statuses - Donation statuses
+   * @returns {Promise<Array<Object>>} Donation records
+   * @private
+   */
+  async _donationsFor(campaignId, statuses) {
+    return (await this.donationTracker.getAllDonations())
+      .filter(d => d.pledge && d.campaignId === campaignId && statuses.includes(d.status));
+  }
+
+  /**
+   * Loads pledges from disk into memory.
+   * Starts with no pledges if the file doesn't exist.
+   *
+   * @returns {Promise<void>}
+   */
+  async loadFromDisk() {
+    this.pledges.clear();
+    try {
+      const pledges = JSON.parse(await fs.readFile(this.storageFilePath, 'utf8'));
+      for (const pledge of pledges) {
+        this.pledges.set(pledge.paymentHash, pledge);
+      }
+      console.log(`Loaded ${pledges.length} pledges from disk`);
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        console.error('Corrupted pledges file, starting with empty state:', error.message);
+      } else if (error.code !== 'ENOENT') {
+        console.error('Error loading pledges from disk:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Saves pledges to disk atomically.
+   * Uses temp file + rename to prevent corruption. The file holds the
+   * preimages that collect held pledges, so only the owner may read it.
+   *
+   * @returns {Promise<void>}
+   */
+  async saveToDisk() {
+    const write = async () => {
+      await fs.mkdir(path.dirname(this.storageFilePath), { recursive: true });
+
+      const tempPath = `${this.storageFilePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(Array.from(this.pledges.values()), null, 2), { encoding: 'utf8', mode: 0o600 });
+      await fs.rename(tempPath, this.storageFilePath);
+    };
+
+    this.saving = this.saving.then(write, write);
+    return this.saving;
+  }
+}
+
+export default PledgeManager;
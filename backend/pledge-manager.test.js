@@ -0,0 +1,180 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import PledgeManager from './pledge-manager.js';
+import DonationTracker from './donation-tracker.js';
+import ProofManager from './proof-manager.js';
+
+describe('PledgeManager', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-pledges.json');
+  const testDonationsPath = path.join('backend', 'data', 'test-pledge-donations.json');
+  const now = new Date('2026-06-15T00:00:00Z');
+  let holds;
+  let campaigns;
+  let blockHeight;
+  let tracker;
+  let manager;
+
+  // Simulate the donor's wallet locking an HTLC that times out at the given height
+  function hold(paymentHash, timeoutHeight, heldAt = now) {
+    Object.assign(holds.get(paymentHash), { isHeld: true, timeoutHeight, heldAt });
+  }
+
+  beforeEach(async () => {
+    holds = new Map();
+    blockHeight = 800000;
+    campaigns = new Map([
+      ['school-roof', {
+        id: 'school-roof',
+        title: 'School roof',
+        status: 'active',
+        fundingModel: 'all_or_nothing',
+        goalSats: 10000,
+        endDate: '2026-06-30T00:00:00Z'
+      }],
+      ['flood-relief', { id: 'flood-relief', title: 'Flood relief', status: 'active', fundingModel: 'keep_it_all' }]
+    ]);
+
+    const invoiceGenerator = {
+      generateHoldInvoice: async ({ amount, cltvDelta }) => {
+        assert.strictEqual(cltvDelta, 144);
+        const preimage = crypto.randomBytes(32).toString('hex');
+        const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+        const expiresAt = new Date(now.getTime() + 600000);
+        holds.set(paymentHash, { isHeld: false, isConfirmed: false, isCanceled: false, expiresAt, timeoutHeight: null, heldAt: null });
+        return { paymentRequest: `lnbc${amount}n1${paymentHash.slice(0, 8)}`, paymentHash, preimage, expiresAt, routeHints: [], liquidityWarning: null };
+      },
+      getHoldInvoiceState: async (paymentHash) => ({ ...holds.get(paymentHash) }),
+      settleHoldInvoice: async (preimage) => {
+        const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+        Object.assign(holds.get(paymentHash), { isHeld: false, isConfirmed: true });
+      },
+      cancelHoldInvoice: async (paymentHash) => {
+        Object.assign(holds.get(paymentHash), { isHeld: false, isCanceled: true });
+      }
+    };
+    const lightningClient = { getNodeInfo: async () => ({ blockHeight }) };
+    const campaignManager = {
+      getCampaign: async (id) => campaigns.get(id) || null,
+      isAcceptingDonations: (campaign) => campaign.status === 'active'
+    };
+
+    tracker = new DonationTracker(testDonationsPath);
+    manager = new PledgeManager(invoiceGenerator, lightningClient, tracker, campaignManager, new ProofManager(tracker), {
+      storageFilePath: testStoragePath,
+      cltvDelta: 144,
+      safetyBlocks: 12
+    });
+  });
+
+  afterEach(async () => {
+    manager.stop();
+    await manager.saving;
+    await tracker.close();
+    await fs.unlink(testStoragePath).catch(() => {});
+    await fs.unlink(testDonationsPath).catch(() => {});
+  });
+
+  test('createPledge() only accepts all-or-nothing campaigns', async () => {
+    await assert.rejects(manager.createPledge({ campaignId: 'flood-relief', amount: 1000 }), { status: 409 });
+    await assert.rejects(manager.createPledge({ campaignId: 'missing', amount: 1000 }), { status: 404 });
+
+    const { pledge, invoice } = await manager.createPledge({ campaignId: 'school-roof', amount: 1000, comment: 'Good luck' });
+
+    assert.strictEqual(pledge.status, 'pending');
+    assert.strictEqual(pledge.preimage, undefined);
+    const donation = await tracker.getDonationByHash(invoice.paymentHash);
+    assert.strictEqual(donation.pledge, true);
+    assert.strictEqual(donation.comment, 'Good luck');
+  });
+
+  test('holds pledges until the goal is reached, then collects them all', async () => {
+    const first = await manager.createPledge({ campaignId: 'school-roof', amount: 6000 });
+    const second = await manager.createPledge({ campaignId: 'school-roof', amount: 4000 });
+
+    hold(first.invoice.paymentHash, blockHeight + 144);
+    let report = await manager.process(now);
+    assert.deepStrictEqual(report.settled, []);
+    assert.strictEqual((await tracker.getDonationByHash(first.invoice.paymentHash)).status, 'held');
+    assert.strictEqual((await manager.getPledge(first.invoice.paymentHash)).timeoutHeight, blockHeight + 144);
+    assert.deepStrictEqual(
+      (({ raisedSats, heldSats, heldCount, state }) => ({ raisedSats, heldSats, heldCount, state }))(await manager.getCampaignSummary(campaigns.get('school-roof'), now)),
+      { raisedSats: 0, heldSats: 6000, heldCount: 1, state: 'open' }
+    );
+
+    hold(second.invoice.paymentHash, blockHeight + 144);
+    report = await manager.process(now);
+
+    assert.strictEqual(report.settled.length, 2);
+    for (const { invoice } of [first, second]) {
+      const donation = await tracker.getDonationByHash(invoice.paymentHash);
+      assert.strictEqual(donation.status, 'completed');
+      assert.ok(donation.preimage);
+    }
+    assert.strictEqual((await manager.getCampaignSummary(campaigns.get('school-roof'), now)).state, 'funded');
+  });
+
+  test('returns held pledges and expires unpaid ones when the deadline passes short of the goal', async () => {
+    const held = await manager.createPledge({ campaignId: 'school-roof', amount: 6000 });
+    const unpaid = await manager.createPledge({ campaignId: 'school-roof', amount: 1000 });
+    hold(held.invoice.paymentHash, blockHeight + 144);
+    await manager.process(now);
+
+    const report = await manager.process(new Date('2026-07-01T00:00:00Z'));
+
+    assert.deepStrictEqual(report.cancelled, [held.invoice.paymentHash]);
+    assert.strictEqual(holds.get(held.invoice.paymentHash).isCanceled, true);
+    const pledge = await manager.getPledge(held.invoice.paymentHash);
+    assert.strictEqual(pledge.status, 'cancelled');
+    assert.strictEqual(pledge.cancelReason, 'goal_not_met');
+    assert.strictEqual(pledge.repledgeable, false);
+    assert.strictEqual((await tracker.getDonationByHash(unpaid.invoice.paymentHash)).status, 'expired');
+  });
+
+  test('counts pledges held before the deadline even when first seen after it', async () => {
+    const first = await manager.createPledge({ campaignId: 'school-roof', amount: 6000 });
+    const second = await manager.createPledge({ campaignId: 'school-roof', amount: 4000 });
+    hold(first.invoice.paymentHash, blockHeight + 144, new Date('2026-06-29T12:00:00Z'));
+    hold(second.invoice.paymentHash, blockHeight + 144, new Date('2026-06-29T23:59:00Z'));
+
+    const report = await manager.process(new Date('2026-07-01T00:00:00Z'));
+
+    assert.strictEqual(report.settled.length, 2);
+    assert.strictEqual((await manager.getPledge(first.invoice.paymentHash)).heldAt, '2026-06-29T12:00:00.000Z');
+  });
+
+  test('releases pledges before their HTLC times out and lets donors pledge again', async () => {
+    const { invoice } = await manager.createPledge({ campaignId: 'school-roof', amount: 6000 });
+    hold(invoice.paymentHash, blockHeight + 144);
+    await manager.process(now);
+
+    blockHeight += 144 - 12;
+    const report = await manager.process(now);
+
+    assert.deepStrictEqual(report.cancelled, [invoice.paymentHash]);
+    const released = await manager.getPledge(invoice.paymentHash);
+    assert.strictEqual(released.cancelReason, 'cltv_timeout');
+    assert.strictEqual(released.repledgeable, true);
+
+    const renewed = await manager.repledge(invoice.paymentHash);
+
+    assert.strictEqual(renewed.pledge.amount, 6000);
+    assert.strictEqual(renewed.pledge.repledgeOf, invoice.paymentHash);
+    assert.strictEqual((await manager.getPledge(invoice.paymentHash)).repledgedAs, renewed.invoice.paymentHash);
+    await assert.rejects(manager.repledge(invoice.paymentHash), { status: 409 });
+  });
+
+  test('persists pledges, with their preimages, readable only by the owner', async () => {
+    const { invoice } = await manager.createPledge({ campaignId: 'school-roof', amount: 1000 });
+    await manager.saving;
+
+    const stat = await fs.stat(testStoragePath);
+    assert.strictEqual(stat.mode & 0o777, 0o600);
+
+    const preimage = manager.pledges.get(invoice.paymentHash).preimage;
+    await manager.loadFromDisk();
+    assert.strictEqual(manager.pledges.get(invoice.paymentHash).preimage, preimage);
+  });
+});
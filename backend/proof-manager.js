@@ -8,6 +8,8 @@ import crypto from 'crypto';
  * - Verify preimage hashes to payment hash using SHA256
  * - Associate proofs with donation records
  * - Provide proof retrieval for donors
+ * - Issue and verify receipts signed with the hub node key
+ * - Snapshot fiat exchange rates at settlement for accounting
  * 
  * Validates: Requirements 5.1, 5.2, 5.3, 5.4
  */
@@ -16,9 +18,24 @@ class ProofManager {
    * Creates a new ProofManager instance.
    * 
    * @param {DonationTracker} donationTracker - DonationTracker instance for storing proofs
+   * @param {LightningClient} [lightningClient] - LightningClient used to sign and verify receipts
+   * @param {Object} [rateSource] - Exchange rate source with getRates(), snapshotted on settlement
    */
-  constructor(donationTracker) {
+  constructor(donationTracker, lightningClient = null, rateSource = null) {
     this.donationTracker = donationTracker;
+    this.lightningClient = lightningClient;
+    this.rateSource = rateSource;
+  }
+
+  /**
+   * Serializes a receipt deterministically (sorted keys) so the signed
+   * message can be rebuilt from the receipt fields alone.
+   * 
+   * @param {Object} receipt - Receipt document
+   * @returns {string} Canonical JSON message
+   */
+  static canonicalizeReceipt(receipt) {
+    return JSON.stringify(receipt, Object.keys(receipt).sort());
   }
 
   /**
@@ -46,6 +63,12 @@ class ProofManager {
 
   /**
    * Stores a proof by verifying the preimage and updating the donation record.
+   * When a rate source is set, the current rates are snapshotted as the
+   * donation's fiat value. Providers only offer current rates, so the
+   * snapshot is taken when the proof is recorded, not at completedAt: for
+   * payments the reconciler records after downtime the two differ, and the
+   * snapshot's capturedAt says which rates were used. A rate failure never
+   * blocks settlement.
    * 
    * @param {Object} params - Proof parameters
    * @param {string} params.paymentHash - Payment hash (hex)
@@ -60,13 +83,23 @@ class ProofManager {
       throw new Error('Preimage verification failed: hash mismatch');
     }
 
+    let fiatSnapshot = null;
+    if (this.rateSource) {
+      try {
+        fiatSnapshot = await this.rateSource.getRates();
+      } catch (error) {
+        console.error(`No fiat snapshot for ${paymentHash}:`, error.message);
+      }
+    }
+
     // Update donation with preimage and set status to completed
     await this.donationTracker.updateDonationStatus(
       paymentHash,
       'completed',
       {
         preimage,
-        completedAt
+        completedAt,
+        fiatSnapshot
       }
     );
   }
@@ -100,6 +133,86 @@ class ProofManager {
       donation
     };
   }
+
+  /**
+   * Issues a receipt for a completed donation, signed with the hub node key.
+   * Unlike a bare preimage, the signature shows the organisation acknowledged
+   * the donation and its campaign.
+   * 
+   * @param {string} paymentHash - Payment hash of a completed donation
+   * @returns {Promise<Object>} Signed receipt
+   * @property {Object} receipt - Receipt document
+   * @property {string} signature - zbase32 node signature over the canonical receipt
+   * @throws {Error} If signing is unavailable, or the donation or its proof is missing
+   */
+  async createReceipt(paymentHash) {
+    if (!this.lightningClient) {
+      throw new Error('Receipt signing requires a LightningClient');
+    }
+
+    const { preimage, verified, donation } = await this.getProof(paymentHash);
+    if (!verified) {
+      throw new Error(`Stored preimage does not match payment hash: ${paymentHash}`);
+    }
+
+    const { publicKey } = await this.lightningClient.getNodeInfo();
+
+    const receipt = {
+      type: 'donation-receipt',
+      version: 1,
+      paymentHash,
+      preimage,
+      amount: donation.amount,
+      campaignId: donation.campaignId ?? null,
+      settledAt: donation.completedAt,
+      nodePublicKey: publicKey
+    };
+
+    const signature = await this.lightningClient.signMessage(ProofManager.canonicalizeReceipt(receipt));
+
+    return { receipt, signature };
+  }
+
+  /**
+   * Verifies a signed receipt: the signature must recover to this hub's node
+   * key and the preimage must hash to the payment hash.
+   * 
+   * @param {Object} receipt - Receipt document as issued
+   * @param {string} signature - Signature from createReceipt
+   * @returns {Promise<Object>} Verification result
+   * @property {boolean} valid - True if every check passed
+   * @property {boolean} signatureValid - Signed by this hub node
+   * @property {boolean} preimageValid - SHA256(preimage) equals the payment hash
+   * @property {string|null} signedBy - Public key recovered from the signature
+   * @property {string} nodePublicKey - This hub node's public key
+   * @throws {Error} If verification is unavailable
+   */
+  async verifyReceipt(receipt, signature) {
+    if (!this.lightningClient) {
+      throw new Error('Receipt verification requires a LightningClient');
+    }
+
+    const { publicKey } = await this.lightningClient.getNodeInfo();
+
+    let signedBy = null;
+    try {
+      signedBy = await this.lightningClient.verifyMessage(ProofManager.canonicalizeReceipt(receipt), signature);
+    } catch (error) {
+      // Malformed signatures are reported as invalid rather than as errors
+      console.error('Error verifying receipt signature:', error.message);
+    }
+
+    const signatureValid = signedBy === publicKey;
+    const preimageValid = this.verifyProof(receipt.paymentHash, receipt.preimage);
+
+    return {
+      valid: signatureValid && preimageValid,
+      signatureValid,
+      preimageValid,
+      signedBy,
+      nodePublicKey: publicKey
+    };
+  }
 }
 
 export default ProofManager;
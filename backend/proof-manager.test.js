@@ -184,6 +184,42 @@ describe('ProofManager', () => {
       assert.strictEqual(donation.status, 'completed');
       assert.strictEqual(donation.preimage, preimage);
     });
+
+    test('snapshots fiat rates at settlement', async () => {
+      const preimage = crypto.randomBytes(32).toString('hex');
+      const paymentHash = crypto
+        .createHash('sha256')
+        .update(Buffer.from(preimage, 'hex'))
+        .digest('hex');
+      const snapshot = { rates: { ZAR: 1200000, USD: 65000 }, source: 'static', capturedAt: '2026-06-01T00:00:00.000Z' };
+      proofManager = new ProofManager(tracker, null, { getRates: async () => snapshot });
+
+      await tracker.createDonation({ amount: 1000, paymentHash, description: 'Fiat test', paymentRequest: 'lnbc...' });
+      await proofManager.storeProof({ paymentHash, preimage, completedAt: new Date() });
+
+      const donation = await tracker.getDonationByHash(paymentHash);
+      assert.deepStrictEqual(donation.fiatSnapshot, snapshot);
+    });
+
+    test('settles without a snapshot when rates are unavailable', async () => {
+      const preimage = crypto.randomBytes(32).toString('hex');
+      const paymentHash = crypto
+        .createHash('sha256')
+        .update(Buffer.from(preimage, 'hex'))
+        .digest('hex');
+      proofManager = new ProofManager(tracker, null, {
+        getRates: async () => {
+          throw new Error('No exchange rates configured');
+        }
+      });
+
+      await tracker.createDonation({ amount: 1000, paymentHash, description: 'Fiat test', paymentRequest: 'lnbc...' });
+      await proofManager.storeProof({ paymentHash, preimage, completedAt: new Date() });
+
+      const donation = await tracker.getDonationByHash(paymentHash);
+      assert.strictEqual(donation.status, 'completed');
+      assert.strictEqual(donation.fiatSnapshot, undefined);
+    });
   });
 
   describe('getProof', () => {
@@ -350,4 +386,129 @@ describe('ProofManager', () => {
       assert.strictEqual(proof.verified, true);
     });
   });
+
+  describe('receipts', () => {
+    const NODE_KEY = '02' + 'a'.repeat(64);
+
+    // Stand-in for LND: signatures are "sig:<signer>:<sha256 of message>"
+    function createMockLightningClient(signer = NODE_KEY) {
+      const digest = (message) => crypto.createHash('sha256').update(message).digest('hex');
+      return {
+        getNodeInfo: async () => ({ publicKey: NODE_KEY }),
+        signMessage: async (message) => `sig:${signer}:${digest(message)}`,
+        verifyMessage: async (message, signature) => {
+          const [prefix, key, hash] = signature.split(':');
+          if (prefix !== 'sig') {
+            throw new Error('Failed to verify message: invalid signature');
+          }
+          return hash === digest(message) ? key : '03' + 'b'.repeat(64);
+        }
+      };
+    }
+
+    async function createCompletedDonation() {
+      const preimage = crypto.randomBytes(32).toString('hex');
+      const paymentHash = crypto
+        .createHash('sha256')
+        .update(Buffer.from(preimage, 'hex'))
+        .digest('hex');
+
+      await tracker.createDonation({
+        amount: 2500,
+        paymentHash,
+        description: 'Receipt test',
+        paymentRequest: 'lnbc...',
+        campaignId: 'clean-water'
+      });
+      await proofManager.storeProof({ paymentHash, preimage, completedAt: new Date('2026-06-01T12:00:00Z') });
+
+      return { paymentHash, preimage };
+    }
+
+    test('createReceipt signs the donation details with the node key', async () => {
+      proofManager = new ProofManager(tracker, createMockLightningClient());
+      const { paymentHash, preimage } = await createCompletedDonation();
+
+      const { receipt, signature } = await proofManager.createReceipt(paymentHash);
+
+      assert.deepStrictEqual(receipt, {
+        type: 'donation-receipt',
+        version: 1,
+        paymentHash,
+        preimage,
+        amount: 2500,
+        campaignId: 'clean-water',
+        settledAt: '2026-06-01T12:00:00.000Z',
+        nodePublicKey: NODE_KEY
+      });
+      assert.ok(signature.startsWith(`sig:${NODE_KEY}:`));
+    });
+
+    test('canonicalizeReceipt ignores key order', () => {
+      assert.strictEqual(
+        ProofManager.canonicalizeReceipt({ b: 1, a: 2 }),
+        ProofManager.canonicalizeReceipt({ a: 2, b: 1 })
+      );
+    });
+
+    test('verifyReceipt accepts an untouched receipt', async () => {
+      proofManager = new ProofManager(tracker, createMockLightningClient());
+      const { paymentHash } = await createCompletedDonation();
+      const { receipt, signature } = await proofManager.createReceipt(paymentHash);
+
+      const result = await proofManager.verifyReceipt(receipt, signature);
+
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.signedBy, NODE_KEY);
+    });
+
+    test('verifyReceipt rejects a tampered amount', async () => {
+      proofManager = new ProofManager(tracker, createMockLightningClient());
+      const { paymentHash } = await createCompletedDonation();
+      const { receipt, signature } = await proofManager.createReceipt(paymentHash);
+
+      const result = await proofManager.verifyReceipt({ ...receipt, amount: 250000 }, signature);
+
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.signatureValid, false);
+      assert.strictEqual(result.preimageValid, true);
+    });
+
+    test('verifyReceipt rejects a receipt signed by another node', async () => {
+      proofManager = new ProofManager(tracker, createMockLightningClient());
+      const { paymentHash } = await createCompletedDonation();
+      const { receipt } = await proofManager.createReceipt(paymentHash);
+      const forged = await createMockLightningClient('03' + 'c'.repeat(64))
+        .signMessage(ProofManager.canonicalizeReceipt(receipt));
+
+      const result = await proofManager.verifyReceipt(receipt, forged);
+
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.signedBy, '03' + 'c'.repeat(64));
+    });
+
+    test('verifyReceipt reports malformed signatures as invalid', async () => {
+      proofManager = new ProofManager(tracker, createMockLightningClient());
+      const { paymentHash } = await createCompletedDonation();
+      const { receipt } = await proofManager.createReceipt(paymentHash);
+
+      const result = await proofManager.verifyReceipt(receipt, 'garbage');
+
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.signedBy, null);
+    });
+
+    test('createReceipt requires a LightningClient', async () => {
+      const { paymentHash } = await createCompletedDonation();
+
+      await assert.rejects(
+        async () => {
+          await proofManager.createReceipt(paymentHash);
+        },
+        {
+          message: 'Receipt signing requires a LightningClient'
+        }
+      );
+    });
+  });
 });
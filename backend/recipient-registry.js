@@ -0,0 +1,303 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Recipient verification states.
+ * Suspended recipients stay on record but cannot be paid.
+ */
+export const VERIFICATION_STATUSES = ['unverified', 'verified', 'suspended'];
+
+/**
+ * Lightning node public key (33-byte compressed, hex).
+ */
+export const NODE_PUBKEY_PATTERN = /^0[23][0-9a-f]{64}$/i;
+
+/**
+ * Payable addresses: a Lightning Address (LUD-16) or a bech32 LNURL.
+ */
+export const ADDRESS_PATTERNS = [
+  /^[a-z0-9._-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)+$/i,
+  /^lnurl1[02-9ac-hj-np-z]+$/i
+];
+
+const MAX_NAME_LENGTH = 200;
+const MAX_REGION_LENGTH = 100;
+
+/**
+ * Build an error the server error handler maps to an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * RecipientRegistry keeps the people and organisations that receive payouts.
+ *
+ * Responsibilities:
+ * - Create, update and look up recipient records
+ *   (name, region, node public key or address, verification status)
+ * - Link recipients to the campaigns (causes) they receive from
+ * - Persist recipients to JSON file atomically
+ */
+class RecipientRegistry {
+  /**
+   * Creates a new RecipientRegistry instance.
+   *
+   * @param {string} storageFilePath - Path to JSON file for persistent storage
+   */
+  constructor(storageFilePath) {
+    this.storageFilePath = storageFilePath;
+    // In-memory Map keyed by recipient id
+    this.recipients = new Map();
+    // Serializes saves so concurrent updates don't share a temp file
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Splits a wallet string from an application into recipient fields.
+   *
+   * @param {string} wallet - Node public key, Lightning Address or LNURL
+   * @returns {{nodePubkey: string|null, address: string|null}} Recipient wallet fields
+   */
+  static fromWallet(wallet) {
+    const value = String(wallet).trim();
+    return NODE_PUBKEY_PATTERN.test(value)
+      ? { nodePubkey: value.toLowerCase(), address: null }
+      : { nodePubkey: null, address: value };
+  }
+
+  /**
+   * Validates recipient fields.
+   *
+   * @param {Object} fields - Recipient fields to validate
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.partial=false] - Only validate fields that are present (for updates)
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateRecipient(fields, { partial = false } = {}) {
+    const errors = [];
+    const has = (key) => fields[key] !== undefined;
+
+    if (!partial || has('name')) {
+      if (typeof fields.name !== 'string' || fields.name.trim() === '') {
+        errors.push('name must be a non-empty string');
+      } else if (fields.name.trim().length > MAX_NAME_LENGTH) {
+        errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+      }
+    }
+
+    if (!partial || has('region')) {
+      if (typeof fields.region !== 'string' || fields.region.trim() === '') {
+        errors.push('region must be a non-empty string');
+      } else if (fields.region.trim().length > MAX_REGION_LENGTH) {
+        errors.push(`region must be at most ${MAX_REGION_LENGTH} characters`);
+      }
+    }
+
+    if (has('nodePubkey') && fields.nodePubkey !== null && !NODE_PUBKEY_PATTERN.test(String(fields.nodePubkey))) {
+      errors.push('nodePubkey must be a 33-byte hex public key');
+    }
+    if (has('address') && fields.address !== null && !ADDRESS_PATTERNS.some(p => p.test(String(fields.address)))) {
+      errors.push('address must be a Lightning Address or LNURL');
+    }
+    if ((!partial || has('nodePubkey') || has('address')) && !fields.nodePubkey && !fields.address) {
+      errors.push('nodePubkey or address is required');
+    }
+
+    if (has('verificationStatus') && !VERIFICATION_STATUSES.includes(fields.verificationStatus)) {
+      errors.push(`verificationStatus must be one of: ${VERIFICATION_STATUSES.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Creates a new recipient.
+   *
+   * @param {Object} params - Recipient parameters
+   * @param {string} params.name - Person or organisation name
+   * @param {string} params.region - Where the recipient is (e.g. "KwaZulu-Natal")
+   * @param {string} [params.nodePubkey] - Lightning node public key
+   * @param {string} [params.address] - Lightning Address or LNURL
+   * @param {string} [params.verificationStatus='unverified'] - Verification status
+   * @param {string} [params.applicationReference] - Support application this recipient came from
+   * @returns {Promise<Object>} Created recipient record
+   * @throws {Error} If fields are invalid
+   */
+  async createRecipient(params) {
+    const errors = this.validateRecipient(params);
+    if (errors.length > 0) {
+      throw httpError(400, `Invalid recipient: ${errors.join('; ')}`);
+    }
+
+    const now = new Date().toISOString();
+    const recipient = {
+      id: uuidv4(),
+      name: params.name.trim(),
+      region: params.region.trim(),
+      nodePubkey: params.nodePubkey ? params.nodePubkey.toLowerCase() : null,
+      address: params.address || null,
+      verificationStatus: params.verificationStatus || 'unverified',
+      campaignIds: [],
+      applicationReference: params.applicationReference || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.recipients.set(recipient.id, recipient);
+    await this.saveToDisk();
+    return recipient;
+  }
+
+  /**
+   * Updates a recipient's details or verification status.
+   *
+   * @param {string} id - Recipient id
+   * @param {Object} updates - Fields to change (name, region, nodePubkey, address, verificationStatus)
+   * @returns {Promise<Object>} Updated recipient record
+   * @throws {Error} With status 404 if the recipient does not exist, 400 if fields are invalid
+   */
+  async updateRecipient(id, updates) {
+    const recipient = this.recipients.get(id);
+    if (!recipient) {
+      throw httpError(404, `Recipient not found: ${id}`);
+    }
+
+    const errors = this.validateRecipient({ ...recipient, ...updates }, { partial: true });
+    if (errors.length > 0) {
+      throw httpError(400, `Invalid recipient: ${errors.join('; ')}`);
+    }
+
+    for (const key of ['name', 'region', 'nodePubkey', 'address', 'verificationStatus']) {
+      if (updates[key] !== undefined) {
+        recipient[key] = typeof updates[key] === 'string' && key !== 'verificationStatus' ? updates[key].trim() : updates[key];
+      }
+    }
+    if (recipient.nodePubkey) {
+      recipient.nodePubkey = recipient.nodePubkey.toLowerCase();
+    }
+    recipient.updatedAt = new Date().toISOString();
+
+    await this.saveToDisk();
+    return recipient;
+  }
+
+  /**
+   * Links a recipient to a campaign it receives funds from.
+   *
+   * @param {string} id - Recipient id
+   * @param {string} campaignId - Campaign id
+   * @returns {Promise<Object>} Updated recipient record
+   * @throws {Error} If the recipient does not exist
+   */
+  async linkCampaign(id, campaignId) {
+    const recipient = this.recipients.get(id);
+    if (!recipient) {
+      throw httpError(404, `Recipient not found: ${id}`);
+    }
+
+    if (!recipient.campaignIds.includes(campaignId)) {
+      recipient.campaignIds.push(campaignId);
+      recipient.updatedAt = new Date().toISOString();
+      await this.saveToDisk();
+    }
+    return recipient;
+  }
+
+  /**
+   * Removes a recipient's link to a campaign.
+   *
+   * @param {string} id - Recipient id
+   * @param {string} campaignId - Campaign id
+   * @returns {Promise<Object>} Updated recipient record
+   * @throws {Error} If the recipient does not exist
+   */
+  async unlinkCampaign(id, campaignId) {
+    const recipient = this.recipients.get(id);
+    if (!recipient) {
+      throw httpError(404, `Recipient not found: ${id}`);
+    }
+
+    if (recipient.campaignIds.includes(campaignId)) {
+      recipient.campaignIds = recipient.campaignIds.filter(c => c !== campaignId);
+      recipient.updatedAt = new Date().toISOString();
+      await this.saveToDisk();
+    }
+    return recipient;
+  }
+
+  /**
+   * Retrieves a recipient by id.
+   *
+   * @param {string} id - Recipient id
+   * @returns {Object|null} Recipient record
+   */
+  getRecipient(id) {
+    return this.recipients.get(id) || null;
+  }
+
+  /**
+   * Lists recipients by name.
+   *
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.campaignId] - Only recipients linked to this campaign
+   * @param {string} [filters.verificationStatus] - Only this verification status
+   * @returns {Array<Object>} Recipient records
+   */
+  listRecipients({ campaignId, verificationStatus } = {}) {
+    return Array.from(this.recipients.values())
+      .filter(r => (!campaignId || r.campaignIds.includes(campaignId)) &&
+        (!verificationStatus || r.verificationStatus === verificationStatus))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Loads recipients from disk into memory.
+   * Starts with no recipients if the file doesn't exist.
+   *
+   * @returns {Promise<void>}
+   */
+  async loadFromDisk() {
+    this.recipients.clear();
+    try {
+      const recipients = JSON.parse(await fs.readFile(this.storageFilePath, 'utf8'));
+      for (const recipient of recipients) {
+        this.recipients.set(recipient.id, recipient);
+      }
+      console.log(`Loaded ${recipients.length} recipients from disk`);
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        console.error('Corrupted recipients file, starting with empty state:', error.message);
+      } else if (error.code !== 'ENOENT') {
+        console.error('Error loading recipients from disk:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Saves recipients to disk atomically.
+   * Uses temp file + rename to prevent corruption.
+   *
+   * @returns {Promise<void>}
+   */
+  async saveToDisk() {
+    const write = async () => {
+      await fs.mkdir(path.dirname(this.storageFilePath), { recursive: true });
+
+      const tempPath = `${this.storageFilePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(Array.from(this.recipients.values()), null, 2), 'utf8');
+      await fs.rename(tempPath, this.storageFilePath);
+    };
+
+    this.saving = this.saving.then(write, write);
+    return this.saving;
+  }
+}
+
+export default RecipientRegistry;
@@ -0,0 +1,80 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import RecipientRegistry from './recipient-registry.js';
+
+describe('RecipientRegistry', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-recipients.json');
+  const nodePubkey = `03${'cd'.repeat(32)}`;
+  let registry;
+
+  beforeEach(async () => {
+    registry = new RecipientRegistry(testStoragePath);
+    await registry.loadFromDisk();
+  });
+
+  afterEach(async () => {
+    await registry.saving;
+    await fs.unlink(testStoragePath).catch(() => {});
+  });
+
+  test('splits application wallets into node public keys and addresses', () => {
+    assert.deepStrictEqual(RecipientRegistry.fromWallet(nodePubkey.toUpperCase()), { nodePubkey, address: null });
+    assert.deepStrictEqual(RecipientRegistry.fromWallet(' nomsa@wallet.example.com '), { nodePubkey: null, address: 'nomsa@wallet.example.com' });
+  });
+
+  test('requires name, region and a node public key or address', () => {
+    const errors = registry.validateRecipient({ name: '', region: '', verificationStatus: 'trusted' });
+
+    assert.deepStrictEqual(errors, [
+      'name must be a non-empty string',
+      'region must be a non-empty string',
+      'nodePubkey or address is required',
+      'verificationStatus must be one of: unverified, verified, suspended'
+    ]);
+  });
+
+  test('creates unverified recipients and updates verification status', async () => {
+    const recipient = await registry.createRecipient({ name: 'Ladysmith Clinic', region: 'KwaZulu-Natal', nodePubkey });
+
+    assert.strictEqual(recipient.verificationStatus, 'unverified');
+    assert.deepStrictEqual(recipient.campaignIds, []);
+
+    const updated = await registry.updateRecipient(recipient.id, { verificationStatus: 'verified', region: ' Ladysmith ' });
+    assert.strictEqual(updated.verificationStatus, 'verified');
+    assert.strictEqual(updated.region, 'Ladysmith');
+
+    await assert.rejects(
+      registry.updateRecipient(recipient.id, { nodePubkey: 'nope' }),
+      (error) => error.status === 400 && /Invalid recipient/.test(error.message)
+    );
+    await assert.rejects(
+      registry.updateRecipient('missing', {}),
+      (error) => error.status === 404 && /Recipient not found/.test(error.message)
+    );
+  });
+
+  test('links recipients to campaigns', async () => {
+    const clinic = await registry.createRecipient({ name: 'Ladysmith Clinic', region: 'KwaZulu-Natal', nodePubkey });
+    const shelter = await registry.createRecipient({ name: 'Durban Shelter', region: 'KwaZulu-Natal', address: 'shelter@example.org' });
+
+    await registry.linkCampaign(clinic.id, 'disaster-relief');
+    await registry.linkCampaign(clinic.id, 'disaster-relief');
+    await registry.linkCampaign(shelter.id, 'disaster-relief');
+    await registry.unlinkCampaign(shelter.id, 'disaster-relief');
+
+    assert.deepStrictEqual(clinic.campaignIds, ['disaster-relief']);
+    assert.deepStrictEqual(registry.listRecipients({ campaignId: 'disaster-relief' }).map(r => r.name), ['Ladysmith Clinic']);
+    assert.deepStrictEqual(registry.listRecipients().map(r => r.name), ['Durban Shelter', 'Ladysmith Clinic']);
+  });
+
+  test('persists recipients across restarts', async () => {
+    const recipient = await registry.createRecipient({ name: 'Ladysmith Clinic', region: 'KwaZulu-Natal', nodePubkey });
+
+    const reloaded = new RecipientRegistry(testStoragePath);
+    await reloaded.loadFromDisk();
+
+    assert.deepStrictEqual(reloaded.getRecipient(recipient.id), recipient);
+  });
+});
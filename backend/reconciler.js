@@ -0,0 +1,281 @@
+import { getInvoices, subscribeToInvoices } from 'ln-service';
+import SpontaneousPaymentRecorder from './spontaneous-payments.js';
+
+/**
+ * Reconciler brings pending donation records in line with LND.
+ *
+ * Responsibilities:
+ * - Load donation records from disk on startup
+ * - Walk LND's invoices and settle or expire pending donations
+ * - Keep watching invoice updates while connected
+ * - Reconnect to LND and reconcile again after the connection drops
+ * - Record settled keysend/AMP payments as donations
+ * - Report paid LND invoices that have no donation record
+ *
+ * Validates: Requirements 6.7, 10.7, 13.3
+ */
+class Reconciler {
+  /**
+   * Creates a new Reconciler instance.
+   *
+   * @param {LightningClient} lightningClient - LightningClient instance
+   * @param {DonationTracker} donationTracker - DonationTracker instance
+   * @param {ProofManager} proofManager - ProofManager instance
+   * @param {Object} [options] - Reconciler options
+   * @param {number} [options.pageSize=100] - Invoices fetched per getInvoices page
+   * @param {number} [options.reconnectDelay=30000] - Delay between reconnect cycles in milliseconds
+   * @param {SpontaneousPaymentRecorder} [options.spontaneousPayments] - Records keysend/AMP donations
+   */
+  constructor(lightningClient, donationTracker, proofManager, options = {}) {
+    this.lightningClient = lightningClient;
+    this.donationTracker = donationTracker;
+    this.proofManager = proofManager;
+    this.pageSize = options.pageSize || 100;
+    this.reconnectDelay = options.reconnectDelay || 30000;
+    this.spontaneousPayments = options.spontaneousPayments || null;
+
+    this.subscription = null;
+    this.reconnecting = false;
+    this.stopped = false;
+    this.loaded = false;
+    this.lastReport = null;
+  }
+
+  /**
+   * Loads donation records into the tracker.
+   * Call before serving requests so lookups don't wait on LND.
+   *
+   * @returns {Promise<void>}
+   */
+  async load() {
+    await this.donationTracker.loadFromDisk();
+    this.loaded = true;
+  }
+
+  /**
+   * Loads the donation tracker (unless already loaded), reconciles against
+   * LND and starts watching invoice updates. If LND is not connected yet,
+   * or reconciliation fails, reconnection is attempted in the background and
+   * reconciliation runs once it succeeds.
+   *
+   * @returns {Promise<Object|null>} Reconciliation report, or null if LND is unavailable
+   */
+  async start() {
+    this.stopped = false;
+    if (!this.loaded) {
+      await this.load();
+    }
+
+    if (!this.lightningClient.lnd) {
+      console.warn('LND not connected, reconciliation deferred until reconnect');
+      this._reconnect();
+      return null;
+    }
+
+    let report;
+    try {
+      report = await this.reconcile();
+    } catch (error) {
+      console.error('Reconciliation failed, retrying in the background:', error.message);
+      this._reconnect();
+      return null;
+    }
+
+    this._watch();
+    return report;
+  }
+
+  /**
+   * Stops watching invoice updates and cancels pending reconnects.
+   */
+  stop() {
+    this.stopped = true;
+    this._unwatch();
+  }
+
+  /**
+   * Fetch a page of invoices from LND
+   * @param {string} [token] - Paging token from the previous page
+   * @returns {Promise<{invoices: Array<Object>, next: (string|undefined)}>}
+   * @private
+   */
+  async _fetchInvoices(token) {
+    if (token) {
+      return getInvoices({ lnd: this.lightningClient.lnd, token });
+    }
+    return getInvoices({ lnd: this.lightningClient.lnd, limit: this.pageSize });
+  }
+
+  /**
+   * Subscribe to all invoice updates from LND
+   * @returns {EventEmitter} ln-service invoices subscription
+   * @private
+   */
+  _subscribe() {
+    return subscribeToInvoices({ lnd: this.lightningClient.lnd });
+  }
+
+  /**
+   * Walks every LND invoice and resolves pending donations.
+   * Pending donations unknown to LND are expired once past their expiry.
+   *
+   * @returns {Promise<Object>} Report of the reconciliation run
+   * @property {string[]} settled - Payment hashes marked completed
+   * @property {string[]} expired - Payment hashes marked expired
+   * @property {string[]} spontaneous - Keysend/AMP payment hashes recorded as donations
+   * @property {Array<Object>} orphaned - Paid LND invoices without a donation record
+   * @throws {Error} If LND is not connected or invoices cannot be listed
+   */
+  async reconcile() {
+    if (!this.lightningClient.lnd) {
+      throw new Error('LND not connected. Call connect() first.');
+    }
+
+    const report = { settled: [], expired: [], spontaneous: [], orphaned: [] };
+    const seen = new Set();
+
+    let token;
+    try {
+      do {
+        const page = await this._fetchInvoices(token);
+        for (const invoice of page.invoices) {
+          seen.add(invoice.id);
+          await this._applyInvoice(invoice, report);
+        }
+        token = page.next;
+      } while (token);
+    } catch (error) {
+      throw new Error(`Failed to reconcile donations: ${error.message}`);
+    }
+
+    const now = new Date();
+    for (const donation of await this.donationTracker.getAllDonations()) {
+      if (donation.status === 'pending' && !seen.has(donation.paymentHash) && new Date(donation.expiresAt) < now) {
+        await this.donationTracker.updateDonationStatus(donation.paymentHash, 'expired', {});
+        report.expired.push(donation.paymentHash);
+      }
+    }
+
+    for (const orphan of report.orphaned) {
+      console.warn(`Paid invoice without donation record: ${orphan.paymentHash} (${orphan.amount} sats)`);
+    }
+    console.log(`Reconciled donations: ${report.settled.length} settled, ${report.expired.length} expired, ${report.spontaneous.length} spontaneous, ${report.orphaned.length} orphaned`);
+
+    this.lastReport = { ...report, reconciledAt: now.toISOString() };
+    return report;
+  }
+
+  /**
+   * Apply a single LND invoice to its donation record
+   * @param {Object} invoice - ln-service invoice
+   * @param {Object} report - Report being accumulated
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _applyInvoice(invoice, report) {
+    const donation = await this.donationTracker.getDonationByHash(invoice.id);
+
+    if (!donation) {
+      if (this.spontaneousPayments && SpontaneousPaymentRecorder.isSpontaneous(invoice)) {
+        await this.spontaneousPayments.record(invoice);
+        report.spontaneous.push(invoice.id);
+      } else if (invoice.is_confirmed) {
+        report.orphaned.push({
+          paymentHash: invoice.id,
+          amount: invoice.received || invoice.tokens,
+          description: invoice.description,
+          settledAt: invoice.confirmed_at
+        });
+      }
+      return;
+    }
+
+    if (donation.status !== 'pending' && donation.status !== 'held') {
+      return;
+    }
+
+    if (invoice.is_confirmed) {
+      await this.proofManager.storeProof({
+        paymentHash: invoice.id,
+        preimage: invoice.secret,
+        completedAt: new Date(invoice.confirmed_at)
+      });
+      report.settled.push(invoice.id);
+    } else if (invoice.is_held) {
+      // A pledge payment is locked in; PledgeManager decides whether to collect it
+      if (donation.status === 'pending') {
+        await this.donationTracker.updateDonationStatus(invoice.id, 'held', {});
+      }
+    } else if (donation.status === 'held') {
+      if (invoice.is_canceled) {
+        await this.donationTracker.updateDonationStatus(invoice.id, 'cancelled', {});
+      }
+    } else if (invoice.is_canceled || new Date(invoice.expires_at) < new Date()) {
+      await this.donationTracker.updateDonationStatus(invoice.id, 'expired', {});
+      report.expired.push(invoice.id);
+    }
+  }
+
+  /**
+   * Watch invoice updates so donations settle while nobody is polling
+   * @private
+   */
+  _watch() {
+    this._unwatch();
+    this.subscription = this._subscribe();
+
+    this.subscription.on('invoice_updated', (invoice) => {
+      const report = { settled: [], expired: [], spontaneous: [], orphaned: [] };
+      this._applyInvoice(invoice, report).catch((error) => {
+        console.error(`Failed to reconcile invoice ${invoice.id}:`, error.message);
+      });
+    });
+
+    this.subscription.on('error', (error) => {
+      console.error('Invoice subscription lost:', error?.message || error);
+      this._unwatch();
+      this._reconnect();
+    });
+  }
+
+  /**
+   * Remove the invoice subscription
+   * @private
+   */
+  _unwatch() {
+    if (this.subscription) {
+      this.subscription.removeAllListeners();
+      this.subscription = null;
+    }
+  }
+
+  /**
+   * Reconnect to LND, then reconcile and resume watching.
+   * Retries indefinitely until stopped.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _reconnect() {
+    if (this.reconnecting) {
+      return;
+    }
+    this.reconnecting = true;
+
+    while (!this.stopped) {
+      try {
+        await this.lightningClient.connect();
+        console.log('Reconnected to LND, reconciling donations...');
+        await this.reconcile();
+        this._watch();
+        break;
+      } catch (error) {
+        console.error('LND reconnect failed:', error.message);
+        await new Promise(resolve => setTimeout(resolve, this.reconnectDelay));
+      }
+    }
+
+    this.reconnecting = false;
+  }
+}
+
+export default Reconciler;
@@ -0,0 +1,236 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import Reconciler from './reconciler.js';
+import DonationTracker from './donation-tracker.js';
+import ProofManager from './proof-manager.js';
+import SpontaneousPaymentRecorder from './spontaneous-payments.js';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+describe('Reconciler', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-reconciler-donations.json');
+  let tracker;
+  let reconciler;
+  let lndInvoices;
+
+  beforeEach(async () => {
+    tracker = new DonationTracker(testStoragePath);
+    reconciler = new Reconciler({ lnd: { mock: 'lnd-object' } }, tracker, new ProofManager(tracker), { pageSize: 2 });
+    lndInvoices = [];
+
+    // Serve LND invoices from a local array, two per page
+    reconciler._fetchInvoices = async (token) => {
+      const offset = token ? parseInt(token) : 0;
+      const invoices = lndInvoices.slice(offset, offset + 2);
+      const next = offset + 2 < lndInvoices.length ? String(offset + 2) : undefined;
+      return { invoices, next };
+    };
+    reconciler._subscribe = () => new EventEmitter();
+  });
+
+  afterEach(async () => {
+    reconciler.stop();
+    try {
+      await fs.unlink(testStoragePath);
+    } catch (error) {
+      // Ignore if file doesn't exist
+    }
+  });
+
+  function createPreimage() {
+    const preimage = crypto.randomBytes(32).toString('hex');
+    const paymentHash = crypto
+      .createHash('sha256')
+      .update(Buffer.from(preimage, 'hex'))
+      .digest('hex');
+    return { preimage, paymentHash };
+  }
+
+  test('records keysend payments instead of reporting them as orphaned', async () => {
+    const { preimage, paymentHash } = createPreimage();
+    const proofManager = new ProofManager(tracker);
+    const campaignManager = { getCampaignByAddressName: async () => null };
+    reconciler.spontaneousPayments = new SpontaneousPaymentRecorder(tracker, proofManager, campaignManager);
+    lndInvoices.push({
+      id: paymentHash,
+      secret: preimage,
+      is_confirmed: true,
+      is_push: true,
+      received: 500,
+      confirmed_at: new Date().toISOString(),
+      payments: []
+    });
+
+    const report = await reconciler.start();
+
+    assert.deepStrictEqual(report.spontaneous, [paymentHash]);
+    assert.strictEqual(report.orphaned.length, 0);
+    assert.strictEqual((await tracker.getDonationByHash(paymentHash)).status, 'completed');
+  });
+
+  test('settles pending donations paid while the server was down', async () => {
+    const { preimage, paymentHash } = createPreimage();
+    await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+    const confirmedAt = new Date().toISOString();
+    lndInvoices.push({ id: paymentHash, is_confirmed: true, secret: preimage, confirmed_at: confirmedAt, tokens: 1000 });
+
+    const report = await reconciler.reconcile();
+
+    assert.deepStrictEqual(report.settled, [paymentHash]);
+    const donation = await tracker.getDonationByHash(paymentHash);
+    assert.strictEqual(donation.status, 'completed');
+    assert.strictEqual(donation.preimage, preimage);
+    assert.strictEqual(donation.completedAt, confirmedAt);
+  });
+
+  test('expires pending donations whose invoice expired or was canceled', async () => {
+    const expired = createPreimage();
+    const canceled = createPreimage();
+    const open = createPreimage();
+    for (const { paymentHash } of [expired, canceled, open]) {
+      await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+    }
+    lndInvoices.push(
+      { id: expired.paymentHash, is_confirmed: false, expires_at: new Date(Date.now() - 1000).toISOString() },
+      { id: canceled.paymentHash, is_confirmed: false, is_canceled: true, expires_at: new Date(Date.now() + 60000).toISOString() },
+      { id: open.paymentHash, is_confirmed: false, expires_at: new Date(Date.now() + 60000).toISOString() }
+    );
+
+    const report = await reconciler.reconcile();
+
+    assert.deepStrictEqual(report.expired.sort(), [expired.paymentHash, canceled.paymentHash].sort());
+    assert.strictEqual((await tracker.getDonationByHash(open.paymentHash)).status, 'pending');
+  });
+
+  test('tracks pledges held or returned while the server was down', async () => {
+    const held = createPreimage();
+    const returned = createPreimage();
+    for (const { paymentHash } of [held, returned]) {
+      await tracker.createDonation({ amount: 1000, paymentHash, description: 'Pledge', paymentRequest: 'lnbc...', pledge: true });
+    }
+    await tracker.updateDonationStatus(returned.paymentHash, 'held');
+    const expiresAt = new Date(Date.now() - 1000).toISOString();
+    lndInvoices.push(
+      { id: held.paymentHash, is_confirmed: false, is_held: true, expires_at: expiresAt },
+      { id: returned.paymentHash, is_confirmed: false, is_canceled: true, expires_at: expiresAt }
+    );
+
+    const report = await reconciler.reconcile();
+
+    assert.deepStrictEqual(report.expired, []);
+    assert.strictEqual((await tracker.getDonationByHash(held.paymentHash)).status, 'held');
+    assert.strictEqual((await tracker.getDonationByHash(returned.paymentHash)).status, 'cancelled');
+  });
+
+  test('expires overdue pending donations unknown to LND', async () => {
+    const { paymentHash } = createPreimage();
+    await tracker.createDonation({
+      amount: 1000,
+      paymentHash,
+      description: 'Test',
+      paymentRequest: 'lnbc...',
+      expiresAt: new Date(Date.now() - 1000)
+    });
+
+    const report = await reconciler.reconcile();
+
+    assert.deepStrictEqual(report.expired, [paymentHash]);
+  });
+
+  test('reports paid invoices that have no donation record', async () => {
+    const { preimage, paymentHash } = createPreimage();
+    lndInvoices.push({ id: paymentHash, is_confirmed: true, secret: preimage, confirmed_at: new Date().toISOString(), received: 2100 });
+
+    const report = await reconciler.reconcile();
+
+    assert.strictEqual(report.orphaned.length, 1);
+    assert.strictEqual(report.orphaned[0].paymentHash, paymentHash);
+    assert.strictEqual(report.orphaned[0].amount, 2100);
+    assert.ok(reconciler.lastReport.reconciledAt);
+  });
+
+  test('start loads the tracker from disk before reconciling', async () => {
+    const { preimage, paymentHash } = createPreimage();
+    await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+    tracker.donations.clear();
+    lndInvoices.push({ id: paymentHash, is_confirmed: true, secret: preimage, confirmed_at: new Date().toISOString() });
+
+    const report = await reconciler.start();
+
+    assert.deepStrictEqual(report.settled, [paymentHash]);
+    assert.ok(reconciler.subscription);
+  });
+
+  test('start does not reload a tracker that was already loaded', async () => {
+    await reconciler.load();
+    const { paymentHash } = createPreimage();
+    await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+    let loads = 0;
+    tracker.loadFromDisk = async () => { loads += 1; };
+
+    await reconciler.start();
+
+    assert.strictEqual(loads, 0);
+  });
+
+  test('start keeps retrying when reconciliation fails', async () => {
+    const { preimage, paymentHash } = createPreimage();
+    await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+    lndInvoices.push({ id: paymentHash, is_confirmed: true, secret: preimage, confirmed_at: new Date().toISOString() });
+    const fetchInvoices = reconciler._fetchInvoices;
+    let failures = 1;
+    reconciler._fetchInvoices = async (token) => {
+      if (failures-- > 0) {
+        throw new Error('unavailable');
+      }
+      return fetchInvoices(token);
+    };
+    reconciler.lightningClient.connect = async () => {};
+    reconciler.reconnectDelay = 1;
+
+    assert.strictEqual(await reconciler.start(), null);
+    while (reconciler.reconnecting) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    assert.strictEqual((await tracker.getDonationByHash(paymentHash)).status, 'completed');
+    assert.ok(reconciler.subscription);
+  });
+
+  test('settles donations from live invoice updates', async () => {
+    const { preimage, paymentHash } = createPreimage();
+    const subscription = new EventEmitter();
+    reconciler._subscribe = () => subscription;
+    await reconciler.start();
+    await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+
+    // Resolve once the proof has been written to disk
+    const stored = new Promise((resolve) => {
+      const storeProof = reconciler.proofManager.storeProof.bind(reconciler.proofManager);
+      reconciler.proofManager.storeProof = async (params) => {
+        await storeProof(params);
+        resolve();
+      };
+    });
+
+    subscription.emit('invoice_updated', { id: paymentHash, is_confirmed: true, secret: preimage, confirmed_at: new Date().toISOString() });
+    await stored;
+
+    const donation = await tracker.getDonationByHash(paymentHash);
+    assert.strictEqual(donation.status, 'completed');
+  });
+
+  test('reconcile throws when LND is not connected', async () => {
+    reconciler.lightningClient.lnd = null;
+    await assert.rejects(
+      async () => {
+        await reconciler.reconcile();
+      },
+      {
+        message: 'LND not connected. Call connect() first.'
+      }
+    );
+  });
+});
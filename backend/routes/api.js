@@ -1,81 +1,124 @@
 import express from 'express';
-import { exec } from 'child_process';
-import util from 'util';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const execPromise = util.promisify(exec);
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const pythonScriptPath = path.join(__dirname, '../py/lnd_client.py');
+import { FIAT_CURRENCIES } from '../exchange-rate-service.js';
+import { FINAL_DONATION_STATUSES } from '../donation-tracker.js';
 
 const router = express.Router();
 
-export default function createApiRoutes(invoiceGenerator, statusMonitor, lightningClient, donationTracker) {
+export default function createApiRoutes(invoiceGenerator, statusMonitor, lightningClient, donationTracker, campaignManager, exchangeRateService, feePolicy, requireRole) {
 
     // POST /api/invoice - Create a new lightning invoice
+    // Body: { amount } in sats, or { currency, fiatAmount } converted at a locked rate
     router.post('/invoice', async (req, res, next) => {
         try {
-            const { amount, description } = req.body;
+            const { description, campaignId, currency } = req.body;
+            const isFiat = currency !== undefined;
+            let amount = Number(req.body.amount);
+            let fiatAmount = null;
 
             // Basic validation
-            if (!amount || amount < 1) {
+            if (isFiat) {
+                if (req.body.amount !== undefined) {
+                    return res.status(400).json({ error: 'Send either amount or currency with fiatAmount, not both' });
+                }
+                if (!FIAT_CURRENCIES.includes(currency)) {
+                    return res.status(400).json({ error: `Currency must be one of: ${FIAT_CURRENCIES.join(', ')}` });
+                }
+                fiatAmount = Number(req.body.fiatAmount);
+                const cents = fiatAmount * 100;
+                if (!Number.isFinite(fiatAmount) || fiatAmount <= 0 || Math.abs(cents - Math.round(cents)) > 1e-6) {
+                    return res.status(400).json({ error: 'fiatAmount must be a positive amount with at most 2 decimals' });
+                }
+            } else if (!Number.isInteger(amount) || amount < 1) {
                 return res.status(400).json({ error: 'Amount must be a positive integer' });
             }
 
-            console.log(`Generating invoice via Python script for ${amount} sats...`);
-
-            // Execute Python script
-            // Use the venv python to ensure dependencies are available
-            const pythonExecutable = path.join(__dirname, '../../.venv/Scripts/python.exe');
-            const command = `"${pythonExecutable}" "${pythonScriptPath}" invoice --amount ${amount} --memo "${description || 'Donation'}"`;
+            let campaign = null;
+            if (campaignId !== undefined && campaignId !== null) {
+                campaign = await campaignManager.getCampaign(campaignId);
+                if (!campaign) {
+                    return res.status(404).json({ error: 'Campaign not found' });
+                }
+                if (!campaignManager.isAcceptingDonations(campaign)) {
+                    return res.status(400).json({ error: 'Campaign is not accepting donations' });
+                }
+                if (campaign.fundingModel === 'all_or_nothing') {
+                    return res.status(400).json({ error: 'Campaign only collects if it reaches its goal; pledge via POST /api/pledges' });
+                }
+            }
 
-            // Increase maxBuffer for large base64 output if needed (default is 1MB which is enough for QR)
-            const { stdout, stderr } = await execPromise(command);
+            const defaultMemo = campaign ? `Donation for ${campaign.title}` : 'Donation';
+            const memo = typeof description === 'string' && description.trim() !== '' ? description : defaultMemo;
 
-            if (stderr) {
-                // Python might output warnings to stderr, but if it exits 0 it's fine. 
-                // However, we should check if stdout is valid JSON.
-                console.warn('Python stderr:', stderr);
+            let quote = null;
+            if (isFiat) {
+                try {
+                    quote = await exchangeRateService.quote({ currency, fiatAmount });
+                } catch (error) {
+                    console.error('Exchange rate lookup failed:', error.message);
+                    return res.status(503).json({ error: 'Exchange rates are unavailable, please donate in sats' });
+                }
+                if (quote.amountSats < 1) {
+                    return res.status(400).json({ error: 'fiatAmount is worth less than 1 sat' });
+                }
+                amount = quote.amountSats;
             }
 
-            let invoiceData;
-            try {
-                invoiceData = JSON.parse(stdout);
-            } catch (e) {
-                console.error('Failed to parse Python output:', stdout);
-                throw new Error('Invalid response from invoice generator script');
-            }
+            console.log(`Generating invoice for ${amount} sats...`);
 
-            if (invoiceData.error) {
-                throw new Error(`Python script error: ${invoiceData.error}`);
+            // A fiat invoice lives exactly as long as its rate lock
+            let invoice;
+            try {
+                invoice = await invoiceGenerator.generateInvoice({
+                    amount,
+                    description: memo,
+                    ...(quote && { expirySeconds: exchangeRateService.lockSeconds })
+                });
+            } catch (error) {
+                if (error.code === 'InsufficientInboundLiquidity') {
+                    console.warn(error.message);
+                    return res.status(503).json({
+                        error: 'The hub cannot receive a donation this large right now, please try a smaller amount',
+                        code: 'insufficient_inbound_liquidity',
+                        max_amount: error.available
+                    });
+                }
+                throw error;
             }
+            const rateLock = quote && { ...quote, expiresAt: new Date(invoice.expiresAt).toISOString() };
 
-            console.log('Invoice generated successfully:', invoiceData.r_hash);
-
-            // Create donation record (Keep existing tracking logic)
-            // We need to construct the object expected by donationTracker
-            // Python returns: request, r_hash, add_index, payment_addr, qr_code_base64
+            const qrCodeBase64 = await invoiceGenerator.generateQrCode(invoice.paymentRequest);
 
-            // We need expiresAt. The python script doesn't return it explicitly in current modifications,
-            // but we can default or add it. LND default is 3600.
-            // Let's assume 1 hour from now for tracking purpose.
-            const expiresAt = new Date(Date.now() + 3600 * 1000);
+            console.log('Invoice generated successfully:', invoice.paymentHash);
 
             await donationTracker.createDonation({
-                paymentHash: invoiceData.r_hash, // Python returns 'r_hash'
-                amount: parseInt(amount),
-                description: description || 'Donation',
-                paymentRequest: invoiceData.payment_request,
-                expiresAt: expiresAt
+                paymentHash: invoice.paymentHash,
+                amount,
+                description: memo,
+                paymentRequest: invoice.paymentRequest,
+                expiresAt: invoice.expiresAt,
+                campaignId: campaign ? campaign.id : null,
+                rateLock
             });
 
             res.status(201).json({
-                payment_request: invoiceData.payment_request,
-                r_hash: invoiceData.r_hash,
-                amount: parseInt(amount),
-                expires_at: expiresAt,
-                qr_code_base64: invoiceData.qr_code_base64 // Send this to frontend
+                payment_request: invoice.paymentRequest,
+                r_hash: invoice.paymentHash,
+                amount,
+                campaign_id: campaign ? campaign.id : null,
+                expires_at: invoice.expiresAt,
+                rate_lock: rateLock && {
+                    currency: rateLock.currency,
+                    fiat_amount: rateLock.fiatAmount,
+                    rate_per_btc: rateLock.ratePerBtc,
+                    source: rateLock.source,
+                    locked_until: rateLock.expiresAt
+                },
+                route_hints: invoice.routeHints.map(hint => ({
+                    channel_id: hint.channelId,
+                    peer_public_key: hint.peerPublicKey
+                })),
+                qr_code_base64: qrCodeBase64,
+                ...(invoice.liquidityWarning && { liquidity_warning: invoice.liquidityWarning })
             });
 
         } catch (error) {
@@ -109,11 +152,107 @@ export default function createApiRoutes(invoiceGenerator, statusMonitor, lightni
         }
     });
 
-    // GET /api/node - Get LND node info
-    router.get('/node', async (req, res, next) => {
+    // GET /api/invoice/:paymentHash/events - Stream invoice status via Server-Sent Events
+    router.get('/invoice/:paymentHash/events', async (req, res, next) => {
+        const { paymentHash } = req.params;
+
+        try {
+            if (!(await donationTracker.getDonationByHash(paymentHash))) {
+                return res.status(404).json({ error: 'Invoice not found' });
+            }
+        } catch (error) {
+            return next(error);
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+
+        // Comment lines keep proxies from closing an idle stream
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+        const send = (event) => {
+            res.write(`event: ${event.status}\ndata: ${JSON.stringify(event)}\n\n`);
+            if (FINAL_DONATION_STATUSES.includes(event.status)) {
+                clearInterval(heartbeat);
+                res.end();
+            }
+        };
+
+        let closed = false;
+        req.on('close', () => {
+            closed = true;
+            clearInterval(heartbeat);
+            statusMonitor.stopMonitoring(paymentHash, send);
+        });
+
+        try {
+            await statusMonitor.startMonitoring(paymentHash, send);
+
+            // A client gone while the subscription was set up closed before send was registered
+            if (closed) {
+                statusMonitor.stopMonitoring(paymentHash, send);
+            }
+        } catch (error) {
+            console.error('Invoice monitoring error:', error.message);
+            clearInterval(heartbeat);
+            res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+            res.end();
+        }
+    });
+
+    // GET /api/rates - Current BTC exchange rates used for fiat invoices
+    router.get('/rates', async (req, res) => {
+        try {
+            res.json(await exchangeRateService.getRates());
+        } catch (error) {
+            console.error('Exchange rate lookup failed:', error.message);
+            res.status(503).json({ error: 'Exchange rates are unavailable' });
+        }
+    });
+
+    // GET /api/node/public - Node public key and alias, for wallets donating by keysend
+    router.get('/node/public', async (req, res, next) => {
+        try {
+            const { publicKey, alias } = await lightningClient.getNodeInfo();
+            res.json({ publicKey, alias });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/node - Get LND node info and inbound liquidity (node operators only)
+    router.get('/node', requireRole('node_operator'), async (req, res, next) => {
         try {
             const info = await lightningClient.getNodeInfo();
-            res.json(info);
+            const inboundLiquidity = await invoiceGenerator.getInboundLiquidityStatus();
+            res.json({ ...info, inboundLiquidity });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/node/policy - Zero-fee routing policy and the latest audit (node operators only)
+    // ?refresh=true audits now instead of returning the scheduled result
+    router.get('/node/policy', requireRole('node_operator'), async (req, res, next) => {
+        try {
+            if (req.query.refresh === 'true' || !feePolicy.lastAudit) {
+                await feePolicy.audit();
+            }
+            res.json(feePolicy.getStatus());
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/node/policy/enforce - Reset every channel charging fees to zero (node operators only)
+    router.post('/node/policy/enforce', requireRole('node_operator'), async (req, res, next) => {
+        try {
+            const audit = await feePolicy.audit({ correct: true });
+            res.status(audit.compliant ? 200 : 502).json(feePolicy.getStatus());
         } catch (error) {
             next(error);
         }
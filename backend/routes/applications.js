@@ -0,0 +1,90 @@
+import express from 'express';
+import { APPLICATION_STATUSES } from '../application-manager.js';
+
+export default function createApplicationRoutes(applicationManager, requireRole) {
+    const router = express.Router();
+
+    // GET /api/applications - Review queue, optionally filtered by status
+    router.get('/', requireRole('campaign_manager'), async (req, res, next) => {
+        try {
+            const { status } = req.query;
+
+            if (status !== undefined && !APPLICATION_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `Status must be one of: ${APPLICATION_STATUSES.join(', ')}` });
+            }
+
+            res.json({ applications: applicationManager.listApplications({ status }) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/applications - Submit a support application
+    // Validation errors carry their status from ApplicationManager
+    router.post('/', async (req, res, next) => {
+        try {
+            const application = await applicationManager.submitApplication(req.body);
+            res.status(201).json(applicationManager.getStatus(application.reference));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/applications/:ref/status - Where an application is in review
+    router.get('/:ref/status', async (req, res, next) => {
+        try {
+            const status = applicationManager.getStatus(req.params.ref);
+
+            if (!status) {
+                return res.status(404).json({ error: 'Application not found' });
+            }
+
+            res.json(status);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/applications/:ref - Full application for reviewers
+    router.get('/:ref', requireRole('campaign_manager'), async (req, res, next) => {
+        try {
+            const application = applicationManager.getApplication(req.params.ref);
+
+            if (!application) {
+                return res.status(404).json({ error: 'Application not found' });
+            }
+
+            res.json(application);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/applications/:ref/review - Move an application to its next status
+    router.post('/:ref/review', requireRole('campaign_manager'), async (req, res, next) => {
+        try {
+            const { status, note, region, verificationStatus } = req.body;
+
+            const updated = await applicationManager.reviewApplication(req.params.ref, {
+                status,
+                reviewer: req.auth.name,
+                note,
+                recipient: { region, verificationStatus }
+            });
+            res.json(updated);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/applications/:ref/notes - Add a reviewer note
+    router.post('/:ref/notes', requireRole('campaign_manager'), async (req, res, next) => {
+        try {
+            res.status(201).json(await applicationManager.addNote(req.params.ref, req.auth.name, req.body.note));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,52 @@
+import express from 'express';
+import { SESSION_COOKIE, readCookie } from '../auth-middleware.js';
+
+export default function createAuthRoutes(authManager, { secureCookies = false } = {}) {
+    const router = express.Router();
+
+    const cookieAttributes = `Path=/; HttpOnly; SameSite=Strict${secureCookies ? '; Secure' : ''}`;
+
+    // POST /api/auth/login - Staff login; sets the session cookie
+    router.post('/login', async (req, res, next) => {
+        try {
+            const { username, password } = req.body;
+
+            if (typeof username !== 'string' || typeof password !== 'string') {
+                return res.status(400).json({ error: 'username and password are required' });
+            }
+
+            const session = await authManager.login(username, password);
+            if (!session) {
+                return res.status(401).json({ error: 'Invalid username or password' });
+            }
+
+            const maxAge = Math.floor((new Date(session.expiresAt) - Date.now()) / 1000);
+            res.set('Set-Cookie', `${SESSION_COOKIE}=${session.token}; Max-Age=${maxAge}; ${cookieAttributes}`);
+            res.json({ user: session.principal, expiresAt: session.expiresAt });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/auth/logout - End the current staff session
+    router.post('/logout', (req, res) => {
+        const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '')?.[1];
+        const token = bearer || readCookie(req.get('cookie'), SESSION_COOKIE);
+        if (token) {
+            authManager.logout(token);
+        }
+
+        res.set('Set-Cookie', `${SESSION_COOKIE}=; Max-Age=0; ${cookieAttributes}`);
+        res.status(204).end();
+    });
+
+    // GET /api/auth/me - Who the current credentials belong to
+    router.get('/me', (req, res) => {
+        if (!req.auth) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        res.json(req.auth);
+    });
+
+    return router;
+}
@@ -0,0 +1,97 @@
+import express from 'express';
+import { CAMPAIGN_STATUSES } from '../campaign-manager.js';
+
+export default function createCampaignRoutes(campaignManager, donationTracker, requireRole) {
+    const router = express.Router();
+
+    // GET /api/campaigns - List campaigns, optionally filtered by status
+    router.get('/', async (req, res, next) => {
+        try {
+            const { status } = req.query;
+
+            if (status !== undefined && !CAMPAIGN_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `Status must be one of: ${CAMPAIGN_STATUSES.join(', ')}` });
+            }
+
+            const campaigns = await campaignManager.listCampaigns({ status });
+            res.json({ campaigns });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/campaigns/:id - Get a single campaign
+    router.get('/:id', async (req, res, next) => {
+        try {
+            const campaign = await campaignManager.getCampaign(req.params.id);
+
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            res.json(campaign);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/campaigns/:id/progress - Raised total and progress toward the goal
+    router.get('/:id/progress', async (req, res, next) => {
+        try {
+            const campaign = await campaignManager.getCampaign(req.params.id);
+
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            const stats = await donationTracker.getCampaignStats(campaign.id);
+            res.json(campaignManager.getProgress(campaign, stats));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/campaigns - Create a campaign
+    // Validation and conflict errors carry their status from CampaignManager
+    router.post('/', requireRole('campaign_manager'), async (req, res, next) => {
+        try {
+            const campaign = await campaignManager.createCampaign(req.body);
+            res.status(201).json(campaign);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // PUT /api/campaigns/:id - Update a campaign
+    router.put('/:id', requireRole('campaign_manager'), async (req, res, next) => {
+        try {
+            const updated = await campaignManager.updateCampaign(req.params.id, req.body);
+            res.json(updated);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // DELETE /api/campaigns/:id - Delete a campaign that has no donations
+    router.delete('/:id', requireRole('campaign_manager'), async (req, res, next) => {
+        try {
+            const campaign = await campaignManager.getCampaign(req.params.id);
+
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            const donations = await donationTracker.getAllDonations();
+            if (donations.some(d => d.campaignId === campaign.id)) {
+                return res.status(409).json({ error: 'Campaign has donations; set its status to "closed" instead' });
+            }
+
+            await campaignManager.deleteCampaign(campaign.id);
+            res.status(204).end();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,147 @@
+import express from 'express';
+import { NODE_PUBKEY_PATTERN } from '../recipient-registry.js';
+
+// Longest an open request may hold the connection waiting for activation
+const MAX_WAIT_SECONDS = 300;
+
+// LND refuses channels smaller than this by default
+const MIN_CHANNEL_SATS = 20000;
+
+const CHANNEL_ID_PATTERN = /^\d+x\d+x\d+$/;
+
+export default function createChannelRoutes(lightningClient, requireRole) {
+    const router = express.Router();
+
+    // Liquidity work moves the node's funds, so every route is operator-only
+    router.use(requireRole('node_operator'));
+
+    // GET /api/channels - Open channels plus channels pending open or close
+    router.get('/', async (req, res, next) => {
+        try {
+            const [channels, pending] = await Promise.all([
+                lightningClient.listChannels(),
+                lightningClient.listPendingChannels()
+            ]);
+
+            res.json({
+                channels: [
+                    ...channels.map(channel => ({ state: channel.isActive ? 'active' : 'inactive', ...channel })),
+                    ...pending
+                ]
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/channels - Open a channel
+    // Body: { partnerPublicKey, localAmount, partnerSocket?, isPrivate?, waitSeconds? }
+    // With waitSeconds the response waits for the channel to become active
+    router.post('/', async (req, res, next) => {
+        try {
+            const { partnerPublicKey, partnerSocket, isPrivate } = req.body;
+            const localAmount = Number(req.body.localAmount);
+            const waitSeconds = req.body.waitSeconds === undefined ? 0 : Number(req.body.waitSeconds);
+            const errors = [];
+
+            if (typeof partnerPublicKey !== 'string' || !NODE_PUBKEY_PATTERN.test(partnerPublicKey)) {
+                errors.push('partnerPublicKey must be a 33-byte hex public key');
+            }
+            if (!Number.isInteger(localAmount) || localAmount < MIN_CHANNEL_SATS) {
+                errors.push(`localAmount must be an integer of at least ${MIN_CHANNEL_SATS} sats`);
+            }
+            if (partnerSocket !== undefined && (typeof partnerSocket !== 'string' || !/^[^\s:]+:\d+$/.test(partnerSocket))) {
+                errors.push('partnerSocket must be host:port');
+            }
+            if (isPrivate !== undefined && typeof isPrivate !== 'boolean') {
+                errors.push('isPrivate must be a boolean');
+            }
+            if (!Number.isInteger(waitSeconds) || waitSeconds < 0 || waitSeconds > MAX_WAIT_SECONDS) {
+                errors.push(`waitSeconds must be an integer from 0 to ${MAX_WAIT_SECONDS}`);
+            }
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid channel', details: errors });
+            }
+
+            let outpoint;
+            try {
+                outpoint = await lightningClient.openChannel({
+                    partnerPublicKey: partnerPublicKey.toLowerCase(),
+                    localAmount,
+                    partnerSocket,
+                    isPrivate
+                });
+            } catch (error) {
+                if (error.code === 'InsufficientFundsToCreateChannel') {
+                    return res.status(409).json({ error: 'Insufficient on-chain funds to open a channel of this size', code: 'insufficient_funds' });
+                }
+                if (error.code === 'ExpectedLargerChannelSizeForChannelOpen') {
+                    return res.status(400).json({ error: 'Channel is smaller than the peer accepts', code: 'channel_too_small' });
+                }
+                if (['PeerIsNotOnline', 'RemotePeerDisconnected', 'RemotePeerExited', 'RemoteNodeSyncing'].includes(error.code)) {
+                    return res.status(502).json({ error: 'Peer is not available to open a channel', code: 'peer_unavailable' });
+                }
+                throw error;
+            }
+
+            console.log(`Channel opening to ${partnerPublicKey} (${localAmount} sats) in ${outpoint.transactionId}:${outpoint.transactionVout}`);
+
+            if (waitSeconds > 0) {
+                try {
+                    const channel = await lightningClient.waitForChannelActive(outpoint, { timeoutMs: waitSeconds * 1000 });
+                    return res.status(201).json({ state: 'active', ...channel });
+                } catch (error) {
+                    if (error.code !== 'ChannelActivationTimeout') {
+                        throw error;
+                    }
+                }
+            }
+
+            // Funding needs confirmations; poll GET /api/channels for activation
+            res.status(202).json({ state: 'pending_open', partnerPublicKey, localAmount, ...outpoint });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/channels/:id/close - Close a channel, cooperatively unless { force: true }
+    router.post('/:id/close', async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const { force } = req.body;
+
+            if (!CHANNEL_ID_PATTERN.test(id)) {
+                return res.status(400).json({ error: 'Channel id must look like 700000x1x0' });
+            }
+            if (force !== undefined && typeof force !== 'boolean') {
+                return res.status(400).json({ error: 'force must be a boolean' });
+            }
+
+            const channel = (await lightningClient.listChannels()).find(c => c.id === id);
+            if (!channel) {
+                return res.status(404).json({ error: 'Channel not found' });
+            }
+            // A cooperative close needs the peer online
+            if (!force && !channel.isActive) {
+                return res.status(409).json({ error: 'Channel is inactive; the peer must be online for a cooperative close' });
+            }
+
+            const closing = await lightningClient.closeChannel(id, { force: Boolean(force) });
+            console.log(`Channel ${id} closing (${force ? 'force' : 'cooperative'}) in ${closing.transactionId}`);
+
+            res.status(202).json({
+                state: 'pending_close',
+                id,
+                transactionId: channel.transactionId,
+                transactionVout: channel.transactionVout,
+                closingTransactionId: closing.transactionId,
+                closingTransactionVout: closing.transactionVout,
+                force: Boolean(force)
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,119 @@
+import express from 'express';
+import DonationTracker, { DONATION_STATUSES, DONATION_SORT_FIELDS } from '../donation-tracker.js';
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Strip fields that must not leave the server publicly:
+ * invoices, preimages and internal error details.
+ */
+function toPublicDonation(donation) {
+    return {
+        id: donation.id,
+        amount: donation.amount,
+        description: donation.description,
+        campaignId: donation.campaignId ?? null,
+        status: donation.status,
+        createdAt: donation.createdAt,
+        completedAt: donation.completedAt
+    };
+}
+
+/**
+ * Parse and validate donation history query parameters.
+ * Returns { query } on success or { errors } listing every invalid parameter.
+ */
+function parseHistoryQuery(params) {
+    const errors = [];
+    const query = {};
+
+    if (params.status !== undefined) {
+        query.statuses = String(params.status).split(',');
+        const invalid = query.statuses.filter(s => !DONATION_STATUSES.includes(s));
+        if (invalid.length > 0) {
+            errors.push(`status must be one or more of: ${DONATION_STATUSES.join(', ')}`);
+        }
+    }
+
+    if (params.campaign !== undefined) {
+        query.campaignId = String(params.campaign);
+    }
+
+    for (const key of ['minAmount', 'maxAmount']) {
+        if (params[key] !== undefined) {
+            const value = Number(params[key]);
+            if (!Number.isInteger(value) || value < 0) {
+                errors.push(`${key} must be a non-negative integer`);
+            }
+            query[key] = value;
+        }
+    }
+
+    for (const key of ['from', 'to']) {
+        if (params[key] !== undefined) {
+            const value = new Date(params[key]);
+            if (isNaN(value.getTime())) {
+                errors.push(`${key} must be a valid date`);
+            }
+            query[key] = value;
+        }
+    }
+
+    if (params.sort !== undefined) {
+        if (!DONATION_SORT_FIELDS.includes(params.sort)) {
+            errors.push(`sort must be one of: ${DONATION_SORT_FIELDS.join(', ')}`);
+        }
+        query.sort = params.sort;
+    }
+
+    if (params.order !== undefined) {
+        if (!['asc', 'desc'].includes(params.order)) {
+            errors.push('order must be asc or desc');
+        }
+        query.order = params.order;
+    }
+
+    if (params.limit !== undefined) {
+        const limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+        query.limit = limit;
+    }
+
+    if (params.cursor !== undefined) {
+        if (!DonationTracker.decodeCursor(String(params.cursor))) {
+            errors.push('cursor is invalid');
+        }
+        query.cursor = String(params.cursor);
+    }
+
+    return errors.length > 0 ? { errors } : { query };
+}
+
+export default function createDonationRoutes(donationTracker) {
+    const router = express.Router();
+
+    // GET /api/donations - Paginated, filterable donation history
+    // Query: status (comma-separated), campaign, minAmount, maxAmount, from, to,
+    //        sort (createdAt|amount), order (asc|desc), limit, cursor
+    router.get('/', async (req, res, next) => {
+        try {
+            const { query, errors } = parseHistoryQuery(req.query);
+            if (errors) {
+                return res.status(400).json({ error: 'Invalid query', details: errors });
+            }
+
+            const { donations, nextCursor } = await donationTracker.queryDonations(query);
+
+            res.json({
+                donations: donations.map(toPublicDonation),
+                nextCursor
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
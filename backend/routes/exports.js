@@ -0,0 +1,30 @@
+import express from 'express';
+import { parseExportOptions } from '../donation-exporter.js';
+
+export default function createExportRoutes(donationExporter, requireRole) {
+    const router = express.Router();
+
+    // GET /api/exports/donations - Accounting export of donations
+    // Query: format (csv|json), layout (flat|double-entry), month (YYYY-MM),
+    //        from, to, status (comma-separated), campaign, currency (ZAR|USD)
+    router.get('/donations', requireRole('finance'), async (req, res, next) => {
+        try {
+            const { options, errors } = parseExportOptions(req.query);
+            if (errors) {
+                return res.status(400).json({ error: 'Invalid query', details: errors });
+            }
+
+            const { body, contentType, extension } = await donationExporter.export(options);
+            const period = req.query.month || 'all';
+            const suffix = options.layout === 'double-entry' ? '-journal' : '';
+
+            res.set('Content-Type', contentType);
+            res.set('Content-Disposition', `attachment; filename="donations-${period}${suffix}.${extension}"`);
+            res.send(body);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,39 @@
+import express from 'express';
+
+const PAYMENT_HASH_PATTERN = /^[0-9a-f]{64}$/;
+const MAX_ROOTS = 100;
+
+export default function createLedgerRoutes(transparencyLedger) {
+    const router = express.Router();
+
+    // GET /api/ledger/roots - Signed Merkle roots, newest first
+    router.get('/roots', (req, res) => {
+        let limit = 20;
+        if (req.query.limit !== undefined) {
+            limit = Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ROOTS) {
+                return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_ROOTS}` });
+            }
+        }
+
+        res.json({ roots: transparencyLedger.getRoots({ limit }) });
+    });
+
+    // GET /api/ledger/proof/:paymentHash - Inclusion proof against the latest root
+    router.get('/proof/:paymentHash', (req, res) => {
+        const paymentHash = req.params.paymentHash.toLowerCase();
+
+        if (!PAYMENT_HASH_PATTERN.test(paymentHash)) {
+            return res.status(400).json({ error: 'Payment hash must be 64 hex characters' });
+        }
+
+        const proof = transparencyLedger.getInclusionProof(paymentHash);
+        if (!proof) {
+            return res.status(404).json({ error: 'Donation is not included in the latest ledger root' });
+        }
+
+        res.json(proof);
+    });
+
+    return router;
+}
@@ -0,0 +1,64 @@
+import express from 'express';
+import { lnurlError, paymentRefusal } from '../lnurl-helpers.js';
+
+export default function createLightningAddressRoutes(lnurlPay, campaignManager) {
+    const router = express.Router();
+
+    // GET /.well-known/lnurlp/:name - LUD-16 payRequest for name@ourdomain
+    router.get('/:name', async (req, res) => {
+        try {
+            const campaign = await campaignManager.getCampaignByAddressName(req.params.name);
+            if (!campaign) {
+                return lnurlError(res, 404, 'Unknown Lightning Address');
+            }
+            const refusal = paymentRefusal(campaignManager, campaign);
+            if (refusal) {
+                return lnurlError(res, 400, refusal);
+            }
+
+            const name = req.params.name.toLowerCase();
+            res.json(lnurlPay.getPayRequest(campaign, {
+                callback: `${lnurlPay.baseUrl}/.well-known/lnurlp/${encodeURIComponent(name)}/callback`,
+                extraMetadata: lnurlPay.getAddressMetadata(name)
+            }));
+        } catch (error) {
+            console.error('Lightning Address payRequest error:', error);
+            lnurlError(res, 500, 'Internal server error');
+        }
+    });
+
+    // GET /.well-known/lnurlp/:name/callback?amount=<msat>&comment=<text> - Mint an invoice
+    router.get('/:name/callback', async (req, res) => {
+        try {
+            const campaign = await campaignManager.getCampaignByAddressName(req.params.name);
+            if (!campaign) {
+                return lnurlError(res, 404, 'Unknown Lightning Address');
+            }
+            const refusal = paymentRefusal(campaignManager, campaign);
+            if (refusal) {
+                return lnurlError(res, 400, refusal);
+            }
+
+            const amountMsat = Number(req.query.amount);
+            const invalid = lnurlPay.validateAmount(amountMsat) || lnurlPay.validateComment(req.query.comment);
+            if (invalid) {
+                return lnurlError(res, 400, invalid);
+            }
+
+            const name = req.params.name.toLowerCase();
+            res.json(await lnurlPay.createInvoice(campaign, amountMsat, {
+                extraMetadata: lnurlPay.getAddressMetadata(name),
+                comment: req.query.comment
+            }));
+        } catch (error) {
+            if (error.code === 'InsufficientInboundLiquidity') {
+                console.warn(error.message);
+                return lnurlError(res, 503, `Amount is more than we can receive right now, send at most ${error.available} sats`);
+            }
+            console.error('Lightning Address callback error:', error);
+            lnurlError(res, 500, 'Failed to create invoice');
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,80 @@
+import express from 'express';
+import LnurlPay from '../lnurl-pay.js';
+import { lnurlError, paymentRefusal } from '../lnurl-helpers.js';
+
+export default function createLnurlRoutes(lnurlPay, campaignManager, invoiceGenerator) {
+    const router = express.Router();
+
+    // GET /api/lnurl/campaigns/:id - LUD-06 payRequest for a campaign
+    router.get('/campaigns/:id', async (req, res) => {
+        try {
+            const campaign = await campaignManager.getCampaign(req.params.id);
+            if (!campaign) {
+                return lnurlError(res, 404, 'Campaign not found');
+            }
+            const refusal = paymentRefusal(campaignManager, campaign);
+            if (refusal) {
+                return lnurlError(res, 400, refusal);
+            }
+
+            res.json(lnurlPay.getPayRequest(campaign));
+        } catch (error) {
+            console.error('LNURL payRequest error:', error);
+            lnurlError(res, 500, 'Internal server error');
+        }
+    });
+
+    // GET /api/lnurl/campaigns/:id/callback?amount=<msat> - Mint an invoice
+    router.get('/campaigns/:id/callback', async (req, res) => {
+        try {
+            const campaign = await campaignManager.getCampaign(req.params.id);
+            if (!campaign) {
+                return lnurlError(res, 404, 'Campaign not found');
+            }
+            const refusal = paymentRefusal(campaignManager, campaign);
+            if (refusal) {
+                return lnurlError(res, 400, refusal);
+            }
+
+            const amountMsat = Number(req.query.amount);
+            const invalid = lnurlPay.validateAmount(amountMsat) || lnurlPay.validateComment(req.query.comment);
+            if (invalid) {
+                return lnurlError(res, 400, invalid);
+            }
+
+            res.json(await lnurlPay.createInvoice(campaign, amountMsat, { comment: req.query.comment }));
+        } catch (error) {
+            if (error.code === 'InsufficientInboundLiquidity') {
+                console.warn(error.message);
+                return lnurlError(res, 503, `Amount is more than we can receive right now, send at most ${error.available} sats`);
+            }
+            console.error('LNURL callback error:', error);
+            lnurlError(res, 500, 'Failed to create invoice');
+        }
+    });
+
+    // GET /api/lnurl/campaigns/:id/code - Static LNURL and QR code for posters
+    router.get('/campaigns/:id/code', async (req, res, next) => {
+        try {
+            const campaign = await campaignManager.getCampaign(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            const url = lnurlPay.getPayRequestUrl(campaign);
+            const lnurl = LnurlPay.encodeLnurl(url);
+
+            res.json({
+                campaign_id: campaign.id,
+                url,
+                lnurl,
+                // Uppercase fits the QR alphanumeric mode: a smaller, easier to scan code
+                qr_code_base64: await invoiceGenerator.generateQrCode(`LIGHTNING:${lnurl.toUpperCase()}`)
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,128 @@
+import express from 'express';
+import { PAYOUT_STATUSES } from '../payout-manager.js';
+
+/**
+ * Only staff logins may propose or approve: the two-person rule counts
+ * people, and API keys aren't people
+ */
+function requireStaffLogin(req, res, next) {
+    if (req.auth?.type !== 'user') {
+        return res.status(403).json({ error: 'Payout proposals and approvals require a staff login' });
+    }
+    next();
+}
+
+export default function createPayoutRoutes(payoutManager, campaignManager, recipientRegistry, requireRole) {
+    const router = express.Router();
+
+    // GET /api/payouts - List payouts, optionally by campaign and status
+    router.get('/', requireRole('viewer'), async (req, res, next) => {
+        try {
+            const { campaign, status } = req.query;
+
+            if (status !== undefined && !PAYOUT_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `Status must be one of: ${PAYOUT_STATUSES.join(', ')}` });
+            }
+
+            res.json({ payouts: payoutManager.listPayouts({ campaignId: campaign, status }) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/payouts/:id - Payout with its decoded invoice, for approvers to review
+    router.get('/:id', requireRole('viewer'), async (req, res, next) => {
+        try {
+            const payout = await payoutManager.getPayoutForReview(req.params.id);
+
+            if (!payout) {
+                return res.status(404).json({ error: 'Payout not found' });
+            }
+
+            res.json(payout);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/payouts - Propose paying a recipient invoice from a campaign's funds
+    router.post('/', requireRole('finance'), requireStaffLogin, async (req, res, next) => {
+        try {
+            const { campaignId, paymentRequest, recipientId } = req.body;
+            const errors = [];
+
+            if (typeof campaignId !== 'string' || campaignId.trim() === '') {
+                errors.push('campaignId must be a non-empty string');
+            }
+            if (typeof paymentRequest !== 'string' || paymentRequest.trim() === '') {
+                errors.push('paymentRequest must be a non-empty string');
+            }
+            if (recipientId !== undefined && (typeof recipientId !== 'string' || recipientId.trim() === '')) {
+                errors.push('recipientId must be a non-empty string');
+            }
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid payout', details: errors });
+            }
+
+            if (!(await campaignManager.getCampaign(campaignId))) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            if (recipientId !== undefined) {
+                const recipient = recipientRegistry.getRecipient(recipientId);
+                if (!recipient) {
+                    return res.status(404).json({ error: 'Recipient not found' });
+                }
+                if (!recipient.campaignIds.includes(campaignId)) {
+                    return res.status(409).json({ error: `Recipient is not linked to campaign ${campaignId}` });
+                }
+                if (recipient.verificationStatus === 'suspended') {
+                    return res.status(409).json({ error: 'Recipient is suspended' });
+                }
+            }
+
+            const payout = await payoutManager.proposePayout({
+                campaignId,
+                paymentRequest: paymentRequest.trim(),
+                proposedBy: req.auth.name,
+                recipientId
+            });
+            res.status(201).json(payout);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/payouts/:id/approve - Approve a proposal; the quorum-reaching approval pays it
+    router.post('/:id/approve', requireRole('finance'), requireStaffLogin, async (req, res, next) => {
+        try {
+            const payout = await payoutManager.approvePayout(req.params.id, req.auth.name);
+
+            if (payout.status === 'failed') {
+                return res.status(502).json({ error: payout.failureReason, reason: payout.failureCode, payout });
+            }
+
+            // Unknown payment outcomes stay pending: 202 until someone checks the node
+            res.status(payout.status === 'pending' ? 202 : 200).json(payout);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/payouts/:id/reject - Reject a proposal and release its funds
+    router.post('/:id/reject', requireRole('finance'), requireStaffLogin, async (req, res, next) => {
+        try {
+            const { reason } = req.body;
+
+            if (reason !== undefined && typeof reason !== 'string') {
+                return res.status(400).json({ error: 'reason must be a string' });
+            }
+
+            res.json(await payoutManager.rejectPayout(req.params.id, req.auth.name, reason));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,150 @@
+import express from 'express';
+
+// Same limit LNURL comments default to
+const MAX_COMMENT_LENGTH = 140;
+
+const PAYMENT_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Response body for a newly issued pledge
+ * @param {Object} issued - Result of PledgeManager.createPledge() or repledge()
+ * @param {InvoiceGenerator} invoiceGenerator - For the QR code
+ * @param {PledgeManager} pledgeManager - For the release estimate
+ * @returns {Promise<Object>} Response body
+ */
+async function pledgeResponse(issued, invoiceGenerator, pledgeManager) {
+    const { pledge, invoice } = issued;
+
+    return {
+        payment_request: invoice.paymentRequest,
+        r_hash: invoice.paymentHash,
+        amount: pledge.amount,
+        campaign_id: pledge.campaignId,
+        status: pledge.status,
+        expires_at: invoice.expiresAt,
+        // Held pledges are released by then if the campaign hasn't decided; renew with /repledge
+        release_estimate: pledgeManager.estimateReleaseAt().toISOString(),
+        repledge_of: pledge.repledgeOf,
+        route_hints: invoice.routeHints.map(hint => ({
+            channel_id: hint.channelId,
+            peer_public_key: hint.peerPublicKey
+        })),
+        qr_code_base64: await invoiceGenerator.generateQrCode(invoice.paymentRequest),
+        ...(invoice.liquidityWarning && { liquidity_warning: invoice.liquidityWarning })
+    };
+}
+
+/**
+ * Answer liquidity refusals the way POST /api/invoice does
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from issuing the pledge
+ * @returns {boolean} True if a response was sent
+ */
+function sendLiquidityError(res, error) {
+    if (error.code !== 'InsufficientInboundLiquidity') {
+        return false;
+    }
+    console.warn(error.message);
+    res.status(503).json({
+        error: 'The hub cannot receive a pledge this large right now, please try a smaller amount',
+        code: 'insufficient_inbound_liquidity',
+        max_amount: error.available
+    });
+    return true;
+}
+
+export default function createPledgeRoutes(pledgeManager, campaignManager, invoiceGenerator) {
+    const router = express.Router();
+
+    // POST /api/pledges - Pledge to an all-or-nothing campaign
+    // Body: { campaignId, amount, comment? }
+    // The donor's payment is held, and only collected if the campaign reaches its goal
+    router.post('/', async (req, res, next) => {
+        try {
+            const { campaignId, comment } = req.body;
+            const amount = Number(req.body.amount);
+            const errors = [];
+
+            if (typeof campaignId !== 'string' || campaignId.trim() === '') {
+                errors.push('campaignId must be a non-empty string');
+            }
+            if (!Number.isInteger(amount) || amount < 1) {
+                errors.push('amount must be a positive integer');
+            }
+            if (comment !== undefined && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+                errors.push(`comment must be a string of at most ${MAX_COMMENT_LENGTH} characters`);
+            }
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid pledge', details: errors });
+            }
+
+            let issued;
+            try {
+                issued = await pledgeManager.createPledge({ campaignId, amount, comment });
+            } catch (error) {
+                if (sendLiquidityError(res, error)) return;
+                throw error;
+            }
+
+            res.status(201).json(await pledgeResponse(issued, invoiceGenerator, pledgeManager));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/pledges/campaigns/:id - Goal, amount collected and amount held
+    router.get('/campaigns/:id', async (req, res, next) => {
+        try {
+            const campaign = await campaignManager.getCampaign(req.params.id);
+
+            if (!campaign || campaign.fundingModel !== 'all_or_nothing') {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            res.json(await pledgeManager.getCampaignSummary(campaign));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/pledges/:paymentHash - Pledge status
+    router.get('/:paymentHash', async (req, res, next) => {
+        try {
+            const pledge = PAYMENT_HASH_PATTERN.test(req.params.paymentHash)
+                ? await pledgeManager.getPledge(req.params.paymentHash)
+                : null;
+
+            if (!pledge) {
+                return res.status(404).json({ error: 'Pledge not found' });
+            }
+
+            res.json(pledge);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/pledges/:paymentHash/repledge - Renew a pledge released before
+    // the campaign decided (its HTLC could not be held longer) or left unpaid
+    router.post('/:paymentHash/repledge', async (req, res, next) => {
+        try {
+            if (!PAYMENT_HASH_PATTERN.test(req.params.paymentHash)) {
+                return res.status(404).json({ error: 'Pledge not found' });
+            }
+
+            let issued;
+            try {
+                issued = await pledgeManager.repledge(req.params.paymentHash);
+            } catch (error) {
+                if (sendLiquidityError(res, error)) return;
+                throw error;
+            }
+
+            res.status(201).json(await pledgeResponse(issued, invoiceGenerator, pledgeManager));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,42 @@
+import express from 'express';
+
+const PAYMENT_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+export default function createProofRoutes(proofManager, donationTracker) {
+    const router = express.Router();
+
+    // GET /api/proof/:paymentHash - Public proof of payment for a donation
+    router.get('/:paymentHash', async (req, res, next) => {
+        try {
+            const paymentHash = req.params.paymentHash.toLowerCase();
+
+            if (!PAYMENT_HASH_PATTERN.test(paymentHash)) {
+                return res.status(400).json({ error: 'Payment hash must be 64 hex characters' });
+            }
+
+            const donation = await donationTracker.getDonationByHash(paymentHash);
+            if (!donation) {
+                return res.status(404).json({ error: 'Donation not found' });
+            }
+
+            if (!donation.preimage) {
+                return res.status(404).json({ error: 'Proof not available', status: donation.status });
+            }
+
+            const proof = await proofManager.getProof(paymentHash);
+
+            res.json({
+                paymentHash: proof.paymentHash,
+                preimage: proof.preimage,
+                amount: donation.amount,
+                campaignId: donation.campaignId ?? null,
+                settledAt: donation.completedAt,
+                verified: proof.verified
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
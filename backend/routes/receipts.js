@@ -0,0 +1,56 @@
+import express from 'express';
+
+const PAYMENT_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+export default function createReceiptRoutes(proofManager, donationTracker) {
+    const router = express.Router();
+
+    // GET /api/receipts/:paymentHash - Signed receipt for a completed donation
+    router.get('/:paymentHash', async (req, res, next) => {
+        try {
+            const paymentHash = req.params.paymentHash.toLowerCase();
+
+            if (!PAYMENT_HASH_PATTERN.test(paymentHash)) {
+                return res.status(400).json({ error: 'Payment hash must be 64 hex characters' });
+            }
+
+            const donation = await donationTracker.getDonationByHash(paymentHash);
+            if (!donation) {
+                return res.status(404).json({ error: 'Donation not found' });
+            }
+
+            if (donation.status !== 'completed' || !donation.preimage) {
+                return res.status(404).json({ error: 'Receipt not available', status: donation.status });
+            }
+
+            res.json(await proofManager.createReceipt(paymentHash));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/receipts/verify - Check a receipt's node signature and preimage
+    router.post('/verify', async (req, res, next) => {
+        try {
+            const { receipt, signature } = req.body;
+
+            if (!receipt || typeof receipt !== 'object' || Array.isArray(receipt)) {
+                return res.status(400).json({ error: 'receipt must be an object' });
+            }
+
+            if (typeof receipt.paymentHash !== 'string' || typeof receipt.preimage !== 'string') {
+                return res.status(400).json({ error: 'receipt must include paymentHash and preimage' });
+            }
+
+            if (typeof signature !== 'string' || signature.trim() === '') {
+                return res.status(400).json({ error: 'signature must be a non-empty string' });
+            }
+
+            res.json(await proofManager.verifyReceipt(receipt, signature));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,86 @@
+import express from 'express';
+import { VERIFICATION_STATUSES } from '../recipient-registry.js';
+
+export default function createRecipientRoutes(recipientRegistry, campaignManager, requireRole) {
+    const router = express.Router();
+
+    // GET /api/recipients - List recipients, optionally by campaign and verification status
+    router.get('/', requireRole('viewer'), async (req, res, next) => {
+        try {
+            const { campaign, verificationStatus } = req.query;
+
+            if (verificationStatus !== undefined && !VERIFICATION_STATUSES.includes(verificationStatus)) {
+                return res.status(400).json({ error: `verificationStatus must be one of: ${VERIFICATION_STATUSES.join(', ')}` });
+            }
+
+            res.json({ recipients: recipientRegistry.listRecipients({ campaignId: campaign, verificationStatus }) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/recipients/:id - Get a single recipient
+    router.get('/:id', requireRole('viewer'), async (req, res, next) => {
+        try {
+            const recipient = recipientRegistry.getRecipient(req.params.id);
+
+            if (!recipient) {
+                return res.status(404).json({ error: 'Recipient not found' });
+            }
+
+            res.json(recipient);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // PATCH /api/recipients/:id - Update details or verification status
+    // Validation errors carry their status from RecipientRegistry
+    router.patch('/:id', requireRole('campaign_manager'), async (req, res, next) => {
+        try {
+            res.json(await recipientRegistry.updateRecipient(req.params.id, req.body));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/recipients/:id/campaigns - Link a recipient to a campaign
+    router.post('/:id/campaigns', requireRole('campaign_manager'), async (req, res, next) => {
+        try {
+            const recipient = recipientRegistry.getRecipient(req.params.id);
+
+            if (!recipient) {
+                return res.status(404).json({ error: 'Recipient not found' });
+            }
+
+            const { campaignId } = req.body;
+            if (typeof campaignId !== 'string' || campaignId.trim() === '') {
+                return res.status(400).json({ error: 'campaignId must be a non-empty string' });
+            }
+            if (!(await campaignManager.getCampaign(campaignId))) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+
+            res.json(await recipientRegistry.linkCampaign(recipient.id, campaignId));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // DELETE /api/recipients/:id/campaigns/:campaignId - Unlink a recipient from a campaign
+    router.delete('/:id/campaigns/:campaignId', requireRole('campaign_manager'), async (req, res, next) => {
+        try {
+            const recipient = recipientRegistry.getRecipient(req.params.id);
+
+            if (!recipient) {
+                return res.status(404).json({ error: 'Recipient not found' });
+            }
+
+            res.json(await recipientRegistry.unlinkCampaign(recipient.id, req.params.campaignId));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -7,6 +7,7 @@ import { fileURLToPath } from 'url';
 // Config
 import lndConfig from './config/lnd-config.js';
 import serverConfig from './config/server-config.js';
+import defaultCampaigns from './config/default-campaigns.js';
 
 // Components
 import LightningClient from './lightning.js';
@@ -14,9 +15,39 @@ import InvoiceGenerator from './invoice-generator.js';
 import DonationTracker from './donation-tracker.js';
 import ProofManager from './proof-manager.js';
 import StatusMonitor from './status-monitor.js';
+import Reconciler from './reconciler.js';
+import CampaignManager from './campaign-manager.js';
+import TransparencyLedger from './transparency-ledger.js';
+import FeePolicyEnforcer from './fee-policy.js';
+import PledgeManager from './pledge-manager.js';
+import ExchangeRateService from './exchange-rate-service.js';
+import DonationExporter from './donation-exporter.js';
+import LnurlPay from './lnurl-pay.js';
+import SpontaneousPaymentRecorder from './spontaneous-payments.js';
+import PayoutManager from './payout-manager.js';
+import ApplicationManager from './application-manager.js';
+import RecipientRegistry from './recipient-registry.js';
+import AuthManager from './auth-manager.js';
+import createAuthMiddleware from './auth-middleware.js';
+import { createDonationStore, migrateJsonToSqlite } from './storage/index.js';
+import { createRateProvider } from './exchange-rates/index.js';
 
 // Routes
 import createApiRoutes from './routes/api.js';
+import createCampaignRoutes from './routes/campaigns.js';
+import createDonationRoutes from './routes/donations.js';
+import createProofRoutes from './routes/proof.js';
+import createReceiptRoutes from './routes/receipts.js';
+import createLedgerRoutes from './routes/ledger.js';
+import createExportRoutes from './routes/exports.js';
+import createLnurlRoutes from './routes/lnurl.js';
+import createLightningAddressRoutes from './routes/lightning-address.js';
+import createPayoutRoutes from './routes/payouts.js';
+import createApplicationRoutes from './routes/applications.js';
+import createRecipientRoutes from './routes/recipients.js';
+import createAuthRoutes from './routes/auth.js';
+import createChannelRoutes from './routes/channels.js';
+import createPledgeRoutes from './routes/pledges.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -27,7 +58,10 @@ const app = express();
 const PORT = serverConfig.port;
 
 // Middleware
-app.use(cors());
+// LNURL endpoints must be reachable from browser wallets on any origin (LUD-01)
+app.use(['/api/lnurl', '/.well-known/lnurlp'], cors());
+// Everything else is same-origin only unless origins are configured
+app.use(cors({ origin: serverConfig.corsOrigins.length > 0 ? serverConfig.corsOrigins : false, credentials: true }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -35,11 +69,81 @@ app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, '../frontend')));
 
 // Initialize Components
+const donationStore = await createDonationStore(serverConfig);
+if (serverConfig.storageDriver === 'sqlite') {
+  try {
+    const migrated = await migrateJsonToSqlite(serverConfig.dataFilePath, donationStore);
+    if (migrated > 0) {
+      console.log(`Migrated ${migrated} donations from ${serverConfig.dataFilePath} to SQLite`);
+    }
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) {
+      throw error;
+    }
+    console.error(`Corrupted ${serverConfig.dataFilePath}, skipping migration to SQLite:`, error.message);
+  }
+}
+
 const lightningClient = new LightningClient(lndConfig);
-const donationTracker = new DonationTracker(serverConfig.dataFilePath);
-const invoiceGenerator = new InvoiceGenerator(lightningClient);
-const proofManager = new ProofManager(donationTracker);
+const donationTracker = new DonationTracker(donationStore);
+const invoiceGenerator = new InvoiceGenerator(lightningClient, {
+  inboundGuard: serverConfig.inboundGuard,
+  lowInboundThreshold: serverConfig.lowInboundThreshold,
+  routeHints: serverConfig.routeHints,
+  maxRouteHints: serverConfig.maxRouteHints
+});
+const exchangeRateService = new ExchangeRateService(createRateProvider(serverConfig), {
+  cacheSeconds: serverConfig.rateCacheSeconds,
+  lockSeconds: serverConfig.rateLockSeconds
+});
+const proofManager = new ProofManager(donationTracker, lightningClient, exchangeRateService);
 const statusMonitor = new StatusMonitor(lightningClient, donationTracker, proofManager);
+const campaignManager = new CampaignManager(serverConfig.campaignsFilePath, defaultCampaigns);
+const reconciler = new Reconciler(lightningClient, donationTracker, proofManager, {
+  spontaneousPayments: new SpontaneousPaymentRecorder(donationTracker, proofManager, campaignManager)
+});
+const donationExporter = new DonationExporter(donationTracker, campaignManager);
+const lnurlPay = new LnurlPay(invoiceGenerator, donationTracker, {
+  baseUrl: serverConfig.publicUrl,
+  minSendable: serverConfig.lnurlMinSendable,
+  maxSendable: serverConfig.lnurlMaxSendable,
+  commentAllowed: serverConfig.lnurlCommentAllowed
+});
+const transparencyLedger = new TransparencyLedger(donationTracker, lightningClient, {
+  storageFilePath: serverConfig.ledgerFilePath,
+  interval: serverConfig.ledgerInterval
+});
+const feePolicy = new FeePolicyEnforcer(lightningClient, {
+  interval: serverConfig.feePolicyInterval,
+  autoCorrect: serverConfig.feePolicyAutoCorrect
+});
+const pledgeManager = new PledgeManager(invoiceGenerator, lightningClient, donationTracker, campaignManager, proofManager, {
+  storageFilePath: serverConfig.pledgesFilePath,
+  interval: serverConfig.pledgeInterval,
+  cltvDelta: serverConfig.pledgeCltvDelta,
+  safetyBlocks: serverConfig.pledgeSafetyBlocks,
+  expirySeconds: serverConfig.pledgeExpirySeconds
+});
+const payoutManager = new PayoutManager(invoiceGenerator, lightningClient, donationTracker, {
+  storageFilePath: serverConfig.payoutsFilePath,
+  maxFeeSats: serverConfig.payoutMaxFeeSats,
+  quorum: serverConfig.payoutApprovalQuorum,
+  proposalTtlSeconds: serverConfig.payoutProposalTtlSeconds
+});
+const recipientRegistry = new RecipientRegistry(serverConfig.recipientsFilePath);
+const applicationManager = new ApplicationManager(serverConfig.applicationsFilePath, recipientRegistry);
+const authManager = new AuthManager(serverConfig.authFilePath, { sessionTtlSeconds: serverConfig.sessionTtlSeconds });
+const { authenticate, requireRole } = createAuthMiddleware(authManager);
+
+// Load donations and campaigns before serving requests; reconciliation waits for LND
+await reconciler.load();
+await campaignManager.loadFromDisk();
+await transparencyLedger.loadFromDisk();
+await pledgeManager.loadFromDisk();
+await payoutManager.loadFromDisk();
+await applicationManager.loadFromDisk();
+await recipientRegistry.loadFromDisk();
+await authManager.loadFromDisk();
 
 // Connect to LND
 (async () => {
@@ -54,10 +158,42 @@ const statusMonitor = new StatusMonitor(lightningClient, donationTracker, proofM
     console.error('Failed to connect to LND:', err.message);
     console.error('Stack:', err.stack);
   }
+
+  // Settle/expire anything that changed while we were down
+  try {
+    await reconciler.start();
+  } catch (err) {
+    console.error('Startup reconciliation failed:', err.message);
+  }
+
+  // Commit completed donations to a signed Merkle root, then on a schedule
+  transparencyLedger.start();
+
+  // Check the hub still routes at zero fees, then on a schedule
+  feePolicy.start();
+
+  // Collect, return or release held pledges, then on a schedule
+  pledgeManager.start();
 })();
 
 // Mount API routes
-app.use('/api', createApiRoutes(invoiceGenerator, statusMonitor, lightningClient, donationTracker));
+// Credentials are optional: donor-facing routes stay anonymous, staff routes use requireRole
+app.use(authenticate);
+app.use('/api/auth', createAuthRoutes(authManager, { secureCookies: serverConfig.publicUrl.startsWith('https:') }));
+app.use('/api/campaigns', createCampaignRoutes(campaignManager, donationTracker, requireRole));
+app.use('/api/donations', createDonationRoutes(donationTracker));
+app.use('/api/proof', createProofRoutes(proofManager, donationTracker));
+app.use('/api/receipts', createReceiptRoutes(proofManager, donationTracker));
+app.use('/api/ledger', createLedgerRoutes(transparencyLedger));
+app.use('/api/exports', createExportRoutes(donationExporter, requireRole));
+app.use('/api/lnurl', createLnurlRoutes(lnurlPay, campaignManager, invoiceGenerator));
+app.use('/api/payouts', createPayoutRoutes(payoutManager, campaignManager, recipientRegistry, requireRole));
+app.use('/api/applications', createApplicationRoutes(applicationManager, requireRole));
+app.use('/api/recipients', createRecipientRoutes(recipientRegistry, campaignManager, requireRole));
+app.use('/api/channels', createChannelRoutes(lightningClient, requireRole));
+app.use('/api/pledges', createPledgeRoutes(pledgeManager, campaignManager, invoiceGenerator));
+app.use('/.well-known/lnurlp', createLightningAddressRoutes(lnurlPay, campaignManager));
+app.use('/api', createApiRoutes(invoiceGenerator, statusMonitor, lightningClient, donationTracker, campaignManager, exchangeRateService, feePolicy, requireRole));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -82,13 +218,21 @@ app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\nShutting down gracefully...');
-  donationTracker.saveToDisk(); // Ensure data is saved
+  reconciler.stop();
+  transparencyLedger.stop();
+  feePolicy.stop();
+  pledgeManager.stop();
+  await donationTracker.close(); // Ensure pending writes are flushed
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\nShutting down gracefully...');
-  donationTracker.saveToDisk();
+  reconciler.stop();
+  transparencyLedger.stop();
+  feePolicy.stop();
+  pledgeManager.stop();
+  await donationTracker.close();
   process.exit(0);
 });
 
@@ -0,0 +1,181 @@
+import PledgeManager from './pledge-manager.js';
+
+/**
+ * Custom TLV record types carried by spontaneous payments.
+ */
+export const TLV_RECORDS = {
+  // Standard keysend text message
+  KEYSEND_MESSAGE: '34349334',
+  // Podcasting 2.0 boostagram JSON (bLIP-10)
+  BOOSTAGRAM: '7629169',
+  // Podcasting 2.0 customValue identifying the recipient behind a shared node
+  CUSTOM_VALUE: '696969'
+};
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * SpontaneousPaymentRecorder turns keysend and AMP payments into donations.
+ *
+ * Spontaneous payments settle without an invoice we created, so no donation
+ * record exists for them. This recorder:
+ * - Decodes TLV records (keysend message, boostagram JSON, customValue)
+ * - Picks the campaign and donor message out of those records
+ * - Records a completed donation, with preimage proof when the payment has one
+ */
+class SpontaneousPaymentRecorder {
+  /**
+   * Creates a new SpontaneousPaymentRecorder instance.
+   *
+   * @param {DonationTracker} donationTracker - DonationTracker instance
+   * @param {ProofManager} proofManager - ProofManager instance
+   * @param {CampaignManager} campaignManager - CampaignManager used to resolve campaign names
+   */
+  constructor(donationTracker, proofManager, campaignManager) {
+    this.donationTracker = donationTracker;
+    this.proofManager = proofManager;
+    this.campaignManager = campaignManager;
+    // Payment hashes being recorded, so a reconcile pass and a live update can't both insert
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Checks whether an LND invoice is a settled spontaneous payment.
+   *
+   * @param {Object} invoice - ln-service invoice
+   * @returns {boolean} True for confirmed keysend/AMP pushes
+   */
+  static isSpontaneous(invoice) {
+    return Boolean(invoice.is_confirmed && invoice.is_push);
+  }
+
+  /**
+   * Decodes the TLV records attached to an invoice's payments.
+   * Undecodable records are skipped.
+   *
+   * @param {Object} invoice - ln-service invoice
+   * @returns {Object} Decoded records
+   * @property {string|null} message - Keysend text message
+   * @property {Object|null} boostagram - Parsed boostagram JSON
+   * @property {string|null} customValue - Recipient identifier
+   */
+  static decodeRecords(invoice) {
+    const decoded = { message: null, boostagram: null, customValue: null };
+
+    for (const payment of invoice.payments || []) {
+      for (const { type, value } of payment.messages || []) {
+        const text = Buffer.from(value || '', 'hex').toString('utf8');
+
+        if (type === TLV_RECORDS.KEYSEND_MESSAGE) {
+          decoded.message = text;
+        } else if (type === TLV_RECORDS.CUSTOM_VALUE) {
+          decoded.customValue = text;
+        } else if (type === TLV_RECORDS.BOOSTAGRAM) {
+          try {
+            const json = JSON.parse(text);
+            if (json && typeof json === 'object' && !Array.isArray(json)) {
+              decoded.boostagram = json;
+            }
+          } catch (error) {
+            // Not JSON: ignore the record rather than the payment
+          }
+        }
+      }
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Resolve the campaign named by the records.
+   * Tried in order: customValue, boostagram campaign/name, "#name" in the message.
+   * Payments naming a campaign that is closed or past its end date stay
+   * unattributed, as do payments naming a pledge campaign (it only counts
+   * held pledges).
+   * @param {Object} records - Decoded records
+   * @returns {Promise<Object|null>} Campaign record
+   * @private
+   */
+  async _findCampaign({ message, boostagram, customValue }) {
+    const candidates = [
+      customValue,
+      boostagram?.campaign,
+      boostagram?.name,
+      /#([a-z0-9][a-z0-9._-]*)/i.exec(message || boostagram?.message || '')?.[1]
+    ];
+
+    for (const name of candidates) {
+      if (typeof name === 'string' && name.trim() !== '') {
+        const campaign = await this.campaignManager.getCampaignByAddressName(name.trim());
+        if (campaign) {
+          const attributable = this.campaignManager.isAcceptingDonations(campaign) && !PledgeManager.isPledgeCampaign(campaign);
+          return attributable ? campaign : null;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Records a settled spontaneous payment as a completed donation.
+   * Payments that already have (or are getting) a donation record are ignored.
+   *
+   * @param {Object} invoice - ln-service invoice (confirmed, is_push)
+   * @returns {Promise<Object|null>} Donation record, or null if already recorded
+   */
+  async record(invoice) {
+    if (this.inFlight.has(invoice.id)) {
+      return null;
+    }
+
+    this.inFlight.add(invoice.id);
+    try {
+      if (await this.donationTracker.getDonationByHash(invoice.id)) {
+        return null;
+      }
+      return await this._record(invoice);
+    } finally {
+      this.inFlight.delete(invoice.id);
+    }
+  }
+
+  /**
+   * Insert the donation and its proof
+   * @param {Object} invoice - ln-service invoice
+   * @returns {Promise<Object>} Donation record
+   * @private
+   */
+  async _record(invoice) {
+    const records = SpontaneousPaymentRecorder.decodeRecords(invoice);
+    const campaign = await this._findCampaign(records);
+    const text = records.boostagram?.message ?? records.message;
+    const comment = typeof text === 'string' && text.trim() !== '' ? text.trim().slice(0, MAX_MESSAGE_LENGTH) : null;
+    const source = invoice.is_amp ? 'amp' : 'keysend';
+    const label = source === 'amp' ? 'AMP donation' : 'Keysend donation';
+    const completedAt = new Date(invoice.confirmed_at || Date.now());
+
+    await this.donationTracker.createDonation({
+      paymentHash: invoice.id,
+      amount: invoice.received || invoice.tokens,
+      description: campaign ? `${label} for ${campaign.title}` : label,
+      paymentRequest: null,
+      expiresAt: completedAt,
+      campaignId: campaign ? campaign.id : null,
+      comment,
+      source
+    });
+
+    if (invoice.secret && this.proofManager.verifyProof(invoice.id, invoice.secret)) {
+      await this.proofManager.storeProof({ paymentHash: invoice.id, preimage: invoice.secret, completedAt });
+    } else {
+      // AMP splits the preimage across shards, so there may be no single proof
+      console.warn(`Spontaneous payment ${invoice.id} has no verifiable preimage`);
+      await this.donationTracker.updateDonationStatus(invoice.id, 'completed', { completedAt });
+    }
+
+    console.log(`Recorded ${source} donation ${invoice.id} (${invoice.received || invoice.tokens} sats)`);
+    return this.donationTracker.getDonationByHash(invoice.id);
+  }
+}
+
+export default SpontaneousPaymentRecorder;
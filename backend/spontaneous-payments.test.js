@@ -0,0 +1,145 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import SpontaneousPaymentRecorder, { TLV_RECORDS } from './spontaneous-payments.js';
+import DonationTracker from './donation-tracker.js';
+import ProofManager from './proof-manager.js';
+
+describe('SpontaneousPaymentRecorder', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-spontaneous-donations.json');
+  const campaigns = [
+    { id: 'disaster-relief', title: 'Disaster Relief', addressName: 'floods' },
+    { id: 'clinic', title: 'Clinic', addressName: 'clinic', fundingModel: 'all_or_nothing' },
+    { id: 'old-appeal', title: 'Old Appeal', addressName: 'old-appeal', status: 'closed' }
+  ];
+  const campaignManager = {
+    getCampaignByAddressName: async (name) =>
+      campaigns.find(c => c.addressName === name.toLowerCase() || c.id === name.toLowerCase()) || null,
+    isAcceptingDonations: (campaign) => campaign.status !== 'closed'
+  };
+  let tracker;
+  let recorder;
+
+  const hex = (text) => Buffer.from(text, 'utf8').toString('hex');
+
+  function createKeysendInvoice(messages, overrides = {}) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const id = crypto.createHash('sha256').update(Buffer.from(secret, 'hex')).digest('hex');
+    return {
+      id,
+      secret,
+      is_confirmed: true,
+      is_push: true,
+      received: 2100,
+      confirmed_at: '2026-06-01T12:00:00.000Z',
+      payments: [{ messages: messages.map(([type, value]) => ({ type, value: hex(value) })) }],
+      ...overrides
+    };
+  }
+
+  beforeEach(async () => {
+    tracker = new DonationTracker(testStoragePath);
+    await tracker.loadFromDisk();
+    recorder = new SpontaneousPaymentRecorder(tracker, new ProofManager(tracker), campaignManager);
+  });
+
+  afterEach(async () => {
+    await tracker.close();
+    await fs.unlink(testStoragePath).catch(() => {});
+  });
+
+  test('decodes keysend message, boostagram and customValue records', () => {
+    const invoice = createKeysendInvoice([
+      [TLV_RECORDS.KEYSEND_MESSAGE, 'Hello'],
+      [TLV_RECORDS.BOOSTAGRAM, '{"message":"Boost!","sender_name":"Thandi"}'],
+      [TLV_RECORDS.CUSTOM_VALUE, 'floods'],
+      ['5482373484', 'ignored']
+    ]);
+
+    assert.deepStrictEqual(SpontaneousPaymentRecorder.decodeRecords(invoice), {
+      message: 'Hello',
+      boostagram: { message: 'Boost!', sender_name: 'Thandi' },
+      customValue: 'floods'
+    });
+  });
+
+  test('skips a boostagram record that is not JSON', () => {
+    const invoice = createKeysendInvoice([[TLV_RECORDS.BOOSTAGRAM, 'not json']]);
+
+    assert.strictEqual(SpontaneousPaymentRecorder.decodeRecords(invoice).boostagram, null);
+  });
+
+  test('records a keysend message as a completed donation with proof', async () => {
+    const invoice = createKeysendInvoice([[TLV_RECORDS.KEYSEND_MESSAGE, 'For the #floods appeal']]);
+
+    const donation = await recorder.record(invoice);
+
+    assert.strictEqual(donation.status, 'completed');
+    assert.strictEqual(donation.preimage, invoice.secret);
+    assert.strictEqual(donation.amount, 2100);
+    assert.strictEqual(donation.campaignId, 'disaster-relief');
+    assert.strictEqual(donation.comment, 'For the #floods appeal');
+    assert.strictEqual(donation.source, 'keysend');
+    assert.strictEqual(donation.completedAt, '2026-06-01T12:00:00.000Z');
+  });
+
+  test('takes campaign and message from a boostagram', async () => {
+    const invoice = createKeysendInvoice([
+      [TLV_RECORDS.BOOSTAGRAM, '{"message":"Keep going","campaign":"disaster-relief"}']
+    ]);
+
+    const donation = await recorder.record(invoice);
+
+    assert.strictEqual(donation.campaignId, 'disaster-relief');
+    assert.strictEqual(donation.comment, 'Keep going');
+  });
+
+  test('records an unknown campaign under the general fund', async () => {
+    const invoice = createKeysendInvoice([[TLV_RECORDS.CUSTOM_VALUE, 'someone-else']]);
+
+    const donation = await recorder.record(invoice);
+
+    assert.strictEqual(donation.campaignId, null);
+    assert.strictEqual(donation.comment, null);
+  });
+
+  test('leaves a payment naming a pledge campaign unattributed', async () => {
+    const invoice = createKeysendInvoice([[TLV_RECORDS.KEYSEND_MESSAGE, 'For the #clinic']]);
+
+    const donation = await recorder.record(invoice);
+
+    assert.strictEqual(donation.campaignId, null);
+    assert.strictEqual(donation.status, 'completed');
+  });
+
+  test('leaves a payment naming a closed campaign unattributed', async () => {
+    const invoice = createKeysendInvoice([[TLV_RECORDS.CUSTOM_VALUE, 'old-appeal']]);
+
+    const donation = await recorder.record(invoice);
+
+    assert.strictEqual(donation.campaignId, null);
+    assert.strictEqual(donation.status, 'completed');
+  });
+
+  test('completes an AMP payment without a verifiable preimage', async () => {
+    const invoice = createKeysendInvoice([], { is_amp: true, secret: undefined });
+
+    const donation = await recorder.record(invoice);
+
+    assert.strictEqual(donation.status, 'completed');
+    assert.strictEqual(donation.preimage, null);
+    assert.strictEqual(donation.source, 'amp');
+  });
+
+  test('records each payment once', async () => {
+    const invoice = createKeysendInvoice([]);
+
+    const results = await Promise.all([recorder.record(invoice), recorder.record(invoice)]);
+
+    assert.strictEqual(results.filter(Boolean).length, 1);
+    assert.strictEqual(await recorder.record(invoice), null);
+    assert.strictEqual((await tracker.getAllDonations()).length, 1);
+  });
+});
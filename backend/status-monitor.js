@@ -1,3 +1,5 @@
+import { FINAL_DONATION_STATUSES } from './donation-tracker.js';
+
 /**
  * StatusMonitor monitors invoice payment status and provides real-time updates.
  * Implements caching to avoid excessive LND queries.
@@ -20,6 +22,10 @@ class StatusMonitor {
     
     // Cache TTL in milliseconds (1 second)
     this.cacheTTL = 1000;
+
+    // Active invoice subscriptions: Map<paymentHash, { subscription, listeners, expiryTimer }>
+    // One LND subscription is shared by every listener watching the same invoice
+    this.subscriptions = new Map();
   }
 
   /**
@@ -63,7 +69,7 @@ class StatusMonitor {
    * stores proof if settled, updates donation status if expired
    * @param {string} paymentHash - Payment hash (hex)
    * @returns {Promise<Object>} Status and donation information
-   * @property {string} status - 'pending' | 'completed' | 'expired' | 'failed'
+   * @property {string} status - 'pending' | 'held' | 'completed' | 'expired' | 'failed' | 'cancelled'
    * @property {string} [preimage] - Payment preimage if completed (hex)
    * @property {Object} donation - Donation record
    * @throws {Error} If donation not found or status check fails
@@ -82,7 +88,7 @@ class StatusMonitor {
     }
 
     // If donation is already in a terminal state, return it immediately
-    if (donation.status === 'completed' || donation.status === 'expired' || donation.status === 'failed') {
+    if (FINAL_DONATION_STATUSES.includes(donation.status)) {
       const result = {
         status: donation.status,
         donation: donation
@@ -134,6 +140,28 @@ class StatusMonitor {
           preimage: preimage,
           donation: updatedDonation
         };
+      } else if (invoice.is_held) {
+        // Pledge paid; it stays held until the campaign reaches its goal or closes
+        if (donation.status === 'pending') {
+          await this.donationTracker.updateDonationStatus(paymentHash, 'held', {});
+        }
+
+        result = {
+          status: 'held',
+          donation: await this.donationTracker.getDonationByHash(paymentHash)
+        };
+      } else if (donation.status === 'held') {
+        // A held pledge past its invoice expiry is still held; it only ends
+        // when collected or cancelled
+        if (invoice.is_canceled) {
+          await this.donationTracker.updateDonationStatus(paymentHash, 'cancelled', {});
+        }
+
+        const updatedDonation = await this.donationTracker.getDonationByHash(paymentHash);
+        result = {
+          status: updatedDonation.status,
+          donation: updatedDonation
+        };
       } else if (isExpired) {
         // Invoice expired - update donation status
         await this.donationTracker.updateDonationStatus(
@@ -167,22 +195,236 @@ class StatusMonitor {
   }
 
   /**
-   * Start monitoring an invoice (placeholder for future real-time monitoring)
+   * Build a status event for listeners from a donation record
+   * @param {Object} donation - Donation record
+   * @returns {Object} Status event
+   * @private
+   */
+  _toEvent(donation) {
+    const event = {
+      status: donation.status,
+      paymentHash: donation.paymentHash,
+      expiresAt: donation.expiresAt
+    };
+
+    if (donation.preimage) {
+      event.preimage = donation.preimage;
+    }
+
+    return event;
+  }
+
+  /**
+   * Subscribe to LND invoice updates for a payment hash
+   * @param {string} paymentHash - Payment hash (hex)
+   * @returns {Promise<EventEmitter>} ln-service invoice subscription
+   * @private
+   */
+  async _subscribe(paymentHash) {
+    const { subscribeToInvoice } = await import('ln-service');
+
+    return subscribeToInvoice({
+      lnd: this.lightningClient.lnd,
+      id: paymentHash
+    });
+  }
+
+  /**
+   * Deliver an event to every listener of an invoice, ending the
+   * subscription once a terminal state has been reached
+   * @param {string} paymentHash - Payment hash (hex)
+   * @param {Object} event - Status event
+   * @private
+   */
+  _emit(paymentHash, event) {
+    const entry = this.subscriptions.get(paymentHash);
+    if (!entry) {
+      return;
+    }
+
+    for (const listener of entry.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Status listener error:', error.message);
+      }
+    }
+
+    if (FINAL_DONATION_STATUSES.includes(event.status)) {
+      this._teardown(paymentHash);
+    }
+  }
+
+  /**
+   * Remove the LND subscription and expiry timer for an invoice
+   * @param {string} paymentHash - Payment hash (hex)
+   * @private
+   */
+  _teardown(paymentHash) {
+    const entry = this.subscriptions.get(paymentHash);
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.expiryTimer);
+    if (entry.subscription) {
+      entry.subscription.removeAllListeners();
+    }
+    this.subscriptions.delete(paymentHash);
+    this.statusCache.delete(paymentHash);
+  }
+
+  /**
+   * Handle an invoice update from LND
+   * Stores proof when settled and marks the donation expired when canceled
+   * @param {string} paymentHash - Payment hash (hex)
+   * @param {Object} invoice - ln-service invoice update
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleInvoiceUpdate(paymentHash, invoice) {
+    const donation = await this.donationTracker.getDonationByHash(paymentHash);
+
+    if (invoice.is_confirmed) {
+      if (donation.status !== 'completed') {
+        await this.proofManager.storeProof({
+          paymentHash: paymentHash,
+          preimage: invoice.secret,
+          completedAt: new Date(invoice.confirmed_at)
+        });
+      }
+    } else if (invoice.is_held) {
+      if (donation.status === 'pending') {
+        await this.donationTracker.updateDonationStatus(paymentHash, 'held', {});
+      }
+    } else if (invoice.is_canceled) {
+      if (donation.status === 'held') {
+        // A pledge whose payment was returned rather than collected
+        await this.donationTracker.updateDonationStatus(paymentHash, 'cancelled', {});
+      } else {
+        await this._expire(paymentHash);
+      }
+    } else {
+      return;
+    }
+
+    const updatedDonation = await this.donationTracker.getDonationByHash(paymentHash);
+    this._emit(paymentHash, this._toEvent(updatedDonation));
+  }
+
+  /**
+   * Mark a still-pending donation as expired
+   * @param {string} paymentHash - Payment hash (hex)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _expire(paymentHash) {
+    const donation = await this.donationTracker.getDonationByHash(paymentHash);
+    if (donation.status === 'pending') {
+      await this.donationTracker.updateDonationStatus(paymentHash, 'expired', {});
+    }
+  }
+
+  /**
+   * Create the LND subscription for a monitoring entry and wire up its
+   * update handler and expiry guard. Removes the entry if LND refuses.
+   * @param {string} paymentHash - Payment hash (hex)
+   * @param {Object} entry - Entry in this.subscriptions
+   * @param {string} expiresAt - Invoice expiry (ISO 8601)
+   * @returns {Promise<void>}
+   * @throws {Error} If the subscription cannot be created
+   * @private
+   */
+  async _open(paymentHash, entry, expiresAt) {
+    try {
+      entry.subscription = await this._subscribe(paymentHash);
+    } catch (error) {
+      this.subscriptions.delete(paymentHash);
+      throw new Error(`Failed to monitor invoice: ${error.message}`);
+    }
+
+    entry.subscription.on('invoice_updated', (invoice) => {
+      this._handleInvoiceUpdate(paymentHash, invoice).catch((error) => {
+        console.error(`Failed to process invoice update for ${paymentHash}:`, error.message);
+      });
+    });
+
+    entry.subscription.on('error', (error) => {
+      console.error(`Invoice subscription error for ${paymentHash}:`, error.message || error);
+    });
+
+    // LND cancels expired invoices, but guard against a missed update
+    const msUntilExpiry = Math.max(new Date(expiresAt).getTime() - Date.now(), 0);
+    entry.expiryTimer = setTimeout(async () => {
+      try {
+        await this._expire(paymentHash);
+        const updatedDonation = await this.donationTracker.getDonationByHash(paymentHash);
+        this._emit(paymentHash, this._toEvent(updatedDonation));
+      } catch (error) {
+        console.error(`Failed to expire invoice ${paymentHash}:`, error.message);
+      }
+    }, msUntilExpiry);
+    entry.expiryTimer.unref?.();
+  }
+
+  /**
+   * Start monitoring an invoice using ln-service.subscribeToInvoice
+   * The listener immediately receives the current status, then every
+   * subsequent change until the donation reaches a final status.
    * @param {string} paymentHash - Payment hash to monitor
+   * @param {Function} listener - Called with { status, paymentHash, expiresAt, preimage? }
    * @returns {Promise<void>}
+   * @throws {Error} If donation not found or the subscription cannot be created
    */
-  async startMonitoring(paymentHash) {
-    // Placeholder for future implementation using ln-service.subscribeToInvoice
-    // For now, polling via checkPaymentStatus is sufficient
+  async startMonitoring(paymentHash, listener) {
+    const donation = await this.donationTracker.getDonationByHash(paymentHash);
+    if (!donation) {
+      throw new Error(`Donation not found for payment hash: ${paymentHash}`);
+    }
+
+    // Terminal donations need no subscription
+    if (FINAL_DONATION_STATUSES.includes(donation.status)) {
+      listener(this._toEvent(donation));
+      return;
+    }
+
+    let entry = this.subscriptions.get(paymentHash);
+
+    if (!entry) {
+      if (!this.lightningClient.lnd) {
+        throw new Error('LND not connected. Call connect() first.');
+      }
+
+      entry = { subscription: null, listeners: new Set(), expiryTimer: null, ready: null };
+      this.subscriptions.set(paymentHash, entry);
+      entry.ready = this._open(paymentHash, entry, donation.expiresAt);
+    }
+
+    // Callers that arrive while the subscription is being created share its outcome
+    await entry.ready;
+
+    entry.listeners.add(listener);
+    listener(this._toEvent(donation));
   }
 
   /**
-   * Stop monitoring an invoice (placeholder for future real-time monitoring)
+   * Stop monitoring an invoice for a listener
+   * The LND subscription is closed once no listeners remain.
    * @param {string} paymentHash - Payment hash to stop monitoring
+   * @param {Function} [listener] - Listener to remove (removes all if omitted)
    * @returns {Promise<void>}
    */
-  async stopMonitoring(paymentHash) {
-    // Placeholder for future implementation
+  async stopMonitoring(paymentHash, listener) {
+    const entry = this.subscriptions.get(paymentHash);
+
+    if (entry && listener) {
+      entry.listeners.delete(listener);
+    }
+
+    if (!entry || !listener || entry.listeners.size === 0) {
+      this._teardown(paymentHash);
+    }
+
     // Clear cache entry when stopping monitoring
     this.statusCache.delete(paymentHash);
   }
@@ -0,0 +1,189 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import StatusMonitor from './status-monitor.js';
+import DonationTracker from './donation-tracker.js';
+import ProofManager from './proof-manager.js';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+describe('StatusMonitor - invoice monitoring', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-monitor-donations.json');
+  let tracker;
+  let monitor;
+  let subscription;
+
+  beforeEach(async () => {
+    tracker = new DonationTracker(testStoragePath);
+    await tracker.loadFromDisk();
+    monitor = new StatusMonitor({ lnd: { mock: 'lnd-object' } }, tracker, new ProofManager(tracker));
+
+    // Replace the LND subscription with a local emitter
+    subscription = new EventEmitter();
+    monitor._subscribe = async () => subscription;
+  });
+
+  afterEach(async () => {
+    for (const paymentHash of monitor.subscriptions.keys()) {
+      await monitor.stopMonitoring(paymentHash);
+    }
+    try {
+      await fs.unlink(testStoragePath);
+    } catch (error) {
+      // Ignore if file doesn't exist
+    }
+  });
+
+  function createPreimage() {
+    const preimage = crypto.randomBytes(32).toString('hex');
+    const paymentHash = crypto
+      .createHash('sha256')
+      .update(Buffer.from(preimage, 'hex'))
+      .digest('hex');
+    return { preimage, paymentHash };
+  }
+
+  function waitForStatus(status) {
+    let listener;
+    const promise = new Promise((resolve) => {
+      listener = (event) => {
+        if (event.status === status) resolve(event);
+      };
+    });
+    return { listener, promise };
+  }
+
+  test('emits pending immediately when monitoring starts', async () => {
+    const { paymentHash } = createPreimage();
+    await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+
+    const events = [];
+    await monitor.startMonitoring(paymentHash, (event) => events.push(event));
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].status, 'pending');
+    assert.strictEqual(events[0].paymentHash, paymentHash);
+  });
+
+  test('emits completed with preimage and stores proof when invoice settles', async () => {
+    const { preimage, paymentHash } = createPreimage();
+    await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+
+    const events = [];
+    await monitor.startMonitoring(paymentHash, (event) => events.push(event));
+
+    const settled = waitForStatus('completed');
+    await monitor.startMonitoring(paymentHash, settled.listener);
+
+    subscription.emit('invoice_updated', {
+      id: paymentHash,
+      is_confirmed: true,
+      secret: preimage,
+      confirmed_at: new Date().toISOString()
+    });
+
+    const event = await settled.promise;
+    assert.strictEqual(event.preimage, preimage);
+    assert.strictEqual(events[events.length - 1].status, 'completed');
+
+    const donation = await tracker.getDonationByHash(paymentHash);
+    assert.strictEqual(donation.status, 'completed');
+    assert.strictEqual(monitor.subscriptions.has(paymentHash), false);
+  });
+
+  test('emits expired when LND cancels the invoice', async () => {
+    const { paymentHash } = createPreimage();
+    await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+
+    const expired = waitForStatus('expired');
+    await monitor.startMonitoring(paymentHash, expired.listener);
+
+    subscription.emit('invoice_updated', { id: paymentHash, is_confirmed: false, is_canceled: true });
+
+    await expired.promise;
+    const donation = await tracker.getDonationByHash(paymentHash);
+    assert.strictEqual(donation.status, 'expired');
+  });
+
+  test('emits terminal status without subscribing for completed donations', async () => {
+    const { preimage, paymentHash } = createPreimage();
+    await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+    await tracker.updateDonationStatus(paymentHash, 'completed', { preimage, completedAt: new Date() });
+
+    const events = [];
+    await monitor.startMonitoring(paymentHash, (event) => events.push(event));
+
+    assert.deepStrictEqual(events.map(e => e.status), ['completed']);
+    assert.strictEqual(monitor.subscriptions.has(paymentHash), false);
+  });
+
+  test('closes the subscription when the last listener stops', async () => {
+    const { paymentHash } = createPreimage();
+    await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+
+    const first = () => {};
+    const second = () => {};
+    await monitor.startMonitoring(paymentHash, first);
+    await monitor.startMonitoring(paymentHash, second);
+
+    await monitor.stopMonitoring(paymentHash, first);
+    assert.strictEqual(monitor.subscriptions.has(paymentHash), true);
+
+    await monitor.stopMonitoring(paymentHash, second);
+    assert.strictEqual(monitor.subscriptions.has(paymentHash), false);
+    assert.strictEqual(subscription.listenerCount('invoice_updated'), 0);
+  });
+
+  test('shares one pending subscription between concurrent callers', async () => {
+    const { paymentHash } = createPreimage();
+    await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+    let subscribeCalls = 0;
+    monitor._subscribe = async () => {
+      subscribeCalls++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return subscription;
+    };
+
+    const first = [];
+    const second = [];
+    await Promise.all([
+      monitor.startMonitoring(paymentHash, (event) => first.push(event.status)),
+      monitor.startMonitoring(paymentHash, (event) => second.push(event.status))
+    ]);
+
+    assert.strictEqual(subscribeCalls, 1);
+    assert.strictEqual(monitor.subscriptions.get(paymentHash).listeners.size, 2);
+    assert.deepStrictEqual(first, ['pending']);
+    assert.deepStrictEqual(second, ['pending']);
+  });
+
+  test('fails every concurrent caller when the subscription cannot be created', async () => {
+    const { paymentHash } = createPreimage();
+    await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+    monitor._subscribe = async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      throw new Error('unavailable');
+    };
+
+    const results = await Promise.allSettled([
+      monitor.startMonitoring(paymentHash, () => {}),
+      monitor.startMonitoring(paymentHash, () => {})
+    ]);
+
+    assert.deepStrictEqual(results.map(r => r.status), ['rejected', 'rejected']);
+    assert.deepStrictEqual(results.map(r => r.reason.message), ['Failed to monitor invoice: unavailable', 'Failed to monitor invoice: unavailable']);
+    assert.strictEqual(monitor.subscriptions.has(paymentHash), false);
+  });
+
+  test('throws when donation does not exist', async () => {
+    await assert.rejects(
+      async () => {
+        await monitor.startMonitoring('missing-hash', () => {});
+      },
+      {
+        message: 'Donation not found for payment hash: missing-hash'
+      }
+    );
+  });
+});
@@ -0,0 +1,54 @@
+import fs from 'fs/promises';
+import JsonDonationStore from './json-donation-store.js';
+
+/**
+ * Creates the donation store selected by configuration.
+ * The SQLite driver is loaded lazily so JSON deployments don't need the native module.
+ *
+ * @param {Object} config - Storage configuration
+ * @param {string} [config.storageDriver='json'] - 'json' | 'sqlite'
+ * @param {string} config.dataFilePath - JSON file path (json driver)
+ * @param {string} config.sqliteFilePath - Database file path (sqlite driver)
+ * @returns {Promise<Object>} Donation store
+ * @throws {Error} If the driver is unknown
+ */
+export async function createDonationStore(config) {
+  const driver = config.storageDriver || 'json';
+
+  if (driver === 'json') {
+    return new JsonDonationStore(config.dataFilePath);
+  }
+
+  if (driver === 'sqlite') {
+    const { default: SqliteDonationStore } = await import('./sqlite-donation-store.js');
+    return new SqliteDonationStore(config.sqliteFilePath);
+  }
+
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+/**
+ * One-shot migration of donations from the JSON file into a SQLite store.
+ * Does nothing if the SQLite store already holds records, so it is safe to
+ * run on every startup. The JSON file is left in place as a backup.
+ *
+ * @param {string} jsonFilePath - Existing donations.json path
+ * @param {SqliteDonationStore} sqliteStore - Destination store
+ * @returns {Promise<number>} Number of donations migrated
+ */
+export async function migrateJsonToSqlite(jsonFilePath, sqliteStore) {
+  if (await sqliteStore.count() > 0) {
+    return 0;
+  }
+
+  try {
+    await fs.access(jsonFilePath);
+  } catch (error) {
+    return 0;
+  }
+
+  const donations = await new JsonDonationStore(jsonFilePath).loadAll();
+  await sqliteStore.saveAll(donations);
+
+  return donations.length;
+}
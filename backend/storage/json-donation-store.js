@@ -0,0 +1,163 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * JsonDonationStore persists donation records as a single JSON array on disk.
+ *
+ * Every write rewrites the whole file, so it suits small deployments and
+ * development. Writes are serialized through a queue and each one uses its
+ * own temp file, so concurrent saves can never interleave or clobber each other.
+ *
+ * Implements the donation store interface used by DonationTracker:
+ * loadAll(), save(donation), saveAll(donations), query(filters), close()
+ */
+class JsonDonationStore {
+  /**
+   * Creates a new JsonDonationStore instance.
+   *
+   * @param {string} filePath - Path to JSON file for persistent storage
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    // Latest known state of every record, keyed by payment hash
+    this.records = new Map();
+    // Tail of the write queue
+    this.writeQueue = Promise.resolve();
+    this.writeCounter = 0;
+  }
+
+  /**
+   * Reads all donation records from disk.
+   * Creates the data directory if it doesn't exist.
+   *
+   * @returns {Promise<Array<Object>>} Donation records (empty if the file doesn't exist)
+   * @throws {SyntaxError} If the file contains corrupted JSON
+   */
+  async loadAll() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let donations;
+    try {
+      donations = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.records.clear();
+        return [];
+      }
+      throw error;
+    }
+
+    this.records.clear();
+    for (const donation of donations) {
+      this.records.set(donation.paymentHash, donation);
+    }
+    return donations;
+  }
+
+  /**
+   * Inserts or updates a single donation record.
+   *
+   * @param {Object} donation - Donation record
+   * @returns {Promise<void>}
+   */
+  async save(donation) {
+    this.records.set(donation.paymentHash, donation);
+    await this._enqueueWrite();
+  }
+
+  /**
+   * Replaces the stored records with the given set.
+   *
+   * @param {Array<Object>} donations - All donation records
+   * @returns {Promise<void>}
+   */
+  async saveAll(donations) {
+    this.records.clear();
+    for (const donation of donations) {
+      this.records.set(donation.paymentHash, donation);
+    }
+    await this._enqueueWrite();
+  }
+
+  /**
+   * Finds donation records matching the filters, in sort order.
+   * Scans the records held in memory; the JSON file has no indexes.
+   *
+   * @param {Object} filters - Query filters
+   * @param {string[]} [filters.statuses] - Only include these statuses
+   * @param {string} [filters.campaignId] - Only include donations for this campaign
+   * @param {number} [filters.minAmount] - Minimum amount in satoshis (inclusive)
+   * @param {number} [filters.maxAmount] - Maximum amount in satoshis (inclusive)
+   * @param {string} [filters.from] - ISO timestamp, created at or after
+   * @param {string} [filters.to] - ISO timestamp, created at or before
+   * @param {string} filters.sort - 'createdAt' | 'amount'
+   * @param {string} filters.order - 'asc' | 'desc'
+   * @param {Object} [filters.after] - Only include records past this { value, paymentHash } position
+   * @param {number} filters.limit - Maximum number of records
+   * @returns {Promise<Array<Object>>} Matching donation records
+   */
+  async query({ statuses, campaignId, minAmount, maxAmount, from, to, sort, order, after, limit }) {
+    const direction = order === 'asc' ? 1 : -1;
+    const compare = (a, b) => {
+      if (a[sort] !== b[sort]) {
+        return (a[sort] < b[sort] ? -1 : 1) * direction;
+      }
+      return (a.paymentHash < b.paymentHash ? -1 : a.paymentHash > b.paymentHash ? 1 : 0) * direction;
+    };
+    const position = after && { [sort]: after.value, paymentHash: after.paymentHash };
+
+    return Array.from(this.records.values())
+      .filter(d => !statuses || statuses.includes(d.status))
+      .filter(d => !campaignId || d.campaignId === campaignId)
+      .filter(d => minAmount === undefined || d.amount >= minAmount)
+      .filter(d => maxAmount === undefined || d.amount <= maxAmount)
+      .filter(d => !from || d.createdAt >= from)
+      .filter(d => !to || d.createdAt <= to)
+      .filter(d => !position || compare(d, position) > 0)
+      .sort(compare)
+      .slice(0, limit);
+  }
+
+  /**
+   * Waits for pending writes to finish.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Queue a full-file write after any write already in progress
+   * @returns {Promise<void>}
+   * @private
+   */
+  _enqueueWrite() {
+    const write = this.writeQueue.then(() => this._writeFile());
+    // Keep the queue alive even if this write fails
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Write all records atomically via temp file + rename
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeFile() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const donations = Array.from(this.records.values());
+    const tempPath = `${this.filePath}.${process.pid}.${++this.writeCounter}.tmp`;
+
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(donations, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+}
+
+export default JsonDonationStore;
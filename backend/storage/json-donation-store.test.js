@@ -0,0 +1,61 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import JsonDonationStore from './json-donation-store.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+describe('JsonDonationStore', () => {
+  const testStoragePath = path.join('backend', 'data', 'test-json-store.json');
+  let store;
+
+  beforeEach(async () => {
+    store = new JsonDonationStore(testStoragePath);
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.unlink(testStoragePath);
+    } catch (error) {
+      // Ignore if file doesn't exist
+    }
+  });
+
+  function donation(paymentHash, amount = 1000) {
+    return { id: paymentHash, paymentHash, amount, status: 'pending', createdAt: new Date().toISOString() };
+  }
+
+  test('returns an empty list when the file does not exist', async () => {
+    assert.deepStrictEqual(await store.loadAll(), []);
+  });
+
+  test('concurrent saves all reach disk', async () => {
+    await Promise.all(
+      Array.from({ length: 20 }, (_, i) => store.save(donation(`hash${i}`, i + 1)))
+    );
+
+    const reloaded = await new JsonDonationStore(testStoragePath).loadAll();
+    assert.strictEqual(reloaded.length, 20);
+
+    // No temp files left behind
+    const leftovers = (await fs.readdir(path.dirname(testStoragePath)))
+      .filter(name => name.startsWith('test-json-store.json.') && name.endsWith('.tmp'));
+    assert.deepStrictEqual(leftovers, []);
+  });
+
+  test('save updates an existing record in place', async () => {
+    const record = donation('hash1');
+    await store.save(record);
+    await store.save({ ...record, status: 'completed' });
+
+    const reloaded = await new JsonDonationStore(testStoragePath).loadAll();
+    assert.strictEqual(reloaded.length, 1);
+    assert.strictEqual(reloaded[0].status, 'completed');
+  });
+
+  test('throws SyntaxError for a corrupted file', async () => {
+    await fs.mkdir(path.dirname(testStoragePath), { recursive: true });
+    await fs.writeFile(testStoragePath, '{ not json', 'utf8');
+
+    await assert.rejects(async () => store.loadAll(), SyntaxError);
+  });
+});
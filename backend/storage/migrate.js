@@ -0,0 +1,23 @@
+// One-shot migration of donations.json into the SQLite store
+// Usage: npm run migrate:sqlite
+import serverConfig from '../config/server-config.js';
+import SqliteDonationStore from './sqlite-donation-store.js';
+import { migrateJsonToSqlite } from './index.js';
+
+const store = new SqliteDonationStore(serverConfig.sqliteFilePath);
+
+try {
+    const existing = await store.count();
+    if (existing > 0) {
+        console.log(`${serverConfig.sqliteFilePath} already holds ${existing} donations, nothing to migrate`);
+    } else {
+        const migrated = await migrateJsonToSqlite(serverConfig.dataFilePath, store);
+        console.log(`Migrated ${migrated} donations from ${serverConfig.dataFilePath} to ${serverConfig.sqliteFilePath}`);
+        console.log('Set STORAGE_DRIVER=sqlite to use the new store');
+    }
+} catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    await store.close();
+}
@@ -0,0 +1,207 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// Donation fields that can be sorted on, mapped to their columns
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  amount: 'amount'
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS donations (
+    id TEXT NOT NULL,
+    payment_hash TEXT PRIMARY KEY,
+    amount INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    campaign_id TEXT,
+    created_at TEXT NOT NULL,
+    completed_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_donations_status ON donations (status);
+  CREATE INDEX IF NOT EXISTS idx_donations_campaign ON donations (campaign_id);
+  CREATE INDEX IF NOT EXISTS idx_donations_created_at ON donations (created_at);
+`;
+
+/**
+ * SqliteDonationStore persists donation records in an embedded SQLite database.
+ *
+ * Each save touches a single row, so writes stay O(1) as history grows.
+ * Queried fields (payment hash, status, campaign, createdAt) are stored in
+ * indexed columns; the full record is kept as JSON so new fields need no
+ * schema migration.
+ *
+ * Implements the donation store interface used by DonationTracker:
+ * loadAll(), save(donation), saveAll(donations), query(filters), close()
+ */
+class SqliteDonationStore {
+  /**
+   * Creates a new SqliteDonationStore and opens (or creates) the database.
+   *
+   * @param {string} filePath - Path to the SQLite database file (':memory:' for tests)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+
+    if (filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.upsertStatement = this.db.prepare(`
+      INSERT INTO donations (id, payment_hash, amount, status, campaign_id, created_at, completed_at, data)
+      VALUES (@id, @paymentHash, @amount, @status, @campaignId, @createdAt, @completedAt, @data)
+      ON CONFLICT (payment_hash) DO UPDATE SET
+        id = excluded.id,
+        amount = excluded.amount,
+        status = excluded.status,
+        campaign_id = excluded.campaign_id,
+        created_at = excluded.created_at,
+        completed_at = excluded.completed_at,
+        data = excluded.data
+    `);
+  }
+
+  /**
+   * Map a donation record to statement parameters
+   * @param {Object} donation - Donation record
+   * @returns {Object} Named parameters for the upsert statement
+   * @private
+   */
+  _toRow(donation) {
+    return {
+      id: donation.id,
+      paymentHash: donation.paymentHash,
+      amount: donation.amount,
+      status: donation.status,
+      campaignId: donation.campaignId ?? null,
+      createdAt: donation.createdAt,
+      completedAt: donation.completedAt ?? null,
+      data: JSON.stringify(donation)
+    };
+  }
+
+  /**
+   * Reads all donation records, oldest first.
+   *
+   * @returns {Promise<Array<Object>>} Donation records
+   */
+  async loadAll() {
+    return this.db
+      .prepare('SELECT data FROM donations ORDER BY created_at, rowid')
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Finds donation records matching the filters, in sort order.
+   * Filtering, ordering and the page limit run in SQL on the indexed columns.
+   *
+   * @param {Object} filters - Query filters
+   * @param {string[]} [filters.statuses] - Only include these statuses
+   * @param {string} [filters.campaignId] - Only include donations for this campaign
+   * @param {number} [filters.minAmount] - Minimum amount in satoshis (inclusive)
+   * @param {number} [filters.maxAmount] - Maximum amount in satoshis (inclusive)
+   * @param {string} [filters.from] - ISO timestamp, created at or after
+   * @param {string} [filters.to] - ISO timestamp, created at or before
+   * @param {string} filters.sort - 'createdAt' | 'amount'
+   * @param {string} filters.order - 'asc' | 'desc'
+   * @param {Object} [filters.after] - Only include records past this { value, paymentHash } position
+   * @param {number} filters.limit - Maximum number of records
+   * @returns {Promise<Array<Object>>} Matching donation records
+   */
+  async query({ statuses, campaignId, minAmount, maxAmount, from, to, sort, order, after, limit }) {
+    const column = SORT_COLUMNS[sort];
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const conditions = [];
+    const params = [];
+
+    if (statuses) {
+      conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (campaignId) {
+      conditions.push('campaign_id = ?');
+      params.push(campaignId);
+    }
+    if (minAmount !== undefined) {
+      conditions.push('amount >= ?');
+      params.push(minAmount);
+    }
+    if (maxAmount !== undefined) {
+      conditions.push('amount <= ?');
+      params.push(maxAmount);
+    }
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('created_at <= ?');
+      params.push(to);
+    }
+    if (after) {
+      conditions.push(`(${column}, payment_hash) ${direction === 'ASC' ? '>' : '<'} (?, ?)`);
+      params.push(after.value, after.paymentHash);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return this.db
+      .prepare(`SELECT data FROM donations ${where} ORDER BY ${column} ${direction}, payment_hash ${direction} LIMIT ?`)
+      .all(...params, limit)
+      .map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Inserts or updates a single donation record.
+   *
+   * @param {Object} donation - Donation record
+   * @returns {Promise<void>}
+   */
+  async save(donation) {
+    this.upsertStatement.run(this._toRow(donation));
+  }
+
+  /**
+   * Replaces the stored records with the given set in one transaction.
+   *
+   * @param {Array<Object>} donations - All donation records
+   * @returns {Promise<void>}
+   */
+  async saveAll(donations) {
+    const replaceAll = this.db.transaction((records) => {
+      this.db.prepare('DELETE FROM donations').run();
+      for (const donation of records) {
+        this.upsertStatement.run(this._toRow(donation));
+      }
+    });
+    replaceAll(donations);
+  }
+
+  /**
+   * Counts stored donation records.
+   *
+   * @returns {Promise<number>} Number of records
+   */
+  async count() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM donations').get().count;
+  }
+
+  /**
+   * Closes the database connection.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+export default SqliteDonationStore;
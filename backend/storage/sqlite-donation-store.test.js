@@ -0,0 +1,136 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import SqliteDonationStore from './sqlite-donation-store.js';
+import JsonDonationStore from './json-donation-store.js';
+import DonationTracker from '../donation-tracker.js';
+import { migrateJsonToSqlite } from './index.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+describe('SqliteDonationStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new SqliteDonationStore(':memory:');
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  function donation(paymentHash, fields = {}) {
+    return {
+      id: `id-${paymentHash}`,
+      paymentHash,
+      amount: 1000,
+      status: 'pending',
+      campaignId: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      ...fields
+    };
+  }
+
+  test('saves and loads donation records', async () => {
+    await store.save(donation('hash1', { campaignId: 'floods', description: 'Donation' }));
+
+    const [loaded] = await store.loadAll();
+    assert.strictEqual(loaded.paymentHash, 'hash1');
+    assert.strictEqual(loaded.campaignId, 'floods');
+    assert.strictEqual(loaded.description, 'Donation');
+  });
+
+  test('upserts by payment hash', async () => {
+    await store.save(donation('hash1'));
+    await store.save(donation('hash1', { status: 'completed', preimage: 'abc' }));
+
+    const donations = await store.loadAll();
+    assert.strictEqual(donations.length, 1);
+    assert.strictEqual(donations[0].status, 'completed');
+    assert.strictEqual(donations[0].preimage, 'abc');
+  });
+
+  test('creates indexes for status, campaign and createdAt', () => {
+    const indexes = store.db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'donations'").all().map(i => i.name);
+
+    assert.ok(indexes.includes('idx_donations_status'));
+    assert.ok(indexes.includes('idx_donations_campaign'));
+    assert.ok(indexes.includes('idx_donations_created_at'));
+  });
+
+  test('works as the DonationTracker store', async () => {
+    const tracker = new DonationTracker(store);
+    await tracker.createDonation({ amount: 2000, paymentHash: 'hash1', description: 'Test', paymentRequest: 'lnbc...' });
+    await tracker.updateDonationStatus('hash1', 'completed', { preimage: 'xyz', completedAt: new Date() });
+
+    const reloaded = new DonationTracker(store);
+    await reloaded.loadFromDisk();
+    const loaded = await reloaded.getDonationByHash('hash1');
+    assert.strictEqual(loaded.status, 'completed');
+    assert.strictEqual(loaded.preimage, 'xyz');
+  });
+
+  test('query filters, sorts and pages in SQL', async () => {
+    await store.save(donation('hash1', { amount: 500, status: 'completed', campaignId: 'floods' }));
+    await store.save(donation('hash2', { amount: 3000, status: 'completed', campaignId: 'floods' }));
+    await store.save(donation('hash3', { amount: 2000, status: 'completed', campaignId: 'floods' }));
+    await store.save(donation('hash4', { amount: 4000, status: 'pending', campaignId: 'floods' }));
+    await store.save(donation('hash5', { amount: 5000, status: 'completed', campaignId: 'schools' }));
+
+    const filters = { statuses: ['completed'], campaignId: 'floods', minAmount: 1000, sort: 'amount', order: 'desc', limit: 1 };
+    const [first] = await store.query(filters);
+    const rest = await store.query({ ...filters, after: { value: first.amount, paymentHash: first.paymentHash }, limit: 10 });
+
+    assert.strictEqual(first.paymentHash, 'hash2');
+    assert.deepStrictEqual(rest.map(d => d.paymentHash), ['hash3']);
+  });
+
+  test('tracker pages through history from the store', async () => {
+    const tracker = new DonationTracker(store);
+    for (const paymentHash of ['hash1', 'hash2', 'hash3']) {
+      await tracker.createDonation({ amount: 1000, paymentHash, description: 'Test', paymentRequest: 'lnbc...' });
+    }
+
+    const page1 = await tracker.queryDonations({ sort: 'amount', order: 'asc', limit: 2 });
+    const page2 = await tracker.queryDonations({ sort: 'amount', order: 'asc', limit: 2, cursor: page1.nextCursor });
+
+    assert.deepStrictEqual(page1.donations.map(d => d.paymentHash), ['hash1', 'hash2']);
+    assert.deepStrictEqual(page2.donations.map(d => d.paymentHash), ['hash3']);
+    assert.strictEqual(page2.nextCursor, null);
+  });
+
+  describe('migrateJsonToSqlite', () => {
+    const jsonPath = path.join('backend', 'data', 'test-migrate-donations.json');
+
+    afterEach(async () => {
+      try {
+        await fs.unlink(jsonPath);
+      } catch (error) {
+        // Ignore if file doesn't exist
+      }
+    });
+
+    test('imports every JSON donation into an empty database', async () => {
+      await new JsonDonationStore(jsonPath).saveAll([donation('hash1'), donation('hash2')]);
+
+      const migrated = await migrateJsonToSqlite(jsonPath, store);
+
+      assert.strictEqual(migrated, 2);
+      assert.strictEqual(await store.count(), 2);
+    });
+
+    test('does nothing when the database already has donations', async () => {
+      await new JsonDonationStore(jsonPath).saveAll([donation('hash1'), donation('hash2')]);
+      await store.save(donation('existing'));
+
+      const migrated = await migrateJsonToSqlite(jsonPath, store);
+
+      assert.strictEqual(migrated, 0);
+      assert.strictEqual(await store.count(), 1);
+    });
+
+    test('does nothing when there is no JSON file', async () => {
+      assert.strictEqual(await migrateJsonToSqlite(jsonPath, store), 0);
+    });
+  });
+});
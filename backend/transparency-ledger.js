@@ -0,0 +1,280 @@
+import fs from 'fs/promises';
+import path from 'path';
+import MerkleTree from './merkle-tree.js';
+
+/**
+ * TransparencyLedger commits completed donations to signed Merkle roots.
+ *
+ * Responsibilities:
+ * - Periodically build a Merkle tree over completed donations
+ *   (payment hash, amount, completedAt)
+ * - Sign each new root with the hub node key and persist the history
+ * - Produce inclusion proofs against the latest published root
+ *
+ * A donor holding a payment hash can check their donation is counted in the
+ * published totals; the proof only reveals sibling hashes, never other
+ * donations.
+ */
+class TransparencyLedger {
+  /**
+   * Creates a new TransparencyLedger instance.
+   *
+   * @param {DonationTracker} donationTracker - DonationTracker instance
+   * @param {LightningClient} lightningClient - LightningClient used to sign roots
+   * @param {Object} options - Ledger options
+   * @param {string} options.storageFilePath - Path to JSON file holding published roots
+   * @param {number} [options.interval=3600000] - Build interval in milliseconds
+   */
+  constructor(donationTracker, lightningClient, options = {}) {
+    this.donationTracker = donationTracker;
+    this.lightningClient = lightningClient;
+    this.storageFilePath = options.storageFilePath;
+    this.interval = options.interval || 3600000;
+
+    // Published roots, oldest first
+    this.roots = [];
+    // Tree behind the latest published root
+    this.tree = null;
+    this.entries = [];
+    this.leafIndex = new Map();
+
+    this.timer = null;
+    this.building = null;
+  }
+
+  /**
+   * Leaf contents committed for a donation.
+   *
+   * @param {Object} donation - Completed donation record
+   * @returns {Object} Leaf entry
+   */
+  static toLeafEntry(donation) {
+    return {
+      paymentHash: donation.paymentHash,
+      amount: donation.amount,
+      completedAt: donation.completedAt
+    };
+  }
+
+  /**
+   * Serializes a leaf entry or root record deterministically (sorted keys).
+   *
+   * @param {Object} value - Flat object
+   * @returns {string} Canonical JSON
+   */
+  static canonicalize(value) {
+    return JSON.stringify(value, Object.keys(value).sort());
+  }
+
+  /**
+   * Message signed for a root record: every field except the signature.
+   *
+   * @param {Object} record - Root record
+   * @returns {string} Canonical message
+   */
+  static rootMessage(record) {
+    const { signature: _signature, ...fields } = record;
+    return TransparencyLedger.canonicalize(fields);
+  }
+
+  /**
+   * Starts periodic builds. The first build runs immediately.
+   */
+  start() {
+    this.stop();
+    this._safeBuild();
+    this.timer = setInterval(() => this._safeBuild(), this.interval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stops periodic builds.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run build() and log failures (e.g. LND not connected yet)
+   * @private
+   */
+  _safeBuild() {
+    this.build().catch((error) => {
+      console.error('Ledger build failed:', error.message);
+    });
+  }
+
+  /**
+   * Completed donations in ledger order (completedAt, then payment hash)
+   * @returns {Promise<Array<Object>>} Leaf entries
+   * @private
+   */
+  async _collectEntries() {
+    const donations = await this.donationTracker.getAllDonations();
+
+    return donations
+      .filter(d => d.status === 'completed' && d.completedAt)
+      .map(d => TransparencyLedger.toLeafEntry(d))
+      .sort((a, b) => a.completedAt.localeCompare(b.completedAt) || a.paymentHash.localeCompare(b.paymentHash));
+  }
+
+  /**
+   * Builds the tree over all completed donations and publishes a signed
+   * root if it differs from the latest one. Concurrent calls share one build.
+   *
+   * @returns {Promise<Object|null>} Latest root record, or null if there is nothing to commit
+   * @throws {Error} If the root cannot be signed
+   */
+  async build() {
+    if (!this.building) {
+      this.building = this._build().finally(() => {
+        this.building = null;
+      });
+    }
+    return this.building;
+  }
+
+  /**
+   * Build the tree and publish its root if new
+   * @returns {Promise<Object|null>} Latest root record
+   * @private
+   */
+  async _build() {
+    const entries = await this._collectEntries();
+    if (entries.length === 0) {
+      return this.getLatestRoot();
+    }
+
+    const tree = new MerkleTree(entries.map(e => MerkleTree.hashLeaf(TransparencyLedger.canonicalize(e))));
+    const latest = this.getLatestRoot();
+
+    if (latest && latest.root === tree.root) {
+      this._setCurrent(tree, entries);
+      return latest;
+    }
+
+    let record;
+    try {
+      const { publicKey } = await this.lightningClient.getNodeInfo();
+      record = {
+        type: 'ledger-root',
+        version: 1,
+        sequence: this.roots.length + 1,
+        root: tree.root,
+        leafCount: tree.size,
+        totalSats: entries.reduce((sum, e) => sum + e.amount, 0),
+        builtAt: new Date().toISOString(),
+        nodePublicKey: publicKey
+      };
+      record.signature = await this.lightningClient.signMessage(TransparencyLedger.rootMessage(record));
+    } catch (error) {
+      throw new Error(`Failed to sign ledger root: ${error.message}`);
+    }
+
+    this.roots.push(record);
+    await this.saveToDisk();
+    this._setCurrent(tree, entries);
+
+    console.log(`Published ledger root ${record.root} over ${record.leafCount} donations`);
+    return record;
+  }
+
+  /**
+   * Keep the tree backing the latest published root for proofs
+   * @param {MerkleTree} tree - Built tree
+   * @param {Array<Object>} entries - Leaf entries in tree order
+   * @private
+   */
+  _setCurrent(tree, entries) {
+    this.tree = tree;
+    this.entries = entries;
+    this.leafIndex = new Map(entries.map((e, i) => [e.paymentHash, i]));
+  }
+
+  /**
+   * Latest published root.
+   *
+   * @returns {Object|null} Root record
+   */
+  getLatestRoot() {
+    return this.roots.length > 0 ? this.roots[this.roots.length - 1] : null;
+  }
+
+  /**
+   * Published roots, newest first.
+   *
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=20] - Maximum number of roots
+   * @returns {Array<Object>} Root records
+   */
+  getRoots({ limit = 20 } = {}) {
+    return this.roots.slice(-limit).reverse();
+  }
+
+  /**
+   * Inclusion proof for a donation against the latest published root.
+   *
+   * @param {string} paymentHash - Payment hash (hex)
+   * @returns {Object|null} Proof, or null if the donation is not in the latest root
+   * @property {Object} leaf - Committed leaf entry
+   * @property {string} leafHash - SHA256(0x00 || canonical leaf JSON)
+   * @property {number} index - Leaf position
+   * @property {Array<Object>} proof - Sibling hashes from leaf to root
+   * @property {Object} root - Signed root record
+   */
+  getInclusionProof(paymentHash) {
+    if (!this.tree || !this.leafIndex.has(paymentHash)) {
+      return null;
+    }
+
+    const index = this.leafIndex.get(paymentHash);
+    const leaf = this.entries[index];
+
+    return {
+      leaf,
+      leafHash: this.tree.levels[0][index],
+      index,
+      proof: this.tree.getProof(index),
+      root: this.getLatestRoot()
+    };
+  }
+
+  /**
+   * Loads published roots from disk.
+   * Starts with no roots if the file doesn't exist.
+   *
+   * @returns {Promise<void>}
+   */
+  async loadFromDisk() {
+    try {
+      this.roots = JSON.parse(await fs.readFile(this.storageFilePath, 'utf8'));
+      console.log(`Loaded ${this.roots.length} ledger roots from disk`);
+    } catch (error) {
+      this.roots = [];
+      if (error instanceof SyntaxError) {
+        console.error('Corrupted ledger file, starting with empty state:', error.message);
+      } else if (error.code !== 'ENOENT') {
+        console.error('Error loading ledger roots from disk:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Saves published roots to disk atomically.
+   * Uses temp file + rename to prevent corruption.
+   *
+   * @returns {Promise<void>}
+   */
+  async saveToDisk() {
+    await fs.mkdir(path.dirname(this.storageFilePath), { recursive: true });
+
+    const tempPath = `${this.storageFilePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(this.roots, null, 2), 'utf8');
+    await fs.rename(tempPath, this.storageFilePath);
+  }
+}
+
+export default TransparencyLedger;
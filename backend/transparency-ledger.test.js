@@ -0,0 +1,138 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import TransparencyLedger from './transparency-ledger.js';
+import MerkleTree from './merkle-tree.js';
+import DonationTracker from './donation-tracker.js';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+describe('TransparencyLedger', () => {
+  const donationsPath = path.join('backend', 'data', 'test-ledger-donations.json');
+  const rootsPath = path.join('backend', 'data', 'test-ledger-roots.json');
+  const NODE_KEY = '02' + 'a'.repeat(64);
+  let tracker;
+  let lightningClient;
+  let ledger;
+
+  async function completeDonation(amount, completedAt) {
+    const paymentHash = crypto.randomBytes(32).toString('hex');
+    await tracker.createDonation({ amount, paymentHash, description: 'Ledger test', paymentRequest: 'lnbc...' });
+    await tracker.updateDonationStatus(paymentHash, 'completed', {
+      preimage: crypto.randomBytes(32).toString('hex'),
+      completedAt: new Date(completedAt)
+    });
+    return paymentHash;
+  }
+
+  beforeEach(async () => {
+    tracker = new DonationTracker(donationsPath);
+    await tracker.loadFromDisk();
+    lightningClient = {
+      signed: [],
+      getNodeInfo: async () => ({ publicKey: NODE_KEY }),
+      signMessage: async (message) => {
+        lightningClient.signed.push(message);
+        return `sig-${lightningClient.signed.length}`;
+      }
+    };
+    ledger = new TransparencyLedger(tracker, lightningClient, { storageFilePath: rootsPath });
+  });
+
+  afterEach(async () => {
+    ledger.stop();
+    await tracker.close();
+    for (const file of [donationsPath, rootsPath]) {
+      await fs.unlink(file).catch(() => {});
+    }
+  });
+
+  test('publishes a signed root over completed donations only', async () => {
+    await completeDonation(1000, '2026-06-01T10:00:00Z');
+    await completeDonation(2500, '2026-06-01T11:00:00Z');
+    await tracker.createDonation({ amount: 9999, paymentHash: 'f'.repeat(64), description: 'Pending', paymentRequest: 'lnbc...' });
+
+    const record = await ledger.build();
+
+    assert.strictEqual(record.leafCount, 2);
+    assert.strictEqual(record.totalSats, 3500);
+    assert.strictEqual(record.sequence, 1);
+    assert.strictEqual(record.nodePublicKey, NODE_KEY);
+    assert.strictEqual(record.signature, 'sig-1');
+    assert.strictEqual(lightningClient.signed[0], TransparencyLedger.rootMessage(record));
+  });
+
+  test('does not publish again while nothing has changed', async () => {
+    await completeDonation(1000, '2026-06-01T10:00:00Z');
+
+    const first = await ledger.build();
+    const second = await ledger.build();
+
+    assert.strictEqual(second, first);
+    assert.strictEqual(ledger.getRoots().length, 1);
+  });
+
+  test('publishes a new root after another donation completes', async () => {
+    await completeDonation(1000, '2026-06-01T10:00:00Z');
+    await ledger.build();
+    await completeDonation(500, '2026-06-02T10:00:00Z');
+
+    const record = await ledger.build();
+
+    assert.strictEqual(record.sequence, 2);
+    assert.strictEqual(record.totalSats, 1500);
+    assert.deepStrictEqual(ledger.getRoots().map(r => r.sequence), [2, 1]);
+  });
+
+  test('inclusion proof recomputes the published root', async () => {
+    const hashes = [];
+    for (let i = 0; i < 5; i++) {
+      hashes.push(await completeDonation(1000 + i, `2026-06-0${i + 1}T10:00:00Z`));
+    }
+    await ledger.build();
+
+    const result = ledger.getInclusionProof(hashes[3]);
+
+    assert.deepStrictEqual(result.leaf, { paymentHash: hashes[3], amount: 1003, completedAt: '2026-06-04T10:00:00.000Z' });
+    assert.strictEqual(result.leafHash, MerkleTree.hashLeaf(TransparencyLedger.canonicalize(result.leaf)));
+    assert.ok(MerkleTree.verifyProof(result.leafHash, result.proof, result.root.root));
+  });
+
+  test('has no proof for donations completed after the latest root', async () => {
+    await completeDonation(1000, '2026-06-01T10:00:00Z');
+    await ledger.build();
+    const late = await completeDonation(2000, '2026-06-02T10:00:00Z');
+
+    assert.strictEqual(ledger.getInclusionProof(late), null);
+  });
+
+  test('keeps the previous root when signing fails', async () => {
+    const first = await completeDonation(1000, '2026-06-01T10:00:00Z');
+    await ledger.build();
+    await completeDonation(2000, '2026-06-02T10:00:00Z');
+    lightningClient.signMessage = async () => {
+      throw new Error('LND not connected. Call connect() first.');
+    };
+
+    await assert.rejects(
+      async () => {
+        await ledger.build();
+      },
+      {
+        message: 'Failed to sign ledger root: LND not connected. Call connect() first.'
+      }
+    );
+    assert.strictEqual(ledger.getRoots().length, 1);
+    assert.ok(ledger.getInclusionProof(first));
+  });
+
+  test('reloads published roots from disk', async () => {
+    await completeDonation(1000, '2026-06-01T10:00:00Z');
+    const record = await ledger.build();
+
+    const reloaded = new TransparencyLedger(tracker, lightningClient, { storageFilePath: rootsPath });
+    await reloaded.loadFromDisk();
+
+    assert.deepStrictEqual(reloaded.getLatestRoot(), record);
+  });
+});
@@ -1,42 +1,5 @@
-// --- Data: Dummy Courses ---
-const courses = [
-    {
-        id: 'code-africa',
-        title: 'Code for Africa',
-        description: 'Empowering African youth with coding skills to build the future of the continent.',
-        image: 'https://images.unsplash.com/photo-1571171637578-41bc2dd41cd2?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60'
-    },
-    {
-        id: 'clean-water',
-        title: 'Water & Sanitation',
-        description: 'Building boreholes to provide accessible clean water to rural communities.',
-        image: 'https://images.unsplash.com/photo-1538300342682-cf57afb97285?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60'
-    },
-    {
-        id: 'solar-schools',
-        title: 'Clean Energy for Schools',
-        description: 'Providing renewable solar energy to power education in off-grid areas.',
-        image: 'https://images.unsplash.com/photo-1509391366360-2e959784a276?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60'
-    },
-    {
-        id: 'Sustainable-farming',
-        title: 'Sustainable Farming',
-        description: 'Supporting smallholder farmers with resources for sustainable agriculture.',
-        image: 'https://images.unsplash.com/photo-1495107334309-fcf20504a5ab?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60'
-    },
-    {
-        id: 'Disaster Relief',
-        title: 'Disaster Relief',
-        description: 'Emergency aid and rebuilding support for communities affected by floods in Limpopo.',
-        image: 'images/Natural_Disaster_2.jpeg'
-    },
-    {
-        id: 'Orphanage Support',
-        title: 'Orphanage Support',
-        description: 'Providing essential support and resources to orphanages in need.',
-        image: 'https://images.unsplash.com/photo-1488521787991-ed7bbaae773c?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60'
-    }
-];
+// --- Data: Campaigns (loaded from /api/campaigns) ---
+let courses = [];
 
 // --- Elements ---
 const courseGridView = document.getElementById('courseGridView');
@@ -46,6 +9,7 @@ const modalTitle = document.getElementById('modalTitle');
 const customAmountInput = document.getElementById('customAmount');
 const generateInvoiceBtn = document.getElementById('generateInvoiceBtn');
 const amountBtns = document.querySelectorAll('.amount-btn');
+const amountCurrencySelect = document.getElementById('amountCurrency');
 const modalStatus = document.getElementById('modalStatus');
 const modalInvoice = document.getElementById('modalInvoice');
 const modalQrCode = document.getElementById('modalQrCode');
@@ -60,11 +24,46 @@ const navSupport = document.getElementById('navSupport');
 let selectedCourse = null;
 let currentHash = null;
 let pollInterval = null;
+let eventSource = null;
+let releaseEstimate = null;
+
+// Preset amounts per currency (sats are whole numbers, fiat is converted server-side)
+const AMOUNT_PRESETS = {
+    SATS: [1000, 5000, 10000, 50000],
+    ZAR: [20, 50, 100, 500],
+    USD: [1, 5, 10, 50]
+};
+
+// All-or-nothing campaigns take pledges: held payments, only collected if the goal is reached
+function isPledgeCampaign(course) {
+    return course.fundingModel === 'all_or_nothing';
+}
 
 // --- Initialization ---
 function init() {
-    renderCourses();
     setupEventListeners();
+    loadCourses();
+}
+
+// --- Load Courses ---
+async function loadCourses() {
+    try {
+        const res = await fetch('/api/campaigns?status=active');
+        if (!res.ok) throw new Error(res.statusText);
+
+        const data = await res.json();
+        courses = data.campaigns;
+        renderCourses();
+    } catch (error) {
+        console.error(error);
+        courseGridView.innerHTML = '<p class="status-message status-error">Unable to load campaigns. Please try again later.</p>';
+    }
+}
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.innerText = value ?? '';
+    return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 // --- Render Courses ---
@@ -74,17 +73,65 @@ function renderCourses() {
         const card = document.createElement('div');
         card.className = 'course-card';
         card.innerHTML = `
-            <img src="${course.image}" alt="${course.title}" class="course-image">
+            <img src="${escapeHtml(course.image)}" alt="${escapeHtml(course.title)}" class="course-image">
             <div class="course-content">
-                <h3 class="course-title">${course.title}</h3>
-                <p class="course-desc">${course.description}</p>
-                <button class="btn-primary" onclick="openDonationModal('${course.id}')">Donate</button>
+                <h3 class="course-title">${escapeHtml(course.title)}</h3>
+                <p class="course-desc">${escapeHtml(course.description)}</p>
+                <div class="course-progress" data-progress-for="${escapeHtml(course.id)}"></div>
+                ${isPledgeCampaign(course)
+                    ? `<p class="course-pledge-note">All or nothing: pledges are only collected if the goal is reached by ${escapeHtml(new Date(course.endDate).toLocaleDateString())}</p>`
+                    : (course.addressName ? `<p class="course-address">⚡ ${escapeHtml(course.addressName)}@${escapeHtml(window.location.host)}</p>` : '')}
+                <button class="btn-primary" onclick="openDonationModal('${escapeHtml(course.id)}')">${isPledgeCampaign(course) ? 'Pledge' : 'Donate'}</button>
             </div>
         `;
         courseGridView.appendChild(card);
+        loadProgress(course, card.querySelector('.course-progress'));
     });
 }
 
+// --- Campaign Progress ---
+async function loadProgress(course, progressEl) {
+    try {
+        const res = await fetch(`/api/campaigns/${encodeURIComponent(course.id)}/progress`);
+        if (!res.ok) return;
+
+        const progress = await res.json();
+        renderProgress(progressEl, progress);
+
+        if (isPledgeCampaign(course)) {
+            await loadPledgeSummary(course, progressEl);
+        }
+    } catch (e) { console.error(e); }
+}
+
+// Pledges held so far don't count as raised until the campaign is funded
+async function loadPledgeSummary(course, progressEl) {
+    const res = await fetch(`/api/pledges/campaigns/${encodeURIComponent(course.id)}`);
+    if (!res.ok) return;
+
+    const summary = await res.json();
+    const label = document.createElement('p');
+    label.className = 'progress-label';
+    label.innerText = `${summary.heldSats.toLocaleString()} sats pledged by ${summary.heldCount} donor${summary.heldCount === 1 ? '' : 's'}`;
+    progressEl.appendChild(label);
+}
+
+function renderProgress(progressEl, progress) {
+    const raised = progress.raisedSats.toLocaleString();
+    const donors = `${progress.donorCount} donation${progress.donorCount === 1 ? '' : 's'}`;
+
+    if (!progress.goalSats) {
+        progressEl.innerHTML = `<p class="progress-label">${raised} sats raised · ${donors}</p>`;
+        return;
+    }
+
+    const width = Math.min(progress.percentage, 100);
+    progressEl.innerHTML = `
+        <div class="progress-bar"><div class="progress-fill" style="width: ${width}%"></div></div>
+        <p class="progress-label">${raised} of ${progress.goalSats.toLocaleString()} sats (${progress.percentage}%) · ${donors}</p>
+    `;
+}
+
 // --- Event Listeners ---
 function setupEventListeners() {
     // Nav Switching
@@ -117,8 +164,17 @@ function setupEventListeners() {
         });
     });
 
-    // Generate Invoice
-    generateInvoiceBtn.addEventListener('click', createDonationInvoice);
+    // Currency
+    amountCurrencySelect.addEventListener('change', renderAmountPresets);
+
+    // Generate Invoice (or a held invoice for a pledge)
+    generateInvoiceBtn.addEventListener('click', () => {
+        if (isPledgeCampaign(selectedCourse)) {
+            createPledge();
+        } else {
+            createDonationInvoice();
+        }
+    });
 
     // Support Flow
     const applyNowBtn = document.getElementById('applyNowBtn');
@@ -135,18 +191,67 @@ function setupEventListeners() {
     }
 
     if (supportForm) {
-        supportForm.addEventListener('submit', (e) => {
-            e.preventDefault();
-            // Simulate submission
-            const formData = new FormData(supportForm);
-            const data = Object.fromEntries(formData.entries());
-            console.log('Support Application:', data);
-
-            supportForm.style.display = 'none';
-            supportSuccess.style.display = 'block';
+        supportForm.addEventListener('submit', submitSupportApplication);
+    }
+
+}
+
+// --- Support Application ---
+async function submitSupportApplication(e) {
+    e.preventDefault();
+
+    const supportForm = e.target;
+    const supportSuccess = document.getElementById('supportSuccess');
+    const submitBtn = supportForm.querySelector('button[type="submit"]');
+    const formData = new FormData(supportForm);
+
+    submitBtn.disabled = true;
+    supportSuccess.innerText = 'Submitting application...';
+    supportSuccess.className = 'status-message status-loading';
+    supportSuccess.style.display = 'block';
+
+    try {
+        const response = await fetch('/api/applications', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                fullName: formData.get('fullName'),
+                hardshipType: formData.get('hardshipType'),
+                walletAddress: formData.get('walletAddress'),
+                description: formData.get('description')
+            })
         });
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(body.details ? body.details.join(', ') : (body.error || response.statusText));
+        }
+
+        supportForm.style.display = 'none';
+        supportSuccess.innerText = `Your application has been submitted, thank you! ⚡ Your reference number is ${body.reference}. Keep it to check your application status.`;
+        supportSuccess.className = 'status-message status-success';
+    } catch (error) {
+        console.error(error);
+        supportSuccess.innerText = `Could not submit application: ${error.message}`;
+        supportSuccess.className = 'status-message status-error';
+    } finally {
+        submitBtn.disabled = false;
     }
+}
+
+function renderAmountPresets() {
+    const currency = amountCurrencySelect.value;
+    const presets = AMOUNT_PRESETS[currency];
 
+    amountBtns.forEach((btn, i) => {
+        btn.dataset.amount = presets[i];
+        btn.innerText = currency === 'SATS' ? presets[i].toLocaleString() : `${currency} ${presets[i]}`;
+        btn.classList.remove('selected');
+    });
+
+    customAmountInput.value = '';
+    customAmountInput.step = currency === 'SATS' ? '1' : '0.01';
+    customAmountInput.placeholder = currency === 'SATS' ? 'Custom amount (sats)' : `Custom amount (${currency})`;
 }
 
 function setActiveView(view) {
@@ -164,35 +269,42 @@ window.openDonationModal = function (courseId) {
     selectedCourse = courses.find(c => c.id === courseId);
     if (!selectedCourse) return;
 
-    modalTitle.innerText = `Donate to ${selectedCourse.title}`;
+    const pledge = isPledgeCampaign(selectedCourse);
+    modalTitle.innerText = `${pledge ? 'Pledge to' : 'Donate to'} ${selectedCourse.title}`;
     customAmountInput.value = '';
     modalStatus.innerText = '';
     modalInvoice.style.display = 'none';
     paymentSuccessMsg.style.display = 'none';
 
-    // Reset buttons
-    amountBtns.forEach(b => b.classList.remove('selected'));
+    // Reset buttons (pledges are in sats only)
+    amountCurrencySelect.value = 'SATS';
+    amountCurrencySelect.style.display = pledge ? 'none' : '';
+    generateInvoiceBtn.innerText = pledge ? 'Pledge with Lightning' : 'Generate Lightning Invoice';
+    renderAmountPresets();
 
-    // Stop any existing polling
-    if (pollInterval) clearInterval(pollInterval);
+    // Stop any existing status updates
+    stopStatusUpdates();
 
     donationModal.classList.add('open');
 };
 
 function closeDonationModal() {
     donationModal.classList.remove('open');
-    if (pollInterval) clearInterval(pollInterval);
+    stopStatusUpdates();
 }
 
 // --- Donation Flow (Backend Integration) ---
 async function createDonationInvoice() {
+    const currency = amountCurrencySelect.value;
     const amount = customAmountInput.value;
-    if (!amount || amount < 1) {
-        modalStatus.innerText = 'Please enter a valid amount (min 1 sat)';
+    if (!amount || amount <= 0 || (currency === 'SATS' && amount < 1)) {
+        modalStatus.innerText = currency === 'SATS' ? 'Please enter a valid amount (min 1 sat)' : `Please enter a valid ${currency} amount`;
         modalStatus.className = 'status-message status-error';
         return;
     }
 
+    const amountFields = currency === 'SATS' ? { amount: amount } : { currency, fiatAmount: amount };
+
     modalStatus.innerText = 'Creating invoice...';
     modalStatus.className = 'status-message status-loading';
 
@@ -201,62 +313,235 @@ async function createDonationInvoice() {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                amount: amount,
+                ...amountFields,
+                campaignId: selectedCourse.id,
                 description: `Donation for ${selectedCourse.title}`
             })
         });
 
-        if (!response.ok) throw new Error(response.statusText);
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || response.statusText);
+        }
 
         const data = await response.json();
 
         // Render Invoice
-        modalStatus.innerText = 'Scan to Pay';
-        modalInvoice.style.display = 'block';
-        modalInvoiceText.innerText = data.payment_request;
-
-        // Use the server-generated QR code (base64)
-        if (data.qr_code_base64) {
-            // Find or create image element
-            let qrImg = document.getElementById('modalQrImage');
-            const canvas = document.getElementById('modalQrCode');
-
-            // If we have a canvas, replace it or hide it. 
-            // Better to replace the canvas with an img tag in the HTML, but here we can just create an img if not exists
-            if (canvas) {
-                canvas.style.display = 'none'; // Hide the old canvas
-            }
+        modalStatus.innerText = data.rate_lock
+            ? `Scan to Pay: ${data.rate_lock.currency} ${data.rate_lock.fiat_amount} = ${data.amount.toLocaleString()} sats, rate locked until ${new Date(data.rate_lock.locked_until).toLocaleTimeString()}`
+            : 'Scan to Pay';
+        showInvoice(data);
+
+        currentHash = data.r_hash;
+        startStatusUpdates(modalStatus, paymentSuccessMsg);
+
+    } catch (error) {
+        console.error(error);
+        modalStatus.innerText = `Error creating invoice: ${error.message}`;
+        modalStatus.className = 'status-message status-error';
+    }
+}
 
-            if (!qrImg) {
-                qrImg = document.createElement('img');
-                qrImg.id = 'modalQrImage';
-                qrImg.style.display = 'block';
-                qrImg.style.margin = '0 auto';
-                qrImg.style.maxWidth = '100%';
-                // Insert where canvas was or in container
-                const container = document.getElementById('modalInvoice');
-                container.insertBefore(qrImg, modalInvoiceText);
-            } else {
-                qrImg.style.display = 'block';
-            }
 
-            qrImg.src = `data:image/png;base64,${data.qr_code_base64}`;
+
+// Show the payment request and its QR code
+function showInvoice(data) {
+    modalInvoice.style.display = 'block';
+    modalInvoiceText.innerText = data.payment_request;
+    paymentSuccessMsg.style.display = 'none';
+
+    // Use the server-generated QR code (base64)
+    if (data.qr_code_base64) {
+        // Find or create image element
+        let qrImg = document.getElementById('modalQrImage');
+        const canvas = document.getElementById('modalQrCode');
+
+        // If we have a canvas, replace it or hide it. 
+        // Better to replace the canvas with an img tag in the HTML, but here we can just create an img if not exists
+        if (canvas) {
+            canvas.style.display = 'none'; // Hide the old canvas
+        }
+
+        if (!qrImg) {
+            qrImg = document.createElement('img');
+            qrImg.id = 'modalQrImage';
+            qrImg.style.display = 'block';
+            qrImg.style.margin = '0 auto';
+            qrImg.style.maxWidth = '100%';
+            // Insert where canvas was or in container
+            const container = document.getElementById('modalInvoice');
+            container.insertBefore(qrImg, modalInvoiceText);
         } else {
-            console.error('No QR code returned from server');
-            modalStatus.innerText = 'Error: No QR code';
+            qrImg.style.display = 'block';
         }
 
-        currentHash = data.r_hash;
-        startPolling(modalStatus, paymentSuccessMsg);
+        qrImg.src = `data:image/png;base64,${data.qr_code_base64}`;
+    } else {
+        console.error('No QR code returned from server');
+        modalStatus.innerText = 'Error: No QR code';
+    }
+}
 
+// --- Pledge Flow (all-or-nothing campaigns) ---
+async function createPledge() {
+    const amount = Number(customAmountInput.value);
+    if (!Number.isInteger(amount) || amount < 1) {
+        modalStatus.innerText = 'Please enter a valid amount (whole sats, min 1 sat)';
+        modalStatus.className = 'status-message status-error';
+        return;
+    }
+
+    await requestPledge('/api/pledges', { campaignId: selectedCourse.id, amount });
+}
+
+async function repledge(paymentHash) {
+    await requestPledge(`/api/pledges/${paymentHash}/repledge`, {});
+}
+
+async function requestPledge(url, body) {
+    stopStatusUpdates();
+    modalStatus.innerText = 'Creating pledge...';
+    modalStatus.className = 'status-message status-loading';
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.details ? data.details.join(', ') : (data.error || response.statusText));
+        }
+
+        releaseEstimate = new Date(data.release_estimate);
+        modalStatus.innerText = `Scan to pledge ${data.amount.toLocaleString()} sats. Your payment is held, not collected, unless the campaign reaches its goal.`;
+        modalStatus.className = 'status-message status-loading';
+        showInvoice(data);
+
+        currentHash = data.r_hash;
+        startPledgePolling(modalStatus, paymentSuccessMsg);
     } catch (error) {
         console.error(error);
-        modalStatus.innerText = 'Error creating invoice';
+        modalStatus.innerText = `Error creating pledge: ${error.message}`;
         modalStatus.className = 'status-message status-error';
     }
 }
 
+// Hold invoices have no event stream: poll the pledge until it is decided
+function startPledgePolling(statusEl, successEl) {
+    if (pollInterval) clearInterval(pollInterval);
 
+    pollInterval = setInterval(async () => {
+        if (!currentHash) return;
+
+        try {
+            const res = await fetch(`/api/pledges/${currentHash}`);
+            if (res.ok) {
+                showPledgeStatus(statusEl, successEl, await res.json());
+            }
+        } catch (e) { console.error(e); }
+    }, 3000);
+}
+
+function showPledgeStatus(statusEl, successEl, pledge) {
+    if (pledge.status === 'held') {
+        modalInvoice.style.display = 'none';
+        statusEl.innerText = `Pledge held! Your ${pledge.amount.toLocaleString()} sats are locked in and only collected if the goal is reached. `
+            + `If the campaign hasn't decided by ${releaseEstimate.toLocaleString()}, they are returned and you can renew your pledge here.`;
+        statusEl.className = 'status-message status-success';
+        return;
+    }
+
+    if (pledge.status === 'pending') return;
+
+    // The pledge is decided: collected, returned or never paid
+    clearInterval(pollInterval);
+    modalInvoice.style.display = 'none';
+
+    if (pledge.status === 'completed') {
+        statusEl.innerText = 'The campaign reached its goal and your pledge was collected. Thank you!';
+        statusEl.className = 'status-message status-success';
+    } else if (pledge.status === 'expired') {
+        statusEl.innerText = 'The pledge invoice expired before it was paid.';
+        statusEl.className = 'status-message status-error';
+    } else if (pledge.cancelReason === 'goal_not_met') {
+        statusEl.innerText = 'The campaign did not reach its goal, so your pledge was returned.';
+        statusEl.className = 'status-message status-error';
+    } else {
+        statusEl.innerText = 'Your pledge was returned before the campaign decided.';
+        statusEl.className = 'status-message status-error';
+    }
+
+    if (pledge.repledgeable) {
+        const repledgeBtn = document.createElement('button');
+        repledgeBtn.className = 'btn-primary';
+        repledgeBtn.style.marginTop = '1rem';
+        repledgeBtn.innerText = 'Pledge again';
+        repledgeBtn.addEventListener('click', () => repledge(pledge.paymentHash));
+        statusEl.appendChild(document.createElement('br'));
+        statusEl.appendChild(repledgeBtn);
+    }
+}
+
+// --- Status Helpers ---
+function showPaid(statusEl, successEl, preimage) {
+    statusEl.innerText = 'Paid!';
+    statusEl.className = 'status-message status-success';
+    successEl.style.display = 'block';
+    successEl.innerText = `Payment Received! Preimage: ${preimage.substring(0, 10)}... `;
+
+    const verifyLink = document.createElement('a');
+    verifyLink.href = `verify.html?hash=${currentHash}&preimage=${preimage}`;
+    verifyLink.target = '_blank';
+    verifyLink.innerText = 'Verify proof';
+    successEl.appendChild(verifyLink);
+}
+
+function showExpired(statusEl) {
+    statusEl.innerText = 'Invoice expired. Please generate a new one.';
+    statusEl.className = 'status-message status-error';
+}
+
+function stopStatusUpdates() {
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+    }
+    if (pollInterval) clearInterval(pollInterval);
+}
+
+// Prefer Server-Sent Events; fall back to polling when unavailable
+function startStatusUpdates(statusEl, successEl) {
+    stopStatusUpdates();
+
+    if (!window.EventSource) {
+        startPolling(statusEl, successEl);
+        return;
+    }
+
+    const hash = currentHash;
+    eventSource = new EventSource(`/api/invoice/${hash}/events`);
+
+    eventSource.addEventListener('completed', (e) => {
+        const data = JSON.parse(e.data);
+        stopStatusUpdates();
+        showPaid(statusEl, successEl, data.preimage);
+    });
+
+    eventSource.addEventListener('expired', () => {
+        stopStatusUpdates();
+        showExpired(statusEl);
+    });
+
+    eventSource.onerror = () => {
+        // Stream dropped or unsupported by a proxy: keep checking by polling
+        if (hash !== currentHash) return;
+        stopStatusUpdates();
+        startPolling(statusEl, successEl);
+    };
+}
 
 // --- Polling Helper ---
 function startPolling(statusEl, successEl) {
@@ -271,15 +556,10 @@ function startPolling(statusEl, successEl) {
                 const data = await res.json();
                 if (data.settled) {
                     clearInterval(pollInterval);
-                    statusEl.innerText = 'Paid!';
-                    statusEl.className = 'status-message status-success';
-                    successEl.style.display = 'block';
-                    successEl.innerText = `Payment Received! Preimage: ${data.preimage.substring(0, 10)}...`;
-
-                    // You might want to auto-close modal after few seconds
-                    setTimeout(() => {
-                        // closeDonationModal();
-                    }, 5000);
+                    showPaid(statusEl, successEl, data.preimage);
+                } else if (data.status === 'expired') {
+                    clearInterval(pollInterval);
+                    showExpired(statusEl);
                 }
             }
         } catch (e) { console.error(e); }
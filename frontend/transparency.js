@@ -0,0 +1,29 @@
+// --- Elements ---
+const ledgerRoot = document.getElementById('ledgerRoot');
+
+// --- Latest signed ledger root ---
+async function loadLedgerRoot() {
+    try {
+        const res = await fetch('/api/ledger/roots?limit=1');
+        const data = await res.json();
+
+        if (!res.ok) throw new Error(data.error || 'Ledger lookup failed');
+
+        const [root] = data.roots;
+        if (!root) {
+            ledgerRoot.innerText = 'No ledger root has been published yet.';
+            return;
+        }
+
+        ledgerRoot.innerText = `Root #${root.sequence}: ${root.root}\n` +
+            `${root.leafCount.toLocaleString()} donations, ${root.totalSats.toLocaleString()} sats\n` +
+            `Published ${new Date(root.builtAt).toLocaleString()} by node ${root.nodePublicKey}\n` +
+            `Signature: ${root.signature}`;
+    } catch (error) {
+        console.error(error);
+        ledgerRoot.innerText = 'Could not load the ledger.';
+    }
+}
+
+// Run
+loadLedgerRoot();
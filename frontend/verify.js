@@ -0,0 +1,174 @@
+// --- Elements ---
+const verifyForm = document.getElementById('verifyForm');
+const paymentHashInput = document.getElementById('paymentHash');
+const preimageInput = document.getElementById('preimage');
+const fetchProofBtn = document.getElementById('fetchProofBtn');
+const ledgerProofBtn = document.getElementById('ledgerProofBtn');
+const verifyResult = document.getElementById('verifyResult');
+const proofDetails = document.getElementById('proofDetails');
+
+const HEX_32_BYTES = /^[0-9a-f]{64}$/;
+
+// --- Initialization ---
+function init() {
+    // Allow links such as verify.html?hash=...&preimage=...
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('hash')) paymentHashInput.value = params.get('hash');
+    if (params.get('preimage')) preimageInput.value = params.get('preimage');
+
+    verifyForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        verify();
+    });
+    fetchProofBtn.addEventListener('click', fetchProof);
+    ledgerProofBtn.addEventListener('click', checkLedgerInclusion);
+
+    if (paymentHashInput.value && preimageInput.value) verify();
+}
+
+// --- Helpers ---
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function bytesToHex(buffer) {
+    return Array.from(new Uint8Array(buffer))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+function showResult(message, type) {
+    verifyResult.innerText = message;
+    verifyResult.className = `status-message status-${type}`;
+}
+
+// --- Verification (runs locally) ---
+async function verify() {
+    const paymentHash = paymentHashInput.value.trim().toLowerCase();
+    const preimage = preimageInput.value.trim().toLowerCase();
+
+    if (!HEX_32_BYTES.test(paymentHash) || !HEX_32_BYTES.test(preimage)) {
+        showResult('Payment hash and preimage must each be 64 hex characters', 'error');
+        return;
+    }
+
+    if (!window.crypto || !window.crypto.subtle) {
+        showResult('This browser cannot compute SHA-256 (a secure https:// page is required)', 'error');
+        return;
+    }
+
+    const digest = bytesToHex(await window.crypto.subtle.digest('SHA-256', hexToBytes(preimage)));
+
+    if (digest === paymentHash) {
+        showResult('Verified: SHA-256(preimage) matches the payment hash. This payment was delivered.', 'success');
+    } else {
+        showResult(`Not verified: SHA-256(preimage) is ${digest}, which does not match the payment hash.`, 'error');
+    }
+}
+
+// --- Published proof lookup ---
+async function fetchProof() {
+    const paymentHash = paymentHashInput.value.trim().toLowerCase();
+    proofDetails.innerText = '';
+
+    if (!HEX_32_BYTES.test(paymentHash)) {
+        showResult('Enter a 64 character payment hash first', 'error');
+        return;
+    }
+
+    showResult('Looking up proof...', 'loading');
+
+    try {
+        const res = await fetch(`/api/proof/${paymentHash}`);
+        const data = await res.json();
+
+        if (!res.ok) {
+            const suffix = data.status ? ` (donation is ${data.status})` : '';
+            showResult(`${data.error || 'Proof lookup failed'}${suffix}`, 'error');
+            return;
+        }
+
+        preimageInput.value = data.preimage;
+        proofDetails.innerText = `${data.amount.toLocaleString()} sats` +
+            (data.campaignId ? ` to ${data.campaignId}` : '') +
+            (data.settledAt ? `, settled ${new Date(data.settledAt).toLocaleString()}` : '');
+
+        // Never take the server's word for it: recompute locally
+        await verify();
+    } catch (error) {
+        console.error(error);
+        showResult('Proof lookup failed', 'error');
+    }
+}
+
+// --- Ledger inclusion (Merkle proof recomputed locally) ---
+async function sha256Hex(...parts) {
+    const bytes = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytesToHex(await window.crypto.subtle.digest('SHA-256', bytes));
+}
+
+async function checkLedgerInclusion() {
+    const paymentHash = paymentHashInput.value.trim().toLowerCase();
+    proofDetails.innerText = '';
+
+    if (!HEX_32_BYTES.test(paymentHash)) {
+        showResult('Enter a 64 character payment hash first', 'error');
+        return;
+    }
+
+    if (!window.crypto || !window.crypto.subtle) {
+        showResult('This browser cannot compute SHA-256 (a secure https:// page is required)', 'error');
+        return;
+    }
+
+    showResult('Fetching ledger proof...', 'loading');
+
+    try {
+        const res = await fetch(`/api/ledger/proof/${paymentHash}`);
+        const data = await res.json();
+
+        if (!res.ok) {
+            showResult(data.error || 'Ledger lookup failed', 'error');
+            return;
+        }
+
+        if (data.leaf.paymentHash !== paymentHash) {
+            showResult('Ledger returned a proof for a different donation', 'error');
+            return;
+        }
+
+        // Leaf = SHA256(0x00 || canonical JSON), node = SHA256(0x01 || left || right)
+        const canonical = JSON.stringify(data.leaf, Object.keys(data.leaf).sort());
+        let hash = await sha256Hex(new Uint8Array([0]), new TextEncoder().encode(canonical));
+        for (const step of data.proof) {
+            hash = step.position === 'left'
+                ? await sha256Hex(new Uint8Array([1]), hexToBytes(step.hash), hexToBytes(hash))
+                : await sha256Hex(new Uint8Array([1]), hexToBytes(hash), hexToBytes(step.hash));
+        }
+
+        proofDetails.innerText = `Ledger root #${data.root.sequence} (${data.root.root}) covers ` +
+            `${data.root.leafCount.toLocaleString()} donations totalling ${data.root.totalSats.toLocaleString()} sats, ` +
+            `signed by node ${data.root.nodePublicKey}`;
+
+        if (hash === data.root.root) {
+            showResult(`Included: your ${data.leaf.amount.toLocaleString()} sat donation is counted in the published ledger.`, 'success');
+        } else {
+            showResult('Not included: the proof does not lead to the published root.', 'error');
+        }
+    } catch (error) {
+        console.error(error);
+        showResult('Ledger lookup failed', 'error');
+    }
+}
+
+// Run
+init();